@@ -0,0 +1,77 @@
+// Service worker keeping the app shell available offline. Market data is not cached
+// here: the app keeps its own instruments snapshot and last-known prices in
+// localStorage, and Bybit API requests always go to the network.
+//
+// Bump CACHE_VERSION when the shell list changes; old caches are removed on activate.
+
+const CACHE_VERSION = 'v2';
+
+// Written by the build (see vite.config.js): the hashed bundles index.html loads, and an id
+// that changes with them so each deploy gets fresh caches
+const BUILD_ASSETS = [];
+const BUILD_ID = 'dev';
+
+const SHELL_CACHE = `bybit-calculator-shell-${CACHE_VERSION}-${BUILD_ID}`;
+const ASSET_CACHE = `bybit-calculator-assets-${CACHE_VERSION}-${BUILD_ID}`;
+
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png'];
+
+// The page loads its bundles before the worker controls it, so they are precached here
+// rather than left to the fetch handler
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+      caches.open(ASSET_CACHE).then(cache => cache.addAll(BUILD_ASSETS))
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = new Set([SHELL_CACHE, ASSET_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !current.has(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: network first so a deploy shows up on the next load, the cached shell offline
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    // An error page must not replace the offline shell
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+// Build assets carry a content hash in their name, so a cached copy never goes stale
+const handleAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(ASSET_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(handleAsset(request));
+  }
+});
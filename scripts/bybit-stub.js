@@ -0,0 +1,257 @@
+// Local stand-in for the Bybit v5 REST API, for demos and tests without a real account.
+// Serves a few public market endpoints from fixtures and the private endpoints behind
+// the account import, checking the HMAC signature the same way Bybit does, plus the
+// public ticker WebSocket at /v5/public/{category}.
+//
+//   npm run stub                      # http://localhost:8080, key "stub-key", secret "stub-secret"
+//   PORT=9000 STUB_READ_ONLY=0 npm run stub
+//
+// Point the app at it with the Custom environment (REST http://localhost:8080, WebSocket
+// ws://localhost:8080/v5/public).
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+export const STUB_API_KEY = 'stub-key';
+export const STUB_API_SECRET = 'stub-secret';
+
+const instrument = (symbol, contractType, baseCoin, settleCoin, maxLeverage, tickSize, qtyStep) => ({
+  symbol,
+  contractType,
+  status: 'Trading',
+  baseCoin,
+  quoteCoin: contractType === 'InversePerpetual' ? 'USD' : settleCoin,
+  settleCoin,
+  fundingInterval: 480,
+  leverageFilter: { minLeverage: '1', maxLeverage, leverageStep: '0.01' },
+  priceFilter: { tickSize },
+  lotSizeFilter: { qtyStep, minOrderQty: qtyStep, maxOrderQty: '1000000', minNotionalValue: '5' }
+});
+
+const INSTRUMENTS = {
+  linear: [
+    instrument('BTCUSDT', 'LinearPerpetual', 'BTC', 'USDT', '100.00', '0.10', '0.001'),
+    instrument('ETHUSDT', 'LinearPerpetual', 'ETH', 'USDT', '100.00', '0.01', '0.01')
+  ],
+  inverse: [
+    instrument('BTCUSD', 'InversePerpetual', 'BTC', 'BTC', '100.00', '0.50', '1')
+  ]
+};
+
+// Inverse tickers count volume in USD contracts and turnover in the coin, the other way round
+const ticker = (symbol, lastPrice, usdTurnover, openInterestValue, inverse = false) => ({
+  symbol,
+  lastPrice,
+  markPrice: lastPrice,
+  price24hPcnt: '0.012',
+  volume24h: inverse ? usdTurnover : String(Math.round(parseFloat(usdTurnover) / parseFloat(lastPrice))),
+  turnover24h: inverse ? String(Math.round(parseFloat(usdTurnover) / parseFloat(lastPrice))) : usdTurnover,
+  fundingRate: '0.0001',
+  nextFundingTime: String(Date.now() + 4 * 60 * 60 * 1000),
+  openInterest: openInterestValue,
+  openInterestValue
+});
+
+const TICKERS = {
+  linear: [ticker('BTCUSDT', '65000.00', '2500000000', '1500000000'), ticker('ETHUSDT', '3400.00', '900000000', '600000000')],
+  inverse: [ticker('BTCUSD', '65010.00', '300000000', '400000000', true)]
+};
+
+const RISK_LIMITS = [
+  { riskLimitValue: '2000000', maintenanceMargin: '0.005', mmDeduction: '0', maxLeverage: '100.00' },
+  { riskLimitValue: '4000000', maintenanceMargin: '0.01', mmDeduction: '10000', maxLeverage: '50.00' }
+];
+
+const POSITIONS = {
+  'linear:USDT': [
+    {
+      symbol: 'BTCUSDT', side: 'Buy', size: '0.05', avgPrice: '64000', leverage: '10', positionValue: '3200',
+      takeProfit: '70000', stopLoss: '62000', liqPrice: '57900', unrealisedPnl: '50', tradeMode: 0
+    },
+    {
+      symbol: 'ETHUSDT', side: 'Sell', size: '1.5', avgPrice: '3500', leverage: '5', positionValue: '5250',
+      takeProfit: '3000', stopLoss: '', liqPrice: '4180', unrealisedPnl: '150', tradeMode: 0
+    }
+  ],
+  'linear:USDC': [],
+  inverse: [
+    {
+      symbol: 'BTCUSD', side: 'Buy', size: '1000', avgPrice: '64000', leverage: '3', positionValue: '0.015625',
+      takeProfit: '0', stopLoss: '60000', liqPrice: '48100', unrealisedPnl: '0.0002', tradeMode: 0
+    }
+  ]
+};
+
+const WALLET = {
+  list: [{
+    accountType: 'UNIFIED',
+    totalEquity: '12500',
+    totalMarginBalance: '12000',
+    coin: [
+      { coin: 'USDT', walletBalance: '9000', equity: '9200', usdValue: '9200' },
+      { coin: 'BTC', walletBalance: '0.05', equity: '0.0502', usdValue: '3263' }
+    ]
+  }]
+};
+
+const ok = (result) => ({ retCode: 0, retMsg: 'OK', result, time: Date.now() });
+const fail = (retCode, retMsg) => ({ retCode, retMsg, result: {}, time: Date.now() });
+
+const PUBLIC_ROUTES = {
+  '/v5/market/instruments-info': (query) => ok({
+    list: (INSTRUMENTS[query.get('category')] ?? []).filter(item => !query.get('symbol') || item.symbol === query.get('symbol')),
+    nextPageCursor: ''
+  }),
+  '/v5/market/tickers': (query) => ok({
+    list: (TICKERS[query.get('category')] ?? []).filter(item => !query.get('symbol') || item.symbol === query.get('symbol'))
+  }),
+  '/v5/market/risk-limit': () => ok({ list: RISK_LIMITS, nextPageCursor: '' }),
+  '/v5/market/kline': () => ok({ list: [] }),
+  '/v5/market/funding/history': () => ok({ list: [] })
+};
+
+const privateRoutes = ({ apiKey, readOnly }) => ({
+  '/v5/user/query-api': () => ok({ apiKey, readOnly: readOnly ? 1 : 0, permissions: { ContractTrade: readOnly ? [] : ['Order', 'Position'] } }),
+  '/v5/account/info': () => ok({ marginMode: 'REGULAR_MARGIN', unifiedMarginStatus: 5 }),
+  '/v5/account/wallet-balance': (query) => (
+    query.get('accountType') === 'UNIFIED' ? ok(WALLET) : fail(10001, 'accountType only support UNIFIED.')
+  ),
+  '/v5/position/list': (query) => {
+    const category = query.get('category');
+    if (category === 'linear' && !query.get('settleCoin') && !query.get('symbol')) {
+      return fail(10001, 'Missing some parameters that must be filled in, symbol or settleCoin');
+    }
+    const key = category === 'linear' ? `linear:${query.get('settleCoin')}` : category;
+    return ok({ category, list: POSITIONS[key] ?? [], nextPageCursor: '' });
+  }
+});
+
+// Same check as Bybit: HMAC-SHA256 over timestamp + key + recv window + query string
+const verifySignature = (headers, query, apiKey, apiSecret) => {
+  if (headers['x-bapi-api-key'] !== apiKey) return fail(10003, 'API key is invalid.');
+
+  const timestamp = headers['x-bapi-timestamp'] ?? '';
+  const recvWindow = headers['x-bapi-recv-window'] ?? '5000';
+  if (Math.abs(Date.now() - Number(timestamp)) > Number(recvWindow)) {
+    return fail(10002, 'invalid request, please check your server timestamp or recv_window param');
+  }
+
+  const expected = createHmac('sha256', apiSecret).update(`${timestamp}${apiKey}${recvWindow}${query}`).digest();
+  const signature = Buffer.from(headers['x-bapi-sign'] ?? '', 'hex');
+  if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+    return fail(10004, 'error sign! origin_string[...]');
+  }
+  return null;
+};
+
+const TICKER_SOCKET_PATH = /^\/v5\/public\/(linear|inverse)$/;
+
+/**
+ * Public ticker stream: a snapshot on subscribe, then a small price move per subscribed
+ * topic every `tickInterval` ms. Pings are answered the way Bybit answers them.
+ *
+ * @param {{ tickInterval?: number, answerPings?: boolean }} options
+ * @returns {WebSocketServer}
+ */
+const createTickerSocketServer = ({ tickInterval, answerPings }) => {
+  const sockets = new WebSocketServer({ noServer: true });
+
+  sockets.on('connection', (socket, category) => {
+    const topics = new Set();
+    const tickers = new Map((TICKERS[category] ?? []).map(item => [item.symbol, item]));
+    const send = (message) => socket.send(JSON.stringify(message));
+
+    socket.on('message', (data) => {
+      let request;
+      try {
+        request = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      if (request.op === 'ping') {
+        if (answerPings) send({ success: true, ret_msg: 'pong', conn_id: 'stub', op: 'ping' });
+        return;
+      }
+      if (request.op !== 'subscribe' && request.op !== 'unsubscribe') return;
+
+      send({ success: true, ret_msg: '', conn_id: 'stub', op: request.op, req_id: request.req_id });
+      (request.args ?? []).forEach(topic => {
+        if (request.op === 'unsubscribe') {
+          topics.delete(topic);
+          return;
+        }
+        const item = tickers.get(topic.replace(/^tickers\./, ''));
+        if (!item) return;
+        topics.add(topic);
+        send({ topic, type: 'snapshot', data: item, cs: 1, ts: Date.now() });
+      });
+    });
+
+    let direction = 1;
+    const timer = tickInterval > 0 && setInterval(() => {
+      direction = -direction;
+      topics.forEach(topic => {
+        const item = tickers.get(topic.replace(/^tickers\./, ''));
+        const lastPrice = (parseFloat(item.lastPrice) * (1 + direction * 0.0005)).toFixed(2);
+        send({ topic, type: 'delta', data: { symbol: item.symbol, lastPrice, markPrice: lastPrice }, cs: 1, ts: Date.now() });
+      });
+    }, tickInterval);
+    socket.on('close', () => clearInterval(timer));
+  });
+  return sockets;
+};
+
+/**
+ * @param {{ apiKey?: string, apiSecret?: string, readOnly?: boolean, tickInterval?: number, answerPings?: boolean }} [options]
+ * @returns {import('node:http').Server & { tickerSockets: WebSocketServer }} Not listening yet. `tickerSockets`
+ *   holds the open WebSocket connections.
+ */
+export const createStubServer = (options = {}) => {
+  const { apiKey = STUB_API_KEY, apiSecret = STUB_API_SECRET, readOnly = true, tickInterval = 1000, answerPings = true } = options;
+  const signedRoutes = privateRoutes({ apiKey, readOnly });
+
+  const server = createServer((request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'X-BAPI-API-KEY, X-BAPI-TIMESTAMP, X-BAPI-RECV-WINDOW, X-BAPI-SIGN');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204).end();
+      return;
+    }
+
+    const url = new URL(request.url, 'http://localhost');
+    const send = (body, status = 200) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+    };
+
+    if (PUBLIC_ROUTES[url.pathname]) {
+      send(PUBLIC_ROUTES[url.pathname](url.searchParams));
+    } else if (signedRoutes[url.pathname]) {
+      send(verifySignature(request.headers, url.search.slice(1), apiKey, apiSecret) ?? signedRoutes[url.pathname](url.searchParams));
+    } else {
+      send(fail(10001, `Unknown path ${url.pathname}`), 404);
+    }
+  });
+
+  const tickerSockets = createTickerSocketServer({ tickInterval, answerPings });
+  server.on('upgrade', (request, socket, head) => {
+    const category = new URL(request.url, 'http://localhost').pathname.match(TICKER_SOCKET_PATH)?.[1];
+    if (!category) {
+      socket.destroy();
+      return;
+    }
+    tickerSockets.handleUpgrade(request, socket, head, (client) => tickerSockets.emit('connection', client, category));
+  });
+  server.on('close', () => tickerSockets.close());
+  server.tickerSockets = tickerSockets;
+  return server;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8080;
+  const readOnly = process.env.STUB_READ_ONLY !== '0';
+  createStubServer({ readOnly }).listen(port, () => {
+    console.log(`Bybit stub on http://localhost:${port} and ws://localhost:${port}/v5/public (key "${STUB_API_KEY}", secret "${STUB_API_SECRET}", ${readOnly ? 'read-only' : 'trading'} key)`);
+  });
+}
@@ -1,38 +1,160 @@
 import React, { useState, useCallback, useEffect, useRef } from 'react';
-import { Search, TrendingUp, TrendingDown, Activity, Flame, Zap, X } from 'lucide-react';
+import { Search, TrendingUp, TrendingDown, Activity, X, AlertTriangle, Plus, Trash2, Star, Briefcase, Calculator, Share2, NotebookPen } from 'lucide-react';
+import { createTickerStream } from './lib/tickerStream.js';
+import { createBybitClient, describeBybitError, isBybitError } from './lib/bybitClient.js';
+import { createAccountClient, loadAccountKeys, positionToSetup, saveAccountKeys } from './lib/bybitAccount.js';
+import { loadEnvironmentSettings, resolveEnvironment, saveEnvironmentSettings } from './lib/environment.js';
+import {
+  addAlert,
+  alertPairKey,
+  clearAlertLog,
+  createAlert,
+  findTriggeredAlerts,
+  loadAlerts,
+  recordTriggeredAlerts,
+  removeAlert,
+  saveAlerts
+} from './lib/alerts.js';
+import {
+  applyInstrumentFilters,
+  calculateAveragedEntry,
+  calculateBlendedResult,
+  calculateBreakeven,
+  calculateFunding,
+  calculateLiquidation,
+  calculateMarginRatio,
+  calculateResults,
+  calculateRiskBasedSize,
+  calculateStopLoss,
+  isOnTick,
+  parseRiskTiers,
+  roundToTick
+} from './lib/calculator.js';
+import { DEFAULT_FEE_SETTINGS, resolveFeeRates } from './lib/fees.js';
+import { formatCurrency, formatPrice } from './lib/format.js';
+import { DEFAULT_SETUP, EMPTY_ENTRY_LEVEL, EMPTY_TARGET, buildSetupParams, parseSetupParams, toEntryFills } from './lib/setupParams.js';
+import {
+  getNotificationPermission,
+  playAlertSound,
+  primeAlertSound,
+  primeAlertSoundOnGesture,
+  requestNotificationPermission,
+  showNotification
+} from './lib/notifications.js';
+import {
+  calculateEquityCurve,
+  closeJournalEntry,
+  computeJournalStats,
+  createJournalEntry,
+  journalToCsv,
+  loadJournal,
+  reopenJournalEntry,
+  saveJournal
+} from './lib/journal.js';
+import { evaluatePortfolioEntry, summarizePortfolio } from './lib/portfolio.js';
+import {
+  filterScannerRows,
+  getMarketLabel,
+  getScannerPage,
+  isListedPerpetual,
+  loadScannerSettings,
+  parseTickerStats,
+  saveScannerSettings,
+  sortScannerRows
+} from './lib/scanner.js';
+import {
+  addPortfolioEntry,
+  addSetup,
+  isWatched,
+  loadLibrary,
+  mergeLibraries,
+  parseLibrary,
+  removePortfolioEntry,
+  removeSetup,
+  saveLibrary,
+  serializeLibrary,
+  toggleWatchlist
+} from './lib/library.js';
+import {
+  createInstrumentsSnapshot,
+  findCachedPair,
+  getCachedScannerRows,
+  isSnapshotExpired,
+  loadInstrumentsSnapshot,
+  loadPriceCache,
+  recordPrices,
+  saveInstrumentsSnapshot,
+  savePriceCache,
+  searchCachedPairs
+} from './lib/marketCache.js';
+import AccountImport from './components/AccountImport.jsx';
+import EntryLevels from './components/EntryLevels.jsx';
+import EnvironmentSettings from './components/EnvironmentSettings.jsx';
+import FeeSettings from './components/FeeSettings.jsx';
+import FundingProjection from './components/FundingProjection.jsx';
+import Journal from './components/Journal.jsx';
+import LeverageSensitivity from './components/LeverageSensitivity.jsx';
+import MarginModeSettings from './components/MarginModeSettings.jsx';
+import PnlChart from './components/PnlChart.jsx';
+import Portfolio from './components/Portfolio.jsx';
+import PriceAlerts from './components/PriceAlerts.jsx';
+import RiskSizing from './components/RiskSizing.jsx';
+import SavedSetups from './components/SavedSetups.jsx';
+import ShareSetup from './components/ShareSetup.jsx';
+import TrendingScanner from './components/TrendingScanner.jsx';
+import Watchlist from './components/Watchlist.jsx';
 
-const BybitLeverageCalculator = () => {
-  // Utility function for consistent money formatting
-  const formatCurrency = (amount, options = {}) => {
-    const {
-      decimals = 2,
-      showCents = true,
-      prefix = '$',
-      suffix = ''
-    } = options;
-    
-    if (amount === null || amount === undefined) return 'N/A';
-    
-    const num = parseFloat(amount);
-    if (isNaN(num)) return 'N/A';
-    
-    // For crypto prices, show more decimals if needed
-    const finalDecimals = showCents ? Math.max(decimals, num < 1 ? 4 : 2) : decimals;
-    
-    return `${prefix}${num.toLocaleString('en-US', {
-      minimumFractionDigits: finalDecimals,
-      maximumFractionDigits: finalDecimals
-    })}${suffix}`;
-  };
+// Tailwind needs full class names, so target accents cycle through fixed sets
+const TARGET_ACCENTS = [
+  { label: 'text-green-400', ring: 'focus:ring-green-500 focus:border-green-500' },
+  { label: 'text-blue-400', ring: 'focus:ring-blue-500 focus:border-blue-500' },
+  { label: 'text-purple-400', ring: 'focus:ring-purple-500 focus:border-purple-500' },
+  { label: 'text-pink-400', ring: 'focus:ring-pink-500 focus:border-pink-500' },
+  { label: 'text-yellow-400', ring: 'focus:ring-yellow-500 focus:border-yellow-500' }
+];
 
-  // Format price with proper crypto precision
-  const formatPrice = (price) => {
-    if (!price) return 'N/A';
-    const num = parseFloat(price);
-    if (num >= 1000) return formatCurrency(num, { decimals: 2 });
-    if (num >= 1) return formatCurrency(num, { decimals: 4 });
-    return formatCurrency(num, { decimals: 6 });
-  };
+const PRICE_POLL_INTERVAL_MS = 3000; // REST fallback while the ticker stream is down
+// With the stream live, the scanner list is refetched at most once a minute
+const TRENDING_STREAM_REFRESH_MS = 60000;
+const ALERT_POLL_INTERVAL_MS = 10000; // REST fallback for alert pairs while the stream is down
+const PRICE_CACHE_FLUSH_MS = 15000; // Last-known prices are written to storage at most this often
+const DEFAULT_FUNDING_INTERVAL_MINUTES = 480; // Bybit settles most perpetuals every 8 hours
+const FUNDING_HISTORY_LIMIT = 21; // One week of 8-hour fundings
+// Two days of hourly candles behind the PnL chart
+const KLINE_INTERVAL = '60';
+const KLINE_LIMIT = 48;
+
+// Hosts are fixed for the page's lifetime, switching the environment reloads the app
+const environmentSettings = loadEnvironmentSettings();
+const environment = resolveEnvironment(environmentSettings);
+
+// Shared so its in-flight de-duplication and instruments cache span the whole app
+const bybitClient = createBybitClient({ baseUrl: environment.restUrl });
+
+// Price and order size limits from an instruments-info entry, 0 when not set
+const parseInstrumentFilters = (item) => ({
+  tickSize: parseFloat(item.priceFilter?.tickSize || '0'),
+  qtyStep: parseFloat(item.lotSizeFilter?.qtyStep || '0'),
+  minOrderQty: parseFloat(item.lotSizeFilter?.minOrderQty || '0'),
+  maxOrderQty: parseFloat(item.lotSizeFilter?.maxOrderQty || '0'),
+  minNotionalValue: parseFloat(item.lotSizeFilter?.minNotionalValue || '0')
+});
+
+// Pair object as the calculator selects it, from an instruments-info entry
+const toPairInfo = (item, category) => ({
+  symbol: category === 'linear' ? item.symbol : item.symbol + '.I',
+  baseSymbol: item.symbol,
+  category,
+  categoryLabel: getMarketLabel(category, item.settleCoin),
+  settleCoin: item.settleCoin,
+  baseCoin: item.baseCoin,
+  fundingInterval: parseFloat(item.fundingInterval || DEFAULT_FUNDING_INTERVAL_MINUTES),
+  filters: parseInstrumentFilters(item),
+  minLeverage: parseFloat(item.leverageFilter?.minLeverage || '1'),
+  maxLeverage: parseFloat(item.leverageFilter?.maxLeverage || '100')
+});
+
+const BybitLeverageCalculator = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [selectedPair, setSelectedPair] = useState(null);
@@ -44,18 +166,62 @@ const BybitLeverageCalculator = () => {
   const [lastUpdate, setLastUpdate] = useState(null);
   const [isLivePriceActive, setIsLivePriceActive] = useState(false);
   const [leverageInfo, setLeverageInfo] = useState(null);
-  const [trendingPairs, setTrendingPairs] = useState([]);
+  const [riskLimits, setRiskLimits] = useState([]);
+  const [candles, setCandles] = useState([]);
+  const [scannerRows, setScannerRows] = useState([]);
+  const [scannerSettings, setScannerSettings] = useState(loadScannerSettings);
+  const [scannerPageIndex, setScannerPageIndex] = useState(0);
   const [loadingTrending, setLoadingTrending] = useState(false);
   const [trendingProgress, setTrendingProgress] = useState(100);
+  const [priceStreamStatus, setPriceStreamStatus] = useState('idle');
+  const [isTrendingStreamLive, setIsTrendingStreamLive] = useState(false);
+  const [scannerStaleSince, setScannerStaleSince] = useState(null); // epoch ms of the rows shown while fetches fail
+  const [isOnline, setIsOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false);
+  const [instrumentsSnapshot, setInstrumentsSnapshot] = useState(() => loadInstrumentsSnapshot(globalThis.localStorage, environment.cacheScope));
+  const [isPriceCached, setIsPriceCached] = useState(false);
   const priceIntervalRef = useRef(null);
+  const priceChangeTimeoutRef = useRef(null);
+  const lastPriceRef = useRef(null);
+  const tickerStreamRef = useRef(null);
   const trendingIntervalRef = useRef(null);
   const trendingProgressIntervalRef = useRef(null);
+  const instrumentsSnapshotRef = useRef(instrumentsSnapshot);
+  const priceCacheRef = useRef(null);
+  const lastScannerFetchRef = useRef(null);
   
   // Trading inputs
   const [positionType, setPositionType] = useState('Long');
   const [leverage, setLeverage] = useState(1);
   const [entryAmount, setEntryAmount] = useState('');
-  const [targets, setTargets] = useState({ target1: '', target2: '', target3: '' });
+  const [entryLevels, setEntryLevels] = useState([]);
+  const [targets, setTargets] = useState([EMPTY_TARGET]);
+  const [stopLoss, setStopLoss] = useState('');
+  const [customEntryPrice, setCustomEntryPrice] = useState('');
+  const [useLivePriceAsEntry, setUseLivePriceAsEntry] = useState(true);
+  const [feeSettings, setFeeSettings] = useState(DEFAULT_FEE_SETTINGS);
+  const [fundingInfo, setFundingInfo] = useState(null);
+  const [holdingPeriod, setHoldingPeriod] = useState('');
+  const [holdingUnit, setHoldingUnit] = useState('days');
+  const [fundingRateSource, setFundingRateSource] = useState('current');
+  const [sizingMode, setSizingMode] = useState('margin'); // 'margin' or 'risk'
+  const [accountEquity, setAccountEquity] = useState('');
+  const [riskPercent, setRiskPercent] = useState('1');
+  const [marginMode, setMarginMode] = useState('isolated'); // 'isolated' or 'cross'
+  const [walletBalance, setWalletBalance] = useState('');
+  const [library, setLibrary] = useState(loadLibrary);
+  const [pairTickers, setPairTickers] = useState({});
+  const [pairMarketData, setPairMarketData] = useState({}); // Risk tiers and funding history of portfolio pairs
+  const [journal, setJournal] = useState(loadJournal);
+  const [view, setView] = useState('calculator'); // 'calculator', 'portfolio' or 'journal'
+  const [linkNotice, setLinkNotice] = useState('');
+  const [showShare, setShowShare] = useState(false);
+  const [alertState, setAlertState] = useState(loadAlerts);
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+  const alertStateRef = useRef(alertState);
+  const [accountKeys, setAccountKeys] = useState(() => loadAccountKeys(globalThis.localStorage, environment.cacheScope));
+  const [account, setAccount] = useState(null);
+  const [accountLoading, setAccountLoading] = useState(false);
+  const [accountError, setAccountError] = useState('');
 
   // Throttled search function with useCallback
   const throttledSearch = useCallback(() => {
@@ -74,56 +240,162 @@ const BybitLeverageCalculator = () => {
     };
   }, [])();
 
-  // Real-time price fetching function
+  // Open the shared ticker stream for the lifetime of the calculator
+  useEffect(() => {
+    const stream = createTickerStream({ url: environment.wsUrl });
+    tickerStreamRef.current = stream;
+    return () => {
+      stream.close();
+      tickerStreamRef.current = null;
+    };
+  }, []);
+
+  // Keep the last price in a ref so stream/poll callbacks can compare against it
+  useEffect(() => {
+    lastPriceRef.current = currentPrice;
+  }, [currentPrice]);
+
+  // Track connectivity so cached market data can be labelled as such
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  useEffect(() => {
+    instrumentsSnapshotRef.current = instrumentsSnapshot;
+  }, [instrumentsSnapshot]);
+
+  // Last-known prices live in memory and are read from storage on first use
+  const getPriceCache = useCallback(() => {
+    if (!priceCacheRef.current) priceCacheRef.current = loadPriceCache(globalThis.localStorage, environment.cacheScope);
+    return priceCacheRef.current;
+  }, []);
+
+  const cachePrices = useCallback((entries) => {
+    priceCacheRef.current = recordPrices(getPriceCache(), entries);
+  }, [getPriceCache]);
+
+  // Write the price cache out periodically and whenever the page is hidden or closed
+  useEffect(() => {
+    const flushPriceCache = () => {
+      if (priceCacheRef.current) savePriceCache(priceCacheRef.current, globalThis.localStorage, environment.cacheScope);
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushPriceCache();
+    };
+    const interval = setInterval(flushPriceCache, PRICE_CACHE_FLUSH_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flushPriceCache);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', flushPriceCache);
+      flushPriceCache();
+    };
+  }, []);
+
+  // Show the last cached price for a pair when live data cannot be fetched
+  const applyCachedPrice = useCallback((pair) => {
+    const cached = getPriceCache()[`${pair.category}:${pair.baseSymbol}`];
+    if (!(cached?.lastPrice > 0)) return false;
+
+    lastPriceRef.current = cached.lastPrice;
+    setCurrentPrice(cached.lastPrice);
+    setLastUpdate(new Date(cached.updatedAt));
+    setIsPriceCached(true);
+    return true;
+  }, [getPriceCache]);
+
+  // Remember every live price of the selected pair for offline use
+  useEffect(() => {
+    if (!selectedPair || !currentPrice || isPriceCached) return;
+    cachePrices([[`${selectedPair.category}:${selectedPair.baseSymbol}`, { lastPrice: currentPrice }]]);
+  }, [selectedPair, currentPrice, isPriceCached, cachePrices]);
+
+  // Apply a new live price and flash the up/down indicator
+  const applyLivePrice = useCallback((newPrice) => {
+    const prevPrice = lastPriceRef.current;
+
+    // Update price change indicator
+    if (prevPrice !== null) {
+      setPreviousPrice(prevPrice);
+      if (newPrice !== prevPrice) {
+        setPriceChange(newPrice > prevPrice ? 'up' : 'down');
+
+        // Clear price change indicator after 2 seconds
+        clearTimeout(priceChangeTimeoutRef.current);
+        priceChangeTimeoutRef.current = setTimeout(() => setPriceChange(null), 2000);
+      }
+    }
+
+    lastPriceRef.current = newPrice;
+    setCurrentPrice(newPrice);
+    setLastUpdate(new Date());
+    setIsPriceCached(false);
+    setError('');
+  }, []);
+
+  // Real-time price fetching function (REST fallback while the stream is down)
   const fetchCurrentPrice = useCallback(async (pair) => {
     if (!pair) return;
     
     try {
-      const response = await fetch(`https://api.bybit.com/v5/market/tickers?category=linear&symbol=${pair.baseSymbol}`);
-      const data = await response.json();
-      
-      if (data.retCode === 0 && data.result.list.length > 0) {
-        const newPrice = parseFloat(data.result.list[0].lastPrice);
-        
-        // Update price change indicator
-        if (currentPrice !== null) {
-          setPreviousPrice(currentPrice);
-          if (newPrice > currentPrice) {
-            setPriceChange('up');
-          } else if (newPrice < currentPrice) {
-            setPriceChange('down');
-          }
-          
-          // Clear price change indicator after 2 seconds
-          setTimeout(() => setPriceChange(null), 2000);
-        }
-        
-        setCurrentPrice(newPrice);
-        setLastUpdate(new Date());
-        setError('');
-      }
+      const ticker = await bybitClient.getTicker(pair.category, pair.baseSymbol);
+      if (ticker) applyLivePrice(parseFloat(ticker.lastPrice));
     } catch (error) {
       console.error('Error fetching real-time price:', error);
-      // Don't show error for real-time updates to avoid spam
+      // Don't show error for real-time updates to avoid spam, fall back to the cache if nothing is shown yet
+      if (lastPriceRef.current === null) applyCachedPrice(pair);
     }
-  }, [currentPrice]);
+  }, [applyLivePrice, applyCachedPrice]);
 
-  // Start/stop price monitoring
+  // Stream live prices for the selected pair
   useEffect(() => {
-    if (selectedPair && isLivePriceActive) {
+    const stream = tickerStreamRef.current;
+    if (!selectedPair || !isLivePriceActive || !stream) {
+      setPriceStreamStatus('idle');
+      return;
+    }
+
+    const { category, baseSymbol } = selectedPair;
+    const offStatus = stream.onStatusChange(category, setPriceStreamStatus);
+    const unsubscribe = stream.subscribe(category, baseSymbol, (ticker) => {
+      const newPrice = parseFloat(ticker.lastPrice);
+      if (newPrice > 0) applyLivePrice(newPrice);
+
+      // Tickers also carry the predicted funding rate for the next settlement
+      if (ticker.fundingRate !== undefined && ticker.fundingRate !== '') {
+        setFundingInfo(prev => prev && {
+          ...prev,
+          currentRate: parseFloat(ticker.fundingRate),
+          nextFundingTime: parseInt(ticker.nextFundingTime, 10) || prev.nextFundingTime
+        });
+      }
+    });
+    setPriceStreamStatus(stream.getStatus(category));
+
+    return () => {
+      unsubscribe();
+      offStatus();
+    };
+  }, [selectedPair, isLivePriceActive, applyLivePrice]);
+
+  const isPriceStreamLive = priceStreamStatus === 'open';
+
+  // Fall back to polling every 3 seconds while the stream is not connected
+  useEffect(() => {
+    if (selectedPair && isLivePriceActive && !isPriceStreamLive) {
       // Fetch immediately
       fetchCurrentPrice(selectedPair);
       
-      // Set up interval for every 3 seconds
       priceIntervalRef.current = setInterval(() => {
         fetchCurrentPrice(selectedPair);
-      }, 3000);
-    } else {
-      // Clear interval
-      if (priceIntervalRef.current) {
-        clearInterval(priceIntervalRef.current);
-        priceIntervalRef.current = null;
-      }
+      }, PRICE_POLL_INTERVAL_MS);
     }
 
     return () => {
@@ -132,82 +404,324 @@ const BybitLeverageCalculator = () => {
         priceIntervalRef.current = null;
       }
     };
-  }, [selectedPair, isLivePriceActive, fetchCurrentPrice]);
+  }, [selectedPair, isLivePriceActive, isPriceStreamLive, fetchCurrentPrice]);
 
-  // Fetch trending pairs based on volume and price change
+  // Fetch every perpetual with its ticker for the scanner, filtering and sorting happen on render
   const fetchTrendingPairs = useCallback(async () => {
     try {
       setLoadingTrending(true);
       setTrendingProgress(100); // Reset progress bar when fetching starts
       
-      // Get both tickers and instruments data in parallel
-      const [tickersResponse, instrumentsResponse] = await Promise.all([
-        fetch('https://api.bybit.com/v5/market/tickers?category=linear'),
-        fetch('https://api.bybit.com/v5/market/instruments-info?category=linear')
-      ]);
-      
-      const tickersData = await tickersResponse.json();
-      const instrumentsData = await instrumentsResponse.json();
+      // Tickers and instruments for both categories in parallel, one failing category does not hide the other
+      const categories = ['linear', 'inverse'];
+      const responses = await Promise.allSettled(categories.map(category => Promise.all([
+        bybitClient.getTickers(category),
+        bybitClient.getInstruments(category)
+      ])));
+      if (responses.every(response => response.status === 'rejected')) throw responses[0].reason;
       
-      if (tickersData.retCode === 0 && instrumentsData.retCode === 0) {
-        // Create instruments lookup for leverage info
-        const instrumentsMap = new Map();
-        instrumentsData.result?.list?.forEach(item => {
-          instrumentsMap.set(item.symbol, {
-            minLeverage: parseFloat(item.leverageFilter?.minLeverage || '1'),
-            maxLeverage: parseFloat(item.leverageFilter?.maxLeverage || '100')
-          });
-        });
-        
-        const validPairs = tickersData.result?.list
-          ?.filter(ticker => 
-            ticker.symbol.endsWith('USDT') &&
-            parseFloat(ticker.volume24h) > 1000000 && // Min volume filter
-            parseFloat(ticker.lastPrice) > 0 &&
-            instrumentsMap.has(ticker.symbol) // Must have leverage info
-          )
+      const snapshotPairs = [];
+      const priceEntries = [];
+      const rows = categories.flatMap((category, index) => {
+        if (responses[index].status !== 'fulfilled') return [];
+        const [tickers, instrumentList] = responses[index].value;
+
+        const instruments = new Map(
+          instrumentList
+            .filter(isListedPerpetual)
+            .map(item => [item.symbol, toPairInfo(item, category)])
+        );
+        snapshotPairs.push(...instruments.values());
+        return tickers
+          .filter(ticker => instruments.has(ticker.symbol))
           .map(ticker => {
-            const leverageInfo = instrumentsMap.get(ticker.symbol);
-            return {
-              symbol: ticker.symbol,
-              baseSymbol: ticker.symbol,
-              lastPrice: parseFloat(ticker.lastPrice),
-              priceChangePercent: parseFloat(ticker.price24hPcnt || 0) * 100,
-              volume24h: parseFloat(ticker.volume24h),
-              isHot: Math.abs(parseFloat(ticker.price24hPcnt || 0)) > 0.05, // >5% change
-              category: 'linear',
-              categoryLabel: 'USDT Perpetual',
-              minLeverage: leverageInfo.minLeverage,
-              maxLeverage: leverageInfo.maxLeverage
-            };
-          })
-          .sort((a, b) => b.volume24h - a.volume24h) // Sort by volume
-          .slice(0, 8); // Top 8 trending pairs
-        
-        setTrendingPairs(validPairs || []);
+            const stats = parseTickerStats(ticker, category);
+            priceEntries.push([`${category}:${ticker.symbol}`, stats]);
+            return { ...instruments.get(ticker.symbol), ...stats };
+          });
+      });
+      
+      if (rows.length > 0) {
+        setScannerRows(rows);
+        setScannerStaleSince(null);
+        lastScannerFetchRef.current = Date.now();
+        cachePrices(priceEntries);
+      }
+
+      // Refresh the offline instruments snapshot once a day, and only from a complete fetch
+      if (snapshotPairs.length > 0 && rows.length > 0 && isSnapshotExpired(instrumentsSnapshotRef.current)
+        && responses.every(response => response.status === 'fulfilled')) {
+        const snapshot = createInstrumentsSnapshot(snapshotPairs);
+        saveInstrumentsSnapshot(snapshot, globalThis.localStorage, environment.cacheScope);
+        instrumentsSnapshotRef.current = snapshot;
+        setInstrumentsSnapshot(snapshot);
       }
     } catch (error) {
       console.error('Error fetching trending pairs:', error);
+      // Keep the rows already shown, or fall back to the cached pairs and prices, and label them stale
+      const cachedRows = getCachedScannerRows(instrumentsSnapshotRef.current, getPriceCache());
+      setScannerRows(prev => (prev.length > 0 ? prev : cachedRows));
+      setScannerStaleSince(lastScannerFetchRef.current
+        ?? (cachedRows.length > 0 ? Math.max(...cachedRows.map(row => row.updatedAt)) : null));
     } finally {
       setLoadingTrending(false);
     }
+  }, [cachePrices, getPriceCache]);
+
+  const updateScannerSettings = (settings) => {
+    setScannerSettings(settings);
+    setScannerPageIndex(0);
+  };
+
+  // Only the landing view shows the scanner, skip the sorting while a pair is open
+  const isTrendingVisible = !selectedPair;
+  const scannerMatches = isTrendingVisible
+    ? sortScannerRows(filterScannerRows(scannerRows, scannerSettings), scannerSettings.sortKey, scannerSettings.sortDirection)
+    : [];
+  const scannerPage = getScannerPage(scannerMatches, scannerPageIndex, scannerSettings.pageSize);
+
+  // Stream prices for the scanner page on screen. Keyed by membership, not order,
+  // so rows moving within the page do not resubscribe.
+  const scannerPageKey = scannerPage.rows.map(row => `${row.category}:${row.baseSymbol}`).sort().join(',');
+  useEffect(() => {
+    const stream = tickerStreamRef.current;
+    if (!stream || !scannerPageKey) {
+      setIsTrendingStreamLive(false);
+      return;
+    }
+
+    const keys = scannerPageKey.split(',');
+    const categories = [...new Set(keys.map(key => key.split(':')[0]))];
+    const updateStatus = () => setIsTrendingStreamLive(categories.every(category => stream.getStatus(category) === 'open'));
+    const offStatus = categories.map(category => stream.onStatusChange(category, updateStatus));
+    const unsubscribers = keys.map(key => {
+      const [category, symbol] = key.split(':');
+      return stream.subscribe(category, symbol, (ticker) => {
+        const stats = parseTickerStats(ticker, category);
+        if (!(stats.lastPrice > 0)) return;
+
+        setScannerRows(prev => prev.map(row => (
+          row.category === category && row.baseSymbol === symbol ? { ...row, ...stats } : row
+        )));
+      });
+    });
+    updateStatus();
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      offStatus.forEach(off => off());
+    };
+  }, [scannerPageKey]);
+
+  // Stream prices for the watchlist while the landing view is on screen, and for
+  // every portfolio position while the portfolio is open
+  const streamedPairsKey = [
+    ...(isTrendingVisible && view === 'calculator' ? library.watchlist : []),
+    ...(view === 'portfolio' ? library.portfolio.map(entry => entry.pair) : [])
+  ]
+    .map(pair => `${pair.category}:${pair.baseSymbol}`)
+    .filter((key, index, keys) => keys.indexOf(key) === index)
+    .join(',');
+  useEffect(() => {
+    if (!streamedPairsKey) return;
+
+    const stream = tickerStreamRef.current;
+    const keys = streamedPairsKey.split(',');
+    const categories = [...new Set(keys.map(key => key.split(':')[0]))];
+    const applyTicker = (key, ticker) => {
+      const lastPrice = parseFloat(ticker.lastPrice);
+      if (!(lastPrice > 0)) return;
+
+      setPairTickers(prev => ({
+        ...prev,
+        [key]: {
+          lastPrice,
+          changePercent: parseFloat(ticker.price24hPcnt || 0) * 100,
+          fundingRate: ticker.fundingRate ? parseFloat(ticker.fundingRate) : null
+        }
+      }));
+    };
+
+    const unsubscribers = stream
+      ? keys.map(key => {
+          const [category, symbol] = key.split(':');
+          return stream.subscribe(category, symbol, (ticker) => applyTicker(key, ticker));
+        })
+      : [];
+
+    // Poll the categories whose stream is not connected, like the selected pair's price
+    const pollPrices = () => {
+      categories
+        .filter(category => stream?.getStatus(category) !== 'open')
+        .forEach(async (category) => {
+          try {
+            const tickers = await bybitClient.getTickers(category);
+            tickers
+              .filter(ticker => keys.includes(`${category}:${ticker.symbol}`))
+              .forEach(ticker => applyTicker(`${category}:${ticker.symbol}`, ticker));
+          } catch (error) {
+            console.error('Error polling prices:', error);
+          }
+        });
+    };
+    pollPrices();
+    const pollInterval = setInterval(pollPrices, PRICE_POLL_INTERVAL_MS);
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      clearInterval(pollInterval);
+    };
+  }, [streamedPairsKey]);
+
+  // Risk-limit tiers and funding history of every portfolio pair, loaded once per pair
+  // like the calculator loads them for the selected one
+  const portfolioPairsKey = view === 'portfolio'
+    ? [...new Set(library.portfolio.map(entry => `${entry.pair.category}:${entry.pair.baseSymbol}`))].join(',')
+    : '';
+  const requestedMarketDataRef = useRef(new Set());
+  useEffect(() => {
+    if (!portfolioPairsKey) return;
+
+    portfolioPairsKey.split(',')
+      .filter(key => !requestedMarketDataRef.current.has(key))
+      .forEach(async (key) => {
+        requestedMarketDataRef.current.add(key);
+        const [category, symbol] = key.split(':');
+        // Either part may fail, the entry is then priced without it
+        const [riskTiers, fundingHistory] = await Promise.all([
+          bybitClient.getRiskLimits(category, symbol)
+            .then(parseRiskTiers)
+            .catch(error => {
+              console.error('Error fetching risk limits:', error);
+              return undefined;
+            }),
+          bybitClient.getFundingHistory(category, symbol, FUNDING_HISTORY_LIMIT)
+            .then(list => list.map(item => parseFloat(item.fundingRate)))
+            .catch(error => {
+              console.error('Error fetching funding history:', error);
+              return [];
+            })
+        ]);
+        // A failed load is tried again the next time the portfolio opens
+        if (!riskTiers) requestedMarketDataRef.current.delete(key);
+        setPairMarketData(prev => ({ ...prev, [key]: { riskTiers, fundingHistory } }));
+      });
+  }, [portfolioPairsKey]);
+
+  // Persist saved setups, the watchlist and the portfolio
+  useEffect(() => {
+    saveLibrary(library);
+  }, [library]);
+
+  useEffect(() => {
+    saveJournal(journal);
+  }, [journal]);
+
+  useEffect(() => {
+    saveScannerSettings(scannerSettings);
+  }, [scannerSettings]);
+
+  useEffect(() => {
+    alertStateRef.current = alertState;
+    saveAlerts(alertState);
+  }, [alertState]);
+
+  // Alerts restored from storage have not been armed by a click in this session
+  useEffect(() => primeAlertSoundOnGesture(), []);
+
+  // Fire the alerts a new price crosses. The ref is updated right away so a burst of
+  // ticks before the next render cannot fire the same alert twice.
+  const checkAlertPrice = useCallback((category, baseSymbol, price) => {
+    const fired = findTriggeredAlerts(alertStateRef.current.alerts, { category, baseSymbol }, price);
+    if (fired.length === 0) return;
+
+    fired.forEach(alert => {
+      showNotification(
+        `${alert.pair.symbol} ${alert.label}`,
+        `Price ${alert.direction === 'above' ? 'rose to' : 'fell to'} ${formatPrice(price)} (alert at ${formatPrice(alert.price)})`,
+        alert.id
+      );
+    });
+    playAlertSound();
+    alertStateRef.current = recordTriggeredAlerts(alertStateRef.current, fired, price);
+    setAlertState(alertStateRef.current);
   }, []);
 
+  // Watch every pair with an armed alert, whichever pair or view is on screen. The
+  // stream keeps delivering in background tabs, where timers may be throttled.
+  const alertPairsKey = [...new Set(alertState.alerts.map(alert => alertPairKey(alert.pair)))].sort().join(',');
+  useEffect(() => {
+    if (!alertPairsKey) return;
+
+    const stream = tickerStreamRef.current;
+    const keys = alertPairsKey.split(',');
+    const categories = [...new Set(keys.map(key => key.split(':')[0]))];
+    const unsubscribers = stream
+      ? keys.map(key => {
+          const [category, symbol] = key.split(':');
+          return stream.subscribe(category, symbol, (ticker) => {
+            const price = parseFloat(ticker.lastPrice);
+            if (price > 0) checkAlertPrice(category, symbol, price);
+          });
+        })
+      : [];
+
+    // Poll the categories whose stream is not connected
+    const pollInterval = setInterval(() => {
+      categories
+        .filter(category => stream?.getStatus(category) !== 'open')
+        .forEach(async (category) => {
+          try {
+            const tickers = await bybitClient.getTickers(category);
+            tickers
+              .filter(ticker => keys.includes(`${category}:${ticker.symbol}`))
+              .forEach(ticker => {
+                const price = parseFloat(ticker.lastPrice);
+                if (price > 0) checkAlertPrice(category, ticker.symbol, price);
+              });
+          } catch (error) {
+            console.error('Error polling alert prices:', error);
+          }
+        });
+    }, ALERT_POLL_INTERVAL_MS);
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      clearInterval(pollInterval);
+    };
+  }, [alertPairsKey, checkAlertPrice]);
+
+  const armAlert = ({ kind, label, price }) => {
+    // Arming is a click, the one moment browsers allow audio to start
+    primeAlertSound();
+    setAlertState(prev => addAlert(prev, createAlert({ pair: selectedPair, kind, label, price, currentPrice })));
+  };
+
+  const enableNotifications = async () => {
+    primeAlertSound();
+    setNotificationPermission(await requestNotificationPermission());
+  };
+
+  // With live prices streaming, the list itself only needs an occasional refresh
+  const trendingRefreshMs = isTrendingStreamLive
+    ? Math.max(scannerSettings.refreshMs, TRENDING_STREAM_REFRESH_MS)
+    : scannerSettings.refreshMs;
+
   // Auto-update trending pairs with progress bar
   useEffect(() => {
     // Fetch trending pairs on mount
     fetchTrendingPairs();
     
-    // Update every 10 seconds
     trendingIntervalRef.current = setInterval(() => {
       fetchTrendingPairs();
       setTrendingProgress(100); // Reset progress bar
-    }, 10000);
+    }, trendingRefreshMs);
     
-    // Progress bar animation (updates every 100ms)
+    // Progress bar animation (updates every 100ms, empties over one refresh period)
+    const progressStep = 100 / (trendingRefreshMs / 100);
     trendingProgressIntervalRef.current = setInterval(() => {
       setTrendingProgress(prev => {
-        const newProgress = prev - 1; // Decrease by 1% every 100ms (10 seconds = 1000ms/10ms = 100 steps)
+        const newProgress = prev - progressStep;
         return newProgress <= 0 ? 100 : newProgress; // Reset when reaches 0
       });
     }, 100);
@@ -222,134 +736,377 @@ const BybitLeverageCalculator = () => {
         trendingProgressIntervalRef.current = null;
       }
     };
-  }, [fetchTrendingPairs]);
+  }, [fetchTrendingPairs, trendingRefreshMs]);
+
+  // Fetch maintenance-margin tiers (risk limits) for the selected pair
+  useEffect(() => {
+    if (!selectedPair) {
+      setRiskLimits([]);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchRiskLimits = async () => {
+      try {
+        const list = await bybitClient.getRiskLimits(selectedPair.category, selectedPair.baseSymbol);
+
+        if (!cancelled) setRiskLimits(parseRiskTiers(list));
+      } catch (error) {
+        console.error('Error fetching risk limits:', error);
+        // Liquidation falls back to the base maintenance margin rate
+      }
+    };
+
+    fetchRiskLimits();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedPair]);
+
+  // Fetch recent candles for the chart overlay
+  useEffect(() => {
+    if (!selectedPair) {
+      setCandles([]);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchCandles = async () => {
+      try {
+        const list = await bybitClient.getKline(selectedPair.category, selectedPair.baseSymbol, KLINE_INTERVAL, KLINE_LIMIT);
+
+        if (!cancelled) {
+          // Bybit lists candles newest first as [start, open, high, low, close, volume, turnover]
+          const parsed = list
+            .map(([start, open, high, low, close]) => ({
+              time: parseInt(start, 10),
+              open: parseFloat(open),
+              high: parseFloat(high),
+              low: parseFloat(low),
+              close: parseFloat(close)
+            }))
+            .reverse();
+          setCandles(parsed);
+        }
+      } catch (error) {
+        console.error('Error fetching candles:', error);
+        // The chart works without the overlay
+      }
+    };
+
+    setCandles([]);
+    fetchCandles();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedPair]);
+
+  // Fetch the current and recent funding rates for the selected pair
+  useEffect(() => {
+    if (!selectedPair) {
+      setFundingInfo(null);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchFundingRates = async () => {
+      try {
+        const { category, baseSymbol } = selectedPair;
+        const [ticker, historyList] = await Promise.all([
+          bybitClient.getTicker(category, baseSymbol),
+          // The projection still works from the current rate alone
+          bybitClient.getFundingHistory(category, baseSymbol, FUNDING_HISTORY_LIMIT).catch(error => {
+            console.error('Error fetching funding history:', error);
+            return [];
+          })
+        ]);
+        if (cancelled) return;
+
+        const history = historyList.map(item => ({
+          rate: parseFloat(item.fundingRate),
+          timestamp: parseInt(item.fundingRateTimestamp, 10)
+        }));
+
+        setFundingInfo({
+          currentRate: ticker?.fundingRate ? parseFloat(ticker.fundingRate) : null,
+          nextFundingTime: ticker?.nextFundingTime ? parseInt(ticker.nextFundingTime, 10) : null,
+          history
+        });
+      } catch (error) {
+        console.error('Error fetching funding rates:', error);
+        // Funding is left out of the projections
+      }
+    };
+
+    fetchFundingRates();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedPair]);
+
+  // Current setup encoded as URL params, shared by the address bar and saved setups
+  const currentSetupParams = useCallback(() => (
+    selectedPair
+      ? buildSetupParams(selectedPair, {
+          positionType,
+          leverage,
+          entryAmount,
+          entryLevels,
+          targets,
+          stopLoss,
+          customEntryPrice,
+          useLivePriceAsEntry,
+          feeSettings,
+          holdingPeriod,
+          holdingUnit,
+          fundingRateSource,
+          sizingMode,
+          accountEquity,
+          riskPercent,
+          marginMode,
+          walletBalance
+        })
+      : new URLSearchParams()
+  ), [selectedPair, positionType, leverage, entryAmount, entryLevels, targets, stopLoss, useLivePriceAsEntry, customEntryPrice, feeSettings, holdingPeriod, holdingUnit, fundingRateSource, sizingMode, accountEquity, riskPercent, marginMode, walletBalance]);
 
   // URL state management helpers
   const updateURL = useCallback(() => {
-    const params = new URLSearchParams();
-    
-    if (selectedPair) {
-      params.set('pair', selectedPair.baseSymbol);
-      params.set('position', positionType);
-      params.set('leverage', leverage.toString());
-      
-      if (entryAmount) params.set('entry', entryAmount);
-      if (targets.target1) params.set('t1', targets.target1);
-      if (targets.target2) params.set('t2', targets.target2);
-      if (targets.target3) params.set('t3', targets.target3);
-    }
-    
+    const params = currentSetupParams();
     const newURL = `${window.location.pathname}${params.toString() ? '?' + params.toString() : ''}`;
     window.history.replaceState({}, '', newURL);
-  }, [selectedPair, positionType, leverage, entryAmount, targets]);
+  }, [currentSetupParams]);
 
-  // Load state from URL on mount
-  useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const pairFromURL = params.get('pair');
-    
-    if (pairFromURL) {
-      // Find and select the pair from URL (search both linear and inverse)
-      const searchPair = async () => {
-        try {
-          // Search both categories like in the regular search
-          const categories = ['linear', 'inverse'];
-          const searchPromises = categories.map(category => 
-            fetch(`https://api.bybit.com/v5/market/instruments-info?category=${category}`)
-              .then(res => res.json())
-              .then(data => ({ category, data }))
-              .catch(err => ({ category, error: err }))
-          );
-
-          const results = await Promise.all(searchPromises);
-          let foundPair = null;
-          let foundCategory = null;
-
-          // Search through both categories
-          for (const { category, data, error } of results) {
-            if (!error && data?.retCode === 0 && data?.result?.list) {
-              const pair = data.result.list.find(item => 
-                item.symbol === pairFromURL && 
-                item.status === 'Trading' && 
-                item.leverageFilter &&
-                parseFloat(item.leverageFilter.maxLeverage) > 1
-              );
-              
-              if (pair) {
-                foundPair = pair;
-                foundCategory = category;
-                break;
-              }
-            }
-          }
-          
-          if (foundPair && foundCategory) {
-            const pairObj = {
-              symbol: foundCategory === 'linear' ? foundPair.symbol : foundPair.symbol + '.I',
-              baseSymbol: foundPair.symbol,
-              category: foundCategory,
-              categoryLabel: foundCategory === 'linear' ? 'USDT Perpetual' : 'Inverse Perpetual',
-              minLeverage: parseFloat(foundPair.leverageFilter?.minLeverage || '1'),
-              maxLeverage: parseFloat(foundPair.leverageFilter?.maxLeverage || '100')
-            };
-            
-            // Restore all state from URL
-            setSelectedPair(pairObj);
-            setLeverageInfo({ min: pairObj.minLeverage, max: pairObj.maxLeverage });
-            
-            const urlPosition = params.get('position');
-            if (urlPosition) setPositionType(urlPosition);
-            
-            const urlLeverage = params.get('leverage');
-            if (urlLeverage) setLeverage(parseFloat(urlLeverage));
-            
-            const urlEntry = params.get('entry');
-            if (urlEntry) setEntryAmount(urlEntry);
-            
-            const urlTargets = {
-              target1: params.get('t1') || '',
-              target2: params.get('t2') || '',
-              target3: params.get('t3') || ''
-            };
-            setTargets(urlTargets);
-            
-            // Fetch current price and start monitoring
-            setIsLivePriceActive(true);
-          } else {
-            console.warn(`Pair ${pairFromURL} not found in any category`);
-          }
-        } catch (error) {
-          console.error('Error loading pair from URL:', error);
-        }
-      };
+  // Select the pair named in the params and restore every input from them.
+  // Inputs missing from the params go back to their defaults.
+  const restoreSetup = useCallback(async (params) => {
+    let setup;
+    try {
+      setup = parseSetupParams(params);
+    } catch (error) {
+      setLinkNotice(error.message);
+      return false;
+    }
+    if (!setup.pair) return false;
+
+    try {
+      // Current links name the category, version 1 links need both looked up
+      const categories = setup.category ? [setup.category] : ['linear', 'inverse'];
+      const results = await Promise.all(categories.map(category =>
+        bybitClient.getInstrument(category, setup.pair)
+          .then(item => ({ category, item }))
+          .catch(error => ({ category, error }))
+      ));
+
+      const found = results.find(({ item }) => item && isListedPerpetual(item));
+
+      // Bybit rejecting the symbol means it does not exist; any other failure leaves it
+      // unknown, and the instruments snapshot stands in for the lookup
+      const unreachable = results.every(({ error }) => error && error.kind !== 'api');
+      const pairObj = found
+        ? toPairInfo(found.item, found.category)
+        : unreachable
+          ? findCachedPair(loadInstrumentsSnapshot(globalThis.localStorage, environment.cacheScope), setup.pair, setup.category)
+          : null;
       
-      searchPair();
+      if (pairObj) {
+        // Restore all state from the params
+        setSelectedPair(pairObj);
+        setLeverageInfo({ min: pairObj.minLeverage, max: pairObj.maxLeverage });
+        setCurrentPrice(null);
+        setPreviousPrice(null);
+        setPriceChange(null);
+        setLastUpdate(null);
+        setIsPriceCached(false);
+        setSearchResults([]);
+        setSearchTerm('');
+        setError('');
+        setLinkNotice(setup.ignored.length > 0
+          ? `Some settings in this link were invalid and were reset to defaults (${setup.ignored.join(', ')}).`
+          : '');
+        
+        setPositionType(setup.positionType);
+        setLeverage(setup.leverage ?? pairObj.minLeverage);
+        setEntryAmount(setup.entryAmount);
+        setEntryLevels(setup.entryLevels);
+        setTargets(setup.targets);
+        setStopLoss(setup.stopLoss);
+        setCustomEntryPrice(setup.customEntryPrice);
+        setUseLivePriceAsEntry(setup.useLivePriceAsEntry);
+        setFeeSettings(setup.feeSettings);
+        setHoldingPeriod(setup.holdingPeriod);
+        setHoldingUnit(setup.holdingUnit);
+        setFundingRateSource(setup.fundingRateSource);
+        setSizingMode(setup.sizingMode);
+        setAccountEquity(setup.accountEquity);
+        setRiskPercent(setup.riskPercent);
+        setMarginMode(setup.marginMode);
+        setWalletBalance(setup.walletBalance);
+        
+        // Fetch current price and start monitoring
+        setIsLivePriceActive(true);
+        return true;
+      }
+      if (unreachable) {
+        setLinkNotice(`Could not load ${setup.pair}. ${describeBybitError(results[0].error)}`);
+        return false;
+      }
+      console.warn(`Pair ${setup.pair} not found in any category`);
+      setLinkNotice(`${setup.pair} is not a tradable perpetual on Bybit.`);
+    } catch (error) {
+      console.error('Error loading pair from URL:', error);
     }
+    return false;
   }, []);
 
+  // Load state from URL on mount
+  useEffect(() => {
+    restoreSetup(new URLSearchParams(window.location.search));
+  }, [restoreSetup]);
+
   // Update URL when state changes
   useEffect(() => {
     if (selectedPair) {
       updateURL();
     }
-  }, [selectedPair, positionType, leverage, entryAmount, targets, updateURL]);
+  }, [selectedPair, positionType, leverage, entryAmount, entryLevels, targets, stopLoss, useLivePriceAsEntry, customEntryPrice, feeSettings, holdingPeriod, holdingUnit, fundingRateSource, sizingMode, accountEquity, riskPercent, marginMode, walletBalance, updateURL]);
+
+  const saveCurrentSetup = (name) => {
+    setLibrary(prev => addSetup(prev, { name, pair: selectedPair.baseSymbol, params: currentSetupParams().toString() }));
+  };
+
+  const exportLibrary = () => {
+    const blob = new Blob([serializeLibrary(library)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'bybit-calculator-library.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importLibrary = async (file) => {
+    const imported = parseLibrary(await file.text());
+    setLibrary(prev => mergeLibraries(prev, imported));
+    return imported.setups.length;
+  };
+
+  const addCurrentToPortfolio = () => {
+    setLibrary(prev => addPortfolioEntry(prev, { pair: selectedPair, params: currentSetupParams().toString() }));
+  };
+
+  // The plan is the projection on screen right now: sized position, targets and stop
+  const logCurrentTrade = () => {
+    setJournal(prev => [createJournalEntry({
+      pair: selectedPair,
+      params: currentSetupParams().toString(),
+      position,
+      results,
+      stopResult: stopLossResult
+    }), ...prev]);
+  };
+
+  const closeJournalTrade = (id, actual) => {
+    setJournal(prev => prev.map(entry => (entry.id === id ? closeJournalEntry(entry, actual) : entry)));
+  };
+
+  const exportJournal = () => {
+    const blob = new Blob([journalToCsv(journal)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'bybit-calculator-journal.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const openPortfolioEntry = (entry) => {
+    setView('calculator');
+    restoreSetup(new URLSearchParams(entry.params));
+  };
+
+  // The setup stays in the URL, so it is restored against the new hosts after the reload
+  const applyEnvironment = (settings) => {
+    saveEnvironmentSettings(settings);
+    window.location.reload();
+  };
+
+  // Read-only account: positions and wallet, signed with keys that stay in the browser
+  const fetchAccount = useCallback(async (keys) => {
+    setAccountLoading(true);
+    setAccountError('');
+    try {
+      setAccount(await createAccountClient({ ...keys, baseUrl: environment.restUrl }).loadAccount());
+      return true;
+    } catch (error) {
+      console.error('Error loading account:', error);
+      setAccountError(isBybitError(error) ? describeBybitError(error) : error.message);
+      return false;
+    } finally {
+      setAccountLoading(false);
+    }
+  }, []);
+
+  const connectAccount = async (keys, remember) => {
+    const connected = await fetchAccount(keys);
+    if (connected) {
+      setAccountKeys(keys);
+      saveAccountKeys(remember ? keys : null, globalThis.localStorage, environment.cacheScope);
+    }
+    return connected;
+  };
+
+  const refreshAccount = useCallback(() => {
+    if (accountKeys) fetchAccount(accountKeys);
+  }, [accountKeys, fetchAccount]);
+
+  const disconnectAccount = () => {
+    setAccountKeys(null);
+    setAccount(null);
+    setAccountError('');
+    saveAccountKeys(null, globalThis.localStorage, environment.cacheScope);
+  };
+
+  // An open position goes through the same path as a share link
+  const loadAccountPosition = (position) => {
+    setView('calculator');
+    const pair = { baseSymbol: position.symbol, category: position.category };
+    return restoreSetup(buildSetupParams(pair, positionToSetup(position, account?.wallet ?? null)));
+  };
 
   // Reset app to initial state (back to trending pairs)
   const resetToInitialState = () => {
     // Clear pair selection
     setSelectedPair(null);
+    setLinkNotice('');
+    setShowShare(false);
     setCurrentPrice(null);
     setPreviousPrice(null);
     setPriceChange(null);
     setLastUpdate(null);
+    setIsPriceCached(false);
     setIsLivePriceActive(false);
     setLeverageInfo(null);
+    setRiskLimits([]);
     
     // Clear trading inputs
     setPositionType('Long');
     setLeverage(1);
     setEntryAmount('');
-    setTargets({ target1: '', target2: '', target3: '' });
+    setEntryLevels([]);
+    setTargets([EMPTY_TARGET]);
+    setStopLoss('');
+    setCustomEntryPrice('');
+    setUseLivePriceAsEntry(true);
+    setFeeSettings(DEFAULT_FEE_SETTINGS);
+    setFundingInfo(null);
+    setHoldingPeriod('');
+    setHoldingUnit('days');
+    setFundingRateSource('current');
+    setSizingMode('margin');
+    setAccountEquity('');
+    setRiskPercent('1');
+    setMarginMode('isolated');
+    setWalletBalance('');
     
     // Clear search
     setSearchTerm('');
@@ -371,51 +1128,46 @@ const BybitLeverageCalculator = () => {
     console.log('Searching for:', searchValue);
     setError('');
     try {
-      // Search only perpetual markets (linear and inverse) - no spot trading
+      // Search only perpetual markets (linear and inverse) - no spot trading.
+      // The client caches the instrument lists, so only the first search downloads them.
       const categories = ['linear', 'inverse'];
       const searchPromises = categories.map(category => 
-        fetch(`https://api.bybit.com/v5/market/instruments-info?category=${category}`)
-          .then(res => res.json())
-          .then(data => ({ category, data }))
-          .catch(err => ({ category, error: err }))
+        bybitClient.getInstruments(category)
+          .then(list => ({ category, list }))
+          .catch(error => ({ category, error }))
       );
 
       const results = await Promise.all(searchPromises);
       let allPairs = [];
 
-      results.forEach(({ category, data, error }) => {
-        if (!error && data?.retCode === 0 && data?.result?.list) {
-          const pairs = data.result.list
-            .filter(item => {
-              const symbol = item.symbol || '';
-              const searchLower = searchValue.toLowerCase();
-              const matchesSearch = symbol.toLowerCase().includes(searchLower) &&
-                                  (symbol.endsWith('USDT') || symbol.endsWith('USD'));
-              
-              // Only perpetual contracts with leverage
-              return matchesSearch && 
-                     item.status === 'Trading' && 
-                     item.leverageFilter &&
-                     parseFloat(item.leverageFilter.maxLeverage) > 1;
-            })
-            .map(item => ({
-              symbol: category === 'linear' ? item.symbol : item.symbol + '.I',
-              baseSymbol: item.symbol,
-              category: category,
-              minLeverage: parseFloat(item.leverageFilter?.minLeverage || '1'),
-              maxLeverage: parseFloat(item.leverageFilter?.maxLeverage || '100'),
-              categoryLabel: category === 'linear' ? 'USDT Perpetual' : 'Inverse Perpetual'
-            }));
+      // Offline: search the instruments snapshot instead
+      if (results.every(result => result.error)) {
+        const cachedPairs = searchCachedPairs(instrumentsSnapshotRef.current, searchValue);
+        setSearchResults(cachedPairs);
+        if (cachedPairs.length === 0) {
+          setError(describeBybitError(results[0].error));
+        }
+        setLoading(false);
+        return;
+      }
+
+      results.forEach(({ category, list, error }) => {
+        if (!error) {
+          // The same perpetuals the scanner lists, USDC ones included
+          const searchLower = searchValue.toLowerCase();
+          const pairs = list
+            .filter(item => isListedPerpetual(item) && (item.symbol || '').toLowerCase().includes(searchLower))
+            .map(item => toPairInfo(item, category));
           
           allPairs = allPairs.concat(pairs);
         }
       });
 
-      // Remove duplicates and prioritize linear (USDT perpetual) contracts
+      // Remove duplicates and prioritize linear (USDT and USDC perpetual) contracts
       const uniquePairs = [];
       const seenSymbols = new Set();
       
-      // First add linear contracts (USDT perpetuals - most popular)
+      // First add linear contracts (USDT and USDC perpetuals - most popular)
       allPairs.filter(pair => pair.category === 'linear').forEach(pair => {
         if (!seenSymbols.has(pair.baseSymbol)) {
           uniquePairs.push(pair);
@@ -439,7 +1191,7 @@ const BybitLeverageCalculator = () => {
       }
     } catch (error) {
       console.error('Error fetching pairs:', error);
-      setError('Unable to connect to Bybit API. Please check your internet connection and try again.');
+      setError(describeBybitError(error));
       setSearchResults([]);
     }
     setLoading(false);
@@ -452,20 +1204,21 @@ const BybitLeverageCalculator = () => {
     setLeverageInfo({ min: pair.minLeverage, max: pair.maxLeverage });
     setLeverage(pair.minLeverage);
     setError('');
+    setLinkNotice('');
     
     // Reset price states
     setCurrentPrice(null);
     setPreviousPrice(null);
     setPriceChange(null);
     setLastUpdate(null);
+    setIsPriceCached(false);
     
     // Fetch initial price and start live monitoring
     try {
-      const response = await fetch(`https://api.bybit.com/v5/market/tickers?category=linear&symbol=${pair.baseSymbol}`);
-      const data = await response.json();
+      const ticker = await bybitClient.getTicker(pair.category, pair.baseSymbol);
       
-      if (data.retCode === 0 && data.result.list.length > 0) {
-        setCurrentPrice(parseFloat(data.result.list[0].lastPrice));
+      if (ticker) {
+        setCurrentPrice(parseFloat(ticker.lastPrice));
         setLastUpdate(new Date());
         setIsLivePriceActive(true); // Enable live price monitoring
       } else {
@@ -475,7 +1228,12 @@ const BybitLeverageCalculator = () => {
       }
     } catch (error) {
       console.error('Error fetching price:', error);
-      setError('Unable to fetch current price. Please try again.');
+      // Offline with a cached price: keep monitoring so the live price returns on reconnect
+      if (applyCachedPrice(pair)) {
+        setIsLivePriceActive(true);
+        return;
+      }
+      setError(`Unable to fetch the current price. ${describeBybitError(error)}`);
       setCurrentPrice(null);
       setIsLivePriceActive(false);
     }
@@ -495,55 +1253,151 @@ const BybitLeverageCalculator = () => {
     }
   };
 
-  const handleTargetChange = (targetKey, value) => {
-    setTargets(prev => ({ ...prev, [targetKey]: value }));
+  // Switching to a custom entry starts from the live price so it can be nudged
+  const toggleLivePriceAsEntry = () => {
+    if (useLivePriceAsEntry && currentPrice && !customEntryPrice) {
+      setCustomEntryPrice(currentPrice.toString());
+    }
+    setUseLivePriceAsEntry(prev => !prev);
   };
 
-  const calculateResults = () => {
-    if (!selectedPair || !currentPrice || !entryAmount || !targets.target1) return [];
-    
-    const entryAmountNum = parseFloat(entryAmount);
-    const positionSize = entryAmountNum * leverage;
-    const quantity = positionSize / currentPrice;
-    
-    const results = [];
-    const bybitFeeRate = 0.0006; // 0.06% taker fee
-    
-    ['target1', 'target2', 'target3'].forEach((targetKey, index) => {
-      const targetPrice = parseFloat(targets[targetKey]);
-      if (!targetPrice) return;
-      
-      const isLong = positionType === 'Long';
-      let pnl;
-      
-      if (isLong) {
-        pnl = (targetPrice - currentPrice) * quantity;
-      } else {
-        pnl = (currentPrice - targetPrice) * quantity;
-      }
-      
-      // Calculate fees (entry + exit)
-      const entryFee = positionSize * bybitFeeRate;
-      const exitFee = (quantity * targetPrice) * bybitFeeRate;
-      const totalFees = entryFee + exitFee;
-      
-      const netPnl = pnl - totalFees;
-      const roi = (netPnl / entryAmountNum) * 100;
-      
-      results.push({
-        target: index + 1,
-        targetPrice,
-        pnl: netPnl,
-        roi,
-        fees: totalFees,
-        finalAmount: entryAmountNum + netPnl
-      });
-    });
-    
-    return results;
+  const handleEntryLevelChange = (index, field, value) => {
+    setEntryLevels(prev => prev.map((level, i) => (i === index ? { ...level, [field]: value } : level)));
   };
 
-  const results = calculateResults();
+  const addEntryLevel = () => {
+    setEntryLevels(prev => [...prev, EMPTY_ENTRY_LEVEL]);
+  };
+
+  const removeEntryLevel = (index) => {
+    setEntryLevels(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleTargetChange = (index, field, value) => {
+    setTargets(prev => prev.map((target, i) => (i === index ? { ...target, [field]: value } : target)));
+  };
+
+  const addTarget = () => {
+    setTargets(prev => [...prev, EMPTY_TARGET]);
+  };
+
+  const removeTarget = (index) => {
+    setTargets(prev => (prev.length > 1 ? prev.filter((_, i) => i !== index) : [EMPTY_TARGET]));
+  };
+
+  // Entry used for every calculation: the live price unless a custom entry is set
+  const entryPrice = useLivePriceAsEntry ? currentPrice : (parseFloat(customEntryPrice) || null);
+
+  // Inverse contracts are margined and settled in the base coin, with 1 contract = 1 USD
+  const isInverse = selectedPair?.category === 'inverse';
+  const marginCoin = selectedPair?.settleCoin || (isInverse ? selectedPair.baseSymbol.replace(/USD$/, '') : 'USDT');
+
+  const quantityUnit = isInverse || !(selectedPair?.baseCoin || selectedPair?.baseSymbol.endsWith(marginCoin))
+    ? 'contracts'
+    : selectedPair.baseCoin || selectedPair.baseSymbol.slice(0, -marginCoin.length);
+  const feeRates = resolveFeeRates(feeSettings);
+  const stopPriceNum = parseFloat(stopLoss) > 0 ? parseFloat(stopLoss) : null;
+  const marginSettings = { marginMode, walletBalance: parseFloat(walletBalance) || 0 };
+
+  // Risk-based sizing derives the margin from equity, risk share and stop distance
+  const riskSizing = sizingMode === 'risk' && selectedPair && entryPrice && stopPriceNum && parseFloat(accountEquity) > 0
+    ? calculateRiskBasedSize({
+        category: selectedPair.category,
+        side: positionType,
+        entryPrice,
+        stopPrice: stopPriceNum,
+        equity: parseFloat(accountEquity),
+        riskPercent: parseFloat(riskPercent) || 0,
+        leverage,
+        minLeverage: leverageInfo?.min ?? 1,
+        maxLeverage: leverageInfo?.max ?? 100,
+        lotSize: selectedPair.filters,
+        riskTiers: riskLimits,
+        ...feeRates,
+        ...marginSettings
+      })
+    : null;
+
+  // Calculator input, null until there is enough to size the position
+  const entryAmountNum = sizingMode === 'risk' ? riskSizing?.margin : parseFloat(entryAmount);
+  const firstEntry = selectedPair && entryPrice && entryAmountNum > 0
+    ? {
+        category: selectedPair.category,
+        side: positionType,
+        entryPrice,
+        margin: entryAmountNum,
+        leverage,
+        riskTiers: riskLimits,
+        ...feeRates,
+        ...marginSettings
+      }
+    : null;
+  const orderCheck = firstEntry ? applyInstrumentFilters(firstEntry, selectedPair.filters) : null;
+  // Scale-in levels go with fixed margin sizing, risk sizing covers a single entry
+  const entryFills = sizingMode === 'risk' ? [] : toEntryFills(entryLevels);
+  const entrySteps = firstEntry && entryFills.length > 0
+    ? calculateAveragedEntry(firstEntry, entryFills, selectedPair.filters)
+    : null;
+  // Sized to whole qty steps, as Bybit would fill it, and averaged over every entry
+  const basePosition = entrySteps ? entrySteps.at(-1).position : orderCheck?.position ?? null;
+  const tickSize = selectedPair?.filters?.tickSize || 0;
+
+  // Funding projected over the holding period, folded into every exit's net PnL
+  const averageFundingRate = fundingInfo?.history.length
+    ? fundingInfo.history.reduce((sum, item) => sum + item.rate, 0) / fundingInfo.history.length
+    : null;
+  const projectedFundingRate = fundingRateSource === 'average' ? averageFundingRate : fundingInfo?.currentRate;
+  const holdingHours = (parseFloat(holdingPeriod) || 0) * (holdingUnit === 'days' ? 24 : 1);
+  const fundingProjection = basePosition && holdingHours > 0 && projectedFundingRate != null
+    ? calculateFunding(basePosition, {
+        rate: projectedFundingRate,
+        intervalMinutes: selectedPair.fundingInterval || DEFAULT_FUNDING_INTERVAL_MINUTES,
+        holdingHours
+      })
+    : null;
+  const position = basePosition && fundingProjection
+    ? { ...basePosition, fundingPnl: fundingProjection.total }
+    : basePosition;
+
+  const liquidation = position ? calculateLiquidation(position) : null;
+  const liveMarginRatio = position && currentPrice ? calculateMarginRatio(position, currentPrice) : null;
+  const breakevenPrice = position ? calculateBreakeven(position) : null;
+  const stopLossResult = position && stopPriceNum ? calculateStopLoss(position, stopPriceNum) : null;
+  const targetInputs = targets.map(target => ({
+    price: parseFloat(target.price) || null,
+    percent: parseFloat(target.percent) || null
+  }));
+  const results = position
+    ? calculateResults(position, targetInputs, { stopPrice: stopPriceNum })
+    : [];
+  const blendedResult = results.length > 1 ? calculateBlendedResult(position, results) : null;
+  const allocatedPercent = results.reduce((sum, result) => sum + result.percent, 0);
+  const isOverAllocated = results.some(result => result.requestedPercent > result.percent + 1e-9);
+
+  // Every portfolio position priced from its live ticker
+  const portfolioEntries = view === 'portfolio'
+    ? library.portfolio.map(entry => {
+        let setup;
+        try {
+          setup = parseSetupParams(new URLSearchParams(entry.params));
+        } catch {
+          // Entries imported from a newer version stay listed, unpriced
+          return { entry, setup: DEFAULT_SETUP, result: null };
+        }
+        const key = `${entry.pair.category}:${entry.pair.baseSymbol}`;
+        const ticker = pairTickers[key];
+        const market = { ...pairMarketData[key], fundingRate: ticker?.fundingRate ?? null };
+        return { entry, setup, result: evaluatePortfolioEntry(entry.pair, setup, ticker?.lastPrice ?? null, market) };
+      })
+    : [];
+  const portfolioSummary = summarizePortfolio(portfolioEntries.map(item => item.result));
+
+  // Amounts in the margin coin: USDT as dollars, coin-margined with coin precision
+  const formatMargin = (amount) => (
+    isInverse
+      ? formatCurrency(amount, { decimals: 6, prefix: '', suffix: ` ${marginCoin}` })
+      : formatCurrency(amount)
+  );
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-950 via-slate-900 to-gray-900 text-gray-100">
@@ -553,348 +1407,872 @@ const BybitLeverageCalculator = () => {
             Bybit Leverage Calculator
           </h1>
           <p className="text-gray-400">Calculate profits with precision for perpetual futures</p>
+          <EnvironmentSettings environment={environment} settings={environmentSettings} onApply={applyEnvironment} />
         </div>
 
-        {/* Search Section */}
-        <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
-          <div className="relative">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500 w-5 h-5" />
-            <input
-              type="text"
-              value={searchTerm}
-              onChange={handleSearchChange}
-              placeholder="Search crypto (e.g., btc, eth, sol...)"
-              className="w-full pl-10 pr-4 py-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
-            />
+        {/* View switch */}
+        <div className="flex gap-2 mb-6">
+          {[
+            { id: 'calculator', label: 'Calculator', icon: Calculator },
+            { id: 'portfolio', label: `Portfolio (${library.portfolio.length})`, icon: Briefcase },
+            { id: 'journal', label: `Journal (${journal.length})`, icon: NotebookPen }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setView(tab.id)}
+              className={`flex-1 inline-flex items-center justify-center gap-2 py-2 px-4 rounded-lg font-medium transition-all duration-200 ${
+                view === tab.id
+                  ? 'bg-cyan-700/50 text-white border border-cyan-500/50'
+                  : 'bg-gray-800/60 text-gray-400 hover:bg-gray-700/60 border border-gray-600/50'
+              }`}
+            >
+              <tab.icon className="w-4 h-4" />
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {!isOnline && (
+          <div className="mb-6 p-3 bg-yellow-900/20 border border-yellow-500/40 rounded-lg text-yellow-300 text-sm">
+            📴 You are offline. Prices are the last known ones
+            {instrumentsSnapshot
+              ? ` and pairs come from the list saved ${new Date(instrumentsSnapshot.savedAt).toLocaleString()}${
+                  isSnapshotExpired(instrumentsSnapshot) ? ', which has expired and may be out of date' : ''
+                }.`
+              : ', and no pair list has been saved yet.'}
+            {' '}Calculations still work and live data resumes once you reconnect.
           </div>
-          
-          {loading && (
-            <div className="mt-4 text-center text-gray-500">
-              <div className="inline-flex items-center">
-                <div className="animate-spin rounded-full h-4 w-4 border-2 border-cyan-500 border-t-transparent mr-2"></div>
-                Searching...
+        )}
+
+        {linkNotice && (
+          <div className="mb-6 p-3 bg-yellow-900/20 border border-yellow-500/40 rounded-lg text-yellow-300 text-sm flex items-start justify-between gap-3">
+            <span>⚠️ {linkNotice}</span>
+            <button onClick={() => setLinkNotice('')} className="text-yellow-400 hover:text-yellow-200" title="Dismiss">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        {view === 'journal' ? (
+          <Journal
+            entries={journal}
+            stats={computeJournalStats(journal)}
+            equityCurve={calculateEquityCurve(journal)}
+            onCloseTrade={closeJournalTrade}
+            onReopen={(id) => setJournal(prev => prev.map(entry => (entry.id === id ? reopenJournalEntry(entry) : entry)))}
+            onRemove={(id) => setJournal(prev => prev.filter(entry => entry.id !== id))}
+            onOpen={openPortfolioEntry}
+            onExport={exportJournal}
+          />
+        ) : view === 'portfolio' ? (
+          <Portfolio
+            entries={portfolioEntries}
+            summary={portfolioSummary}
+            onOpen={openPortfolioEntry}
+            onRemove={(id) => setLibrary(prev => removePortfolioEntry(prev, id))}
+          />
+        ) : (
+          <>
+            {/* Search Section */}
+            <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500 w-5 h-5" />
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={handleSearchChange}
+                  placeholder="Search crypto (e.g., btc, eth, sol...)"
+                  className="w-full pl-10 pr-4 py-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+                />
               </div>
-            </div>
-          )}
           
-          {error && (
-            <div className="mt-4 p-3 bg-red-900/20 border border-red-500/40 rounded-lg text-red-300 text-sm">
-              ⚠️ {error}
-            </div>
-          )}
-          
-          {searchResults.length > 0 && (
-            <div className="mt-4 max-h-60 overflow-y-auto">
-              {searchResults.map((pair) => (
-                <button
-                  key={pair.symbol}
-                  onClick={() => selectPair(pair)}
-                  className="w-full text-left p-3 hover:bg-gray-800/60 rounded-lg border-b border-gray-700/50 last:border-b-0 transition-all duration-200 hover:border-cyan-500/30"
-                >
-                  <div className="flex justify-between items-center">
-                    <div className="flex flex-col">
-                      <span className="font-medium text-cyan-300">{pair.symbol}</span>
-                      <span className="text-xs text-gray-500">{pair.categoryLabel}</span>
-                    </div>
-                    <span className="text-sm text-gray-400 bg-gray-800/50 px-2 py-1 rounded">
-                      {pair.minLeverage}x - {pair.maxLeverage}x
-                    </span>
+              {loading && (
+                <div className="mt-4 text-center text-gray-500">
+                  <div className="inline-flex items-center">
+                    <div className="animate-spin rounded-full h-4 w-4 border-2 border-cyan-500 border-t-transparent mr-2"></div>
+                    Searching...
                   </div>
-                </button>
-              ))}
+                </div>
+              )}
+          
+              {error && (
+                <div className="mt-4 p-3 bg-red-900/20 border border-red-500/40 rounded-lg text-red-300 text-sm">
+                  ⚠️ {error}
+                </div>
+              )}
+          
+              {searchResults.length > 0 && (
+                <div className="mt-4 max-h-60 overflow-y-auto">
+                  {searchResults.map((pair) => (
+                    <button
+                      key={pair.symbol}
+                      onClick={() => selectPair(pair)}
+                      className="w-full text-left p-3 hover:bg-gray-800/60 rounded-lg border-b border-gray-700/50 last:border-b-0 transition-all duration-200 hover:border-cyan-500/30"
+                    >
+                      <div className="flex justify-between items-center">
+                        <div className="flex flex-col">
+                          <span className="font-medium text-cyan-300">{pair.symbol}</span>
+                          <span className="text-xs text-gray-500">{pair.categoryLabel}</span>
+                        </div>
+                        <span className="text-sm text-gray-400 bg-gray-800/50 px-2 py-1 rounded">
+                          {pair.minLeverage}x - {pair.maxLeverage}x
+                        </span>
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
-          )}
-        </div>
 
-        {/* Trending Pairs - Show when not searching */}
-        {!searchTerm && searchResults.length === 0 && !selectedPair && (
-          <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl border border-gray-700/50 shadow-lg overflow-hidden mb-6">
-            {/* Progress bar at the top */}
-            <div className="h-1 bg-gray-800">
-              <div 
-                className="h-full bg-gradient-to-r from-orange-500 via-orange-400 to-yellow-500 transition-all duration-100 ease-linear"
-                style={{ width: `${trendingProgress}%` }}
-              ></div>
-            </div>
-            
-            <div className="p-6">
-              <div className="flex items-center gap-2 mb-4">
-                <Flame className="w-5 h-5 text-orange-500" />
-                <h3 className="text-lg font-semibold text-gray-100">Trending Perpetuals</h3>
-                <span className="text-xs text-gray-500">
-                  Live updates
-                </span>
-              </div>
-            
-            {loadingTrending ? (
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                {[...Array(8)].map((_, i) => (
-                  <div key={i} className="bg-gray-800/40 rounded-lg p-3 animate-pulse">
-                    <div className="h-4 bg-gray-700 rounded w-20 mb-2"></div>
-                    <div className="h-3 bg-gray-700 rounded w-16 mb-1"></div>
-                    <div className="h-3 bg-gray-700 rounded w-12"></div>
-                  </div>
-                ))}
-              </div>
-            ) : (
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                {trendingPairs.map((pair) => (
+            {/* Saved Setups */}
+            <SavedSetups
+              setups={library.setups}
+              canSave={Boolean(selectedPair)}
+              defaultName={selectedPair ? `${selectedPair.baseSymbol} ${positionType} ${leverage}x` : ''}
+              onSave={saveCurrentSetup}
+              onLoad={(setup) => restoreSetup(new URLSearchParams(setup.params))}
+              onDelete={(id) => setLibrary(prev => removeSetup(prev, id))}
+              onExport={exportLibrary}
+              onImport={importLibrary}
+            />
+
+            <AccountImport
+              connected={Boolean(accountKeys)}
+              account={account}
+              loading={accountLoading}
+              error={accountError}
+              onConnect={connectAccount}
+              onRefresh={refreshAccount}
+              onDisconnect={disconnectAccount}
+              onLoadPosition={loadAccountPosition}
+            />
+
+            {/* Watchlist - Shown with the trending pairs */}
+            {!searchTerm && searchResults.length === 0 && !selectedPair && library.watchlist.length > 0 && (
+              <Watchlist
+                pairs={library.watchlist}
+                tickers={pairTickers}
+                onSelect={selectPair}
+                onRemove={(pair) => setLibrary(prev => toggleWatchlist(prev, pair))}
+              />
+            )}
+
+            {/* Trending Pairs - Show when not searching */}
+            {!searchTerm && searchResults.length === 0 && !selectedPair && (
+              <TrendingScanner
+                page={scannerPage}
+                matchCount={scannerMatches.length}
+                totalCount={scannerRows.length}
+                settings={scannerSettings}
+                loading={loadingTrending}
+                progress={trendingProgress}
+                isLive={isTrendingStreamLive}
+                staleSince={scannerStaleSince}
+                onSettingsChange={updateScannerSettings}
+                onPageChange={setScannerPageIndex}
+                onSelect={selectPair}
+              />
+            )}
+
+            {selectedPair && (
+              <>
+                {/* Selected Pair Info */}
+                <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg relative">
+                  {/* Close button */}
                   <button
-                    key={pair.symbol}
-                    onClick={() => selectPair(pair)}
-                    className="bg-gray-800/40 hover:bg-gray-800/70 rounded-lg p-3 transition-all duration-200 hover:border-cyan-500/30 border border-transparent group"
+                    onClick={resetToInitialState}
+                    className="absolute -top-2 -right-2 w-8 h-8 bg-gray-800 hover:bg-gray-700 rounded-full transition-all duration-200 group border-2 border-gray-600 flex items-center justify-center"
+                    title="Close and return to trending pairs"
                   >
-                    <div className="flex items-center justify-between mb-2">
-                      <span className="font-medium text-cyan-300 text-sm group-hover:text-cyan-200">
-                        {pair.symbol.replace('USDT', '')}
-                      </span>
-                      {pair.isHot && (
-                        <Zap className="w-3 h-3 text-yellow-500" />
-                      )}
-                    </div>
-                    
-                    <div className="text-left">
-                      <div className="text-white font-mono text-sm mb-1">
-                        {formatPrice(pair.lastPrice)}
-                      </div>
-                      <div className={`text-xs font-medium ${
-                        pair.priceChangePercent >= 0 
-                          ? 'text-green-400' 
-                          : 'text-red-400'
-                      }`}>
-                        {pair.priceChangePercent >= 0 ? '+' : ''}
-                        {pair.priceChangePercent.toFixed(2)}%
-                      </div>
-                    </div>
-                    
-                    <div className="text-xs text-gray-500 mt-1">
-                      Vol: {formatCurrency(pair.volume24h / 1000000, { decimals: 1, prefix: '$', suffix: 'M' })}
-                    </div>
+                    <X className="w-4 h-4 text-gray-300 group-hover:text-white" />
                   </button>
-                ))}
-              </div>
-            )}
-            
-              <div className="mt-4 text-center">
-                <p className="text-xs text-gray-500">
-                  Click any pair to start calculating leverage profits
-                </p>
-              </div>
-            </div>
-          </div>
-        )}
-
-        {selectedPair && (
-          <>
-            {/* Selected Pair Info */}
-            <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg relative">
-              {/* Close button */}
-              <button
-                onClick={resetToInitialState}
-                className="absolute -top-2 -right-2 w-8 h-8 bg-gray-800 hover:bg-gray-700 rounded-full transition-all duration-200 group border-2 border-gray-600 flex items-center justify-center"
-                title="Close and return to trending pairs"
-              >
-                <X className="w-4 h-4 text-gray-300 group-hover:text-white" />
-              </button>
               
-              <div className="flex items-center justify-between mb-4 pr-12">
-                <h2 className="text-2xl font-bold text-cyan-300">{selectedPair.symbol}</h2>
-                <div className="text-right">
-                  {currentPrice ? (
-                    <div className="flex flex-col items-end">
-                      <div className="flex items-center gap-2">
-                        <span className={`text-2xl font-bold transition-colors duration-500 ${
-                          priceChange === 'up' ? 'text-green-400' : 
-                          priceChange === 'down' ? 'text-red-400' : 'text-blue-400'
-                        }`}>
-                          {formatPrice(currentPrice)}
-                        </span>
-                        {isLivePriceActive && (
-                          <div className="flex items-center gap-1">
-                            <Activity className={`w-4 h-4 ${
+                  <div className="flex items-center justify-between mb-4 pr-12">
+                    <div className="flex items-center gap-2">
+                      <h2 className="text-2xl font-bold text-cyan-300">{selectedPair.symbol}</h2>
+                      <button
+                        onClick={() => setLibrary(prev => toggleWatchlist(prev, selectedPair))}
+                        className="p-1 rounded-lg hover:bg-gray-800/60 transition-all"
+                        title={isWatched(library, selectedPair) ? 'Remove from watchlist' : 'Add to watchlist'}
+                      >
+                        <Star
+                          className={`w-5 h-5 ${isWatched(library, selectedPair) ? 'text-yellow-400' : 'text-gray-500 hover:text-yellow-400'}`}
+                          fill={isWatched(library, selectedPair) ? 'currentColor' : 'none'}
+                        />
+                      </button>
+                    </div>
+                    <div className="text-right">
+                      {currentPrice ? (
+                        <div className="flex flex-col items-end">
+                          <div className="flex items-center gap-2">
+                            <span className={`text-2xl font-bold transition-colors duration-500 ${
                               priceChange === 'up' ? 'text-green-400' : 
                               priceChange === 'down' ? 'text-red-400' : 'text-blue-400'
-                            } animate-pulse`} />
-                            {priceChange === 'up' && <TrendingUp className="w-4 h-4 text-green-400" />}
-                            {priceChange === 'down' && <TrendingDown className="w-4 h-4 text-red-400" />}
+                            }`}>
+                              {formatPrice(currentPrice)}
+                            </span>
+                            {isLivePriceActive && (
+                              <div className="flex items-center gap-1">
+                                <Activity className={`w-4 h-4 ${
+                                  priceChange === 'up' ? 'text-green-400' : 
+                                  priceChange === 'down' ? 'text-red-400' : 'text-blue-400'
+                                } animate-pulse`} />
+                                {priceChange === 'up' && <TrendingUp className="w-4 h-4 text-green-400" />}
+                                {priceChange === 'down' && <TrendingDown className="w-4 h-4 text-red-400" />}
+                              </div>
+                            )}
                           </div>
-                        )}
-                      </div>
-                      {lastUpdate && (
-                        <span className="text-xs text-gray-500 mt-1">
-                          Last updated: {lastUpdate.toLocaleTimeString()}
-                        </span>
+                          {lastUpdate && (isPriceCached ? (
+                            <span className="text-xs text-yellow-400 mt-1">
+                              Last known price · {lastUpdate.toLocaleString()}
+                            </span>
+                          ) : (
+                            <span className="text-xs text-gray-500 mt-1">
+                              Last updated: {lastUpdate.toLocaleTimeString()}
+                              {isLivePriceActive && (isPriceStreamLive ? ' · streaming' : ' · polling')}
+                            </span>
+                          ))}
+                        </div>
+                      ) : (
+                        <span className="text-red-400 text-sm">Price unavailable</span>
                       )}
                     </div>
-                  ) : (
-                    <span className="text-red-400 text-sm">Price unavailable</span>
+                  </div>
+                  {error && (
+                    <div className="mt-2 p-3 bg-red-900/20 border border-red-500/40 rounded-lg text-red-300 text-sm">
+                      ⚠️ {error}
+                    </div>
                   )}
                 </div>
-              </div>
-              {error && (
-                <div className="mt-2 p-3 bg-red-900/20 border border-red-500/40 rounded-lg text-red-300 text-sm">
-                  ⚠️ {error}
-                </div>
-              )}
-            </div>
 
-            {/* Trading Inputs */}
-            <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
-              <h3 className="text-xl font-semibold mb-4 text-gray-100">Trading Setup</h3>
-              
-              {/* Position Type */}
-              <div className="mb-6">
-                <label className="block text-sm font-medium mb-2 text-gray-300">Position Type</label>
-                <div className="flex gap-2">
-                  <button
-                    onClick={() => setPositionType('Long')}
-                    className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all duration-200 ${
-                      positionType === 'Long'
-                        ? 'bg-gradient-to-r from-green-600 to-green-700 text-white shadow-lg shadow-green-600/20'
-                        : 'bg-gray-800/60 text-gray-300 hover:bg-gray-700/60 border border-gray-600/50'
-                    }`}
-                  >
-                    <TrendingUp className="inline w-4 h-4 mr-2" />
-                    Long
-                  </button>
-                  <button
-                    onClick={() => setPositionType('Short')}
-                    className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all duration-200 ${
-                      positionType === 'Short'
-                        ? 'bg-gradient-to-r from-red-600 to-red-700 text-white shadow-lg shadow-red-600/20'
-                        : 'bg-gray-800/60 text-gray-300 hover:bg-gray-700/60 border border-gray-600/50'
-                    }`}
-                  >
-                    <TrendingDown className="inline w-4 h-4 mr-2" />
-                    Short
-                  </button>
-                </div>
-              </div>
+                {/* Trading Inputs */}
+                <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-xl font-semibold text-gray-100">Trading Setup</h3>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => setShowShare(prev => !prev)}
+                        className={`inline-flex items-center gap-1 text-sm px-2 py-1 rounded border transition-all ${
+                          showShare
+                            ? 'text-white bg-cyan-700/50 border-cyan-500/50'
+                            : 'text-cyan-300 hover:text-cyan-200 border-cyan-500/30 hover:border-cyan-500/60'
+                        }`}
+                      >
+                        <Share2 className="w-4 h-4" />
+                        Share
+                      </button>
+                      <button
+                        onClick={addCurrentToPortfolio}
+                        className="inline-flex items-center gap-1 text-sm text-cyan-300 hover:text-cyan-200 px-2 py-1 rounded border border-cyan-500/30 hover:border-cyan-500/60 transition-all"
+                      >
+                        <Briefcase className="w-4 h-4" />
+                        Add to Portfolio
+                      </button>
+                      <button
+                        onClick={logCurrentTrade}
+                        disabled={!position}
+                        title={position ? 'Record this plan in the trade journal' : 'Enter a margin to log the trade'}
+                        className="inline-flex items-center gap-1 text-sm text-cyan-300 hover:text-cyan-200 px-2 py-1 rounded border border-cyan-500/30 hover:border-cyan-500/60 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <NotebookPen className="w-4 h-4" />
+                        Log Trade
+                      </button>
+                    </div>
+                  </div>
 
-              {/* Leverage Slider */}
-              {leverageInfo && (
-                <div className="mb-6">
-                  <label className="block text-sm font-medium mb-2 text-gray-300">
-                    Leverage: <span className="text-cyan-400 font-bold">{leverage}x</span>
-                  </label>
-                  <div className="px-2">
-                    <input
-                      type="range"
-                      min={leverageInfo.min}
-                      max={leverageInfo.max}
-                      step="0.1"
-                      value={leverage}
-                      onChange={(e) => setLeverage(parseFloat(e.target.value))}
-                      className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
-                    />
-                    <div className="flex justify-between text-sm text-gray-500 mt-1">
-                      <span>{leverageInfo.min}x</span>
-                      <span>{leverageInfo.max}x</span>
+                  {showShare && (
+                    <ShareSetup url={`${window.location.origin}${window.location.pathname}?${currentSetupParams().toString()}`} />
+                  )}
+              
+                  {/* Position Type */}
+                  <div className="mb-6">
+                    <label className="block text-sm font-medium mb-2 text-gray-300">Position Type</label>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setPositionType('Long')}
+                        className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all duration-200 ${
+                          positionType === 'Long'
+                            ? 'bg-gradient-to-r from-green-600 to-green-700 text-white shadow-lg shadow-green-600/20'
+                            : 'bg-gray-800/60 text-gray-300 hover:bg-gray-700/60 border border-gray-600/50'
+                        }`}
+                      >
+                        <TrendingUp className="inline w-4 h-4 mr-2" />
+                        Long
+                      </button>
+                      <button
+                        onClick={() => setPositionType('Short')}
+                        className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all duration-200 ${
+                          positionType === 'Short'
+                            ? 'bg-gradient-to-r from-red-600 to-red-700 text-white shadow-lg shadow-red-600/20'
+                            : 'bg-gray-800/60 text-gray-300 hover:bg-gray-700/60 border border-gray-600/50'
+                        }`}
+                      >
+                        <TrendingDown className="inline w-4 h-4 mr-2" />
+                        Short
+                      </button>
                     </div>
                   </div>
-                </div>
-              )}
 
-              {/* Entry Amount */}
-              <div className="mb-6">
-                <label className="block text-sm font-medium mb-2 text-gray-300">Entry Amount (USDT)</label>
-                <input
-                  type="number"
-                  value={entryAmount}
-                  onChange={(e) => setEntryAmount(e.target.value)}
-                  placeholder="Enter amount in USDT"
-                  className="w-full py-3 px-4 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
-                />
-              </div>
+                  {/* Leverage Slider */}
+                  {leverageInfo && (
+                    <div className="mb-6">
+                      <label className="block text-sm font-medium mb-2 text-gray-300">
+                        Leverage: <span className="text-cyan-400 font-bold">{leverage}x</span>
+                      </label>
+                      <div className="px-2">
+                        <input
+                          type="range"
+                          min={leverageInfo.min}
+                          max={leverageInfo.max}
+                          step="0.1"
+                          value={leverage}
+                          onChange={(e) => setLeverage(parseFloat(e.target.value))}
+                          className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                        />
+                        <div className="flex justify-between text-sm text-gray-500 mt-1">
+                          <span>{leverageInfo.min}x</span>
+                          <span>{leverageInfo.max}x</span>
+                        </div>
+                      </div>
+                    </div>
+                  )}
 
-              {/* Target Prices */}
-              <div className="space-y-4">
-                <h4 className="text-lg font-medium text-gray-100">Target Prices</h4>
-                <div className="grid gap-4 md:grid-cols-3">
-                  <div>
-                    <label className="block text-sm font-medium mb-2 text-green-400">
-                      Target #1 (Required)
-                    </label>
+                  {/* Entry Price */}
+                  <div className="mb-6">
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-300">Entry Price</label>
+                      <button
+                        onClick={toggleLivePriceAsEntry}
+                        className={`text-xs px-2 py-1 rounded border transition-all duration-200 ${
+                          useLivePriceAsEntry
+                            ? 'bg-cyan-900/30 border-cyan-500/40 text-cyan-300'
+                            : 'bg-gray-800/60 border-gray-600/50 text-gray-400 hover:text-gray-200'
+                        }`}
+                        title="Lock the entry price to the live market price"
+                      >
+                        <Activity className="inline w-3 h-3 mr-1" />
+                        {useLivePriceAsEntry ? 'Locked to live price' : 'Use live price'}
+                      </button>
+                    </div>
                     <input
                       type="number"
-                      value={targets.target1}
-                      onChange={(e) => handleTargetChange('target1', e.target.value)}
-                      placeholder="Price"
-                      className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all"
+                      value={useLivePriceAsEntry ? (currentPrice ?? '') : customEntryPrice}
+                      onChange={(e) => setCustomEntryPrice(e.target.value)}
+                      disabled={useLivePriceAsEntry}
+                      placeholder="Enter entry price"
+                      className="w-full py-3 px-4 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all disabled:opacity-60 disabled:cursor-not-allowed"
                     />
                   </div>
-                  <div>
-                    <label className="block text-sm font-medium mb-2 text-blue-400">
-                      Target #2 (Optional)
-                    </label>
-                    <input
-                      type="number"
-                      value={targets.target2}
-                      onChange={(e) => handleTargetChange('target2', e.target.value)}
-                      placeholder="Price"
-                      className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+
+                  {/* Position Sizing */}
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium mb-2 text-gray-300">Position Sizing</label>
+                    <div className="flex gap-2">
+                      {[
+                        { id: 'margin', label: 'Fixed Margin' },
+                        { id: 'risk', label: 'Risk % of Equity' }
+                      ].map(mode => (
+                        <button
+                          key={mode.id}
+                          onClick={() => setSizingMode(mode.id)}
+                          className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-all duration-200 ${
+                            sizingMode === mode.id
+                              ? 'bg-cyan-700/50 text-white border border-cyan-500/50'
+                              : 'bg-gray-800/60 text-gray-400 hover:bg-gray-700/60 border border-gray-600/50'
+                          }`}
+                        >
+                          {mode.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {sizingMode === 'risk' ? (
+                    <RiskSizing
+                      equity={accountEquity}
+                      riskPercent={riskPercent}
+                      sizing={riskSizing}
+                      hasStop={stopPriceNum !== null}
+                      leverage={leverage}
+                      quantityUnit={quantityUnit}
+                      marginCoin={marginCoin}
+                      formatAmount={formatMargin}
+                      onEquityChange={setAccountEquity}
+                      onRiskPercentChange={setRiskPercent}
+                      onApplyLeverage={setLeverage}
                     />
+                  ) : (
+                    /* Entry Amount */
+                    <div className="mb-6">
+                      <label className="block text-sm font-medium mb-2 text-gray-300">Entry Amount ({marginCoin})</label>
+                      <input
+                        type="number"
+                        value={entryAmount}
+                        onChange={(e) => setEntryAmount(e.target.value)}
+                        placeholder={`Enter amount in ${marginCoin}`}
+                        className="w-full py-3 px-4 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+                      />
+                    </div>
+                  )}
+
+                  {sizingMode === 'margin' && (
+                    <EntryLevels
+                      levels={entryLevels}
+                      steps={entrySteps}
+                      marginCoin={marginCoin}
+                      formatAmount={formatMargin}
+                      onLevelChange={handleEntryLevelChange}
+                      onAddLevel={addEntryLevel}
+                      onRemoveLevel={removeEntryLevel}
+                    />
+                  )}
+
+                  {orderCheck && (orderCheck.belowMinQty || orderCheck.belowMinNotional || orderCheck.aboveMaxQty) && (
+                    <div className="-mt-3 mb-6 space-y-1 text-xs text-yellow-300">
+                      {orderCheck.belowMinQty && (
+                        <p>⚠️ Order size is below the minimum of {selectedPair.filters.minOrderQty} {quantityUnit}.</p>
+                      )}
+                      {orderCheck.belowMinNotional && (
+                        <p>⚠️ Order value of {formatCurrency(orderCheck.notional)} is below the {formatCurrency(selectedPair.filters.minNotionalValue)} minimum.</p>
+                      )}
+                      {orderCheck.aboveMaxQty && (
+                        <p>⚠️ Order size exceeds the maximum of {selectedPair.filters.maxOrderQty} {quantityUnit} per order.</p>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Margin Mode */}
+                  <MarginModeSettings
+                    marginMode={marginMode}
+                    walletBalance={walletBalance}
+                    margin={basePosition?.margin}
+                    marginCoin={marginCoin}
+                    formatAmount={formatMargin}
+                    onMarginModeChange={setMarginMode}
+                    onWalletBalanceChange={setWalletBalance}
+                  />
+
+                  {/* Trading Fees */}
+                  <FeeSettings settings={feeSettings} onChange={setFeeSettings} />
+
+                  {/* Funding */}
+                  <FundingProjection
+                    fundingInfo={fundingInfo}
+                    intervalMinutes={selectedPair.fundingInterval || DEFAULT_FUNDING_INTERVAL_MINUTES}
+                    averageRate={averageFundingRate}
+                    holdingPeriod={holdingPeriod}
+                    holdingUnit={holdingUnit}
+                    rateSource={fundingRateSource}
+                    positionType={positionType}
+                    projection={fundingProjection}
+                    formatAmount={formatMargin}
+                    onHoldingPeriodChange={setHoldingPeriod}
+                    onHoldingUnitChange={setHoldingUnit}
+                    onRateSourceChange={setFundingRateSource}
+                  />
+
+                  {/* Target Prices */}
+                  <div className="space-y-4">
+                    <div className="flex items-center justify-between">
+                      <h4 className="text-lg font-medium text-gray-100">Take-Profit Targets</h4>
+                      <button
+                        onClick={addTarget}
+                        className="inline-flex items-center gap-1 text-sm text-cyan-300 hover:text-cyan-200 px-2 py-1 rounded border border-cyan-500/30 hover:border-cyan-500/60 transition-all"
+                      >
+                        <Plus className="w-4 h-4" />
+                        Add Target
+                      </button>
+                    </div>
+                    <div className="space-y-3">
+                      {targets.map((target, index) => {
+                        const accent = TARGET_ACCENTS[index % TARGET_ACCENTS.length];
+                        const targetPrice = targetInputs[index].price;
+                        const offTick = targetPrice && !isOnTick(targetPrice, tickSize);
+                        return (
+                          <React.Fragment key={index}>
+                            <div className="grid grid-cols-[1fr_7rem_auto] gap-3 items-end">
+                              <div>
+                                <label className={`block text-sm font-medium mb-2 ${accent.label}`}>
+                                  Target #{index + 1}
+                                </label>
+                                <input
+                                  type="number"
+                                  value={target.price}
+                                  onChange={(e) => handleTargetChange(index, 'price', e.target.value)}
+                                  placeholder="Price"
+                                  className={`w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 ${accent.ring} transition-all`}
+                                />
+                              </div>
+                              <div>
+                                <label className="block text-sm font-medium mb-2 text-gray-400">Close %</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  value={target.percent}
+                                  onChange={(e) => handleTargetChange(index, 'percent', e.target.value)}
+                                  placeholder="Auto"
+                                  className={`w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 ${accent.ring} transition-all`}
+                                />
+                              </div>
+                              <button
+                                onClick={() => removeTarget(index)}
+                                className="p-2 mb-0.5 text-gray-500 hover:text-red-400 rounded-lg hover:bg-gray-800/60 transition-all"
+                                title="Remove target"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                            {offTick && (
+                              <p className="-mt-1 text-xs text-yellow-300">
+                                ⚠️ Not a multiple of the {tickSize} tick size.{' '}
+                                <button
+                                  onClick={() => handleTargetChange(index, 'price', String(roundToTick(targetPrice, tickSize)))}
+                                  className="underline hover:text-yellow-200"
+                                >
+                                  Use {roundToTick(targetPrice, tickSize)}
+                                </button>
+                              </p>
+                            )}
+                          </React.Fragment>
+                        );
+                      })}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      Targets without a percentage split whatever the others leave open.
+                      {results.length > 0 && ` ${formatCurrency(allocatedPercent, { decimals: 0, showCents: false, prefix: '', suffix: '%' })} of the position is allocated.`}
+                    </p>
+                    {isOverAllocated && (
+                      <p className="text-xs text-yellow-300">
+                        ⚠️ Allocations add up to more than 100%. Later targets were reduced to what is left of the position.
+                      </p>
+                    )}
                   </div>
-                  <div>
-                    <label className="block text-sm font-medium mb-2 text-purple-400">
-                      Target #3 (Optional)
+
+                  {/* Stop Loss */}
+                  <div className="mt-6">
+                    <label className="block text-sm font-medium mb-2 text-red-400">
+                      Stop Loss (Optional)
                     </label>
                     <input
                       type="number"
-                      value={targets.target3}
-                      onChange={(e) => handleTargetChange('target3', e.target.value)}
+                      value={stopLoss}
+                      onChange={(e) => setStopLoss(e.target.value)}
                       placeholder="Price"
-                      className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 transition-all"
+                      className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 transition-all"
                     />
+                    {stopPriceNum && !isOnTick(stopPriceNum, tickSize) && (
+                      <p className="mt-2 text-xs text-yellow-300">
+                        ⚠️ Not a multiple of the {tickSize} tick size.{' '}
+                        <button
+                          onClick={() => setStopLoss(String(roundToTick(stopPriceNum, tickSize)))}
+                          className="underline hover:text-yellow-200"
+                        >
+                          Use {roundToTick(stopPriceNum, tickSize)}
+                        </button>
+                      </p>
+                    )}
+                    {stopLossResult?.wrongSide && (
+                      <p className="mt-2 text-xs text-yellow-300">
+                        ⚠️ Stop is on the profit side of the entry price for a {positionType} position.
+                      </p>
+                    )}
+                    {stopLossResult?.beyondLiquidation && (
+                      <p className="mt-2 text-xs text-yellow-300">
+                        ⚠️ Stop lies past the liquidation price ({formatPrice(liquidation.liquidationPrice)}). The position would be liquidated before the stop triggers.
+                      </p>
+                    )}
                   </div>
                 </div>
-              </div>
-            </div>
 
-            {/* Results */}
-            {results.length > 0 && (
-              <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 border border-gray-700/50 shadow-lg">
-                <h3 className="text-xl font-semibold mb-4 text-gray-100">Profit Analysis</h3>
-                <div className="space-y-4">
-                  {results.map((result) => (
-                    <div
-                      key={result.target}
-                      className={`p-4 rounded-lg border backdrop-blur-sm transition-all duration-200 ${
-                        result.pnl >= 0
-                          ? 'bg-green-900/20 border-green-500/40 shadow-green-500/10 shadow-lg'
-                          : 'bg-red-900/20 border-red-500/40 shadow-red-500/10 shadow-lg'
-                      }`}
-                    >
-                      <div className="flex items-center justify-between mb-3">
-                        <span className="font-semibold text-gray-100">Target #{result.target}</span>
-                        <span className="text-cyan-300 font-mono">{formatPrice(result.targetPrice)}</span>
+                {/* Liquidation Estimate */}
+                {liquidation && (
+                  <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-100">Liquidation Estimate</h3>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                      <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                        <span className="text-gray-400 block mb-1">Position Size</span>
+                        <span className="text-cyan-400 font-bold">{formatMargin(liquidation.positionSize)}</span>
+                        <span className="text-xs text-gray-500 block">
+                          {liquidation.quantity.toLocaleString('en-US', { maximumFractionDigits: 8 })} {quantityUnit}
+                        </span>
                       </div>
-                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                        <div className="text-center p-2 bg-gray-800/30 rounded-lg">
-                          <span className="text-gray-400 block mb-1">P&L</span>
-                          <span className={`font-bold text-lg ${result.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                            {formatCurrency(result.pnl)}
-                          </span>
-                        </div>
-                        <div className="text-center p-2 bg-gray-800/30 rounded-lg">
-                          <span className="text-gray-400 block mb-1">ROI</span>
-                          <span className={`font-bold text-lg ${result.roi >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                            {formatCurrency(result.roi, { decimals: 2, prefix: '', suffix: '%' })}
-                          </span>
+                      <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                        <span className="text-gray-400 block mb-1">Maint. Margin</span>
+                        <span className="text-orange-400 font-bold">
+                          {formatMargin(liquidation.maintenanceMargin)}
+                        </span>
+                        <span className="text-xs text-gray-500 block">
+                          MMR {formatCurrency(liquidation.maintenanceMarginRate * 100, { decimals: 2, prefix: '', suffix: '%' })}
+                        </span>
+                      </div>
+                      <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                        <span className="text-gray-400 block mb-1">Liquidation Price</span>
+                        <span className="text-red-400 font-bold font-mono">
+                          {Number.isFinite(liquidation.liquidationPrice) ? formatPrice(liquidation.liquidationPrice) : 'None'}
+                        </span>
+                      </div>
+                      <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                        <span className="text-gray-400 block mb-1">Distance</span>
+                        <span className="text-red-300 font-bold">
+                          {Number.isFinite(liquidation.distancePercent)
+                            ? formatCurrency(liquidation.distancePercent, { decimals: 2, prefix: '', suffix: '%' })
+                            : 'N/A'}
+                        </span>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4 text-sm mt-4">
+                      <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                        <span className="text-gray-400 block mb-1">{position.marginMode === 'cross' ? 'Cross Collateral' : 'Isolated Margin'}</span>
+                        <span className="text-cyan-400 font-bold">{formatMargin(liquidation.collateral)}</span>
+                        <span className="text-xs text-gray-500 block">Loss absorbed before bankruptcy</span>
+                      </div>
+                      <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                        <span className="text-gray-400 block mb-1">Margin Ratio</span>
+                        <span className={`font-bold ${(liveMarginRatio ?? liquidation.marginRatio) >= 0.8 ? 'text-red-400' : 'text-orange-400'}`}>
+                          {Number.isFinite(liveMarginRatio ?? liquidation.marginRatio)
+                            ? formatCurrency((liveMarginRatio ?? liquidation.marginRatio) * 100, { decimals: 2, prefix: '', suffix: '%' })
+                            : 'Liquidated'}
+                        </span>
+                        <span className="text-xs text-gray-500 block">
+                          {liveMarginRatio !== null
+                            ? `At live price · ${formatCurrency(liquidation.marginRatio * 100, { decimals: 2, prefix: '', suffix: '%' })} at entry`
+                            : 'At entry'}{' '}· liquidated at 100%
+                        </span>
+                      </div>
+                    </div>
+                    <div className="mt-3 text-sm text-gray-400">
+                      Breakeven after fees: <span className="text-gray-200 font-mono">{formatPrice(breakevenPrice)}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-3">
+                      {position.marginMode === 'cross' ? 'Cross' : 'Isolated'} margin estimate using Bybit's risk-limit tiers. Actual liquidation depends on mark price{position.marginMode === 'cross' ? ', other open positions and unrealized PnL in the wallet' : ' and any margin added'}.
+                    </p>
+                  </div>
+                )}
+
+                {/* PnL Chart */}
+                {position && (
+                  <PnlChart
+                    position={position}
+                    liquidationPrice={liquidation.liquidationPrice}
+                    breakevenPrice={breakevenPrice}
+                    targets={targetInputs
+                      .map((target, index) => ({ index, price: target.price }))
+                      .filter(target => target.price)}
+                    stopPrice={stopPriceNum}
+                    candles={candles}
+                    tickSize={tickSize}
+                    formatAmount={formatMargin}
+                    onTargetChange={(index, price) => handleTargetChange(index, 'price', price)}
+                    onStopChange={setStopLoss}
+                  />
+                )}
+
+                {/* Leverage Sensitivity */}
+                {position && leverageInfo && (
+                  <LeverageSensitivity
+                    position={position}
+                    keep={sizingMode === 'risk' ? 'size' : 'margin'}
+                    minLeverage={leverageInfo.min}
+                    maxLeverage={leverageInfo.max}
+                    targets={targetInputs
+                      .map((target, index) => ({ index, price: target.price }))
+                      .filter(target => target.price)}
+                    stopPrice={stopPriceNum}
+                    onApplyLeverage={setLeverage}
+                  />
+                )}
+
+                {/* Price Alerts */}
+                <PriceAlerts
+                  pair={selectedPair}
+                  currentPrice={currentPrice}
+                  side={positionType}
+                  targets={targetInputs
+                    .map((target, index) => ({ index, price: target.price }))
+                    .filter(target => target.price)}
+                  stopPrice={stopPriceNum}
+                  liquidationPrice={liquidation?.liquidationPrice}
+                  alerts={alertState.alerts}
+                  log={alertState.log}
+                  permission={notificationPermission}
+                  onArm={armAlert}
+                  onRemove={(id) => setAlertState(prev => removeAlert(prev, id))}
+                  onClearLog={() => setAlertState(prev => clearAlertLog(prev))}
+                  onEnableNotifications={enableNotifications}
+                />
+
+                {/* Results */}
+                {(results.length > 0 || stopLossResult) && (
+                  <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 border border-gray-700/50 shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-100">Profit Analysis</h3>
+                    <div className="space-y-4">
+                      {results.map((result) => (
+                        <div
+                          key={result.target}
+                          className={`p-4 rounded-lg border backdrop-blur-sm transition-all duration-200 ${
+                            result.pnl >= 0
+                              ? 'bg-green-900/20 border-green-500/40 shadow-green-500/10 shadow-lg'
+                              : 'bg-red-900/20 border-red-500/40 shadow-red-500/10 shadow-lg'
+                          }`}
+                        >
+                          <div className="flex items-center justify-between mb-3">
+                            <div className="flex items-center gap-2">
+                              <span className="font-semibold text-gray-100">Target #{result.target}</span>
+                              <span className="text-xs text-gray-400 bg-gray-800/60 px-2 py-0.5 rounded">
+                                Close {formatCurrency(result.percent, { decimals: 1, showCents: false, prefix: '', suffix: '%' })}
+                              </span>
+                              {result.unreachable && (
+                                <span className="inline-flex items-center gap-1 text-xs text-yellow-300 bg-yellow-900/30 border border-yellow-500/40 px-2 py-0.5 rounded">
+                                  <AlertTriangle className="w-3 h-3" />
+                                  Unreachable: beyond liquidation
+                                </span>
+                              )}
+                            </div>
+                            <span className="text-cyan-300 font-mono">{formatPrice(result.targetPrice)}</span>
+                          </div>
+                          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Realized P&L</span>
+                              <span className={`font-bold text-lg ${result.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {formatMargin(result.pnl)}
+                              </span>
+                              {isInverse && (
+                                <span className="text-xs text-gray-500 block">≈ {formatCurrency(result.pnlUsd)}</span>
+                              )}
+                              {result.funding !== 0 && (
+                                <span className="text-xs text-gray-500 block">
+                                  incl. funding {result.funding > 0 ? '+' : '−'}{formatMargin(Math.abs(result.funding))}
+                                </span>
+                              )}
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">ROI</span>
+                              <span className={`font-bold text-lg ${result.roi >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {formatCurrency(result.roi, { decimals: 2, prefix: '', suffix: '%' })}
+                              </span>
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Fees</span>
+                              <span className="text-orange-400 font-bold">{formatMargin(result.fees)}</span>
+                              <span className="text-xs text-gray-500 block">
+                                In {formatMargin(result.entryFee)} · Out {formatMargin(result.exitFee)}
+                              </span>
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Remaining Position</span>
+                              <span className="text-cyan-400 font-bold">
+                                {formatCurrency(result.remainingPercent, { decimals: 1, showCents: false, prefix: '', suffix: '%' })}
+                              </span>
+                              <span className="text-xs text-gray-500 block">
+                                Realized so far {formatMargin(result.cumulativePnl)}
+                              </span>
+                            </div>
+                          </div>
+                          {result.riskReward !== null && (
+                            <div className="mt-3 text-sm text-gray-400">
+                              Risk/Reward: <span className={`font-bold ${result.riskReward >= 1 ? 'text-green-400' : 'text-yellow-400'}`}>
+                                1 : {result.riskReward.toFixed(2)}
+                              </span>
+                            </div>
+                          )}
                         </div>
-                        <div className="text-center p-2 bg-gray-800/30 rounded-lg">
-                          <span className="text-gray-400 block mb-1">Fees</span>
-                          <span className="text-orange-400 font-bold">{formatCurrency(result.fees)}</span>
+                      ))}
+
+                      {blendedResult && (
+                        <div className="p-4 rounded-lg border backdrop-blur-sm bg-cyan-950/20 border-cyan-500/40 shadow-cyan-500/10 shadow-lg">
+                          <div className="flex items-center justify-between mb-3">
+                            <span className="font-semibold text-gray-100">Blended Total</span>
+                            <span className="text-cyan-300 font-mono">
+                              avg {formatPrice(blendedResult.averageExitPrice)}
+                            </span>
+                          </div>
+                          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Total P&L</span>
+                              <span className={`font-bold text-lg ${blendedResult.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {formatMargin(blendedResult.pnl)}
+                              </span>
+                              {isInverse && (
+                                <span className="text-xs text-gray-500 block">≈ {formatCurrency(blendedResult.pnlUsd)}</span>
+                              )}
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">ROI on Margin</span>
+                              <span className={`font-bold text-lg ${blendedResult.roi >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {formatCurrency(blendedResult.roi, { decimals: 2, prefix: '', suffix: '%' })}
+                              </span>
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Total Fees</span>
+                              <span className="text-orange-400 font-bold">{formatMargin(blendedResult.fees)}</span>
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Left Open</span>
+                              <span className="text-cyan-400 font-bold">
+                                {formatCurrency(blendedResult.remainingPercent, { decimals: 1, showCents: false, prefix: '', suffix: '%' })}
+                              </span>
+                            </div>
+                          </div>
                         </div>
-                        <div className="text-center p-2 bg-gray-800/30 rounded-lg">
-                          <span className="text-gray-400 block mb-1">Final Amount</span>
-                          <span className="text-cyan-400 font-bold">{formatCurrency(result.finalAmount)}</span>
+                      )}
+
+                      {stopLossResult && (
+                        <div className="p-4 rounded-lg border backdrop-blur-sm bg-red-950/30 border-red-600/50 shadow-red-600/10 shadow-lg">
+                          <div className="flex items-center justify-between mb-3">
+                            <div className="flex items-center gap-2">
+                              <span className="font-semibold text-gray-100">Stop Loss</span>
+                              {stopLossResult.beyondLiquidation && (
+                                <span className="inline-flex items-center gap-1 text-xs text-yellow-300 bg-yellow-900/30 border border-yellow-500/40 px-2 py-0.5 rounded">
+                                  <AlertTriangle className="w-3 h-3" />
+                                  Past liquidation
+                                </span>
+                              )}
+                            </div>
+                            <span className="text-red-300 font-mono">{formatPrice(stopLossResult.stopPrice)}</span>
+                          </div>
+                          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Net Loss</span>
+                              <span className={`font-bold text-lg ${stopLossResult.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {formatMargin(stopLossResult.pnl)}
+                              </span>
+                              {isInverse && (
+                                <span className="text-xs text-gray-500 block">≈ {formatCurrency(stopLossResult.pnlUsd)}</span>
+                              )}
+                              {stopLossResult.funding !== 0 && (
+                                <span className="text-xs text-gray-500 block">
+                                  incl. funding {stopLossResult.funding > 0 ? '+' : '−'}{formatMargin(Math.abs(stopLossResult.funding))}
+                                </span>
+                              )}
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">ROI</span>
+                              <span className={`font-bold text-lg ${stopLossResult.roi >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {formatCurrency(stopLossResult.roi, { decimals: 2, prefix: '', suffix: '%' })}
+                              </span>
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Fees</span>
+                              <span className="text-orange-400 font-bold">{formatMargin(stopLossResult.fees)}</span>
+                              <span className="text-xs text-gray-500 block">
+                                In {formatMargin(stopLossResult.entryFee)} · Out {formatMargin(stopLossResult.exitFee)}
+                              </span>
+                            </div>
+                            <div className="text-center p-2 bg-gray-800/30 rounded-lg">
+                              <span className="text-gray-400 block mb-1">Final Amount</span>
+                              <span className="text-cyan-400 font-bold">{formatMargin(stopLossResult.finalAmount)}</span>
+                              {isInverse && (
+                                <span className="text-xs text-gray-500 block">≈ {formatCurrency(stopLossResult.finalAmountUsd)}</span>
+                              )}
+                            </div>
+                          </div>
                         </div>
-                      </div>
+                      )}
                     </div>
-                  ))}
-                </div>
-              </div>
+                  </div>
+                )}
+              </>
             )}
           </>
         )}
@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronUp, KeyRound, RefreshCw } from 'lucide-react';
+import { formatCurrency, formatPrice } from '../lib/format.js';
+
+const inputClassName = 'w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all';
+
+// Amounts in the settle coin: stablecoins as dollars, coins with coin precision
+const formatCoinAmount = (amount, coin) => (
+  coin === 'USDT' || coin === 'USDC'
+    ? formatCurrency(amount)
+    : formatCurrency(amount, { decimals: 6, prefix: '', suffix: ` ${coin}` })
+);
+
+// Read-only API key connection listing open positions and balances, each loadable into the calculator
+const AccountImport = ({ connected, account, loading, error, onConnect, onRefresh, onDisconnect, onLoadPosition }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [apiKey, setApiKey] = useState('');
+  const [apiSecret, setApiSecret] = useState('');
+  const [remember, setRemember] = useState(false);
+  const [loadingSymbol, setLoadingSymbol] = useState(null);
+
+  // Remembered keys are only used once the panel is opened
+  useEffect(() => {
+    if (expanded && connected && !account && !loading && !error) onRefresh();
+  }, [expanded, connected, account, loading, error, onRefresh]);
+
+  const handleConnect = async () => {
+    const connectedNow = await onConnect({ apiKey: apiKey.trim(), apiSecret: apiSecret.trim() }, remember);
+    if (connectedNow) {
+      setApiKey('');
+      setApiSecret('');
+    }
+  };
+
+  const handleLoad = async (position) => {
+    setLoadingSymbol(position.symbol);
+    await onLoadPosition(position);
+    setLoadingSymbol(null);
+  };
+
+  return (
+    <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl border border-gray-700/50 shadow-lg mb-6">
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between p-4 text-gray-300 hover:text-gray-100"
+      >
+        <span className="flex items-center gap-2 font-medium">
+          <KeyRound className="w-4 h-4 text-cyan-400" />
+          Account (read-only)
+        </span>
+        <span className="flex items-center gap-2 text-xs text-gray-500">
+          {connected ? `${account?.positions.length ?? '…'} open` : 'Not connected'}
+          {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="p-4 pt-0 space-y-4">
+          {error && (
+            <p className="text-xs text-red-300 bg-red-900/20 border border-red-500/30 rounded-lg p-2">{error}</p>
+          )}
+
+          {!connected ? (
+            <div className="space-y-2">
+              <input
+                type="text"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value)}
+                placeholder="API key"
+                autoComplete="off"
+                className={inputClassName}
+              />
+              <input
+                type="password"
+                value={apiSecret}
+                onChange={(e) => setApiSecret(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && apiKey && apiSecret && handleConnect()}
+                placeholder="API secret"
+                autoComplete="off"
+                className={inputClassName}
+              />
+              <div className="flex items-center justify-between gap-3">
+                <label className="flex items-center gap-2 text-xs text-gray-400">
+                  <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+                  Remember on this device
+                </label>
+                <button
+                  onClick={handleConnect}
+                  disabled={!apiKey.trim() || !apiSecret.trim() || loading}
+                  className="py-2 px-4 rounded-lg text-sm font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/60 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Connecting...' : 'Connect'}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500">
+                Use a key with read-only permissions, keys that can trade are refused. Requests are signed in this
+                browser and the secret is never sent anywhere. Without "Remember", the key is forgotten on reload.
+              </p>
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-sm text-gray-300">
+                  {account?.wallet ? (
+                    <>
+                      <span className="text-gray-500">{account.wallet.accountType === 'UNIFIED' ? 'Unified' : 'Classic'} account</span>
+                      {account.wallet.totalEquity !== null && (
+                        <span className="ml-2 font-mono">Equity {formatCurrency(account.wallet.totalEquity)}</span>
+                      )}
+                      <span className="block text-xs text-gray-500 mt-1">
+                        {account.wallet.coins.map(coin => formatCoinAmount(coin.walletBalance, coin.coin)).join(' · ') || 'No balances'}
+                      </span>
+                    </>
+                  ) : (
+                    <span className="text-gray-500">{loading ? 'Loading account...' : 'Account not loaded'}</span>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={onRefresh}
+                    disabled={loading}
+                    title="Refresh positions and balances"
+                    className="p-2 rounded-lg text-gray-400 hover:text-gray-100 bg-gray-800/60 border border-gray-600/50 disabled:opacity-50"
+                  >
+                    <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                  </button>
+                  <button
+                    onClick={onDisconnect}
+                    className="py-2 px-3 rounded-lg text-xs font-medium text-gray-400 hover:text-red-300 bg-gray-800/60 border border-gray-600/50"
+                  >
+                    Disconnect
+                  </button>
+                </div>
+              </div>
+
+              {account && (account.positions.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-xs text-gray-500 text-left">
+                        <th className="py-1 pr-3 font-medium">Pair</th>
+                        <th className="py-1 pr-3 font-medium">Side</th>
+                        <th className="py-1 pr-3 font-medium text-right">Size</th>
+                        <th className="py-1 pr-3 font-medium text-right">Entry</th>
+                        <th className="py-1 pr-3 font-medium text-right">TP / SL</th>
+                        <th className="py-1 pr-3 font-medium text-right">Unrealised</th>
+                        <th className="py-1" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {account.positions.map(position => (
+                        <tr key={`${position.category}:${position.symbol}`} className="border-t border-gray-700/50">
+                          <td className="py-2 pr-3">
+                            <span className="text-cyan-300 font-medium">{position.symbol}</span>
+                            <span className="block text-xs text-gray-500">{position.leverage}x · {position.marginMode}</span>
+                          </td>
+                          <td className={`py-2 pr-3 font-medium ${position.positionType === 'Long' ? 'text-green-400' : 'text-red-400'}`}>
+                            {position.positionType}
+                          </td>
+                          <td className="py-2 pr-3 text-right font-mono text-gray-200">
+                            {position.size}{position.category === 'inverse' ? ' USD' : ''}
+                          </td>
+                          <td className="py-2 pr-3 text-right font-mono text-gray-200">{formatPrice(position.avgPrice)}</td>
+                          <td className="py-2 pr-3 text-right font-mono text-xs text-gray-400">
+                            {position.takeProfit ? formatPrice(position.takeProfit) : '—'} / {position.stopLoss ? formatPrice(position.stopLoss) : '—'}
+                          </td>
+                          <td className={`py-2 pr-3 text-right font-mono ${position.unrealisedPnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {formatCoinAmount(position.unrealisedPnl, position.settleCoin)}
+                          </td>
+                          <td className="py-2 text-right">
+                            <button
+                              onClick={() => handleLoad(position)}
+                              disabled={loadingSymbol !== null}
+                              className="py-1 px-3 rounded-lg text-xs font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/60 transition-all disabled:opacity-50"
+                            >
+                              {loadingSymbol === position.symbol ? 'Loading...' : 'Load'}
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">No open positions.</p>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountImport;
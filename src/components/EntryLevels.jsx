@@ -0,0 +1,96 @@
+import React from 'react';
+import { Layers, Plus, Trash2 } from 'lucide-react';
+import { formatPrice } from '../lib/format.js';
+
+const inputClassName = 'w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all';
+
+// Further DCA / grid entries after the first, with the averaged position after each fill
+const EntryLevels = ({ levels, steps, marginCoin, formatAmount, onLevelChange, onAddLevel, onRemoveLevel }) => (
+  <div className="mb-6">
+    <div className="flex items-center justify-between mb-2">
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+        <Layers className="w-4 h-4 text-cyan-400" />
+        Scale-In Entries
+      </label>
+      <button
+        onClick={onAddLevel}
+        className="inline-flex items-center gap-1 text-sm text-cyan-300 hover:text-cyan-200 px-2 py-1 rounded border border-cyan-500/30 hover:border-cyan-500/60 transition-all"
+      >
+        <Plus className="w-4 h-4" />
+        Add Entry
+      </button>
+    </div>
+
+    {levels.length === 0 ? (
+      <p className="text-xs text-gray-500">Single entry. Add levels to average in with their own margin.</p>
+    ) : (
+      <div className="space-y-2">
+        {levels.map((level, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <span className="text-xs text-gray-500 w-6">#{index + 2}</span>
+            <input
+              type="number"
+              value={level.price}
+              onChange={(e) => onLevelChange(index, 'price', e.target.value)}
+              placeholder="Price"
+              className={inputClassName}
+            />
+            <input
+              type="number"
+              value={level.amount}
+              onChange={(e) => onLevelChange(index, 'amount', e.target.value)}
+              placeholder={`Margin (${marginCoin})`}
+              className={inputClassName}
+            />
+            <button
+              onClick={() => onRemoveLevel(index)}
+              className="p-2 text-gray-500 hover:text-red-400 rounded-lg hover:bg-gray-800/60 transition-all"
+              title="Remove entry"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+    )}
+
+    {steps && steps.length > 1 && (
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-500 text-left">
+              <th className="py-1 pr-3 font-medium">Fill</th>
+              <th className="py-1 pr-3 font-medium text-right">Price</th>
+              <th className="py-1 pr-3 font-medium text-right">Avg Entry</th>
+              <th className="py-1 pr-3 font-medium text-right">Total Margin</th>
+              <th className="py-1 font-medium text-right">Liquidation</th>
+            </tr>
+          </thead>
+          <tbody>
+            {steps.map(step => (
+              <tr key={step.fill} className={`border-t border-gray-700/50 ${step.unreachable ? 'text-orange-300' : 'text-gray-200'}`}>
+                <td className="py-1.5 pr-3">#{step.fill}{step.unreachable && ' ⚠️'}</td>
+                <td className="py-1.5 pr-3 text-right font-mono">{formatPrice(step.price)}</td>
+                <td className="py-1.5 pr-3 text-right font-mono text-cyan-300">{formatPrice(step.averageEntryPrice)}</td>
+                <td className="py-1.5 pr-3 text-right font-mono">{formatAmount(step.totalMargin)}</td>
+                <td className="py-1.5 text-right font-mono text-orange-400">
+                  {Number.isFinite(step.liquidation.liquidationPrice) ? formatPrice(step.liquidation.liquidationPrice) : 'None'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {steps.some(step => step.unreachable) && (
+          <p className="mt-2 text-xs text-orange-300">
+            ⚠️ Levels marked are past the liquidation price of the fills before them and would never fill.
+          </p>
+        )}
+        <p className="mt-2 text-xs text-gray-500">
+          Levels fill in the order listed at the same leverage. Targets, stop and liquidation below use the averaged position.
+        </p>
+      </div>
+    )}
+  </div>
+);
+
+export default EntryLevels;
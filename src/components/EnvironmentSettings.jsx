@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { Server } from 'lucide-react';
+import { validateEnvironmentSettings } from '../lib/environment.js';
+
+const ENVIRONMENT_OPTIONS = [
+  { id: 'mainnet', label: 'Mainnet' },
+  { id: 'testnet', label: 'Testnet' },
+  { id: 'custom', label: 'Custom' }
+];
+
+// Badge colors per environment, loud for anything that is not mainnet
+const BADGE_STYLES = {
+  mainnet: 'bg-gray-800/60 text-gray-400 border-gray-600/50',
+  testnet: 'bg-yellow-900/40 text-yellow-300 border-yellow-500/60',
+  custom: 'bg-purple-900/40 text-purple-300 border-purple-500/60'
+};
+
+const inputClassName = 'w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all';
+
+// Header badge naming the active Bybit environment, opening a panel to switch it
+const EnvironmentSettings = ({ environment, settings, onApply }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(settings);
+
+  const error = validateEnvironmentSettings(draft);
+  const unchanged = draft.id === settings.id &&
+    (draft.id !== 'custom' || (draft.restUrl === settings.restUrl && draft.wsUrl === settings.wsUrl));
+
+  const toggle = () => {
+    setDraft(settings);
+    setIsOpen(prev => !prev);
+  };
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={toggle}
+        title="Change the Bybit environment"
+        className={`inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-semibold border transition-all ${BADGE_STYLES[environment.id]}`}
+      >
+        <Server className="w-3 h-3" />
+        {environment.label}
+        {!environment.isMainnet && <span className="font-mono font-normal opacity-80">· {environment.restUrl}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 mx-auto max-w-md p-4 text-left bg-gray-900/80 rounded-lg border border-gray-700/50">
+          <div className="flex gap-2">
+            {ENVIRONMENT_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setDraft(prev => ({ ...prev, id: option.id }))}
+                className={`flex-1 py-1.5 px-2 rounded-md text-xs font-medium transition-all duration-200 ${
+                  draft.id === option.id
+                    ? 'bg-cyan-700/60 text-white border border-cyan-500/50'
+                    : 'bg-gray-800/60 text-gray-400 hover:bg-gray-700/60 border border-gray-600/50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {draft.id === 'custom' && (
+            <div className="mt-3 space-y-2">
+              <div>
+                <span className="block text-xs font-medium mb-1 text-gray-400">REST base URL</span>
+                <input
+                  type="url"
+                  value={draft.restUrl}
+                  onChange={(e) => setDraft(prev => ({ ...prev, restUrl: e.target.value }))}
+                  placeholder="http://localhost:8080"
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <span className="block text-xs font-medium mb-1 text-gray-400">WebSocket base URL</span>
+                <input
+                  type="url"
+                  value={draft.wsUrl}
+                  onChange={(e) => setDraft(prev => ({ ...prev, wsUrl: e.target.value }))}
+                  placeholder="ws://localhost:8080/v5/public"
+                  className={inputClassName}
+                />
+              </div>
+              {error && <p className="text-xs text-yellow-300">⚠️ {error}</p>}
+            </div>
+          )}
+
+          <div className="mt-3 flex items-center justify-between gap-3">
+            <p className="text-xs text-gray-500">
+              The app reloads to connect. Offline market data is kept per environment.
+            </p>
+            <button
+              onClick={() => onApply(draft)}
+              disabled={Boolean(error) || unchanged}
+              className="px-3 py-1.5 rounded-lg text-sm font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnvironmentSettings;
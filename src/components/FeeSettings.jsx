@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Percent } from 'lucide-react';
+import { FEE_TIERS, resolveFeeRates } from '../lib/fees.js';
+import { formatCurrency } from '../lib/format.js';
+
+const formatRate = (rate) => formatCurrency(rate * 100, { decimals: 4, showCents: false, prefix: '', suffix: '%' });
+
+const OrderTypeToggle = ({ label, value, onChange }) => (
+  <div>
+    <span className="block text-xs font-medium mb-1 text-gray-400">{label}</span>
+    <div className="flex gap-1">
+      {['maker', 'taker'].map(orderType => (
+        <button
+          key={orderType}
+          onClick={() => onChange(orderType)}
+          className={`flex-1 py-1.5 px-2 rounded-md text-xs font-medium capitalize transition-all duration-200 ${
+            value === orderType
+              ? 'bg-cyan-700/60 text-white border border-cyan-500/50'
+              : 'bg-gray-800/60 text-gray-400 hover:bg-gray-700/60 border border-gray-600/50'
+          }`}
+        >
+          {orderType === 'maker' ? 'Maker (limit)' : 'Taker (market)'}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+// Fee tier preset, maker/taker per leg and custom rate overrides
+const FeeSettings = ({ settings, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const rates = resolveFeeRates(settings);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="mb-6 bg-gray-800/30 rounded-lg border border-gray-700/50">
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between p-3 text-sm text-gray-300 hover:text-gray-100"
+      >
+        <span className="flex items-center gap-2 font-medium">
+          <Percent className="w-4 h-4 text-orange-400" />
+          Trading Fees
+        </span>
+        <span className="flex items-center gap-2 text-xs text-gray-500">
+          Entry {formatRate(rates.entryFeeRate)} · Exit {formatRate(rates.exitFeeRate)}
+          {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="p-3 pt-0 space-y-4">
+          <div>
+            <span className="block text-xs font-medium mb-1 text-gray-400">Fee Tier</span>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-500">
+                    <th className="text-left font-medium py-1">Tier</th>
+                    <th className="text-right font-medium py-1">Taker</th>
+                    <th className="text-right font-medium py-1">Maker</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {FEE_TIERS.map(tier => (
+                    <tr
+                      key={tier.id}
+                      onClick={() => update({ tier: tier.id })}
+                      className={`cursor-pointer transition-colors ${
+                        settings.tier === tier.id ? 'bg-cyan-900/30 text-cyan-300' : 'text-gray-300 hover:bg-gray-700/40'
+                      }`}
+                    >
+                      <td className="py-1 px-1">{tier.label}</td>
+                      <td className="py-1 px-1 text-right font-mono">{formatRate(tier.taker)}</td>
+                      <td className="py-1 px-1 text-right font-mono">{formatRate(tier.maker)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="grid gap-3 md:grid-cols-2">
+            <OrderTypeToggle
+              label="Entry Order"
+              value={settings.entryOrderType}
+              onChange={(entryOrderType) => update({ entryOrderType })}
+            />
+            <OrderTypeToggle
+              label="Exit Order"
+              value={settings.exitOrderType}
+              onChange={(exitOrderType) => update({ exitOrderType })}
+            />
+          </div>
+
+          <div className="grid gap-3 md:grid-cols-2">
+            <div>
+              <span className="block text-xs font-medium mb-1 text-gray-400">Custom Taker Rate (%)</span>
+              <input
+                type="number"
+                step="0.001"
+                value={settings.customTakerRate}
+                onChange={(e) => update({ customTakerRate: e.target.value })}
+                placeholder={formatRate(rates.takerFeeRate).replace('%', '')}
+                className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+              />
+            </div>
+            <div>
+              <span className="block text-xs font-medium mb-1 text-gray-400">Custom Maker Rate (%)</span>
+              <input
+                type="number"
+                step="0.001"
+                value={settings.customMakerRate}
+                onChange={(e) => update({ customMakerRate: e.target.value })}
+                placeholder={formatRate(rates.makerFeeRate).replace('%', '')}
+                className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            Custom rates override the tier. Negative maker rates model rebates. Liquidation always assumes the taker rate.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeeSettings;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { Clock } from 'lucide-react';
+import { formatCurrency } from '../lib/format.js';
+
+const formatRate = (rate) => (
+  rate === null || rate === undefined
+    ? 'N/A'
+    : formatCurrency(rate * 100, { decimals: 4, showCents: false, prefix: rate > 0 ? '+' : '', suffix: '%' })
+);
+
+const formatInterval = (minutes) => (minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`);
+
+// Holding period input and the funding it is projected to cost or earn
+const FundingProjection = ({
+  fundingInfo,
+  intervalMinutes,
+  averageRate,
+  holdingPeriod,
+  holdingUnit,
+  rateSource,
+  positionType,
+  projection,
+  formatAmount,
+  onHoldingPeriodChange,
+  onHoldingUnitChange,
+  onRateSourceChange
+}) => (
+  <div className="mb-6 bg-gray-800/30 rounded-lg border border-gray-700/50 p-3">
+    <div className="flex items-center justify-between mb-3">
+      <span className="flex items-center gap-2 text-sm font-medium text-gray-300">
+        <Clock className="w-4 h-4 text-purple-400" />
+        Funding
+      </span>
+      <span className="text-xs text-gray-500">
+        Every {formatInterval(intervalMinutes)}
+        {fundingInfo?.nextFundingTime && ` · next ${new Date(fundingInfo.nextFundingTime).toLocaleTimeString()}`}
+      </span>
+    </div>
+
+    <div className="grid gap-3 md:grid-cols-2">
+      <div>
+        <span className="block text-xs font-medium mb-1 text-gray-400">Holding Period</span>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            min="0"
+            value={holdingPeriod}
+            onChange={(e) => onHoldingPeriodChange(e.target.value)}
+            placeholder="0"
+            className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 transition-all"
+          />
+          <select
+            value={holdingUnit}
+            onChange={(e) => onHoldingUnitChange(e.target.value)}
+            className="py-2 px-2 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            <option value="hours">Hours</option>
+            <option value="days">Days</option>
+          </select>
+        </div>
+      </div>
+      <div>
+        <span className="block text-xs font-medium mb-1 text-gray-400">Funding Rate</span>
+        <div className="flex gap-1">
+          {[
+            { id: 'current', label: `Current ${formatRate(fundingInfo?.currentRate)}` },
+            { id: 'average', label: `Avg ${formatRate(averageRate)}` }
+          ].map(option => (
+            <button
+              key={option.id}
+              onClick={() => onRateSourceChange(option.id)}
+              className={`flex-1 py-2 px-2 rounded-md text-xs font-medium transition-all duration-200 ${
+                rateSource === option.id
+                  ? 'bg-purple-700/50 text-white border border-purple-500/50'
+                  : 'bg-gray-800/60 text-gray-400 hover:bg-gray-700/60 border border-gray-600/50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {fundingInfo?.history.length > 0 && (
+          <span className="block text-xs text-gray-500 mt-1">
+            Average of the last {fundingInfo.history.length} fundings
+          </span>
+        )}
+      </div>
+    </div>
+
+    {projection && (
+      <div className="mt-3 text-sm text-gray-400">
+        {positionType} {projection.total >= 0 ? 'receives' : 'pays'}{' '}
+        <span className={`font-bold ${projection.total >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+          {formatAmount(Math.abs(projection.total))}
+        </span>
+        {' '}over {projection.intervals} funding{projection.intervals === 1 ? '' : 's'}
+        {' '}({formatAmount(Math.abs(projection.perInterval))} each)
+      </div>
+    )}
+  </div>
+);
+
+export default FundingProjection;
@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import { Download, ExternalLink, NotebookPen, RotateCcw, Trash2 } from 'lucide-react';
+import { formatCurrency, formatPrice } from '../lib/format.js';
+
+const CURVE_WIDTH = 720;
+const CURVE_HEIGHT = 160;
+const CURVE_PADDING = 8;
+
+const inputClassName = 'w-full py-1.5 px-2 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all';
+
+const formatSigned = (amount) => `${amount >= 0 ? '+' : '−'}${formatCurrency(Math.abs(amount))}`;
+const formatR = (r) => `${r >= 0 ? '+' : '−'}${Math.abs(r).toFixed(2)}R`;
+const pnlColor = (amount) => (amount >= 0 ? 'text-green-400' : 'text-red-400');
+
+const SummaryStat = ({ label, value, className = 'text-gray-100', hint }) => (
+  <div className="text-center p-3 bg-gray-800/30 rounded-lg">
+    <span className="text-gray-400 text-xs block mb-1">{label}</span>
+    <span className={`font-bold ${className}`}>{value}</span>
+    {hint && <span className="text-xs text-gray-500 block">{hint}</span>}
+  </div>
+);
+
+// Cumulative net PnL after each closed trade, starting from zero
+const EquityCurve = ({ points }) => {
+  const values = [0, ...points.map(point => point.equity)];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const toX = (index) => CURVE_PADDING + (index / (values.length - 1)) * (CURVE_WIDTH - CURVE_PADDING * 2);
+  const toY = (value) => CURVE_PADDING + ((max - value) / span) * (CURVE_HEIGHT - CURVE_PADDING * 2);
+  const last = values[values.length - 1];
+
+  return (
+    <svg viewBox={`0 0 ${CURVE_WIDTH} ${CURVE_HEIGHT}`} className="w-full h-40" role="img" aria-label="Equity curve">
+      <line x1={CURVE_PADDING} x2={CURVE_WIDTH - CURVE_PADDING} y1={toY(0)} y2={toY(0)} stroke="#4b5563" strokeDasharray="4 4" />
+      <polyline
+        points={values.map((value, index) => `${toX(index)},${toY(value)}`).join(' ')}
+        fill="none"
+        stroke={last >= 0 ? '#4ade80' : '#f87171'}
+        strokeWidth="2"
+        strokeLinejoin="round"
+      />
+      {values.map((value, index) => (
+        <circle key={index} cx={toX(index)} cy={toY(value)} r="3" fill={value >= 0 ? '#4ade80' : '#f87171'} />
+      ))}
+    </svg>
+  );
+};
+
+// Actual fills for an open trade; empty entry and fees fall back to the plan
+const CloseTradeForm = ({ entry, onClose }) => {
+  const [exitPrice, setExitPrice] = useState('');
+  const [entryPrice, setEntryPrice] = useState('');
+  const [fees, setFees] = useState('');
+  const marginCoin = entry.pair.settleCoin || (entry.pair.category === 'inverse' ? entry.pair.baseSymbol.replace(/USD$/, '') : 'USDT');
+  const exit = parseFloat(exitPrice);
+  const actualEntry = entryPrice === '' ? null : parseFloat(entryPrice);
+  const actualFees = fees === '' ? null : parseFloat(fees);
+  const isValid = exit > 0 && (actualEntry === null || actualEntry > 0) && (actualFees === null || actualFees >= 0);
+
+  return (
+    <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-2 items-end">
+      <label className="text-xs text-gray-500">
+        Exit price
+        <input type="number" value={exitPrice} onChange={(e) => setExitPrice(e.target.value)} placeholder="Required" className={inputClassName} />
+      </label>
+      <label className="text-xs text-gray-500">
+        Entry filled at
+        <input type="number" value={entryPrice} onChange={(e) => setEntryPrice(e.target.value)} placeholder={String(entry.position.entryPrice)} className={inputClassName} />
+      </label>
+      <label className="text-xs text-gray-500">
+        Fees paid ({marginCoin})
+        <input type="number" value={fees} onChange={(e) => setFees(e.target.value)} placeholder="Estimate" className={inputClassName} />
+      </label>
+      <button
+        onClick={() => onClose(entry.id, { exitPrice: exit, entryPrice: actualEntry, fees: actualFees })}
+        disabled={!isValid}
+        className="py-2 px-3 rounded-lg text-sm font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/60 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Close Trade
+      </button>
+    </div>
+  );
+};
+
+// Logged trades with their plan next to the actual outcome, statistics and an equity curve
+const Journal = ({ entries, stats, equityCurve, onCloseTrade, onReopen, onRemove, onOpen, onExport }) => {
+  if (entries.length === 0) {
+    return (
+      <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg text-center">
+        <NotebookPen className="w-8 h-8 text-gray-600 mx-auto mb-3" />
+        <p className="text-gray-400">No trades in the journal yet.</p>
+        <p className="text-xs text-gray-500 mt-1">
+          Set up a trade in the calculator and use "Log Trade" to record the plan, then close it here with the actual exit.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold text-gray-100">Journal Statistics</h3>
+          <button
+            onClick={onExport}
+            className="inline-flex items-center gap-1 text-sm text-cyan-300 hover:text-cyan-200 px-2 py-1 rounded border border-cyan-500/30 hover:border-cyan-500/60 transition-all"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <SummaryStat
+            label="Win Rate"
+            value={stats.winRate === null ? 'N/A' : `${stats.winRate.toFixed(1)}%`}
+            hint={`${stats.wins} won · ${stats.losses} lost · ${stats.open} open`}
+          />
+          <SummaryStat
+            label="Average R"
+            value={stats.averageR === null ? 'N/A' : formatR(stats.averageR)}
+            className={stats.averageR === null ? 'text-gray-500' : pnlColor(stats.averageR)}
+            hint="Trades with a stop"
+          />
+          <SummaryStat
+            label="Expectancy"
+            value={stats.expectancy === null ? 'N/A' : formatSigned(stats.expectancy)}
+            className={stats.expectancy === null ? 'text-gray-500' : pnlColor(stats.expectancy)}
+            hint="Per trade"
+          />
+          <SummaryStat label="Fees Paid" value={formatCurrency(stats.feesPaid)} className="text-orange-400" />
+        </div>
+
+        {equityCurve.length > 0 && (
+          <div className="mt-4">
+            <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+              <span>Equity curve</span>
+              <span>
+                Actual <span className={`font-mono ${pnlColor(stats.totalPnl)}`}>{formatSigned(stats.totalPnl)}</span>
+                {' '}· planned <span className="font-mono text-gray-300">{formatSigned(stats.plannedPnl)}</span>
+              </span>
+            </div>
+            <EquityCurve points={equityCurve} />
+          </div>
+        )}
+      </div>
+
+      <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+        <h3 className="text-xl font-semibold mb-4 text-gray-100">Trades</h3>
+        <div className="space-y-3">
+          {entries.map(entry => (
+            <div key={entry.id} className="p-4 rounded-lg border border-gray-700/50 bg-gray-800/30">
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-cyan-300">{entry.pair.symbol ?? entry.pair.baseSymbol}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded ${
+                    entry.position.side === 'Long' ? 'bg-green-900/40 text-green-300' : 'bg-red-900/40 text-red-300'
+                  }`}>
+                    {entry.position.side} {entry.position.leverage}x
+                  </span>
+                  <span className="text-xs text-gray-500">{new Date(entry.plannedAt).toLocaleDateString()}</span>
+                </div>
+                <div className="flex items-center gap-1">
+                  {entry.outcome && (
+                    <button
+                      onClick={() => onReopen(entry.id)}
+                      className="p-2 text-gray-500 hover:text-cyan-300 rounded-lg hover:bg-gray-800/60 transition-all"
+                      title="Reopen to correct the outcome"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onOpen(entry)}
+                    className="p-2 text-gray-500 hover:text-cyan-300 rounded-lg hover:bg-gray-800/60 transition-all"
+                    title="Open in calculator"
+                  >
+                    <ExternalLink className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onRemove(entry.id)}
+                    className="p-2 text-gray-500 hover:text-red-400 rounded-lg hover:bg-gray-800/60 transition-all"
+                    title="Remove from journal"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+                <div>
+                  <span className="text-gray-500 block">Planned Entry / Stop</span>
+                  <span className="text-gray-200 font-mono">
+                    {formatPrice(entry.position.entryPrice)} / {entry.plan.stopPrice ? formatPrice(entry.plan.stopPrice) : '—'}
+                  </span>
+                </div>
+                <div>
+                  <span className="text-gray-500 block">Planned P&L</span>
+                  <span className={`font-mono ${entry.plan.pnlUsd === null ? 'text-gray-500' : pnlColor(entry.plan.pnlUsd)}`}>
+                    {entry.plan.pnlUsd === null ? 'No targets' : formatSigned(entry.plan.pnlUsd)}
+                  </span>
+                </div>
+                {entry.outcome ? (
+                  <>
+                    <div>
+                      <span className="text-gray-500 block">Actual Entry / Exit</span>
+                      <span className="text-gray-200 font-mono">
+                        {formatPrice(entry.outcome.entryPrice)} / {formatPrice(entry.outcome.exitPrice)}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-gray-500 block">Actual P&L</span>
+                      <span className={`font-mono ${pnlColor(entry.outcome.pnlUsd)}`}>
+                        {formatSigned(entry.outcome.pnlUsd)}
+                        {entry.outcome.rMultiple !== null && ` · ${formatR(entry.outcome.rMultiple)}`}
+                      </span>
+                    </div>
+                  </>
+                ) : (
+                  <div className="col-span-2 text-gray-500 self-end">Open</div>
+                )}
+              </div>
+
+              {!entry.outcome && <CloseTradeForm entry={entry} onClose={onCloseTrade} />}
+            </div>
+          ))}
+        </div>
+        <p className="mt-3 text-xs text-gray-500">
+          Amounts in USD, coin-margined trades converted at their exit price. The plan is the calculator's
+          projection when the trade was logged, and R is the actual P&L over the planned loss at the stop.
+        </p>
+      </div>
+    </>
+  );
+};
+
+export default Journal;
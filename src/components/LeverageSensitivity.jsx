@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Gauge } from 'lucide-react';
+import { calculateLeverageSensitivity, findMaxLeverage, getLeverageSteps, withLeverage } from '../lib/calculator.js';
+import { formatCurrency, formatPrice } from '../lib/format.js';
+
+const formatPercent = (value) => formatCurrency(value, { decimals: 1, showCents: false, prefix: '', suffix: '%' });
+
+// Net ROI at each target and the stop across leverages, and the highest leverage that keeps
+// liquidation a chosen buffer beyond the stop
+const LeverageSensitivity = ({ position, keep, minLeverage, maxLeverage, targets, stopPrice, onApplyLeverage }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [bufferPercent, setBufferPercent] = useState('1');
+
+  const positionAt = (leverage) => withLeverage(position, leverage, keep);
+  const buffer = parseFloat(bufferPercent);
+  const optimum = expanded && stopPrice && buffer >= 0
+    ? findMaxLeverage(positionAt, { stopPrice, bufferPercent: buffer, minLeverage, maxLeverage })
+    : null;
+
+  const columns = [
+    ...targets.map(target => ({ key: `t${target.index}`, label: `T${target.index + 1}`, price: target.price })),
+    ...(stopPrice ? [{ key: 'stop', label: 'SL', price: stopPrice }] : [])
+  ];
+  const leverages = getLeverageSteps(minLeverage, maxLeverage, position.leverage);
+  if (optimum && !leverages.includes(optimum.leverage)) {
+    leverages.push(optimum.leverage);
+    leverages.sort((a, b) => a - b);
+  }
+  const rows = expanded ? calculateLeverageSensitivity(positionAt, leverages, columns.map(column => column.price)) : [];
+
+  return (
+    <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl border border-gray-700/50 shadow-lg mb-6">
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between p-4 text-gray-300 hover:text-gray-100"
+      >
+        <span className="flex items-center gap-2 font-medium">
+          <Gauge className="w-4 h-4 text-cyan-400" />
+          Leverage Sensitivity
+        </span>
+        <span className="flex items-center gap-2 text-xs text-gray-500">
+          {minLeverage}x – {maxLeverage}x
+          {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="p-4 pt-0 space-y-4">
+          {/* Optimizer */}
+          <div className="p-3 rounded-lg bg-gray-800/30 border border-gray-700/50">
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-300">
+              <span>Keep liquidation</span>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={bufferPercent}
+                onChange={(e) => setBufferPercent(e.target.value)}
+                className="w-20 py-1 px-2 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+              />
+              <span>% beyond the stop</span>
+            </div>
+            {!stopPrice ? (
+              <p className="mt-2 text-xs text-gray-500">Set a stop loss to find the highest leverage that keeps it safe.</p>
+            ) : !(buffer >= 0) ? (
+              <p className="mt-2 text-xs text-yellow-300">⚠️ Enter a buffer of zero or more.</p>
+            ) : optimum ? (
+              <div className="mt-2 flex items-center justify-between gap-3">
+                <p className="text-sm text-gray-300">
+                  Highest leverage <span className="text-cyan-400 font-bold">{optimum.leverage}x</span>
+                  <span className="block text-xs text-gray-500">
+                    Liquidation {formatPrice(optimum.liquidationPrice)}, beyond {formatPrice(optimum.limitPrice)}. Within the
+                    pair's {maxLeverage}x limit and its risk-limit tier.
+                  </span>
+                </p>
+                <button
+                  onClick={() => onApplyLeverage(optimum.leverage)}
+                  disabled={optimum.leverage === position.leverage}
+                  className="py-1 px-3 rounded-lg text-xs font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/60 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {optimum.leverage === position.leverage ? 'Applied' : 'Apply'}
+                </button>
+              </div>
+            ) : (
+              <p className="mt-2 text-xs text-red-300">
+                ⚠️ Even {minLeverage}x is liquidated before the stop plus the buffer. Move the stop closer or reduce the buffer.
+              </p>
+            )}
+          </div>
+
+          {/* Matrix */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="py-1 pr-3 font-medium text-left">Leverage</th>
+                  <th className="py-1 pr-3 font-medium text-right">To Liq.</th>
+                  {columns.map(column => (
+                    <th key={column.key} className="py-1 pr-3 font-medium text-right">
+                      {column.label}
+                      <span className="block font-normal font-mono">{formatPrice(column.price)}</span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr
+                    key={row.leverage}
+                    className={`border-t border-gray-700/50 ${row.leverage === position.leverage ? 'bg-cyan-900/20' : ''} ${row.exceedsTier ? 'opacity-50' : ''}`}
+                  >
+                    <td className="py-1.5 pr-3 font-mono text-gray-200">
+                      {row.leverage}x
+                      {row.leverage === optimum?.leverage && <span className="ml-1 text-cyan-400">★</span>}
+                    </td>
+                    <td className="py-1.5 pr-3 text-right font-mono text-orange-400">
+                      {Number.isFinite(row.liquidationPrice) ? formatPercent(row.distancePercent) : 'None'}
+                    </td>
+                    {row.cells.map((cell, index) => (
+                      <td
+                        key={columns[index].key}
+                        className={`py-1.5 pr-3 text-right font-mono ${cell.liquidated ? 'text-red-500' : cell.roi >= 0 ? 'text-green-400' : 'text-red-400'}`}
+                      >
+                        {cell.liquidated ? 'Liq.' : formatPercent(cell.roi)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500">
+            Net ROI of closing the whole position at each price, fees and projected funding included.{' '}
+            {keep === 'size'
+              ? 'The size stays fixed, so the margin shrinks as leverage grows.'
+              : 'The margin stays fixed, so the size grows with leverage.'}
+            {rows.some(row => row.exceedsTier) && ' Faded rows are above what the risk-limit tier allows for that size.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeverageSensitivity;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Wallet } from 'lucide-react';
+
+const MARGIN_MODES = [
+  { id: 'isolated', label: 'Isolated' },
+  { id: 'cross', label: 'Cross' }
+];
+
+// Isolated / cross toggle plus the wallet balance that backs a cross position
+const MarginModeSettings = ({ marginMode, walletBalance, margin, marginCoin, formatAmount, onMarginModeChange, onWalletBalanceChange }) => {
+  const balance = parseFloat(walletBalance);
+  const walletTooSmall = marginMode === 'cross' && balance > 0 && margin > 0 && balance < margin;
+
+  return (
+    <div className="mb-6">
+      <label className="flex items-center gap-2 text-sm font-medium mb-2 text-gray-300">
+        <Wallet className="w-4 h-4 text-cyan-400" />
+        Margin Mode
+      </label>
+      <div className="flex gap-2">
+        {MARGIN_MODES.map(mode => (
+          <button
+            key={mode.id}
+            onClick={() => onMarginModeChange(mode.id)}
+            className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-all duration-200 ${
+              marginMode === mode.id
+                ? 'bg-cyan-700/50 text-white border border-cyan-500/50'
+                : 'bg-gray-800/60 text-gray-400 hover:bg-gray-700/60 border border-gray-600/50'
+            }`}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {marginMode === 'cross' ? (
+        <div className="mt-3">
+          <span className="block text-xs font-medium mb-1 text-gray-400">Wallet Balance ({marginCoin})</span>
+          <input
+            type="number"
+            min="0"
+            value={walletBalance}
+            onChange={(e) => onWalletBalanceChange(e.target.value)}
+            placeholder="Balance including this position's margin"
+            className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+          />
+          {walletTooSmall ? (
+            <p className="mt-2 text-xs text-yellow-300">
+              ⚠️ Wallet balance is below the {formatAmount(margin)} margin this position needs. Liquidation is estimated on the margin alone.
+            </p>
+          ) : (
+            <p className="mt-2 text-xs text-gray-500">
+              The whole balance absorbs losses before liquidation, so a loss can exceed the position margin. Assumes no other open positions.
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="mt-2 text-xs text-gray-500">Only the position margin can be lost.</p>
+      )}
+    </div>
+  );
+};
+
+export default MarginModeSettings;
@@ -0,0 +1,296 @@
+import React, { useId, useRef, useState } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { calculatePnlCurve, roundToTick } from '../lib/calculator.js';
+import { formatCurrency, formatPrice } from '../lib/format.js';
+
+const WIDTH = 720;
+const HEIGHT = 340;
+const PADDING = { top: 16, right: 104, bottom: 44, left: 72 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const CURVE_STEPS = 160;
+const AXIS_TICKS = 5;
+// Candles get their own strip left of the PnL plot, sharing only the price axis
+const CANDLE_PANEL_WIDTH = 200;
+const PANEL_GAP = 16;
+const TIME_TICKS = 3;
+
+// Short axis numbers, e.g. 1,250 or 0.0034
+const formatTick = (value) => value.toLocaleString('en-US', { maximumSignificantDigits: 4 });
+
+// Candle start times, e.g. Mon 14:00
+const formatTime = (time) => new Date(time).toLocaleString('en-US', { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+// Price range covering every marker (and the candles when shown), padded on both sides
+const getPriceDomain = (entryPrice, prices) => {
+  const valid = prices.filter(price => price > 0 && Number.isFinite(price));
+  const low = Math.min(entryPrice, ...valid);
+  const high = Math.max(entryPrice, ...valid);
+  const span = Math.max(high - low, entryPrice * 0.02);
+  return [Math.max(0, low - span * 0.1), high + span * 0.1];
+};
+
+// Net PnL and ROI across a price range, with draggable target and stop markers
+const PnlChart = ({
+  position,
+  liquidationPrice,
+  breakevenPrice,
+  targets,
+  stopPrice,
+  candles,
+  tickSize,
+  formatAmount,
+  onTargetChange,
+  onStopChange
+}) => {
+  // useId output contains characters that break url(#...) references
+  const clipId = `pnl${useId().replace(/[^a-zA-Z0-9]/g, '')}`;
+  const svgRef = useRef(null);
+  // Frozen while dragging so the axis does not move under the pointer
+  const dragDomainRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
+  const [hoverPrice, setHoverPrice] = useState(null);
+  const [showCandles, setShowCandles] = useState(true);
+
+  const visibleCandles = showCandles ? candles : [];
+  const markers = [
+    { id: 'entry', label: 'Entry', price: position.entryPrice, color: '#22d3ee' },
+    { id: 'breakeven', label: 'BE', price: breakevenPrice, color: '#a3a3a3' },
+    { id: 'liquidation', label: 'Liq', price: liquidationPrice, color: '#f97316' },
+    ...targets.map(target => ({
+      id: `target-${target.index}`,
+      label: `T${target.index + 1}`,
+      price: target.price,
+      color: '#4ade80',
+      drag: { kind: 'target', index: target.index }
+    })),
+    ...(stopPrice ? [{ id: 'stop', label: 'SL', price: stopPrice, color: '#f87171', drag: { kind: 'stop' } }] : [])
+  ].filter(marker => marker.price > 0 && Number.isFinite(marker.price));
+
+  const [minPrice, maxPrice] = dragDomainRef.current || getPriceDomain(position.entryPrice, [
+    ...markers.map(marker => marker.price),
+    ...visibleCandles.flatMap(candle => [candle.low, candle.high])
+  ]);
+
+  const curve = calculatePnlCurve(
+    position,
+    Array.from({ length: CURVE_STEPS + 1 }, (_, i) => minPrice + ((maxPrice - minPrice) * i) / CURVE_STEPS)
+  );
+  const pnls = curve.map(point => point.pnl);
+  const pnlPadding = (Math.max(...pnls, 0) - Math.min(...pnls, 0)) * 0.05 || 1;
+  const minPnl = Math.min(...pnls, 0) - pnlPadding;
+  const maxPnl = Math.max(...pnls, 0) + pnlPadding;
+
+  // Horizontal position means time in the candle strip and PnL in the plot beside it
+  const pnlLeft = visibleCandles.length > 0 ? PADDING.left + CANDLE_PANEL_WIDTH + PANEL_GAP : PADDING.left;
+  const pnlWidth = PADDING.left + PLOT_WIDTH - pnlLeft;
+
+  const priceToY = (price) => PADDING.top + ((maxPrice - price) / (maxPrice - minPrice)) * PLOT_HEIGHT;
+  const yToPrice = (y) => maxPrice - ((y - PADDING.top) / PLOT_HEIGHT) * (maxPrice - minPrice);
+  const pnlToX = (pnl) => pnlLeft + ((pnl - minPnl) / (maxPnl - minPnl)) * pnlWidth;
+  const zeroX = pnlToX(0);
+
+  const curvePoints = curve.map(point => `${pnlToX(point.pnl)},${priceToY(point.price)}`).join(' ');
+  const areaPoints = `${zeroX},${priceToY(minPrice)} ${curvePoints} ${zeroX},${priceToY(maxPrice)}`;
+
+  const toSvgY = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse()).y;
+  };
+
+  const handlePointerDown = (event, drag) => {
+    event.preventDefault();
+    dragDomainRef.current = [minPrice, maxPrice];
+    svgRef.current.setPointerCapture(event.pointerId);
+    setDragging(drag);
+  };
+
+  const handlePointerMove = (event) => {
+    const y = Math.min(Math.max(toSvgY(event), PADDING.top), PADDING.top + PLOT_HEIGHT);
+    const price = yToPrice(y);
+
+    if (!dragging) {
+      setHoverPrice(price);
+      return;
+    }
+
+    const value = String(roundToTick(price, tickSize));
+    if (dragging.kind === 'target') {
+      onTargetChange(dragging.index, value);
+    } else {
+      onStopChange(value);
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragDomainRef.current = null;
+    setDragging(null);
+  };
+
+  const hoverPoint = hoverPrice !== null && !dragging ? calculatePnlCurve(position, [hoverPrice])[0] : null;
+  const candleStep = visibleCandles.length > 0 ? CANDLE_PANEL_WIDTH / visibleCandles.length : 0;
+  const timeTicks = visibleCandles.length > 1
+    ? Array.from({ length: TIME_TICKS }, (_, i) => Math.round((i * (visibleCandles.length - 1)) / (TIME_TICKS - 1)))
+    : [];
+
+  return (
+    <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="flex items-center gap-2 text-xl font-semibold text-gray-100">
+          <BarChart3 className="w-5 h-5 text-cyan-400" />
+          PnL vs Price
+        </h3>
+        {candles.length > 0 && (
+          <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showCandles}
+              onChange={(e) => setShowCandles(e.target.checked)}
+              className="accent-cyan-500"
+            />
+            Candles (1h)
+          </label>
+        )}
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto select-none touch-none"
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onPointerLeave={() => setHoverPrice(null)}
+      >
+        <defs>
+          <clipPath id={`${clipId}-profit`}>
+            <rect x={zeroX} y={PADDING.top} width={Math.max(0, PADDING.left + PLOT_WIDTH - zeroX)} height={PLOT_HEIGHT} />
+          </clipPath>
+          <clipPath id={`${clipId}-loss`}>
+            <rect x={pnlLeft} y={PADDING.top} width={Math.max(0, zeroX - pnlLeft)} height={PLOT_HEIGHT} />
+          </clipPath>
+        </defs>
+
+        {/* Price grid */}
+        {Array.from({ length: AXIS_TICKS }, (_, i) => minPrice + ((maxPrice - minPrice) * (i + 0.5)) / AXIS_TICKS).map((price, i) => (
+          <g key={i}>
+            <line x1={PADDING.left} x2={PADDING.left + PLOT_WIDTH} y1={priceToY(price)} y2={priceToY(price)} stroke="#374151" strokeDasharray="2 4" />
+            <text x={PADDING.left - 6} y={priceToY(price) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+              {formatPrice(price)}
+            </text>
+          </g>
+        ))}
+
+        {/* Candle strip, oldest on the left, with its own time axis */}
+        {visibleCandles.length > 0 && (
+          <g>
+            <rect x={PADDING.left} y={PADDING.top} width={CANDLE_PANEL_WIDTH} height={PLOT_HEIGHT} fill="#111827" fillOpacity="0.6" stroke="#374151" />
+            {visibleCandles.map((candle, i) => {
+              const x = PADDING.left + candleStep * (i + 0.5);
+              const color = candle.close >= candle.open ? '#22c55e' : '#ef4444';
+              const bodyTop = priceToY(Math.max(candle.open, candle.close));
+              const bodyHeight = Math.max(1, priceToY(Math.min(candle.open, candle.close)) - bodyTop);
+              return (
+                <g key={candle.time} opacity="0.7">
+                  <line x1={x} x2={x} y1={priceToY(candle.high)} y2={priceToY(candle.low)} stroke={color} />
+                  <rect x={x - candleStep * 0.3} y={bodyTop} width={candleStep * 0.6} height={bodyHeight} fill={color} />
+                </g>
+              );
+            })}
+            {timeTicks.map((index, i) => (
+              <text
+                key={index}
+                x={PADDING.left + candleStep * (index + 0.5)}
+                y={HEIGHT - PADDING.bottom + 16}
+                textAnchor={i === 0 ? 'start' : i === timeTicks.length - 1 ? 'end' : 'middle'}
+                fontSize="10"
+                fill="#9ca3af"
+              >
+                {formatTime(visibleCandles[index].time)}
+              </text>
+            ))}
+            <text x={PADDING.left + CANDLE_PANEL_WIDTH / 2} y={HEIGHT - PADDING.bottom + 30} textAnchor="middle" fontSize="10" fill="#6b7280">
+              Time (1h candles)
+            </text>
+          </g>
+        )}
+
+        {/* PnL curve */}
+        <polygon points={areaPoints} fill="#22c55e" fillOpacity="0.15" clipPath={`url(#${clipId}-profit)`} />
+        <polygon points={areaPoints} fill="#ef4444" fillOpacity="0.15" clipPath={`url(#${clipId}-loss)`} />
+        <line x1={zeroX} x2={zeroX} y1={PADDING.top} y2={PADDING.top + PLOT_HEIGHT} stroke="#6b7280" />
+        <polyline points={curvePoints} fill="none" stroke="#e5e7eb" strokeWidth="2" />
+
+        {/* PnL and ROI axis */}
+        {Array.from({ length: AXIS_TICKS }, (_, i) => minPnl + ((maxPnl - minPnl) * (i + 0.5)) / AXIS_TICKS).map((pnl, i) => (
+          <g key={i}>
+            <text x={pnlToX(pnl)} y={HEIGHT - PADDING.bottom + 16} textAnchor="middle" fontSize="11" fill="#9ca3af">
+              {formatTick(pnl)}
+            </text>
+            <text x={pnlToX(pnl)} y={HEIGHT - PADDING.bottom + 30} textAnchor="middle" fontSize="10" fill="#6b7280">
+              {formatTick((pnl / position.margin) * 100)}%
+            </text>
+          </g>
+        ))}
+
+        {/* Markers */}
+        {markers.map(marker => {
+          const y = priceToY(marker.price);
+          if (y < PADDING.top || y > PADDING.top + PLOT_HEIGHT) return null;
+          return (
+            <g
+              key={marker.id}
+              className={marker.drag ? 'cursor-ns-resize' : undefined}
+              onPointerDown={marker.drag ? (event) => handlePointerDown(event, marker.drag) : undefined}
+            >
+              <line
+                x1={PADDING.left}
+                x2={PADDING.left + PLOT_WIDTH}
+                y1={y}
+                y2={y}
+                stroke={marker.color}
+                strokeWidth={marker.drag ? 1.5 : 1}
+                strokeDasharray={marker.drag ? undefined : '6 4'}
+              />
+              {marker.drag && (
+                <line x1={PADDING.left} x2={PADDING.left + PLOT_WIDTH} y1={y} y2={y} stroke="transparent" strokeWidth="12" />
+              )}
+              <text x={PADDING.left + PLOT_WIDTH + 6} y={y + 4} fontSize="11" fill={marker.color}>
+                {marker.label} {formatPrice(marker.price)}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Hover readout */}
+        {hoverPoint && (
+          <g pointerEvents="none">
+            <line
+              x1={PADDING.left}
+              x2={PADDING.left + PLOT_WIDTH}
+              y1={priceToY(hoverPoint.price)}
+              y2={priceToY(hoverPoint.price)}
+              stroke="#9ca3af"
+              strokeDasharray="1 3"
+            />
+            <circle cx={pnlToX(hoverPoint.pnl)} cy={priceToY(hoverPoint.price)} r="3" fill="#e5e7eb" />
+            <text x={pnlLeft + 8} y={PADDING.top + 14} fontSize="12" fill="#e5e7eb">
+              {formatPrice(hoverPoint.price)} · {formatAmount(hoverPoint.pnl)} · {formatCurrency(hoverPoint.roi, { decimals: 2, prefix: '', suffix: '%' })}
+              {hoverPoint.liquidated && ' (liquidated)'}
+            </text>
+          </g>
+        )}
+      </svg>
+
+      <p className="mt-2 text-xs text-gray-500">
+        Net PnL of closing the whole position at each price, ROI below. Drag a target or the stop to move it.
+        {visibleCandles.length > 0 && ' Recent candles on the left share the price axis, with time running left to right.'}
+      </p>
+    </div>
+  );
+};
+
+export default PnlChart;
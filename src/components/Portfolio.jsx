@@ -0,0 +1,159 @@
+import React from 'react';
+import { AlertTriangle, Briefcase, ExternalLink, Trash2 } from 'lucide-react';
+import { formatCurrency, formatPrice } from '../lib/format.js';
+
+const formatSigned = (amount) => `${amount >= 0 ? '+' : '−'}${formatCurrency(Math.abs(amount))}`;
+const pnlColor = (amount) => (amount >= 0 ? 'text-green-400' : 'text-red-400');
+
+const SummaryStat = ({ label, value, className = 'text-gray-100', hint }) => (
+  <div className="text-center p-3 bg-gray-800/30 rounded-lg">
+    <span className="text-gray-400 text-xs block mb-1">{label}</span>
+    <span className={`font-bold ${className}`}>{value}</span>
+    {hint && <span className="text-xs text-gray-500 block">{hint}</span>}
+  </div>
+);
+
+// Several calculator setups side by side with their combined margin, exposure and PnL
+const Portfolio = ({ entries, summary, onOpen, onRemove }) => {
+  if (entries.length === 0) {
+    return (
+      <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg text-center">
+        <Briefcase className="w-8 h-8 text-gray-600 mx-auto mb-3" />
+        <p className="text-gray-400">No positions in the portfolio yet.</p>
+        <p className="text-xs text-gray-500 mt-1">
+          Set up a trade in the calculator and use "Add to Portfolio" to track it here.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+        <h3 className="text-xl font-semibold mb-4 text-gray-100">Portfolio Summary</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <SummaryStat label="Margin Used" value={formatCurrency(summary.marginUsd)} className="text-cyan-400" />
+          <SummaryStat label="Total Notional" value={formatCurrency(summary.notionalUsd)} />
+          <SummaryStat
+            label="Net Exposure"
+            value={formatSigned(summary.netExposureUsd)}
+            className={summary.netExposureUsd >= 0 ? 'text-green-400' : 'text-red-400'}
+            hint={`${formatCurrency(summary.longUsd, { decimals: 0, showCents: false })} long · ${formatCurrency(summary.shortUsd, { decimals: 0, showCents: false })} short`}
+          />
+          <SummaryStat
+            label="Unrealized P&L"
+            value={formatSigned(summary.unrealizedPnlUsd)}
+            className={pnlColor(summary.unrealizedPnlUsd)}
+            hint="At live prices"
+          />
+          <SummaryStat
+            label="P&L at Targets"
+            value={formatSigned(summary.targetPnlUsd)}
+            className={pnlColor(summary.targetPnlUsd)}
+          />
+          <SummaryStat
+            label="Leverage"
+            value={summary.marginUsd > 0 ? `${(summary.notionalUsd / summary.marginUsd).toFixed(1)}x` : 'N/A'}
+            hint="Notional / margin"
+          />
+        </div>
+
+        {/* Worst case */}
+        <div className="mt-4 p-4 rounded-lg border bg-red-900/20 border-red-500/40">
+          <div className="flex items-center justify-between">
+            <span className="flex items-center gap-2 text-red-300 font-medium">
+              <AlertTriangle className="w-4 h-4" />
+              Worst Case (every stop hit)
+            </span>
+            <span className="text-red-400 font-bold text-lg">{formatSigned(summary.worstCasePnlUsd)}</span>
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            {summary.marginUsd > 0 && `${formatCurrency((Math.abs(summary.worstCasePnlUsd) / summary.marginUsd) * 100, { decimals: 1, prefix: '', suffix: '%' })} of the margin in use. `}
+            {summary.unprotected > 0
+              ? `${summary.unprotected} position${summary.unprotected === 1 ? ' has' : 's have'} no usable stop and count${summary.unprotected === 1 ? 's' : ''} as fully liquidated.`
+              : 'Every position has a stop inside its liquidation price.'}
+            {summary.sharedWalletCoins.length > 0 &&
+              ` Cross positions on the ${summary.sharedWalletCoins.join(' and ')} wallet share it and can lose it only once.`}
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+        <h3 className="text-xl font-semibold mb-4 text-gray-100">Positions</h3>
+        <div className="space-y-3">
+          {entries.map(({ entry, setup, result }) => (
+            <div key={entry.id} className="p-4 rounded-lg border border-gray-700/50 bg-gray-800/30">
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-cyan-300">{entry.pair.symbol}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded ${
+                    setup.positionType === 'Long' ? 'bg-green-900/40 text-green-300' : 'bg-red-900/40 text-red-300'
+                  }`}>
+                    {setup.positionType} {result?.position.leverage ?? setup.leverage}x
+                  </span>
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => onOpen(entry)}
+                    className="p-2 text-gray-500 hover:text-cyan-300 rounded-lg hover:bg-gray-800/60 transition-all"
+                    title="Open in calculator"
+                  >
+                    <ExternalLink className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onRemove(entry.id)}
+                    className="p-2 text-gray-500 hover:text-red-400 rounded-lg hover:bg-gray-800/60 transition-all"
+                    title="Remove from portfolio"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              {result ? (
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-xs">
+                  <div>
+                    <span className="text-gray-500 block">Entry / Mark</span>
+                    <span className="text-gray-200 font-mono">
+                      {formatPrice(result.position.entryPrice)} / {formatPrice(result.markPrice)}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Margin · Notional</span>
+                    <span className="text-gray-200 font-mono">
+                      {formatCurrency(result.marginUsd)} · {formatCurrency(result.notionalUsd, { decimals: 0, showCents: false })}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Unrealized</span>
+                    <span className={`font-mono ${pnlColor(result.unrealizedPnlUsd)}`}>{formatSigned(result.unrealizedPnlUsd)}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">At Targets</span>
+                    <span className={`font-mono ${result.targetPnlUsd === null ? 'text-gray-500' : pnlColor(result.targetPnlUsd)}`}>
+                      {result.targetPnlUsd === null ? 'No targets' : formatSigned(result.targetPnlUsd)}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">{result.protectedByStop ? 'At Stop' : 'Unprotected'}</span>
+                    <span className={`font-mono ${result.protectedByStop ? 'text-red-400' : 'text-orange-400'}`}>
+                      {formatSigned(result.worstCasePnlUsd)}
+                    </span>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-xs text-gray-500">Waiting for a live price or missing an entry size.</p>
+              )}
+            </div>
+          ))}
+        </div>
+        <p className="mt-3 text-xs text-gray-500">
+          Amounts in USD, coin-margined positions converted at their live price. Liquidation uses each pair's
+          risk-limit tiers and funding is projected over each setup's holding period, as in the calculator.
+        </p>
+      </div>
+    </>
+  );
+};
+
+export default Portfolio;
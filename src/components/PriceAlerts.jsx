@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, BellRing, Trash2, X } from 'lucide-react';
+import { getLiquidationAlertPrice } from '../lib/alerts.js';
+import { formatPrice } from '../lib/format.js';
+
+const ArmButton = ({ label, price, disabled, onClick }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled || !(price > 0)}
+    className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-800/60 text-gray-300 hover:bg-gray-700/60 border border-gray-600/50 transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+  >
+    <Bell className="w-3 h-3" />
+    {label}
+    {price > 0 && <span className="font-mono text-gray-400">{formatPrice(price)}</span>}
+  </button>
+);
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+// Arm price alerts on the targets, the stop, liquidation proximity or a custom level,
+// with every armed alert and the log of fired ones
+const PriceAlerts = ({
+  pair,
+  currentPrice,
+  side,
+  targets,
+  stopPrice,
+  liquidationPrice,
+  alerts,
+  log,
+  permission,
+  onArm,
+  onRemove,
+  onClearLog,
+  onEnableNotifications
+}) => {
+  const [liquidationPercent, setLiquidationPercent] = useState('5');
+  const [customPrice, setCustomPrice] = useState('');
+
+  const canArm = currentPrice > 0;
+  const liquidationAlertPrice = Number.isFinite(liquidationPrice) && liquidationPrice > 0
+    ? getLiquidationAlertPrice(side, liquidationPrice, parseFloat(liquidationPercent) || 0)
+    : null;
+
+  const armCustom = () => {
+    onArm({ kind: 'custom', label: 'Custom', price: parseFloat(customPrice) });
+    setCustomPrice('');
+  };
+
+  return (
+    <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl p-6 mb-6 border border-gray-700/50 shadow-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="flex items-center gap-2 text-xl font-semibold text-gray-100">
+          <BellRing className="w-5 h-5 text-yellow-400" />
+          Price Alerts
+        </h3>
+        {permission === 'granted' ? (
+          <span className="text-xs text-gray-500">Desktop notifications on</span>
+        ) : permission === 'default' ? (
+          <button
+            onClick={onEnableNotifications}
+            className="px-3 py-1.5 rounded-lg text-xs font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/50 transition-all"
+          >
+            Enable Notifications
+          </button>
+        ) : (
+          <span className="flex items-center gap-1 text-xs text-gray-500">
+            <BellOff className="w-3 h-3" />
+            {permission === 'denied' ? 'Notifications blocked, sound and log only' : 'Notifications unsupported, sound and log only'}
+          </span>
+        )}
+      </div>
+
+      {/* Arm */}
+      <div className="flex flex-wrap gap-2 mb-3">
+        {targets.map(target => (
+          <ArmButton
+            key={target.index}
+            label={`T${target.index + 1}`}
+            price={target.price}
+            disabled={!canArm}
+            onClick={() => onArm({ kind: 'target', label: `T${target.index + 1}`, price: target.price })}
+          />
+        ))}
+        <ArmButton
+          label="Stop"
+          price={stopPrice}
+          disabled={!canArm}
+          onClick={() => onArm({ kind: 'stop', label: 'Stop', price: stopPrice })}
+        />
+      </div>
+
+      <div className="grid gap-3 md:grid-cols-2 mb-4">
+        <div className="flex items-end gap-2">
+          <div className="flex-1">
+            <span className="block text-xs font-medium mb-1 text-gray-400">Near Liquidation (% before)</span>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={liquidationPercent}
+              onChange={(e) => setLiquidationPercent(e.target.value)}
+              className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+            />
+          </div>
+          <ArmButton
+            label="Arm"
+            price={liquidationAlertPrice}
+            disabled={!canArm}
+            onClick={() => onArm({
+              kind: 'liquidation',
+              label: `${parseFloat(liquidationPercent) || 0}% from liquidation`,
+              price: liquidationAlertPrice
+            })}
+          />
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="flex-1">
+            <span className="block text-xs font-medium mb-1 text-gray-400">Custom Price</span>
+            <input
+              type="number"
+              min="0"
+              value={customPrice}
+              onChange={(e) => setCustomPrice(e.target.value)}
+              placeholder={currentPrice ? formatPrice(currentPrice).replace('$', '') : 'Price'}
+              className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+            />
+          </div>
+          <ArmButton label="Arm" price={parseFloat(customPrice)} disabled={!canArm} onClick={armCustom} />
+        </div>
+      </div>
+
+      {!canArm && (
+        <p className="mb-4 text-xs text-gray-500">Waiting for a live {pair.symbol} price before alerts can be armed.</p>
+      )}
+
+      {/* Armed */}
+      <h4 className="text-sm font-medium text-gray-300 mb-2">Armed ({alerts.length})</h4>
+      {alerts.length === 0 ? (
+        <p className="text-xs text-gray-500 mb-4">No alerts armed.</p>
+      ) : (
+        <div className="space-y-1 mb-4">
+          {alerts.map(alert => (
+            <div key={alert.id} className="flex items-center justify-between p-2 rounded-lg bg-gray-800/30 text-xs">
+              <span className="text-gray-300">
+                <span className="text-cyan-300 font-medium">{alert.pair.symbol}</span> {alert.label}{' '}
+                <span className="text-gray-500">{alert.direction === 'above' ? '≥' : '≤'}</span>{' '}
+                <span className="font-mono">{formatPrice(alert.price)}</span>
+              </span>
+              <button
+                onClick={() => onRemove(alert.id)}
+                className="p-1 text-gray-500 hover:text-red-400 transition-all"
+                title="Remove alert"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Log */}
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-gray-300">Alert Log</h4>
+        {log.length > 0 && (
+          <button
+            onClick={onClearLog}
+            className="flex items-center gap-1 text-xs text-gray-500 hover:text-red-400 transition-all"
+          >
+            <Trash2 className="w-3 h-3" />
+            Clear
+          </button>
+        )}
+      </div>
+      {log.length === 0 ? (
+        <p className="text-xs text-gray-500">Nothing has fired yet.</p>
+      ) : (
+        <div className="space-y-1 max-h-48 overflow-y-auto">
+          {log.map(entry => (
+            <div key={`${entry.id}-${entry.firedAt}`} className="flex items-center justify-between p-2 rounded-lg bg-gray-800/30 text-xs">
+              <span className="text-gray-300">
+                <span className="text-cyan-300 font-medium">{entry.pair.symbol}</span> {entry.label} at{' '}
+                <span className="font-mono">{formatPrice(entry.firedPrice)}</span>
+              </span>
+              <span className="text-gray-500">{formatTime(entry.firedAt)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="mt-3 text-xs text-gray-500">
+        Alerts fire once and keep running in a background tab. They stop when the tab is closed.
+      </p>
+    </div>
+  );
+};
+
+export default PriceAlerts;
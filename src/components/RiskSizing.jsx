@@ -0,0 +1,129 @@
+import React from 'react';
+import { AlertTriangle, Target } from 'lucide-react';
+
+const formatQuantity = (quantity) => quantity.toLocaleString('en-US', { maximumFractionDigits: 8 });
+
+// Equity and risk inputs plus the size, margin and leverage they lead to
+const RiskSizing = ({
+  equity,
+  riskPercent,
+  sizing,
+  hasStop,
+  leverage,
+  quantityUnit,
+  marginCoin,
+  formatAmount,
+  onEquityChange,
+  onRiskPercentChange,
+  onApplyLeverage
+}) => {
+  const leverageTooHigh = sizing?.maxSafeLeverage !== null && sizing?.maxSafeLeverage !== undefined && leverage > sizing.maxSafeLeverage;
+  const marginExceedsEquity = sizing && sizing.requiredLeverage > leverage;
+
+  return (
+    <div className="mb-6 bg-gray-800/30 rounded-lg border border-gray-700/50 p-3">
+      <span className="flex items-center gap-2 text-sm font-medium text-gray-300 mb-3">
+        <Target className="w-4 h-4 text-cyan-400" />
+        Risk-Based Size
+      </span>
+
+      <div className="grid gap-3 md:grid-cols-2">
+        <div>
+          <span className="block text-xs font-medium mb-1 text-gray-400">Account Equity ({marginCoin})</span>
+          <input
+            type="number"
+            min="0"
+            value={equity}
+            onChange={(e) => onEquityChange(e.target.value)}
+            placeholder="0"
+            className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+          />
+        </div>
+        <div>
+          <span className="block text-xs font-medium mb-1 text-gray-400">Risk per Trade (%)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={riskPercent}
+            onChange={(e) => onRiskPercentChange(e.target.value)}
+            placeholder="1"
+            className="w-full py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+          />
+        </div>
+      </div>
+
+      {!hasStop && (
+        <p className="mt-3 text-xs text-gray-500">Set a stop loss below to size the position from the risk.</p>
+      )}
+
+      {hasStop && !sizing && (
+        <p className="mt-3 text-xs text-yellow-400">Enter your equity and a stop on the losing side of entry.</p>
+      )}
+
+      {sizing && (
+        <div className="mt-3 space-y-2 text-sm">
+          <div className="flex justify-between">
+            <span className="text-gray-400">Risk Amount:</span>
+            <span className="text-gray-200 font-mono">{formatAmount(sizing.riskAmount)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Quantity:</span>
+            <span className="text-gray-200 font-mono">{formatQuantity(sizing.quantity)} {quantityUnit}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Margin at {leverage}x:</span>
+            <span className="text-cyan-300 font-mono">{formatAmount(sizing.margin)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Loss at Stop:</span>
+            <span className="text-red-400 font-mono">{formatAmount(sizing.actualRisk)}</span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-400">Max Safe Leverage:</span>
+            <span className="flex items-center gap-2">
+              <span className={`font-mono ${leverageTooHigh ? 'text-red-400' : 'text-green-400'}`}>
+                {sizing.maxSafeLeverage === null ? 'None' : `${sizing.maxSafeLeverage}x`}
+              </span>
+              {sizing.maxSafeLeverage !== null && sizing.maxSafeLeverage !== leverage && (
+                <button
+                  onClick={() => onApplyLeverage(sizing.maxSafeLeverage)}
+                  className="py-0.5 px-2 rounded-md text-xs font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/60 transition-all"
+                >
+                  Use
+                </button>
+              )}
+            </span>
+          </div>
+
+          {sizing.maxSafeLeverage === null && (
+            <div className="flex items-center gap-2 text-xs text-red-400">
+              <AlertTriangle className="w-3 h-3" />
+              The stop is beyond liquidation even at the lowest leverage
+            </div>
+          )}
+          {leverageTooHigh && (
+            <div className="flex items-center gap-2 text-xs text-red-400">
+              <AlertTriangle className="w-3 h-3" />
+              At {leverage}x the position is liquidated before the stop
+            </div>
+          )}
+          {marginExceedsEquity && (
+            <div className="flex items-center gap-2 text-xs text-yellow-400">
+              <AlertTriangle className="w-3 h-3" />
+              Margin exceeds equity, needs at least {Math.ceil(sizing.requiredLeverage * 10) / 10}x
+            </div>
+          )}
+          {sizing.cappedAtMaxQty && (
+            <div className="flex items-center gap-2 text-xs text-yellow-400">
+              <AlertTriangle className="w-3 h-3" />
+              Size capped at the maximum order quantity, less than the full risk is used
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiskSizing;
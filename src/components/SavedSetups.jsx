@@ -0,0 +1,132 @@
+import React, { useRef, useState } from 'react';
+import { Bookmark, ChevronDown, ChevronUp, Download, Trash2, Upload } from 'lucide-react';
+
+// Named setups saved in the browser, plus import/export of the whole library
+const SavedSetups = ({ setups, canSave, defaultName, onSave, onLoad, onDelete, onExport, onImport }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleSave = () => {
+    const setupName = name.trim() || defaultName;
+    onSave(setupName);
+    setName('');
+    setMessage({ type: 'info', text: `Saved "${setupName}".` });
+  };
+
+  const handleLoad = async (setup) => {
+    setMessage({ type: 'info', text: `Loading "${setup.name}"...` });
+    const loaded = await onLoad(setup);
+    setMessage(loaded
+      ? { type: 'info', text: `Loaded "${setup.name}".` }
+      : { type: 'error', text: `${setup.pair} is no longer available on Bybit.` });
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = await onImport(file);
+      setMessage({ type: 'info', text: `Imported ${count} setup${count === 1 ? '' : 's'}.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  return (
+    <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl border border-gray-700/50 shadow-lg mb-6">
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between p-4 text-gray-300 hover:text-gray-100"
+      >
+        <span className="flex items-center gap-2 font-medium">
+          <Bookmark className="w-4 h-4 text-cyan-400" />
+          Saved Setups
+        </span>
+        <span className="flex items-center gap-2 text-xs text-gray-500">
+          {setups.length} saved
+          {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="p-4 pt-0 space-y-4">
+          {canSave && (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                placeholder={defaultName}
+                className="flex-1 py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-100 placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+              />
+              <button
+                onClick={handleSave}
+                className="py-2 px-4 rounded-lg text-sm font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/60 transition-all"
+              >
+                Save Current
+              </button>
+            </div>
+          )}
+
+          {setups.length > 0 ? (
+            <div className="max-h-60 overflow-y-auto">
+              {setups.map(setup => (
+                <div
+                  key={setup.id}
+                  className="flex items-center justify-between gap-2 p-2 border-b border-gray-700/50 last:border-b-0"
+                >
+                  <button onClick={() => handleLoad(setup)} className="flex-1 text-left group">
+                    <span className="block text-sm text-cyan-300 group-hover:text-cyan-200">{setup.name}</span>
+                    <span className="block text-xs text-gray-500">
+                      {setup.pair} · {new Date(setup.savedAt).toLocaleString()}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => onDelete(setup.id)}
+                    className="p-2 text-gray-500 hover:text-red-400 rounded-lg hover:bg-gray-800/60 transition-all"
+                    title="Delete setup"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500">
+              No saved setups yet. Select a pair and save its inputs to come back to them later.
+            </p>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={onExport}
+              className="inline-flex items-center gap-1 text-xs text-gray-300 hover:text-gray-100 px-2 py-1 rounded border border-gray-600/50 hover:border-gray-500 transition-all"
+            >
+              <Download className="w-3 h-3" />
+              Export JSON
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="inline-flex items-center gap-1 text-xs text-gray-300 hover:text-gray-100 px-2 py-1 rounded border border-gray-600/50 hover:border-gray-500 transition-all"
+            >
+              <Upload className="w-3 h-3" />
+              Import JSON
+            </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+          </div>
+
+          {message && (
+            <p className={`text-xs ${message.type === 'error' ? 'text-red-400' : 'text-gray-400'}`}>{message.text}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedSetups;
@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Check, Copy } from 'lucide-react';
+import QRCode from 'qrcode';
+
+// Share link for the current setup with a copy button and a QR code to open it on a phone
+const ShareSetup = ({ url }) => {
+  const [qrCode, setQrCode] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toString(url, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' })
+      .then(svg => {
+        if (!cancelled) setQrCode(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+      })
+      .catch(error => {
+        // Only fails for data beyond QR capacity, the link still works without it
+        console.error('Error generating QR code:', error);
+        if (!cancelled) setQrCode(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      // Clipboard access can be blocked, leave the link selected for a manual copy
+      inputRef.current?.select();
+    }
+  };
+
+  return (
+    <div className="mb-6 p-3 bg-gray-800/30 rounded-lg border border-gray-700/50">
+      <div className="flex gap-2">
+        <input
+          ref={inputRef}
+          type="text"
+          readOnly
+          value={url}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 py-2 px-3 bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-300 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-cyan-500"
+        />
+        <button
+          onClick={copyLink}
+          className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium bg-cyan-700/50 text-white border border-cyan-500/50 hover:bg-cyan-600/50 transition-all"
+        >
+          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+          {copied ? 'Copied' : 'Copy Link'}
+        </button>
+      </div>
+
+      {qrCode && (
+        <div className="mt-3 flex items-center gap-4">
+          <img src={qrCode} alt="QR code for the share link" className="w-36 h-36 rounded-lg bg-white" />
+          <p className="text-xs text-gray-500">
+            Scan with a phone camera to open this setup there. The link carries every input, nothing is stored on a server.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareSetup;
@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, ChevronLeft, ChevronRight, Flame, SlidersHorizontal, Zap } from 'lucide-react';
+import { SCANNER_MARKETS } from '../lib/scanner.js';
+import { formatCurrency, formatPrice } from '../lib/format.js';
+
+const COLUMNS = [
+  { key: 'symbol', label: 'Pair', align: 'text-left' },
+  { key: 'lastPrice', label: 'Price', align: 'text-right' },
+  { key: 'priceChangePercent', label: '24h %', align: 'text-right' },
+  { key: 'turnover24h', label: 'Turnover', align: 'text-right' },
+  { key: 'fundingRate', label: 'Funding', align: 'text-right' },
+  { key: 'openInterestUsd', label: 'Open Int.', align: 'text-right' },
+  { key: 'maxLeverage', label: 'Max Lev.', align: 'text-right' }
+];
+
+const PAGE_SIZES = [8, 20, 50];
+const REFRESH_OPTIONS = [
+  { ms: 10000, label: '10s' },
+  { ms: 30000, label: '30s' },
+  { ms: 60000, label: '1m' },
+  { ms: 300000, label: '5m' }
+];
+
+const formatCompactUsd = (amount) => {
+  if (amount >= 1e9) return formatCurrency(amount / 1e9, { decimals: 2, suffix: 'B' });
+  if (amount >= 1e6) return formatCurrency(amount / 1e6, { decimals: 1, suffix: 'M' });
+  if (amount >= 1e3) return formatCurrency(amount / 1e3, { decimals: 1, suffix: 'K' });
+  return formatCurrency(amount, { decimals: 0, showCents: false });
+};
+
+const inputClass = 'w-full py-1.5 px-2 bg-gray-800/60 border border-gray-600/50 rounded-md text-gray-100 placeholder-gray-500 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all';
+
+const FilterInput = ({ label, value, onChange, placeholder = 'Any' }) => (
+  <div>
+    <span className="block text-xs font-medium mb-1 text-gray-400">{label}</span>
+    <input type="number" min="0" value={value} onChange={(e) => onChange(e.target.value)} placeholder={placeholder} className={inputClass} />
+  </div>
+);
+
+// Perpetuals across USDT, USDC and inverse markets with adjustable filters, sorting and paging
+const TrendingScanner = ({
+  page,
+  matchCount,
+  totalCount,
+  settings,
+  loading,
+  progress,
+  isLive,
+  staleSince,
+  onSettingsChange,
+  onPageChange,
+  onSelect
+}) => {
+  const [showFilters, setShowFilters] = useState(false);
+
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  const toggleMarket = (market) => {
+    const markets = settings.markets.includes(market)
+      ? settings.markets.filter(item => item !== market)
+      : [...settings.markets, market];
+    update({ markets });
+  };
+
+  const sortBy = (key) => {
+    if (settings.sortKey === key) {
+      update({ sortDirection: settings.sortDirection === 'desc' ? 'asc' : 'desc' });
+    } else {
+      update({ sortKey: key, sortDirection: key === 'symbol' ? 'asc' : 'desc' });
+    }
+  };
+
+  return (
+    <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl border border-gray-700/50 shadow-lg overflow-hidden mb-6">
+      {/* Progress bar at the top */}
+      <div className="h-1 bg-gray-800">
+        <div
+          className="h-full bg-gradient-to-r from-orange-500 via-orange-400 to-yellow-500 transition-all duration-100 ease-linear"
+          style={{ width: `${progress}%` }}
+        ></div>
+      </div>
+
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Flame className="w-5 h-5 text-orange-500" />
+            <h3 className="text-lg font-semibold text-gray-100">Trending Perpetuals</h3>
+            {staleSince ? (
+              <span className="text-xs text-yellow-400">
+                Cached · as of {new Date(staleSince).toLocaleString()}
+              </span>
+            ) : (
+              <span className="text-xs text-gray-500">
+                {isLive ? 'Live stream' : 'Live updates'}
+              </span>
+            )}
+          </div>
+          <button
+            onClick={() => setShowFilters(prev => !prev)}
+            className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium border transition-all ${
+              showFilters
+                ? 'bg-cyan-700/50 text-white border-cyan-500/50'
+                : 'bg-gray-800/60 text-gray-400 hover:bg-gray-700/60 border-gray-600/50'
+            }`}
+          >
+            <SlidersHorizontal className="w-3 h-3" />
+            Filters
+          </button>
+        </div>
+
+        {/* Markets */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          {SCANNER_MARKETS.map(market => (
+            <button
+              key={market.id}
+              onClick={() => toggleMarket(market.id)}
+              className={`px-3 py-1 rounded-full text-xs font-medium border transition-all ${
+                settings.markets.includes(market.id)
+                  ? 'bg-cyan-900/40 text-cyan-300 border-cyan-500/40'
+                  : 'bg-gray-800/40 text-gray-500 border-gray-700/50 hover:text-gray-300'
+              }`}
+            >
+              {market.label}
+            </button>
+          ))}
+        </div>
+
+        {showFilters && (
+          <div className="mb-4 p-3 bg-gray-800/30 rounded-lg border border-gray-700/50 space-y-3">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <FilterInput label="Min Turnover (USD)" value={settings.minTurnover} onChange={(value) => update({ minTurnover: value })} />
+              <FilterInput label="Min Volume (qty)" value={settings.minVolume} onChange={(value) => update({ minVolume: value })} />
+              <FilterInput label="Min |24h Change| (%)" value={settings.minAbsChange} onChange={(value) => update({ minAbsChange: value })} />
+              <FilterInput label="Min Open Interest (USD)" value={settings.minOpenInterest} onChange={(value) => update({ minOpenInterest: value })} />
+              <FilterInput label="Min |Funding| (%)" value={settings.minAbsFunding} onChange={(value) => update({ minAbsFunding: value })} />
+              <div>
+                <span className="block text-xs font-medium mb-1 text-gray-400">Funding Sign</span>
+                <select value={settings.fundingSign} onChange={(e) => update({ fundingSign: e.target.value })} className={inputClass}>
+                  <option value="any">Any</option>
+                  <option value="positive">Positive (longs pay)</option>
+                  <option value="negative">Negative (shorts pay)</option>
+                </select>
+              </div>
+              <FilterInput label="Max Leverage at Least" value={settings.minMaxLeverage} onChange={(value) => update({ minMaxLeverage: value })} />
+              <div>
+                <span className="block text-xs font-medium mb-1 text-gray-400">Refresh List</span>
+                <select value={settings.refreshMs} onChange={(e) => update({ refreshMs: Number(e.target.value) })} className={inputClass}>
+                  {REFRESH_OPTIONS.map(option => (
+                    <option key={option.ms} value={option.ms}>Every {option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {loading && totalCount === 0 ? (
+          <div className="space-y-2">
+            {[...Array(settings.pageSize > 8 ? 8 : settings.pageSize)].map((_, i) => (
+              <div key={i} className="h-8 bg-gray-800/40 rounded animate-pulse"></div>
+            ))}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-500 text-xs border-b border-gray-700/50">
+                  {COLUMNS.map(column => (
+                    <th key={column.key} className={`${column.align} font-medium py-2 px-2 whitespace-nowrap`}>
+                      <button onClick={() => sortBy(column.key)} className="inline-flex items-center gap-1 hover:text-gray-300">
+                        {column.label}
+                        {settings.sortKey === column.key && (
+                          settings.sortDirection === 'desc' ? <ArrowDown className="w-3 h-3" /> : <ArrowUp className="w-3 h-3" />
+                        )}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {page.rows.map(pair => (
+                  <tr
+                    key={`${pair.category}:${pair.baseSymbol}`}
+                    onClick={() => onSelect(pair)}
+                    className="border-b border-gray-800/60 hover:bg-gray-800/50 cursor-pointer transition-all"
+                  >
+                    <td className="py-2 px-2">
+                      <span className="flex items-center gap-1 font-medium text-cyan-300">
+                        {pair.symbol}
+                        {pair.isHot && <Zap className="w-3 h-3 text-yellow-500" />}
+                      </span>
+                      <span className="text-xs text-gray-500">{pair.categoryLabel}</span>
+                    </td>
+                    <td className="py-2 px-2 text-right font-mono text-white">{formatPrice(pair.lastPrice)}</td>
+                    <td className={`py-2 px-2 text-right font-medium ${pair.priceChangePercent >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {pair.priceChangePercent >= 0 ? '+' : ''}{pair.priceChangePercent.toFixed(2)}%
+                    </td>
+                    <td className="py-2 px-2 text-right text-gray-300">{formatCompactUsd(pair.turnover24h)}</td>
+                    <td className={`py-2 px-2 text-right font-mono ${pair.fundingRate >= 0 ? 'text-gray-300' : 'text-orange-300'}`}>
+                      {(pair.fundingRate * 100).toFixed(4)}%
+                    </td>
+                    <td className="py-2 px-2 text-right text-gray-300">{formatCompactUsd(pair.openInterestUsd)}</td>
+                    <td className="py-2 px-2 text-right text-gray-300">{pair.maxLeverage}x</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {page.rows.length === 0 && (
+              <p className="py-6 text-center text-sm text-gray-500">No pairs match the filters.</p>
+            )}
+          </div>
+        )}
+
+        <div className="mt-4 flex flex-wrap items-center justify-between gap-3 text-xs text-gray-500">
+          <span>
+            {matchCount} of {totalCount} pairs · click any pair to start calculating
+          </span>
+          <div className="flex items-center gap-2">
+            <select
+              value={settings.pageSize}
+              onChange={(e) => update({ pageSize: Number(e.target.value) })}
+              className="py-1 px-2 bg-gray-800/60 border border-gray-600/50 rounded-md text-gray-300 text-xs"
+            >
+              {PAGE_SIZES.map(size => (
+                <option key={size} value={size}>{size} / page</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onPageChange(page.page - 1)}
+              disabled={page.page === 0}
+              className="p-1 rounded-md hover:bg-gray-800/60 disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Previous page"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span>{page.page + 1} / {page.pageCount}</span>
+            <button
+              onClick={() => onPageChange(page.page + 1)}
+              disabled={page.page >= page.pageCount - 1}
+              className="p-1 rounded-md hover:bg-gray-800/60 disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Next page"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrendingScanner;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Star, X } from 'lucide-react';
+import { formatPrice } from '../lib/format.js';
+
+// Favorite pairs with their streamed prices, one click to select
+const Watchlist = ({ pairs, tickers, onSelect, onRemove }) => (
+  <div className="bg-gray-900/70 backdrop-blur-sm rounded-xl border border-gray-700/50 shadow-lg p-6 mb-6">
+    <div className="flex items-center gap-2 mb-4">
+      <Star className="w-5 h-5 text-yellow-400" fill="currentColor" />
+      <h3 className="text-lg font-semibold text-gray-100">Watchlist</h3>
+    </div>
+
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+      {pairs.map(pair => {
+        const ticker = tickers[`${pair.category}:${pair.baseSymbol}`];
+        return (
+          <div key={`${pair.category}:${pair.baseSymbol}`} className="relative group">
+            <button
+              onClick={() => onSelect(pair)}
+              className="w-full text-left bg-gray-800/40 hover:bg-gray-800/70 rounded-lg p-3 transition-all duration-200 hover:border-cyan-500/30 border border-transparent"
+            >
+              <span className="block font-medium text-cyan-300 text-sm group-hover:text-cyan-200">{pair.symbol}</span>
+              <span className="block text-xs text-gray-500 mb-1">{pair.categoryLabel}</span>
+              {ticker ? (
+                <>
+                  <span className="block text-white font-mono text-sm">{formatPrice(ticker.lastPrice)}</span>
+                  <span className={`block text-xs font-medium ${ticker.changePercent >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {ticker.changePercent >= 0 ? '+' : ''}
+                    {ticker.changePercent.toFixed(2)}%
+                  </span>
+                </>
+              ) : (
+                <span className="block text-xs text-gray-500">Waiting for price...</span>
+              )}
+            </button>
+            <button
+              onClick={() => onRemove(pair)}
+              className="absolute top-2 right-2 p-1 text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-all"
+              title="Remove from watchlist"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default Watchlist;
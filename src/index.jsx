@@ -8,3 +8,12 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Offline app shell, production builds only so the dev server is never cached
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Error registering service worker:', error);
+    });
+  });
+}
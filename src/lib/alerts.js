@@ -0,0 +1,176 @@
+// Price alerts on any pair, persisted in localStorage with a log of the ones that
+// fired. Every alert is a price level crossed in one direction: the direction is
+// fixed when the alert is armed, from where the price stood at that moment.
+
+export const ALERTS_STORAGE_KEY = 'bybit-calculator-alerts';
+export const ALERT_LOG_LIMIT = 50;
+
+/** @typedef {'target' | 'stop' | 'liquidation' | 'custom'} AlertKind */
+
+/**
+ * @typedef {object} AlertPair
+ * @property {string} symbol
+ * @property {string} baseSymbol
+ * @property {'linear' | 'inverse'} category
+ */
+
+/**
+ * @typedef {object} PriceAlert
+ * @property {string} id
+ * @property {AlertPair} pair
+ * @property {AlertKind} kind
+ * @property {string} label e.g. `T1`, `Stop`, `5% from liquidation`.
+ * @property {number} price Level that fires the alert.
+ * @property {'above' | 'below'} direction Fires once the price is at or beyond the level this way.
+ * @property {number} createdAt Epoch milliseconds.
+ */
+
+/**
+ * @typedef {object} AlertLogEntry
+ * @property {string} id Id of the alert that fired.
+ * @property {AlertPair} pair
+ * @property {AlertKind} kind
+ * @property {string} label
+ * @property {number} price
+ * @property {number} firedPrice Price that crossed the level.
+ * @property {number} firedAt Epoch milliseconds.
+ */
+
+/**
+ * @typedef {object} AlertState
+ * @property {PriceAlert[]} alerts Armed alerts, oldest first.
+ * @property {AlertLogEntry[]} log Fired alerts, newest first.
+ */
+
+const createId = () => (
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+/** @returns {AlertState} */
+export const createEmptyAlertState = () => ({ alerts: [], log: [] });
+
+/**
+ * @param {{ category: string, baseSymbol: string }} pair
+ * @returns {string}
+ */
+export const alertPairKey = (pair) => `${pair.category}:${pair.baseSymbol}`;
+
+/**
+ * Level a liquidation-proximity alert fires at: `percent` of the liquidation price
+ * before it is reached.
+ *
+ * @param {'Long' | 'Short'} side
+ * @param {number} liquidationPrice
+ * @param {number} percent
+ * @returns {number}
+ */
+export const getLiquidationAlertPrice = (side, liquidationPrice, percent) => (
+  side === 'Long' ? liquidationPrice * (1 + percent / 100) : liquidationPrice * (1 - percent / 100)
+);
+
+/**
+ * @param {{ pair: AlertPair, kind: AlertKind, label: string, price: number, currentPrice: number }} input
+ * @returns {PriceAlert}
+ */
+export const createAlert = ({ pair, kind, label, price, currentPrice }) => ({
+  id: createId(),
+  pair: { symbol: pair.symbol, baseSymbol: pair.baseSymbol, category: pair.category },
+  kind,
+  label,
+  price,
+  direction: price >= currentPrice ? 'above' : 'below',
+  createdAt: Date.now()
+});
+
+/**
+ * @param {PriceAlert} alert
+ * @param {number} price
+ * @returns {boolean}
+ */
+export const isAlertTriggered = (alert, price) => (
+  alert.direction === 'above' ? price >= alert.price : price <= alert.price
+);
+
+/**
+ * @param {PriceAlert[]} alerts
+ * @param {{ category: string, baseSymbol: string }} pair
+ * @param {number} price Latest price of `pair`.
+ * @returns {PriceAlert[]}
+ */
+export const findTriggeredAlerts = (alerts, pair, price) => {
+  const key = alertPairKey(pair);
+  return alerts.filter(alert => alertPairKey(alert.pair) === key && isAlertTriggered(alert, price));
+};
+
+/**
+ * @param {AlertState} state
+ * @param {PriceAlert} alert
+ * @returns {AlertState}
+ */
+export const addAlert = (state, alert) => ({ ...state, alerts: [...state.alerts, alert] });
+
+/**
+ * @param {AlertState} state
+ * @param {string} id
+ * @returns {AlertState}
+ */
+export const removeAlert = (state, id) => ({ ...state, alerts: state.alerts.filter(alert => alert.id !== id) });
+
+/**
+ * Disarm fired alerts and record them in the log. Alerts fire once.
+ *
+ * @param {AlertState} state
+ * @param {PriceAlert[]} fired
+ * @param {number} firedPrice
+ * @param {number} [firedAt]
+ * @returns {AlertState}
+ */
+export const recordTriggeredAlerts = (state, fired, firedPrice, firedAt = Date.now()) => {
+  const firedIds = new Set(fired.map(alert => alert.id));
+  const entries = fired.map(({ id, pair, kind, label, price }) => ({ id, pair, kind, label, price, firedPrice, firedAt }));
+  return {
+    alerts: state.alerts.filter(alert => !firedIds.has(alert.id)),
+    log: [...entries, ...state.log].slice(0, ALERT_LOG_LIMIT)
+  };
+};
+
+/**
+ * @param {AlertState} state
+ * @returns {AlertState}
+ */
+export const clearAlertLog = (state) => ({ ...state, log: [] });
+
+const isValidAlert = (alert) => (
+  alert && typeof alert.id === 'string' && alert.pair && typeof alert.pair.baseSymbol === 'string' &&
+  Number.isFinite(alert.price) && (alert.direction === 'above' || alert.direction === 'below')
+);
+
+/**
+ * @param {Storage} [storage]
+ * @returns {AlertState} An empty state when nothing is stored or the stored value is unreadable.
+ */
+export const loadAlerts = (storage = globalThis.localStorage) => {
+  try {
+    const data = JSON.parse(storage?.getItem(ALERTS_STORAGE_KEY) || 'null');
+    if (!data) return createEmptyAlertState();
+    return {
+      alerts: Array.isArray(data.alerts) ? data.alerts.filter(isValidAlert) : [],
+      log: Array.isArray(data.log) ? data.log.slice(0, ALERT_LOG_LIMIT) : []
+    };
+  } catch (error) {
+    console.error('Error loading alerts:', error);
+    return createEmptyAlertState();
+  }
+};
+
+/**
+ * @param {AlertState} state
+ * @param {Storage} [storage]
+ */
+export const saveAlerts = (state, storage = globalThis.localStorage) => {
+  try {
+    storage?.setItem(ALERTS_STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error('Error saving alerts:', error);
+  }
+};
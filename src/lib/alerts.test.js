@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ALERTS_STORAGE_KEY,
+  ALERT_LOG_LIMIT,
+  addAlert,
+  createAlert,
+  createEmptyAlertState,
+  findTriggeredAlerts,
+  getLiquidationAlertPrice,
+  loadAlerts,
+  recordTriggeredAlerts,
+  removeAlert,
+  saveAlerts
+} from './alerts.js';
+import { createStorage } from '../test/storage.js';
+
+const btc = { symbol: 'BTCUSDT', baseSymbol: 'BTCUSDT', category: 'linear', lastPrice: 65000 };
+const eth = { symbol: 'ETHUSDT', baseSymbol: 'ETHUSDT', category: 'linear' };
+
+describe('createAlert', () => {
+  it('fixes the direction from the current price and keeps only the pair identity', () => {
+    const target = createAlert({ pair: btc, kind: 'target', label: 'T1', price: 70000, currentPrice: 65000 });
+    const stop = createAlert({ pair: btc, kind: 'stop', label: 'Stop', price: 62000, currentPrice: 65000 });
+    expect(target.direction).toBe('above');
+    expect(stop.direction).toBe('below');
+    expect(target.pair).toEqual({ symbol: 'BTCUSDT', baseSymbol: 'BTCUSDT', category: 'linear' });
+  });
+
+  it('places liquidation alerts ahead of liquidation', () => {
+    expect(getLiquidationAlertPrice('Long', 60000, 5)).toBeCloseTo(63000, 8);
+    expect(getLiquidationAlertPrice('Short', 70000, 5)).toBeCloseTo(66500, 8);
+  });
+});
+
+describe('findTriggeredAlerts', () => {
+  const alerts = [
+    createAlert({ pair: btc, kind: 'target', label: 'T1', price: 70000, currentPrice: 65000 }),
+    createAlert({ pair: btc, kind: 'stop', label: 'Stop', price: 62000, currentPrice: 65000 }),
+    createAlert({ pair: eth, kind: 'custom', label: 'Custom', price: 3000, currentPrice: 3500 })
+  ];
+
+  it('fires alerts of the pair once the price reaches their level', () => {
+    expect(findTriggeredAlerts(alerts, btc, 66000)).toEqual([]);
+    expect(findTriggeredAlerts(alerts, btc, 70000).map(alert => alert.label)).toEqual(['T1']);
+    expect(findTriggeredAlerts(alerts, btc, 61000).map(alert => alert.label)).toEqual(['Stop']);
+    expect(findTriggeredAlerts(alerts, { ...btc, category: 'inverse' }, 61000)).toEqual([]);
+  });
+});
+
+describe('alert state', () => {
+  it('disarms fired alerts and logs them newest first', () => {
+    const target = createAlert({ pair: btc, kind: 'target', label: 'T1', price: 70000, currentPrice: 65000 });
+    const stop = createAlert({ pair: btc, kind: 'stop', label: 'Stop', price: 62000, currentPrice: 65000 });
+    let state = addAlert(addAlert(createEmptyAlertState(), target), stop);
+
+    state = recordTriggeredAlerts(state, [target], 70010, 1000);
+    expect(state.alerts).toEqual([stop]);
+    expect(state.log[0]).toMatchObject({ id: target.id, label: 'T1', price: 70000, firedPrice: 70010, firedAt: 1000 });
+
+    state = recordTriggeredAlerts(state, [stop], 61990, 2000);
+    expect(state.log.map(entry => entry.label)).toEqual(['Stop', 'T1']);
+    expect(removeAlert(addAlert(state, target), target.id).alerts).toEqual([]);
+  });
+
+  it('caps the log', () => {
+    let state = createEmptyAlertState();
+    for (let i = 0; i < ALERT_LOG_LIMIT + 5; i++) {
+      const alert = createAlert({ pair: btc, kind: 'custom', label: `#${i}`, price: 1, currentPrice: 2 });
+      state = recordTriggeredAlerts(addAlert(state, alert), [alert], 1);
+    }
+    expect(state.log).toHaveLength(ALERT_LOG_LIMIT);
+    expect(state.log[0].label).toBe(`#${ALERT_LOG_LIMIT + 4}`);
+  });
+
+  it('round-trips through storage and drops unusable alerts', () => {
+    const storage = createStorage();
+    const alert = createAlert({ pair: btc, kind: 'custom', label: 'Custom', price: 70000, currentPrice: 65000 });
+    const state = addAlert(createEmptyAlertState(), alert);
+    saveAlerts(state, storage);
+    expect(loadAlerts(storage)).toEqual(state);
+
+    storage.setItem(ALERTS_STORAGE_KEY, JSON.stringify({ alerts: [{ id: 'x' }], log: [] }));
+    expect(loadAlerts(storage)).toEqual(createEmptyAlertState());
+  });
+});
@@ -0,0 +1,290 @@
+// Read-only access to a Bybit account: open positions and wallet balance through the
+// v5 private endpoints. Requests are signed in the browser with HMAC-SHA256; the
+// secret never leaves it, and the keys are only stored when the user asks for it.
+// Keys that can trade are refused, so a leaked key from this app cannot place orders.
+
+import { BYBIT_REST_URL, fetchBybitResult, toQuery } from './bybitClient.js';
+import { DEFAULT_SETUP, EMPTY_TARGET } from './setupParams.js';
+
+export const ACCOUNT_KEYS_STORAGE_KEY = 'bybit-calculator-api-keys';
+
+const DEFAULT_RECV_WINDOW = 5000;
+const POSITION_PAGE_LIMIT = 200;
+const MAX_POSITION_PAGES = 10;
+// Linear positions have to be listed per settle coin
+const POSITION_QUERIES = [
+  { category: 'linear', settleCoin: 'USDT' },
+  { category: 'linear', settleCoin: 'USDC' },
+  { category: 'inverse' }
+];
+
+/**
+ * @typedef {object} AccountKeys
+ * @property {string} apiKey
+ * @property {string} apiSecret
+ */
+
+/**
+ * @typedef {object} AccountPosition
+ * @property {string} symbol
+ * @property {'linear' | 'inverse'} category
+ * @property {string|null} settleCoin Known for linear, the base coin for inverse.
+ * @property {'Long' | 'Short'} positionType
+ * @property {number} size Base quantity, or USD contracts for inverse.
+ * @property {number} avgPrice
+ * @property {number} leverage
+ * @property {number} positionValue In the settle coin.
+ * @property {number|null} takeProfit
+ * @property {number|null} stopLoss
+ * @property {number|null} liqPrice
+ * @property {number} unrealisedPnl In the settle coin.
+ * @property {'isolated' | 'cross'} marginMode
+ */
+
+/**
+ * @typedef {object} AccountWallet
+ * @property {string} accountType `UNIFIED` or `CONTRACT`.
+ * @property {number|null} totalEquity In USD, unified accounts only.
+ * @property {number|null} totalMarginBalance In USD, unified accounts only.
+ * @property {Array<{ coin: string, walletBalance: number, equity: number, usdValue: number|null }>} coins
+ */
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// Bybit sends "0" or "" for prices that are not set
+const toOptionalPrice = (value) => (toNumber(value) > 0 ? toNumber(value) : null);
+
+/**
+ * Hex HMAC-SHA256 of a payload, as v5 header auth expects.
+ *
+ * @param {string} secret
+ * @param {string} payload
+ * @returns {Promise<string>}
+ */
+export const signPayload = async (secret, payload) => {
+  const encoder = new TextEncoder();
+  const key = await globalThis.crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * @param {object} position Entry of `/v5/position/list`.
+ * @param {'linear' | 'inverse'} category
+ * @param {string|null} settleCoin
+ * @param {string} [accountMarginMode] `marginMode` from `/v5/account/info`.
+ * @returns {AccountPosition}
+ */
+export const parseAccountPosition = (position, category, settleCoin, accountMarginMode) => ({
+  symbol: position.symbol,
+  category,
+  settleCoin: settleCoin ?? (category === 'inverse' ? position.symbol.replace(/USD.*$/, '') : null),
+  positionType: position.side === 'Sell' ? 'Short' : 'Long',
+  size: toNumber(position.size),
+  avgPrice: toNumber(position.avgPrice),
+  leverage: toNumber(position.leverage) || 1,
+  positionValue: toNumber(position.positionValue),
+  takeProfit: toOptionalPrice(position.takeProfit),
+  stopLoss: toOptionalPrice(position.stopLoss),
+  liqPrice: toOptionalPrice(position.liqPrice),
+  unrealisedPnl: toNumber(position.unrealisedPnl),
+  // Classic accounts mark isolated positions with tradeMode 1, unified accounts set it account-wide
+  marginMode: Number(position.tradeMode) === 1 || accountMarginMode === 'ISOLATED_MARGIN' ? 'isolated' : 'cross'
+});
+
+/**
+ * @param {object} result Result of `/v5/account/wallet-balance`.
+ * @returns {AccountWallet}
+ */
+export const parseWallet = (result) => {
+  const account = result.list?.[0] ?? {};
+  return {
+    accountType: account.accountType ?? 'UNIFIED',
+    totalEquity: account.totalEquity ? toNumber(account.totalEquity) : null,
+    totalMarginBalance: account.totalMarginBalance ? toNumber(account.totalMarginBalance) : null,
+    coins: (account.coin ?? [])
+      .map(coin => ({
+        coin: coin.coin,
+        walletBalance: toNumber(coin.walletBalance),
+        equity: toNumber(coin.equity),
+        usdValue: coin.usdValue ? toNumber(coin.usdValue) : null
+      }))
+      .filter(coin => coin.walletBalance !== 0 || coin.equity !== 0)
+  };
+};
+
+/**
+ * Balance backing a cross position in its margin coin. Unified accounts pool every
+ * coin as USD collateral, which stands in for USDT and USDC.
+ *
+ * @param {AccountWallet} wallet
+ * @param {AccountPosition} position
+ * @returns {number|null}
+ */
+export const getWalletBalanceFor = (wallet, position) => {
+  if (wallet.accountType === 'UNIFIED' && position.category === 'linear' && wallet.totalMarginBalance !== null) {
+    return wallet.totalMarginBalance;
+  }
+  return wallet.coins.find(coin => coin.coin === position.settleCoin)?.walletBalance ?? null;
+};
+
+/**
+ * Calculator inputs for an open position: side, leverage, margin, average entry and TP/SL.
+ *
+ * @param {AccountPosition} position
+ * @param {AccountWallet|null} wallet
+ * @returns {typeof DEFAULT_SETUP}
+ */
+export const positionToSetup = (position, wallet) => {
+  const margin = position.positionValue / position.leverage;
+  const walletBalance = wallet && position.marginMode === 'cross' ? getWalletBalanceFor(wallet, position) : null;
+  return {
+    ...DEFAULT_SETUP,
+    positionType: position.positionType,
+    leverage: position.leverage,
+    entryAmount: margin > 0 ? String(Number(margin.toPrecision(10))) : '',
+    customEntryPrice: position.avgPrice > 0 ? String(position.avgPrice) : '',
+    useLivePriceAsEntry: !(position.avgPrice > 0),
+    targets: position.takeProfit ? [{ ...EMPTY_TARGET, price: String(position.takeProfit) }] : [EMPTY_TARGET],
+    stopLoss: position.stopLoss ? String(position.stopLoss) : '',
+    marginMode: position.marginMode,
+    walletBalance: walletBalance ? String(walletBalance) : ''
+  };
+};
+
+/**
+ * Create a client for the signed read-only endpoints.
+ *
+ * @param {AccountKeys & {
+ *   baseUrl?: string,
+ *   fetchImpl?: typeof fetch,
+ *   now?: () => number,
+ *   recvWindow?: number
+ * }} options
+ */
+export const createAccountClient = (options) => {
+  const {
+    apiKey,
+    apiSecret,
+    baseUrl = BYBIT_REST_URL,
+    fetchImpl = (...args) => globalThis.fetch(...args),
+    now = Date.now,
+    recvWindow = DEFAULT_RECV_WINDOW
+  } = options;
+
+  // GET with v5 header auth: the signature covers timestamp, key, recv window and query
+  const signedGet = async (path, params = {}) => {
+    const query = toQuery(params);
+    const timestamp = String(now());
+    const signature = await signPayload(apiSecret, `${timestamp}${apiKey}${recvWindow}${query}`);
+    return fetchBybitResult(fetchImpl, `${baseUrl}${path}${query ? `?${query}` : ''}`, {
+      headers: {
+        'X-BAPI-API-KEY': apiKey,
+        'X-BAPI-TIMESTAMP': timestamp,
+        'X-BAPI-RECV-WINDOW': String(recvWindow),
+        'X-BAPI-SIGN': signature
+      }
+    });
+  };
+
+  const getPositionPages = async (params) => {
+    const list = [];
+    let cursor;
+    for (let page = 0; page < MAX_POSITION_PAGES; page++) {
+      const result = await signedGet('/v5/position/list', { ...params, limit: POSITION_PAGE_LIMIT, cursor });
+      list.push(...(result.list ?? []));
+      cursor = result.nextPageCursor;
+      if (!cursor) break;
+    }
+    return list;
+  };
+
+  /** @returns {Promise<AccountWallet>} */
+  const getWallet = async () => {
+    try {
+      return parseWallet(await signedGet('/v5/account/wallet-balance', { accountType: 'UNIFIED' }));
+    } catch (error) {
+      // Classic accounts reject the unified account type
+      if (error.kind !== 'api') throw error;
+      return parseWallet(await signedGet('/v5/account/wallet-balance', { accountType: 'CONTRACT' }));
+    }
+  };
+
+  /**
+   * @param {string} [accountMarginMode]
+   * @returns {Promise<AccountPosition[]>} Open positions only.
+   */
+  const getPositions = async (accountMarginMode) => {
+    const lists = await Promise.all(POSITION_QUERIES.map(async ({ category, settleCoin }) => {
+      const list = await getPositionPages({ category, settleCoin });
+      return list
+        .filter(position => toNumber(position.size) > 0)
+        .map(position => parseAccountPosition(position, category, settleCoin ?? null, accountMarginMode));
+    }));
+    return lists.flat();
+  };
+
+  return {
+    getPositions,
+    getWallet,
+
+    /**
+     * Check the key is read-only, then load wallet and positions.
+     *
+     * @returns {Promise<{ wallet: AccountWallet, positions: AccountPosition[] }>}
+     */
+    loadAccount: async () => {
+      const keyInfo = await signedGet('/v5/user/query-api');
+      if (Number(keyInfo.readOnly) !== 1) {
+        throw new Error('This API key can trade. Create a read-only key for the calculator.');
+      }
+
+      const accountInfo = await signedGet('/v5/account/info').catch(() => ({}));
+      const [wallet, positions] = await Promise.all([getWallet(), getPositions(accountInfo.marginMode)]);
+      return { wallet, positions };
+    }
+  };
+};
+
+const keysStorageKey = (scope) => (scope ? `${ACCOUNT_KEYS_STORAGE_KEY}:${scope}` : ACCOUNT_KEYS_STORAGE_KEY);
+
+/**
+ * @param {Storage} [storage]
+ * @param {string} [scope] Environment cache scope, keys differ between mainnet and testnet.
+ * @returns {AccountKeys|null}
+ */
+export const loadAccountKeys = (storage = globalThis.localStorage, scope = '') => {
+  try {
+    const keys = JSON.parse(storage?.getItem(keysStorageKey(scope)) || 'null');
+    return keys && typeof keys.apiKey === 'string' && typeof keys.apiSecret === 'string' ? keys : null;
+  } catch (error) {
+    console.error('Error loading API keys:', error);
+    return null;
+  }
+};
+
+/**
+ * @param {AccountKeys|null} keys `null` forgets the stored keys.
+ * @param {Storage} [storage]
+ * @param {string} [scope]
+ */
+export const saveAccountKeys = (keys, storage = globalThis.localStorage, scope = '') => {
+  try {
+    if (keys) {
+      storage?.setItem(keysStorageKey(scope), JSON.stringify({ apiKey: keys.apiKey, apiSecret: keys.apiSecret }));
+    } else {
+      storage?.removeItem(keysStorageKey(scope));
+    }
+  } catch (error) {
+    console.error('Error saving API keys:', error);
+  }
+};
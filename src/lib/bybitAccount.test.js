@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createHmac } from 'node:crypto';
+import { STUB_API_KEY, STUB_API_SECRET, createStubServer } from '../../scripts/bybit-stub.js';
+import {
+  createAccountClient,
+  loadAccountKeys,
+  parseAccountPosition,
+  positionToSetup,
+  saveAccountKeys,
+  signPayload
+} from './bybitAccount.js';
+import { createStorage } from '../test/storage.js';
+
+const listen = async (server) => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+describe('request signing', () => {
+  it('matches an HMAC-SHA256 hex digest', async () => {
+    const payload = '1700000000000stub-key5000category=linear&settleCoin=USDT';
+    const expected = createHmac('sha256', 'secret').update(payload).digest('hex');
+    expect(await signPayload('secret', payload)).toBe(expected);
+  });
+});
+
+describe('account import against the local stub', () => {
+  let readOnlyServer;
+  let tradingServer;
+  let baseUrl;
+  let tradingBaseUrl;
+
+  beforeAll(async () => {
+    readOnlyServer = createStubServer();
+    tradingServer = createStubServer({ readOnly: false });
+    baseUrl = await listen(readOnlyServer);
+    tradingBaseUrl = await listen(tradingServer);
+  });
+
+  afterAll(() => {
+    readOnlyServer.close();
+    tradingServer.close();
+  });
+
+  it('loads open positions and the wallet with a read-only key', async () => {
+    const client = createAccountClient({ apiKey: STUB_API_KEY, apiSecret: STUB_API_SECRET, baseUrl });
+    const { wallet, positions } = await client.loadAccount();
+
+    expect(wallet).toMatchObject({ accountType: 'UNIFIED', totalEquity: 12500, totalMarginBalance: 12000 });
+    expect(wallet.coins.map(coin => coin.coin)).toEqual(['USDT', 'BTC']);
+    expect(positions.map(position => `${position.category}:${position.symbol}`))
+      .toEqual(['linear:BTCUSDT', 'linear:ETHUSDT', 'inverse:BTCUSD']);
+    expect(positions[1]).toMatchObject({
+      positionType: 'Short', size: 1.5, avgPrice: 3500, leverage: 5, takeProfit: 3000, stopLoss: null, marginMode: 'cross'
+    });
+    expect(positions[2].settleCoin).toBe('BTC');
+  });
+
+  it('rejects a wrong secret as an auth error', async () => {
+    const client = createAccountClient({ apiKey: STUB_API_KEY, apiSecret: 'wrong', baseUrl });
+    await expect(client.loadAccount()).rejects.toMatchObject({ kind: 'auth', retCode: 10004 });
+  });
+
+  it('refuses keys that can trade', async () => {
+    const client = createAccountClient({ apiKey: STUB_API_KEY, apiSecret: STUB_API_SECRET, baseUrl: tradingBaseUrl });
+    await expect(client.loadAccount()).rejects.toThrow('read-only');
+  });
+});
+
+describe('positions as calculator inputs', () => {
+  const wallet = {
+    accountType: 'UNIFIED',
+    totalEquity: 12500,
+    totalMarginBalance: 12000,
+    coins: [{ coin: 'BTC', walletBalance: 0.05, equity: 0.05, usdValue: 3250 }]
+  };
+
+  it('fills side, size, leverage, entry and TP/SL', () => {
+    const position = parseAccountPosition({
+      symbol: 'BTCUSDT', side: 'Buy', size: '0.05', avgPrice: '64000', leverage: '10', positionValue: '3200',
+      takeProfit: '70000', stopLoss: '62000', tradeMode: 1
+    }, 'linear', 'USDT');
+
+    expect(positionToSetup(position, wallet)).toMatchObject({
+      positionType: 'Long',
+      leverage: 10,
+      entryAmount: '320',
+      customEntryPrice: '64000',
+      useLivePriceAsEntry: false,
+      targets: [{ price: '70000', percent: '' }],
+      stopLoss: '62000',
+      marginMode: 'isolated',
+      walletBalance: ''
+    });
+  });
+
+  it('uses the pooled balance for unified cross positions and the coin balance for inverse', () => {
+    const linear = parseAccountPosition({ symbol: 'ETHUSDT', side: 'Sell', size: '1', avgPrice: '3500', leverage: '5', positionValue: '3500' }, 'linear', 'USDT', 'REGULAR_MARGIN');
+    expect(positionToSetup(linear, wallet)).toMatchObject({ marginMode: 'cross', walletBalance: '12000', entryAmount: '700', targets: [{ price: '', percent: '' }] });
+
+    const inverse = parseAccountPosition({ symbol: 'BTCUSD', side: 'Buy', size: '1000', avgPrice: '64000', leverage: '3', positionValue: '0.015625' }, 'inverse', null);
+    expect(positionToSetup(inverse, wallet)).toMatchObject({ walletBalance: '0.05', entryAmount: '0.005208333333' });
+  });
+});
+
+describe('stored keys', () => {
+  it('are only kept when saved and can be forgotten', () => {
+    const storage = createStorage();
+
+    expect(loadAccountKeys(storage)).toBeNull();
+    saveAccountKeys({ apiKey: 'a', apiSecret: 'b' }, storage, 'testnet');
+    expect(loadAccountKeys(storage)).toBeNull();
+    expect(loadAccountKeys(storage, 'testnet')).toEqual({ apiKey: 'a', apiSecret: 'b' });
+    saveAccountKeys(null, storage, 'testnet');
+    expect(loadAccountKeys(storage, 'testnet')).toBeNull();
+  });
+});
@@ -0,0 +1,264 @@
+// REST client for Bybit's public v5 market endpoints. Identical requests in flight
+// share one fetch, instrument metadata is cached for a few minutes, paginated lists
+// are followed through their cursor, and rate-limited calls are retried with backoff.
+// Failures are thrown as errors carrying a `kind` so the UI can say what went wrong.
+
+export const BYBIT_REST_URL = 'https://api.bybit.com';
+
+const DEFAULT_INSTRUMENTS_TTL = 5 * 60 * 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY = 500;
+// Instruments come in pages of up to 1000, this bounds a runaway cursor
+const MAX_PAGES = 20;
+// 10006: too many visits, 10018: IP rate limit exceeded
+const RATE_LIMIT_RET_CODES = new Set([10006, 10018]);
+// Private endpoints: 10002 timestamp outside the recv window, 10003 invalid key,
+// 10004 bad signature, 10005 permission denied, 10010 IP not whitelisted, 33004 key expired
+const AUTH_RET_CODES = new Set([10002, 10003, 10004, 10005, 10010, 33004]);
+
+/**
+ * @typedef {'network' | 'http' | 'rate-limit' | 'auth' | 'api' | 'invalid-response'} BybitErrorKind
+ *
+ * @typedef {Error & {
+ *   name: 'BybitApiError',
+ *   kind: BybitErrorKind,
+ *   status?: number,
+ *   retCode?: number,
+ *   retMsg?: string
+ * }} BybitApiError
+ */
+
+/**
+ * @param {BybitErrorKind} kind
+ * @param {string} message
+ * @param {{ status?: number, retCode?: number, retMsg?: string, cause?: unknown }} [details]
+ * @returns {BybitApiError}
+ */
+export const createBybitError = (kind, message, details = {}) => {
+  const { cause, ...fields } = details;
+  return Object.assign(new Error(message, cause === undefined ? undefined : { cause }), {
+    name: 'BybitApiError',
+    kind,
+    ...fields
+  });
+};
+
+/**
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export const isBybitError = (error) => error?.name === 'BybitApiError';
+
+/**
+ * User-facing message for a failed request.
+ *
+ * @param {unknown} error
+ * @returns {string}
+ */
+export const describeBybitError = (error) => {
+  if (!isBybitError(error)) return 'Something went wrong while loading market data. Please try again.';
+
+  switch (error.kind) {
+    case 'network':
+      return 'Unable to reach Bybit. Please check your internet connection and try again.';
+    case 'rate-limit':
+      return 'Bybit is rate limiting requests right now. Please wait a few seconds and try again.';
+    case 'auth':
+      return error.retCode === 10002
+        ? 'Bybit rejected the request time. Please check that your computer clock is correct.'
+        : `Bybit rejected the API key: ${error.retMsg || 'unauthorized'} (code ${error.retCode}).`;
+    case 'http':
+      // Bybit answers both an IP ban for too many requests and a restricted region with a
+      // bare 403, nothing in the response tells them apart
+      return error.status === 403
+        ? 'Bybit refused the request (HTTP 403). Bybit blocks an IP for a while after too many requests, so wait a few minutes and try again. If it keeps happening, access may be restricted from your region.'
+        : `Bybit returned HTTP ${error.status}. The service may be down, please try again later.`;
+    case 'api':
+      return `Bybit rejected the request: ${error.retMsg || 'unknown error'} (code ${error.retCode}).`;
+    default:
+      return 'Bybit sent a response that could not be read. Please try again.';
+  }
+};
+
+/**
+ * One request to a v5 endpoint, resolving with its `result` and throwing typed errors.
+ *
+ * @param {typeof fetch} fetchImpl
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<object>}
+ */
+export const fetchBybitResult = async (fetchImpl, url, init) => {
+  let response;
+  try {
+    response = await (init ? fetchImpl(url, init) : fetchImpl(url));
+  } catch (error) {
+    throw createBybitError('network', `Network error requesting ${url}`, { cause: error });
+  }
+
+  if (response.status === 429) {
+    throw createBybitError('rate-limit', 'Rate limited by Bybit', { status: 429 });
+  }
+  if (!response.ok) {
+    throw createBybitError('http', `Bybit responded with HTTP ${response.status}`, { status: response.status });
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw createBybitError('invalid-response', 'Bybit response is not JSON', { cause: error });
+  }
+
+  const details = { retCode: data?.retCode, retMsg: data?.retMsg };
+  if (RATE_LIMIT_RET_CODES.has(data?.retCode)) {
+    throw createBybitError('rate-limit', data.retMsg || 'Rate limited by Bybit', details);
+  }
+  if (AUTH_RET_CODES.has(data?.retCode)) {
+    throw createBybitError('auth', data.retMsg || 'Bybit rejected the API key', details);
+  }
+  if (data?.retCode !== 0) {
+    throw createBybitError('api', data?.retMsg || 'Bybit API error', details);
+  }
+  if (!data.result || typeof data.result !== 'object') {
+    throw createBybitError('invalid-response', 'Bybit response has no result');
+  }
+  return data.result;
+};
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Query string for v5 params, leaving out empty values. Signed requests sign exactly this string.
+ *
+ * @param {object} params
+ * @returns {string}
+ */
+export const toQuery = (params) => new URLSearchParams(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+).toString();
+
+/**
+ * Create a market-data client.
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] REST host, e.g. the testnet one.
+ * @param {typeof fetch} [options.fetchImpl] fetch implementation to use.
+ * @param {number} [options.instrumentsTtl] How long instrument metadata is cached, in ms.
+ * @param {number} [options.maxRetries] Retries after a rate-limit response.
+ * @param {number} [options.retryBaseDelay] First retry delay in ms, doubled per attempt.
+ * @param {() => number} [options.now] Clock, for tests.
+ * @param {(ms: number) => Promise<void>} [options.sleep] Delay between retries, for tests.
+ */
+export const createBybitClient = (options = {}) => {
+  const {
+    baseUrl = BYBIT_REST_URL,
+    fetchImpl = (...args) => globalThis.fetch(...args),
+    instrumentsTtl = DEFAULT_INSTRUMENTS_TTL,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryBaseDelay = DEFAULT_RETRY_BASE_DELAY,
+    now = Date.now,
+    sleep = defaultSleep
+  } = options;
+
+  // url -> pending result promise
+  const inFlight = new Map();
+  // url -> { result, expiresAt }
+  const cache = new Map();
+
+  const requestWithRetry = async (url) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchBybitResult(fetchImpl, url);
+      } catch (error) {
+        if (error.kind !== 'rate-limit' || attempt >= maxRetries) throw error;
+        await sleep(retryBaseDelay * 2 ** attempt);
+      }
+    }
+  };
+
+  /**
+   * GET a v5 endpoint and resolve with its `result`.
+   *
+   * @param {string} path e.g. `/v5/market/tickers`.
+   * @param {object} [params] Query parameters, empty values are left out.
+   * @param {{ ttl?: number }} [requestOptions] Cache the result for `ttl` ms.
+   * @returns {Promise<object>}
+   */
+  const get = (path, params = {}, { ttl = 0 } = {}) => {
+    const query = toQuery(params);
+    const url = `${baseUrl}${path}${query ? `?${query}` : ''}`;
+
+    const cached = cache.get(url);
+    if (cached && cached.expiresAt > now()) return Promise.resolve(cached.result);
+    if (inFlight.has(url)) return inFlight.get(url);
+
+    const request = requestWithRetry(url)
+      .then(result => {
+        if (ttl > 0) cache.set(url, { result, expiresAt: now() + ttl });
+        return result;
+      })
+      .finally(() => inFlight.delete(url));
+    inFlight.set(url, request);
+    return request;
+  };
+
+  /**
+   * Every item of a cursor-paginated list.
+   *
+   * @param {string} path
+   * @param {object} params
+   * @param {{ ttl?: number }} [requestOptions]
+   * @returns {Promise<object[]>}
+   */
+  const getAllPages = async (path, params, requestOptions) => {
+    const list = [];
+    let cursor;
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const result = await get(path, { ...params, cursor }, requestOptions);
+      list.push(...(result.list ?? []));
+      cursor = result.nextPageCursor;
+      if (!cursor) break;
+    }
+    return list;
+  };
+
+  return {
+    get,
+
+    /** @param {'linear' | 'inverse'} category */
+    getInstruments: (category) => getAllPages('/v5/market/instruments-info', { category, limit: 1000 }, { ttl: instrumentsTtl }),
+
+    /**
+     * @param {'linear' | 'inverse'} category
+     * @param {string} symbol
+     * @returns {Promise<object|null>}
+     */
+    getInstrument: async (category, symbol) => {
+      const result = await get('/v5/market/instruments-info', { category, symbol }, { ttl: instrumentsTtl });
+      return result.list?.find(item => item.symbol === symbol) ?? null;
+    },
+
+    /** @param {'linear' | 'inverse'} category */
+    getTickers: async (category) => (await get('/v5/market/tickers', { category })).list ?? [],
+
+    /**
+     * @param {'linear' | 'inverse'} category
+     * @param {string} symbol
+     * @returns {Promise<object|null>}
+     */
+    getTicker: async (category, symbol) => (await get('/v5/market/tickers', { category, symbol })).list?.[0] ?? null,
+
+    getRiskLimits: (category, symbol) => getAllPages('/v5/market/risk-limit', { category, symbol }, { ttl: instrumentsTtl }),
+
+    getFundingHistory: async (category, symbol, limit) => (
+      (await get('/v5/market/funding/history', { category, symbol, limit })).list ?? []
+    ),
+
+    getKline: async (category, symbol, interval, limit) => (
+      (await get('/v5/market/kline', { category, symbol, interval, limit })).list ?? []
+    ),
+
+    clearCache: () => cache.clear()
+  };
+};
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createBybitClient, describeBybitError, isBybitError } from './bybitClient.js';
+
+const respond = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+const ok = (result) => respond({ retCode: 0, retMsg: 'OK', result });
+
+const createClient = (fetchImpl, options = {}) => createBybitClient({
+  baseUrl: 'https://api.test',
+  fetchImpl,
+  sleep: async () => {},
+  ...options
+});
+
+describe('bybit client', () => {
+  it('shares one request between identical concurrent calls', async () => {
+    const fetchImpl = vi.fn(async () => ok({ list: [{ symbol: 'BTCUSDT', lastPrice: '65000' }] }));
+    const client = createClient(fetchImpl);
+
+    const [first, second] = await Promise.all([
+      client.getTicker('linear', 'BTCUSDT'),
+      client.getTicker('linear', 'BTCUSDT')
+    ]);
+    expect(first).toBe(second);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(fetchImpl).toHaveBeenCalledWith('https://api.test/v5/market/tickers?category=linear&symbol=BTCUSDT');
+
+    // Tickers are not cached once the request is done
+    await client.getTicker('linear', 'BTCUSDT');
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it('caches instruments until the ttl runs out and follows the cursor', async () => {
+    let time = 0;
+    const fetchImpl = vi.fn(async (url) => ok(url.includes('cursor=next')
+      ? { list: [{ symbol: 'ETHUSDT' }], nextPageCursor: '' }
+      : { list: [{ symbol: 'BTCUSDT' }], nextPageCursor: 'next' }));
+    const client = createClient(fetchImpl, { instrumentsTtl: 1000, now: () => time });
+
+    const list = await client.getInstruments('linear');
+    expect(list.map(item => item.symbol)).toEqual(['BTCUSDT', 'ETHUSDT']);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+
+    time = 999;
+    await client.getInstruments('linear');
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+
+    time = 1000;
+    await client.getInstruments('linear');
+    expect(fetchImpl).toHaveBeenCalledTimes(4);
+  });
+
+  it('retries rate-limited requests with backoff', async () => {
+    const sleep = vi.fn(async () => {});
+    const fetchImpl = vi.fn()
+      .mockResolvedValueOnce(respond({}, 429))
+      .mockResolvedValueOnce(respond({ retCode: 10006, retMsg: 'Too many visits!' }))
+      .mockResolvedValueOnce(ok({ list: [] }));
+    const client = createClient(fetchImpl, { sleep, retryBaseDelay: 100 });
+
+    expect(await client.getTickers('inverse')).toEqual([]);
+    expect(sleep.mock.calls).toEqual([[100], [200]]);
+  });
+
+  it('gives up on rate limits after the retries', async () => {
+    const fetchImpl = vi.fn(async () => respond({ retCode: 10006, retMsg: 'Too many visits!' }));
+    const client = createClient(fetchImpl, { maxRetries: 2 });
+
+    await expect(client.getTickers('linear')).rejects.toMatchObject({ kind: 'rate-limit', retCode: 10006 });
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  it('types failures', async () => {
+    const failWith = (impl) => createClient(vi.fn(impl)).getTickers('linear').catch(error => error);
+
+    const network = await failWith(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    expect(isBybitError(network)).toBe(true);
+    expect(network.kind).toBe('network');
+    expect(describeBybitError(network)).toContain('internet connection');
+
+    const http = await failWith(async () => respond({}, 503));
+    expect(http).toMatchObject({ kind: 'http', status: 503 });
+
+    const forbidden = await failWith(async () => respond({}, 403));
+    expect(describeBybitError(forbidden)).toContain('too many requests');
+    expect(describeBybitError(forbidden)).toContain('region');
+
+    const api = await failWith(async () => respond({ retCode: 10001, retMsg: 'params error' }));
+    expect(api).toMatchObject({ kind: 'api', retCode: 10001 });
+    expect(describeBybitError(api)).toContain('params error');
+
+    const invalid = await failWith(async () => ({ ok: true, status: 200, json: async () => JSON.parse('<html>') }));
+    expect(invalid.kind).toBe('invalid-response');
+
+    expect(describeBybitError(new Error('boom'))).toContain('Something went wrong');
+  });
+});
@@ -0,0 +1,901 @@
+// Pure calculation engine for Bybit perpetual positions.
+// Everything here is plain math on numbers so it can be reused outside React
+// and unit-tested against Bybit's published formulas.
+//
+// Linear (USDT) contracts are margined in the quote coin and sized in base qty.
+// Inverse contracts are margined in the base coin and sized in USD contracts
+// (1 contract = 1 USD).
+//
+// Isolated positions can only lose their own margin. Cross positions are backed by
+// the whole wallet balance, so the same formulas run with the wallet as collateral.
+
+export const TAKER_FEE_RATE = 0.0006; // 0.06% taker fee
+// Bybit's lowest risk-limit tier for most perpetuals
+export const DEFAULT_MAINTENANCE_MARGIN_RATE = 0.005;
+
+/**
+ * @typedef {'Long' | 'Short'} PositionSide
+ * @typedef {'linear' | 'inverse'} ContractCategory
+ * @typedef {'isolated' | 'cross'} MarginMode
+ */
+
+/**
+ * @typedef {object} RiskTier
+ * @property {number|null} riskLimitValue Max position value covered by the tier, in the margin coin.
+ * @property {number} maintenanceMargin Maintenance margin rate as a fraction (0.005 = 0.5%).
+ * @property {number} mmDeduction Maintenance margin deduction, in the margin coin.
+ * @property {number} [maxLeverage] Highest leverage Bybit allows for positions in the tier.
+ */
+
+/**
+ * @typedef {object} Position
+ * @property {ContractCategory} category
+ * @property {PositionSide} side
+ * @property {number} entryPrice
+ * @property {number} margin Initial margin, in the margin coin.
+ * @property {number} leverage
+ * @property {number} [feeRate] Fee rate applied to both legs, defaults to the taker rate.
+ * @property {number} [entryFeeRate] Fee rate of the opening order, overrides `feeRate`.
+ * @property {number} [exitFeeRate] Fee rate of the closing order, overrides `feeRate`.
+ * @property {number} [takerFeeRate] Rate used for the estimated fee to close on liquidation,
+ *   which is always a market order. Overrides `feeRate`.
+ * @property {RiskTier[]} [riskTiers] Risk-limit tiers sorted by `riskLimitValue` ascending.
+ * @property {number} [fundingPnl] Projected funding over the holding period, in the margin coin.
+ *   Positive when received. See `calculateFunding`.
+ * @property {MarginMode} [marginMode] Defaults to isolated.
+ * @property {number} [walletBalance] Cross only: wallet balance backing the position, in the
+ *   margin coin, including the position's own margin.
+ */
+
+/**
+ * @typedef {object} ExitResult
+ * @property {number} pnl Net PnL after entry and exit fees and funding, in the margin coin.
+ * @property {number} roi Net PnL as a percentage of margin.
+ * @property {number} fees Entry plus exit fees, in the margin coin.
+ * @property {number} entryFee
+ * @property {number} exitFee
+ * @property {number} funding Projected funding included in `pnl`, positive when received.
+ * @property {number} finalAmount Margin plus net PnL, in the margin coin.
+ * @property {number} pnlUsd Net PnL valued in USD at the exit price.
+ * @property {number} finalAmountUsd Final amount valued in USD at the exit price.
+ */
+
+/**
+ * @typedef {object} LiquidationResult
+ * @property {number} liquidationPrice `Infinity` when no price move can exhaust the margin (inverse shorts).
+ * @property {number} maintenanceMargin In the margin coin, including the estimated fee to close.
+ * @property {number} maintenanceMarginRate
+ * @property {number|null} riskLimitValue
+ * @property {number} positionSize Position value, in the margin coin.
+ * @property {number} quantity Base qty (linear) or USD contracts (inverse).
+ * @property {number} distancePercent Distance from entry to liquidation, in percent of entry.
+ * @property {number} collateral Margin (isolated) or wallet balance (cross) that absorbs losses.
+ * @property {number} marginRatio Maintenance margin over collateral at entry, liquidation at 1.
+ */
+
+/**
+ * @typedef {object} TargetInput
+ * @property {number|null} price
+ * @property {number|null} [percent] Share of the original position closed at this price.
+ *   Targets without one split whatever the others leave unallocated.
+ */
+
+/**
+ * @typedef {ExitResult & {
+ *   target: number,
+ *   targetPrice: number,
+ *   percent: number,
+ *   requestedPercent: number,
+ *   remainingPercent: number,
+ *   cumulativePnl: number,
+ *   riskReward: number|null,
+ *   unreachable: boolean
+ * }} TargetResult Realized outcome of one scale-out leg. Amounts cover only the closed share,
+ *   `roi` is on the margin backing that share.
+ */
+
+/**
+ * @typedef {object} BlendedResult
+ * @property {number} closedPercent
+ * @property {number} remainingPercent Share of the position still open after the last leg.
+ * @property {number|null} averageExitPrice Weighted by the share closed at each leg.
+ * @property {number} pnl Realized net PnL across all legs, in the margin coin.
+ * @property {number} pnlUsd
+ * @property {number} fees
+ * @property {number} funding
+ * @property {number} roi Realized net PnL as a percentage of the full margin.
+ */
+
+/**
+ * @typedef {ExitResult & {
+ *   stopPrice: number,
+ *   wrongSide: boolean,
+ *   beyondLiquidation: boolean
+ * }} StopLossResult
+ */
+
+const isInverse = (position) => position.category === 'inverse';
+const feeRateOf = (position) => position.feeRate ?? TAKER_FEE_RATE;
+const entryFeeRateOf = (position) => position.entryFeeRate ?? feeRateOf(position);
+const exitFeeRateOf = (position) => position.exitFeeRate ?? feeRateOf(position);
+const takerFeeRateOf = (position) => position.takerFeeRate ?? feeRateOf(position);
+
+/**
+ * Amount that can be lost before bankruptcy: the position's margin when isolated, the wallet
+ * balance when cross. A wallet smaller than the margin cannot back it, so the margin is used.
+ *
+ * @param {Position} position
+ * @returns {number}
+ */
+export const getCollateral = (position) => (
+  position.marginMode === 'cross' && position.walletBalance > position.margin
+    ? position.walletBalance
+    : position.margin
+);
+
+/**
+ * Position value in the margin coin and size in base qty (linear) or USD contracts (inverse).
+ *
+ * @param {Position} position
+ * @returns {{ positionValue: number, quantity: number }}
+ */
+export const getPositionSize = (position) => {
+  const positionValue = position.margin * position.leverage;
+  return {
+    positionValue,
+    quantity: isInverse(position) ? positionValue * position.entryPrice : positionValue / position.entryPrice
+  };
+};
+
+/**
+ * Gross PnL in the margin coin: linear qty × (exit − entry), inverse contracts × (1/entry − 1/exit).
+ *
+ * @param {Position} position
+ * @param {number} exitPrice
+ * @returns {number}
+ */
+export const calculateGrossPnl = (position, exitPrice) => {
+  const { quantity } = getPositionSize(position);
+  const direction = position.side === 'Long' ? 1 : -1;
+  return isInverse(position)
+    ? direction * quantity * (1 / position.entryPrice - 1 / exitPrice)
+    : direction * quantity * (exitPrice - position.entryPrice);
+};
+
+/**
+ * Trading fee in the margin coin for filling the whole position at a price.
+ *
+ * @param {Position} position
+ * @param {number} price
+ * @param {number} [feeRate] Defaults to the position's `feeRate`.
+ * @returns {number}
+ */
+export const calculateFee = (position, price, feeRate = feeRateOf(position)) => {
+  const { quantity } = getPositionSize(position);
+  const orderValue = isInverse(position) ? quantity / price : quantity * price;
+  return orderValue * feeRate;
+};
+
+/**
+ * Net outcome of closing the whole position at a given price (entry + exit fees).
+ *
+ * @param {Position} position
+ * @param {number} exitPrice
+ * @returns {ExitResult}
+ */
+export const calculateExit = (position, exitPrice) => {
+  const pnl = calculateGrossPnl(position, exitPrice);
+  const entryFee = calculateFee(position, position.entryPrice, entryFeeRateOf(position));
+  const exitFee = calculateFee(position, exitPrice, exitFeeRateOf(position));
+  const fees = entryFee + exitFee;
+  const funding = position.fundingPnl ?? 0;
+  const netPnl = pnl - fees + funding;
+  const finalAmount = position.margin + netPnl;
+
+  // Coin-margined results are also valued in USD at the exit price
+  return {
+    pnl: netPnl,
+    roi: (netPnl / position.margin) * 100,
+    fees,
+    entryFee,
+    exitFee,
+    funding,
+    finalAmount,
+    pnlUsd: isInverse(position) ? netPnl * exitPrice : netPnl,
+    finalAmountUsd: isInverse(position) ? finalAmount * exitPrice : finalAmount
+  };
+};
+
+/**
+ * Projected funding over a holding period. Funding is settled on the position value every
+ * interval; with a positive rate longs pay shorts. The position value is taken at entry.
+ *
+ * @param {Position} position
+ * @param {{ rate: number, intervalMinutes: number, holdingHours: number }} funding
+ * @returns {{ intervals: number, perInterval: number, total: number }} Amounts in the margin coin,
+ *   positive when received.
+ */
+export const calculateFunding = (position, { rate, intervalMinutes, holdingHours }) => {
+  const intervals = intervalMinutes > 0 && holdingHours > 0
+    ? Math.floor((holdingHours * 60) / intervalMinutes)
+    : 0;
+  const { positionValue } = getPositionSize(position);
+  const direction = position.side === 'Long' ? -1 : 1;
+  const perInterval = direction * positionValue * rate;
+
+  return { intervals, perInterval, total: perInterval * intervals };
+};
+
+/**
+ * Read Bybit's risk-limit list into tiers sorted by the position value they cover.
+ *
+ * @param {Array<{ riskLimitValue: string, maintenanceMargin: string, mmDeduction?: string, maxLeverage: string }>} list
+ * @returns {RiskTier[]}
+ */
+export const parseRiskTiers = (list) => (
+  list
+    .map(tier => ({
+      riskLimitValue: parseFloat(tier.riskLimitValue),
+      maintenanceMargin: parseFloat(tier.maintenanceMargin),
+      mmDeduction: parseFloat(tier.mmDeduction || '0'),
+      maxLeverage: parseFloat(tier.maxLeverage)
+    }))
+    .sort((a, b) => a.riskLimitValue - b.riskLimitValue)
+);
+
+/**
+ * Pick the risk-limit tier that covers the given position value.
+ *
+ * @param {RiskTier[] | undefined} riskTiers
+ * @param {number} positionValue
+ * @returns {RiskTier}
+ */
+export const getRiskTier = (riskTiers, positionValue) => {
+  if (!riskTiers || riskTiers.length === 0) {
+    return { maintenanceMargin: DEFAULT_MAINTENANCE_MARGIN_RATE, mmDeduction: 0, riskLimitValue: null };
+  }
+  return riskTiers.find(tier => positionValue <= tier.riskLimitValue) || riskTiers[riskTiers.length - 1];
+};
+
+/**
+ * Price at which the position has lost all of its collateral (see `getCollateral`).
+ *
+ * @param {Position} position
+ * @returns {number} `Infinity` for an inverse short whose collateral covers its whole value.
+ */
+export const calculateBankruptcyPrice = (position) => {
+  const { entryPrice } = position;
+  const isLong = position.side === 'Long';
+  // Collateral as a share of position value, 1 / leverage for isolated positions
+  const { positionValue } = getPositionSize(position);
+  const cover = getCollateral(position) / positionValue;
+
+  if (isInverse(position)) {
+    if (isLong) return entryPrice / (1 + cover);
+    return cover < 1 ? entryPrice / (1 - cover) : Infinity;
+  }
+  return Math.max(0, isLong ? entryPrice * (1 - cover) : entryPrice * (1 + cover));
+};
+
+/**
+ * Estimated liquidation price, following Bybit's formula:
+ * MM = position value × MMR − MM deduction + estimated fee to close at bankruptcy price.
+ * Liquidation happens once losses leave only MM of the collateral.
+ *
+ * @param {Position} position
+ * @returns {LiquidationResult}
+ */
+export const calculateLiquidation = (position) => {
+  const { entryPrice } = position;
+  const isLong = position.side === 'Long';
+  const { positionValue, quantity } = getPositionSize(position);
+  const collateral = getCollateral(position);
+  const tier = getRiskTier(position.riskTiers, positionValue);
+
+  const bankruptcyPrice = calculateBankruptcyPrice(position);
+  const feeToClose = Number.isFinite(bankruptcyPrice)
+    ? calculateFee(position, bankruptcyPrice, takerFeeRateOf(position))
+    : 0;
+  const maintenanceMargin = positionValue * tier.maintenanceMargin - tier.mmDeduction + feeToClose;
+
+  // Collateral that can be lost before maintenance margin is breached
+  const lossBuffer = collateral - maintenanceMargin;
+  let liquidationPrice;
+  if (isInverse(position)) {
+    const inversePrice = isLong
+      ? 1 / entryPrice + lossBuffer / quantity
+      : 1 / entryPrice - lossBuffer / quantity;
+    liquidationPrice = inversePrice > 0 ? 1 / inversePrice : Infinity;
+  } else {
+    const priceDistance = lossBuffer / quantity;
+    liquidationPrice = Math.max(0, isLong ? entryPrice - priceDistance : entryPrice + priceDistance);
+  }
+
+  return {
+    liquidationPrice,
+    maintenanceMargin,
+    maintenanceMarginRate: tier.maintenanceMargin,
+    riskLimitValue: tier.riskLimitValue,
+    positionSize: positionValue,
+    quantity,
+    distancePercent: (Math.abs(entryPrice - liquidationPrice) / entryPrice) * 100,
+    collateral,
+    marginRatio: maintenanceMargin / collateral
+  };
+};
+
+/**
+ * Bybit's margin ratio at a mark price: maintenance margin over collateral plus unrealized PnL.
+ * The position is liquidated when it reaches 1.
+ *
+ * @param {Position} position
+ * @param {number} markPrice
+ * @returns {number} `Infinity` once the collateral is gone.
+ */
+export const calculateMarginRatio = (position, markPrice) => {
+  const { maintenanceMargin, collateral } = calculateLiquidation(position);
+  const equity = collateral + calculateGrossPnl(position, markPrice);
+  return equity > 0 ? maintenanceMargin / equity : Infinity;
+};
+
+/**
+ * Exit price at which net PnL after entry and exit fees is zero. Funding is not included.
+ *
+ * @param {Position} position
+ * @returns {number}
+ */
+export const calculateBreakeven = (position) => {
+  const { entryPrice } = position;
+  const entryRate = entryFeeRateOf(position);
+  const exitRate = exitFeeRateOf(position);
+  const isLong = position.side === 'Long';
+
+  // Inverse fees are charged on contracts / price, which swaps where each leg's rate lands
+  if (isInverse(position)) {
+    return isLong
+      ? entryPrice * (1 + exitRate) / (1 - entryRate)
+      : entryPrice * (1 - exitRate) / (1 + entryRate);
+  }
+  return isLong
+    ? entryPrice * (1 + entryRate) / (1 - exitRate)
+    : entryPrice * (1 - entryRate) / (1 + exitRate);
+};
+
+/**
+ * Whether a price lies on the far side of the liquidation price.
+ *
+ * @param {PositionSide} side
+ * @param {number} price
+ * @param {LiquidationResult | null} liquidation
+ * @returns {boolean}
+ */
+export const isBeyondLiquidation = (side, price, liquidation) => {
+  if (!liquidation) return false;
+  return side === 'Long'
+    ? price <= liquidation.liquidationPrice
+    : price >= liquidation.liquidationPrice;
+};
+
+/**
+ * Outcome of the position being stopped out.
+ *
+ * @param {Position} position
+ * @param {number} stopPrice
+ * @returns {StopLossResult}
+ */
+export const calculateStopLoss = (position, stopPrice) => {
+  const isLong = position.side === 'Long';
+  return {
+    stopPrice,
+    ...calculateExit(position, stopPrice),
+    // Stop on the profit side of entry never acts as a stop-loss
+    wrongSide: isLong ? stopPrice >= position.entryPrice : stopPrice <= position.entryPrice,
+    beyondLiquidation: isBeyondLiquidation(position.side, stopPrice, calculateLiquidation(position))
+  };
+};
+
+/**
+ * Resolve how much of the position each target closes. Targets without a price are dropped,
+ * targets without a percent share the unallocated remainder equally, and allocations are capped
+ * at 100% in fill order (ascending price for longs, descending for shorts).
+ *
+ * @param {PositionSide} side
+ * @param {TargetInput[]} targets
+ * @returns {Array<{ target: number, price: number, percent: number, requestedPercent: number }>} In fill order.
+ */
+export const allocateTargets = (side, targets) => {
+  const priced = targets
+    .map((target, index) => ({ ...target, target: index + 1 }))
+    .filter(target => target.price > 0);
+
+  const explicitTotal = priced
+    .filter(target => target.percent > 0)
+    .reduce((sum, target) => sum + target.percent, 0);
+  const unassigned = priced.filter(target => !(target.percent > 0));
+  const sharedPercent = unassigned.length > 0 ? Math.max(0, 100 - explicitTotal) / unassigned.length : 0;
+
+  const inFillOrder = [...priced].sort((a, b) => (side === 'Long' ? a.price - b.price : b.price - a.price));
+
+  let closedPercent = 0;
+  return inFillOrder.map(target => {
+    const requestedPercent = target.percent > 0 ? target.percent : sharedPercent;
+    const percent = Math.max(0, Math.min(requestedPercent, 100 - closedPercent));
+    closedPercent += percent;
+    return { target: target.target, price: target.price, percent, requestedPercent };
+  });
+};
+
+/**
+ * Realized outcome of scaling out at each take-profit target, in fill order.
+ *
+ * @param {Position} position
+ * @param {TargetInput[]} targets
+ * @param {{ stopPrice?: number|null }} [options] Stop used to compute the risk/reward ratio.
+ * @returns {TargetResult[]}
+ */
+export const calculateResults = (position, targets, options = {}) => {
+  const liquidation = calculateLiquidation(position);
+  const stopResult = options.stopPrice ? calculateExit(position, options.stopPrice) : null;
+  const risk = stopResult && stopResult.pnl < 0 ? Math.abs(stopResult.pnl) : null;
+
+  let remainingPercent = 100;
+  let cumulativePnl = 0;
+
+  return allocateTargets(position.side, targets).map(({ target, price, percent, requestedPercent }) => {
+    const exit = calculateExit(position, price);
+    const share = percent / 100;
+    const pnl = exit.pnl * share;
+
+    remainingPercent -= percent;
+    cumulativePnl += pnl;
+
+    return {
+      target,
+      targetPrice: price,
+      percent,
+      requestedPercent,
+      ...exit,
+      pnl,
+      fees: exit.fees * share,
+      entryFee: exit.entryFee * share,
+      exitFee: exit.exitFee * share,
+      funding: exit.funding * share,
+      finalAmount: exit.finalAmount * share,
+      pnlUsd: exit.pnlUsd * share,
+      finalAmountUsd: exit.finalAmountUsd * share,
+      remainingPercent,
+      cumulativePnl,
+      // Reward per unit of risk for the whole position, both measured after fees
+      riskReward: risk ? exit.pnl / risk : null,
+      // A target on the far side of the liquidation price can never be hit
+      unreachable: isBeyondLiquidation(position.side, price, liquidation)
+    };
+  });
+};
+
+/**
+ * Totals across all scale-out legs.
+ *
+ * @param {Position} position
+ * @param {TargetResult[]} results
+ * @returns {BlendedResult}
+ */
+export const calculateBlendedResult = (position, results) => {
+  const sum = (key) => results.reduce((total, result) => total + result[key], 0);
+  const closedPercent = sum('percent');
+  const pnl = sum('pnl');
+
+  return {
+    closedPercent,
+    remainingPercent: 100 - closedPercent,
+    averageExitPrice: closedPercent > 0
+      ? results.reduce((total, result) => total + result.targetPrice * result.percent, 0) / closedPercent
+      : null,
+    pnl,
+    pnlUsd: sum('pnlUsd'),
+    fees: sum('fees'),
+    funding: sum('funding'),
+    roi: (pnl / position.margin) * 100
+  };
+};
+
+/**
+ * @typedef {object} PnlPoint
+ * @property {number} price
+ * @property {number} pnl Net PnL of closing the whole position at `price`, in the margin coin.
+ * @property {number} roi Net PnL as a percentage of margin.
+ * @property {boolean} liquidated Whether `price` lies past liquidation, where the collateral is lost.
+ */
+
+/**
+ * Net PnL of closing the whole position at each of the given prices.
+ *
+ * @param {Position} position
+ * @param {number[]} prices
+ * @returns {PnlPoint[]}
+ */
+export const calculatePnlCurve = (position, prices) => {
+  const liquidation = calculateLiquidation(position);
+  return prices.map(price => {
+    if (isBeyondLiquidation(position.side, price, liquidation)) {
+      return { price, pnl: -liquidation.collateral, roi: (-liquidation.collateral / position.margin) * 100, liquidated: true };
+    }
+    const { pnl, roi } = calculateExit(position, price);
+    return { price, pnl, roi, liquidated: false };
+  });
+};
+
+/**
+ * The position at another leverage, keeping either its margin (the leverage slider with a
+ * fixed margin) or its size (risk-based sizing). Projected funding follows the size.
+ *
+ * @param {Position} position
+ * @param {number} leverage
+ * @param {'margin' | 'size'} [keep]
+ * @returns {Position}
+ */
+export const withLeverage = (position, leverage, keep = 'margin') => {
+  if (keep === 'size') return { ...position, leverage, margin: (position.margin * position.leverage) / leverage };
+  const resized = { ...position, leverage };
+  if (position.fundingPnl) resized.fundingPnl = (position.fundingPnl * leverage) / position.leverage;
+  return resized;
+};
+
+/**
+ * Whether the leverage is above what the position's risk-limit tier allows.
+ *
+ * @param {Position} position
+ * @returns {boolean}
+ */
+export const exceedsTierLeverage = (position) => {
+  const tier = getRiskTier(position.riskTiers, getPositionSize(position).positionValue);
+  return tier.maxLeverage > 0 && position.leverage > tier.maxLeverage + 1e-9;
+};
+
+/**
+ * @typedef {object} LeverageLimit
+ * @property {number} leverage Highest safe leverage, on the leverage slider's 0.1 step.
+ * @property {number} liquidationPrice At that leverage.
+ * @property {number} limitPrice The stop moved out by the buffer, liquidation stays beyond it.
+ */
+
+/**
+ * Highest leverage within the pair's limits whose liquidation stays `bufferPercent` of the stop
+ * price beyond the stop, and that the risk-limit tier of the resulting position allows.
+ *
+ * @param {(leverage: number) => Position} positionAt The position at a given leverage, see `withLeverage`.
+ * @param {{ stopPrice: number, bufferPercent?: number, minLeverage: number, maxLeverage: number }} options
+ * @returns {LeverageLimit|null} `null` when even the minimum leverage is liquidated first.
+ */
+export const findMaxLeverage = (positionAt, { stopPrice, bufferPercent = 0, minLeverage, maxLeverage }) => {
+  const isLong = positionAt(minLeverage).side === 'Long';
+  const limitPrice = stopPrice * (isLong ? 1 - bufferPercent / 100 : 1 + bufferPercent / 100);
+  const isSafeAt = (leverage) => {
+    const position = positionAt(leverage);
+    const { liquidationPrice } = calculateLiquidation(position);
+    return !exceedsTierLeverage(position) && (isLong ? liquidationPrice < limitPrice : liquidationPrice > limitPrice);
+  };
+
+  // Liquidation moves toward entry as leverage grows, so bisect for the last safe leverage
+  let leverage;
+  if (isSafeAt(maxLeverage)) {
+    leverage = maxLeverage;
+  } else if (isSafeAt(minLeverage)) {
+    let low = minLeverage;
+    let high = maxLeverage;
+    while (high - low > 0.01) {
+      const mid = (low + high) / 2;
+      if (isSafeAt(mid)) low = mid; else high = mid;
+    }
+    // Match the leverage slider's 0.1 step. The limit can sit right on a step, like a tier's 12.5x cap
+    const stepped = Math.floor(low * 10) / 10;
+    const next = Math.round(stepped * 10 + 1) / 10;
+    leverage = Math.max(minLeverage, isSafeAt(next) ? next : stepped);
+  } else {
+    return null;
+  }
+  return { leverage, liquidationPrice: calculateLiquidation(positionAt(leverage)).liquidationPrice, limitPrice };
+};
+
+/**
+ * @typedef {object} LeverageSensitivityRow
+ * @property {number} leverage
+ * @property {Position} position
+ * @property {number} liquidationPrice
+ * @property {number} distancePercent Distance from entry to liquidation, in percent of entry.
+ * @property {boolean} exceedsTier Above the leverage the position's risk-limit tier allows.
+ * @property {PnlPoint[]} cells Net outcome of closing the whole position at each price.
+ */
+
+/**
+ * Leverage × price matrix of net ROI, with the liquidation distance at each leverage.
+ *
+ * @param {(leverage: number) => Position} positionAt
+ * @param {number[]} leverages
+ * @param {number[]} prices
+ * @returns {LeverageSensitivityRow[]}
+ */
+export const calculateLeverageSensitivity = (positionAt, leverages, prices) => leverages.map(leverage => {
+  const position = positionAt(leverage);
+  const liquidation = calculateLiquidation(position);
+  return {
+    leverage,
+    position,
+    liquidationPrice: liquidation.liquidationPrice,
+    distancePercent: liquidation.distancePercent,
+    exceedsTier: exceedsTierLeverage(position),
+    cells: calculatePnlCurve(position, prices)
+  };
+});
+
+// Round numbers traders pick, the pair's limits and the current leverage are added to them
+const COMMON_LEVERAGES = [1, 2, 3, 5, 10, 15, 20, 25, 50, 75, 100, 125, 150, 200];
+
+/**
+ * Leverages to compare: common values within the pair's limits, the limits and the current one.
+ *
+ * @param {number} minLeverage
+ * @param {number} maxLeverage
+ * @param {number} [current]
+ * @returns {number[]} Ascending, without duplicates.
+ */
+export const getLeverageSteps = (minLeverage, maxLeverage, current) => [...new Set([
+  minLeverage,
+  ...COMMON_LEVERAGES.filter(leverage => leverage > minLeverage && leverage < maxLeverage),
+  maxLeverage,
+  ...(current >= minLeverage && current <= maxLeverage ? [current] : [])
+])].sort((a, b) => a - b);
+
+/**
+ * Round a quantity down to the instrument's step, avoiding float noise like 0.30000000000000004.
+ *
+ * @param {number} value
+ * @param {number} step
+ * @returns {number}
+ */
+export const roundToStep = (value, step) => {
+  if (!step || step <= 0) return value;
+  const decimals = (step.toString().split('.')[1] || '').length;
+  return Number((Math.floor(value / step + 1e-9) * step).toFixed(decimals));
+};
+
+/**
+ * @typedef {object} LotSizeFilter
+ * @property {number} qtyStep
+ * @property {number} minOrderQty
+ * @property {number} maxOrderQty
+ */
+
+/**
+ * @typedef {LotSizeFilter & {
+ *   tickSize: number,
+ *   minNotionalValue: number
+ * }} InstrumentFilters Order limits from `instruments-info`. Zero means the instrument sets no limit.
+ */
+
+/**
+ * @typedef {object} OrderSizeCheck
+ * @property {Position} position The position resized to a whole number of qty steps.
+ * @property {number} quantity Base qty (linear) or USD contracts (inverse).
+ * @property {number} notional Order value in the quote coin (USD for inverse).
+ * @property {boolean} belowMinQty
+ * @property {boolean} belowMinNotional
+ * @property {boolean} aboveMaxQty
+ */
+
+/**
+ * @typedef {object} RiskSizingInput
+ * @property {ContractCategory} category
+ * @property {PositionSide} side
+ * @property {number} entryPrice
+ * @property {number} stopPrice
+ * @property {number} equity Account equity, in the margin coin.
+ * @property {number} riskPercent Share of equity lost if the stop is hit, fees included.
+ * @property {number} leverage Leverage the margin is computed for.
+ * @property {number} minLeverage
+ * @property {number} maxLeverage
+ * @property {LotSizeFilter} [lotSize]
+ * @property {number} [entryFeeRate]
+ * @property {number} [exitFeeRate]
+ * @property {number} [takerFeeRate]
+ * @property {RiskTier[]} [riskTiers]
+ * @property {MarginMode} [marginMode]
+ * @property {number} [walletBalance] Cross only, see `Position`.
+ */
+
+/**
+ * @typedef {object} RiskSizingResult
+ * @property {number} riskAmount Amount of equity at risk, in the margin coin.
+ * @property {number} quantity Base qty (linear) or USD contracts (inverse), rounded to the lot size.
+ * @property {number} positionValue In the margin coin.
+ * @property {number} margin Margin needed at the given leverage.
+ * @property {number} actualRisk Loss at the stop for the rounded quantity, fees included.
+ * @property {number|null} maxSafeLeverage Highest leverage, within the pair's limits and risk-limit tier, that keeps
+ *   liquidation beyond the stop. `null` when even the minimum leverage is liquidated first.
+ * @property {number} requiredLeverage Lowest leverage at which the margin fits in the equity.
+ * @property {boolean} belowMinQty
+ * @property {boolean} cappedAtMaxQty
+ */
+
+/**
+ * Size a position from account equity, the share of it to risk and the stop distance.
+ *
+ * @param {RiskSizingInput} input
+ * @returns {RiskSizingResult|null} `null` when the stop is missing or on the wrong side of entry.
+ */
+export const calculateRiskBasedSize = (input) => {
+  const { category, side, entryPrice, stopPrice, equity, riskPercent, leverage, minLeverage, maxLeverage } = input;
+  const isLong = side === 'Long';
+  if (!(stopPrice > 0) || (isLong ? stopPrice >= entryPrice : stopPrice <= entryPrice)) return null;
+
+  const entryRate = input.entryFeeRate ?? TAKER_FEE_RATE;
+  const exitRate = input.exitFeeRate ?? TAKER_FEE_RATE;
+  const inverse = category === 'inverse';
+
+  // Loss per unit of size if stopped out, including both fees
+  const lossPerUnit = inverse
+    ? Math.abs(1 / entryPrice - 1 / stopPrice) + entryRate / entryPrice + exitRate / stopPrice
+    : Math.abs(entryPrice - stopPrice) + entryPrice * entryRate + stopPrice * exitRate;
+
+  const riskAmount = equity * (riskPercent / 100);
+  let quantity = roundToStep(riskAmount / lossPerUnit, input.lotSize?.qtyStep);
+
+  const maxOrderQty = input.lotSize?.maxOrderQty;
+  const cappedAtMaxQty = maxOrderQty > 0 && quantity > maxOrderQty;
+  if (cappedAtMaxQty) quantity = maxOrderQty;
+
+  const belowMinQty = quantity <= 0 || (input.lotSize?.minOrderQty > 0 && quantity < input.lotSize.minOrderQty);
+  const positionValue = inverse ? quantity / entryPrice : quantity * entryPrice;
+
+  // Same size at every leverage, only the margin changes
+  const positionAt = (testLeverage) => ({
+    category,
+    side,
+    entryPrice,
+    margin: positionValue / testLeverage,
+    leverage: testLeverage,
+    entryFeeRate: entryRate,
+    exitFeeRate: exitRate,
+    takerFeeRate: input.takerFeeRate,
+    riskTiers: input.riskTiers,
+    marginMode: input.marginMode,
+    walletBalance: input.walletBalance
+  });
+  const maxSafeLeverage = positionValue > 0
+    ? findMaxLeverage(positionAt, { stopPrice, minLeverage, maxLeverage })?.leverage ?? null
+    : null;
+
+  return {
+    riskAmount,
+    quantity,
+    positionValue,
+    margin: positionValue / leverage,
+    actualRisk: quantity * lossPerUnit,
+    maxSafeLeverage,
+    requiredLeverage: equity > 0 ? Math.max(minLeverage, positionValue / equity) : Infinity,
+    belowMinQty,
+    cappedAtMaxQty
+  };
+};
+
+/**
+ * Whether a price is a whole multiple of the instrument's tick size.
+ *
+ * @param {number} price
+ * @param {number} tickSize
+ * @returns {boolean}
+ */
+export const isOnTick = (price, tickSize) => {
+  if (!tickSize || tickSize <= 0) return true;
+  const ticks = price / tickSize;
+  return Math.abs(ticks - Math.round(ticks)) < 1e-6;
+};
+
+/**
+ * Round a price to the nearest tick.
+ *
+ * @param {number} price
+ * @param {number} tickSize
+ * @returns {number}
+ */
+export const roundToTick = (price, tickSize) => {
+  if (!tickSize || tickSize <= 0) return price;
+  const decimals = (tickSize.toString().split('.')[1] || '').length;
+  return Number((Math.round(price / tickSize) * tickSize).toFixed(decimals));
+};
+
+/**
+ * Round the position down to the instrument's qty step and check it against the order limits.
+ * When the size rounds down to nothing the original position is kept so results stay visible,
+ * with `belowMinQty` set.
+ *
+ * @param {Position} position
+ * @param {InstrumentFilters} [filters]
+ * @returns {OrderSizeCheck}
+ */
+export const applyInstrumentFilters = (position, filters = {}) => {
+  const { quantity: rawQuantity } = getPositionSize(position);
+  const quantity = roundToStep(rawQuantity, filters.qtyStep);
+  const sized = quantity > 0 && quantity !== rawQuantity
+    ? {
+        ...position,
+        margin: (isInverse(position) ? quantity / position.entryPrice : quantity * position.entryPrice) / position.leverage
+      }
+    : position;
+  const notional = isInverse(position) ? quantity : quantity * position.entryPrice;
+
+  return {
+    position: sized,
+    quantity,
+    notional,
+    belowMinQty: quantity <= 0 || (filters.minOrderQty > 0 && quantity < filters.minOrderQty),
+    belowMinNotional: filters.minNotionalValue > 0 && notional < filters.minNotionalValue,
+    aboveMaxQty: filters.maxOrderQty > 0 && quantity > filters.maxOrderQty
+  };
+};
+
+/**
+ * @typedef {object} EntryFill
+ * @property {number} price
+ * @property {number} margin Margin committed at this level, in the margin coin.
+ */
+
+/**
+ * @typedef {object} AveragedEntryStep
+ * @property {number} fill 1 for the first entry, then one per level in the order given.
+ * @property {number} price
+ * @property {number} margin Margin added by this fill, rounded to the qty step.
+ * @property {number} quantity Base qty (linear) or USD contracts (inverse) added by this fill.
+ * @property {number} averageEntryPrice Of every fill so far.
+ * @property {number} totalMargin
+ * @property {number} totalQuantity
+ * @property {Position} position Position after this fill.
+ * @property {LiquidationResult} liquidation
+ * @property {boolean} unreachable The previous fills are liquidated before the price gets here.
+ */
+
+/**
+ * Scale into a position at several levels (DCA or grid entries) with the same leverage.
+ * Each fill adds its own quantity; the averaged entry is the quantity-weighted price for
+ * linear contracts and the contract-weighted harmonic mean for inverse ones, which keeps
+ * margin × leverage equal to the position value. Fees on the averaged position equal the
+ * sum of each fill's fee.
+ *
+ * @param {Position} position First entry.
+ * @param {EntryFill[]} fills Further levels, filled in the order given.
+ * @param {InstrumentFilters} [filters] Each fill is rounded down to the qty step.
+ * @returns {AveragedEntryStep[]} One step per fill, the first entry included.
+ */
+export const calculateAveragedEntry = (position, fills, filters = {}) => {
+  let totalMargin = 0;
+  let totalQuantity = 0;
+  // Position value in the margin coin, summed per fill
+  let totalValue = 0;
+  let previous = null;
+
+  return [{ price: position.entryPrice, margin: position.margin }, ...fills].map((fill, index) => {
+    const { position: sized } = applyInstrumentFilters({ ...position, entryPrice: fill.price, margin: fill.margin }, filters);
+    const { positionValue: value, quantity } = getPositionSize(sized);
+
+    totalMargin += sized.margin;
+    totalQuantity += quantity;
+    totalValue += value;
+
+    const averageEntryPrice = isInverse(position) ? totalQuantity / totalValue : totalValue / totalQuantity;
+    const averaged = { ...position, entryPrice: averageEntryPrice, margin: totalMargin };
+    const step = {
+      fill: index + 1,
+      price: fill.price,
+      margin: sized.margin,
+      quantity,
+      averageEntryPrice,
+      totalMargin,
+      totalQuantity,
+      position: averaged,
+      liquidation: calculateLiquidation(averaged),
+      unreachable: previous !== null && isBeyondLiquidation(position.side, fill.price, previous.liquidation)
+    };
+    previous = step;
+    return step;
+  });
+};
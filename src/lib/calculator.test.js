@@ -0,0 +1,694 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TAKER_FEE_RATE,
+  allocateTargets,
+  applyInstrumentFilters,
+  calculateAveragedEntry,
+  calculateBankruptcyPrice,
+  calculateBlendedResult,
+  calculateBreakeven,
+  calculateExit,
+  calculateFee,
+  calculateFunding,
+  calculateGrossPnl,
+  calculateLeverageSensitivity,
+  calculateLiquidation,
+  calculateMarginRatio,
+  calculatePnlCurve,
+  calculateResults,
+  calculateRiskBasedSize,
+  calculateStopLoss,
+  exceedsTierLeverage,
+  findMaxLeverage,
+  getCollateral,
+  getLeverageSteps,
+  getPositionSize,
+  getRiskTier,
+  isOnTick,
+  parseRiskTiers,
+  roundToStep,
+  roundToTick,
+  withLeverage
+} from './calculator.js';
+
+// 1 BTC at 8,000 USDT with 800 USDT margin at 10x
+const linearLong = {
+  category: 'linear',
+  side: 'Long',
+  entryPrice: 8000,
+  margin: 800,
+  leverage: 10
+};
+
+// 10,000 USD contracts at 8,000 with 0.125 BTC margin at 10x
+const inverseLong = {
+  category: 'inverse',
+  side: 'Long',
+  entryPrice: 8000,
+  margin: 0.125,
+  leverage: 10
+};
+
+describe('getPositionSize', () => {
+  it('sizes linear positions in base qty', () => {
+    expect(getPositionSize(linearLong)).toEqual({ positionValue: 8000, quantity: 1 });
+  });
+
+  it('sizes inverse positions in USD contracts', () => {
+    const { positionValue, quantity } = getPositionSize(inverseLong);
+    expect(positionValue).toBeCloseTo(1.25, 10);
+    expect(quantity).toBeCloseTo(10000, 6);
+  });
+});
+
+describe('PnL', () => {
+  it('computes linear PnL as qty × price move', () => {
+    expect(calculateGrossPnl(linearLong, 9000)).toBeCloseTo(1000, 8);
+    expect(calculateGrossPnl({ ...linearLong, side: 'Short' }, 7000)).toBeCloseTo(1000, 8);
+    expect(calculateGrossPnl({ ...linearLong, side: 'Short' }, 9000)).toBeCloseTo(-1000, 8);
+  });
+
+  it('matches Bybit\'s inverse example: 10,000 contracts long from 8,000 to 9,000', () => {
+    // 10,000 × (1/8,000 − 1/9,000) = 0.13888889 BTC
+    expect(calculateGrossPnl(inverseLong, 9000)).toBeCloseTo(0.13888889, 8);
+  });
+
+  it('computes inverse short PnL as contracts × (1/exit − 1/entry)', () => {
+    // 10,000 × (1/7,000 − 1/8,000) = 0.17857143 BTC
+    expect(calculateGrossPnl({ ...inverseLong, side: 'Short' }, 7000)).toBeCloseTo(0.17857143, 8);
+  });
+});
+
+describe('fees', () => {
+  it('charges the fee rate on order value', () => {
+    // 1 BTC × 8,000 × 0.06% = 4.8 USDT
+    expect(calculateFee(linearLong, 8000)).toBeCloseTo(4.8, 10);
+    // 10,000 contracts / 8,000 × 0.06% = 0.00075 BTC
+    expect(calculateFee(inverseLong, 8000)).toBeCloseTo(0.00075, 10);
+  });
+
+  it('uses a custom fee rate when given', () => {
+    expect(calculateFee({ ...linearLong, feeRate: 0.0002 }, 8000)).toBeCloseTo(1.6, 10);
+  });
+});
+
+describe('calculateExit', () => {
+  it('nets entry and exit fees out of a linear long', () => {
+    const exit = calculateExit(linearLong, 9000);
+    // fees: 8,000 × 0.06% + 9,000 × 0.06% = 4.8 + 5.4
+    expect(exit.fees).toBeCloseTo(10.2, 8);
+    expect(exit.pnl).toBeCloseTo(989.8, 8);
+    expect(exit.roi).toBeCloseTo(123.725, 8);
+    expect(exit.finalAmount).toBeCloseTo(1789.8, 8);
+    expect(exit.pnlUsd).toBeCloseTo(exit.pnl, 10);
+  });
+
+  it('nets entry and exit fees out of a linear short', () => {
+    const exit = calculateExit({ ...linearLong, side: 'Short' }, 7000);
+    // fees: 4.8 + 4.2
+    expect(exit.fees).toBeCloseTo(9, 8);
+    expect(exit.pnl).toBeCloseTo(991, 8);
+    expect(exit.roi).toBeCloseTo(123.875, 8);
+  });
+
+  it('values inverse results in USD at the exit price', () => {
+    const exit = calculateExit({ ...inverseLong, feeRate: 0 }, 9000);
+    expect(exit.pnl).toBeCloseTo(0.13888889, 8);
+    expect(exit.roi).toBeCloseTo(111.111111, 5);
+    expect(exit.pnlUsd).toBeCloseTo(1250, 4);
+    expect(exit.finalAmountUsd).toBeCloseTo((0.125 + 0.13888889) * 9000, 3);
+  });
+});
+
+describe('parseRiskTiers', () => {
+  it('reads the API strings and sorts by the value covered', () => {
+    expect(parseRiskTiers([
+      { riskLimitValue: '2600000', maintenanceMargin: '0.01', mmDeduction: '10000', maxLeverage: '50' },
+      { riskLimitValue: '2000000', maintenanceMargin: '0.005', mmDeduction: '', maxLeverage: '100' }
+    ])).toEqual([
+      { riskLimitValue: 2000000, maintenanceMargin: 0.005, mmDeduction: 0, maxLeverage: 100 },
+      { riskLimitValue: 2600000, maintenanceMargin: 0.01, mmDeduction: 10000, maxLeverage: 50 }
+    ]);
+  });
+});
+
+describe('getRiskTier', () => {
+  const tiers = [
+    { riskLimitValue: 2000000, maintenanceMargin: 0.005, mmDeduction: 0 },
+    { riskLimitValue: 2600000, maintenanceMargin: 0.01, mmDeduction: 10000 },
+    { riskLimitValue: 3200000, maintenanceMargin: 0.015, mmDeduction: 23000 }
+  ];
+
+  it('picks the first tier that covers the position value', () => {
+    expect(getRiskTier(tiers, 1000).maintenanceMargin).toBe(0.005);
+    expect(getRiskTier(tiers, 2000000).maintenanceMargin).toBe(0.005);
+    expect(getRiskTier(tiers, 2500000).maintenanceMargin).toBe(0.01);
+  });
+
+  it('caps at the highest tier', () => {
+    expect(getRiskTier(tiers, 5000000).maintenanceMargin).toBe(0.015);
+  });
+
+  it('falls back to the base 0.5% rate without tiers', () => {
+    expect(getRiskTier([], 1000)).toEqual({ maintenanceMargin: 0.005, mmDeduction: 0, riskLimitValue: null });
+    expect(getRiskTier(undefined, 1000).maintenanceMargin).toBe(0.005);
+  });
+});
+
+describe('calculateLiquidation', () => {
+  // Bybit's worked example: 1 BTC long at 8,000 with 50x, MMR 0.5%
+  const bybitExample = { category: 'linear', side: 'Long', entryPrice: 8000, margin: 160, leverage: 50, feeRate: 0 };
+
+  it('matches Bybit\'s linear example: LP = 8,000 − (160 − 40) / 1', () => {
+    const liquidation = calculateLiquidation(bybitExample);
+    expect(liquidation.maintenanceMargin).toBeCloseTo(40, 8);
+    expect(liquidation.liquidationPrice).toBeCloseTo(7880, 8);
+    expect(liquidation.distancePercent).toBeCloseTo(1.5, 8);
+  });
+
+  it('mirrors the linear example for shorts', () => {
+    expect(calculateLiquidation({ ...bybitExample, side: 'Short' }).liquidationPrice).toBeCloseTo(8120, 8);
+  });
+
+  it('adds the estimated fee to close at bankruptcy price to maintenance margin', () => {
+    const liquidation = calculateLiquidation({ ...bybitExample, feeRate: TAKER_FEE_RATE });
+    // bankruptcy 7,840; fee to close 1 × 7,840 × 0.06% = 4.704
+    expect(calculateBankruptcyPrice(bybitExample)).toBeCloseTo(7840, 8);
+    expect(liquidation.maintenanceMargin).toBeCloseTo(44.704, 8);
+    expect(liquidation.liquidationPrice).toBeCloseTo(7884.704, 8);
+  });
+
+  it('applies the MM deduction of higher risk tiers', () => {
+    const tiers = [
+      { riskLimitValue: 2000000, maintenanceMargin: 0.005, mmDeduction: 0 },
+      { riskLimitValue: 2600000, maintenanceMargin: 0.01, mmDeduction: 10000 }
+    ];
+    // 2,500,000 USDT at 10x from 50,000: 50 BTC, IM 250,000, MM 25,000 − 10,000
+    const liquidation = calculateLiquidation({
+      category: 'linear', side: 'Long', entryPrice: 50000, margin: 250000, leverage: 10, feeRate: 0, riskTiers: tiers
+    });
+    expect(liquidation.maintenanceMarginRate).toBe(0.01);
+    expect(liquidation.maintenanceMargin).toBeCloseTo(15000, 6);
+    expect(liquidation.liquidationPrice).toBeCloseTo(50000 - (250000 - 15000) / 50, 6);
+  });
+
+  it('matches Bybit\'s inverse example: 8,000 contracts long at 8,000 with 50x', () => {
+    // LP = 8,000 × 8,000 / (8,000 + 8,000 × (0.02 − 0.005)) = 7,881.77
+    const liquidation = calculateLiquidation({
+      category: 'inverse', side: 'Long', entryPrice: 8000, margin: 0.02, leverage: 50, feeRate: 0
+    });
+    expect(liquidation.quantity).toBeCloseTo(8000, 6);
+    expect(liquidation.maintenanceMargin).toBeCloseTo(0.005, 10);
+    expect(liquidation.liquidationPrice).toBeCloseTo(7881.77, 2);
+  });
+
+  it('computes inverse short liquidation, far away but finite at 1x', () => {
+    const short = { category: 'inverse', side: 'Short', entryPrice: 8000, margin: 0.02, leverage: 50, feeRate: 0 };
+    expect(calculateLiquidation(short).liquidationPrice).toBeCloseTo(8000 / 0.985, 2);
+
+    // A 1x inverse short never goes bankrupt, only the 0.5% maintenance margin is at stake
+    expect(calculateBankruptcyPrice({ ...short, leverage: 1 })).toBe(Infinity);
+    const unleveraged = calculateLiquidation({ ...short, margin: 1, leverage: 1 });
+    expect(unleveraged.liquidationPrice).toBeCloseTo(8000 / 0.005, 2);
+  });
+
+  it('never returns a negative linear liquidation price', () => {
+    expect(calculateLiquidation({ ...linearLong, leverage: 1, margin: 8000 }).liquidationPrice).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('cross margin', () => {
+  // Bybit's linear example again, backed by a 1,000 USDT wallet
+  const isolated = { category: 'linear', side: 'Long', entryPrice: 8000, margin: 160, leverage: 50, feeRate: 0 };
+  const cross = { ...isolated, marginMode: 'cross', walletBalance: 1000 };
+
+  it('uses the wallet balance as collateral, never less than the margin', () => {
+    expect(getCollateral(isolated)).toBe(160);
+    expect(getCollateral({ ...isolated, walletBalance: 1000 })).toBe(160);
+    expect(getCollateral(cross)).toBe(1000);
+    expect(getCollateral({ ...cross, walletBalance: 100 })).toBe(160);
+  });
+
+  it('pushes liquidation out by the rest of the wallet: LP = 8,000 − (1,000 − 40) / 1', () => {
+    const liquidation = calculateLiquidation(cross);
+    expect(liquidation.maintenanceMargin).toBeCloseTo(40, 8);
+    expect(liquidation.liquidationPrice).toBeCloseTo(7040, 8);
+    expect(calculateLiquidation({ ...cross, side: 'Short' }).liquidationPrice).toBeCloseTo(8960, 8);
+    expect(calculateBankruptcyPrice(cross)).toBeCloseTo(7000, 8);
+  });
+
+  it('backs inverse positions with the coin balance', () => {
+    // 1 / LP = 1 / 8,000 + (0.1 − 0.005) / 8,000
+    const liquidation = calculateLiquidation({
+      category: 'inverse', side: 'Long', entryPrice: 8000, margin: 0.02, leverage: 50, feeRate: 0,
+      marginMode: 'cross', walletBalance: 0.1
+    });
+    expect(liquidation.liquidationPrice).toBeCloseTo(8000 / 1.095, 6);
+  });
+
+  it('reports the margin ratio against collateral plus unrealized PnL', () => {
+    expect(calculateLiquidation(isolated).marginRatio).toBeCloseTo(0.25, 8);
+    expect(calculateLiquidation(cross).marginRatio).toBeCloseTo(0.04, 8);
+    expect(calculateMarginRatio(cross, 7500)).toBeCloseTo(40 / 500, 8);
+    expect(calculateMarginRatio(cross, 7040)).toBeCloseTo(1, 8);
+    expect(calculateMarginRatio(cross, 6900)).toBe(Infinity);
+  });
+
+  it('loses the whole wallet past liquidation', () => {
+    const [point] = calculatePnlCurve(cross, [7000]);
+    expect(point.liquidated).toBe(true);
+    expect(point.pnl).toBe(-1000);
+    expect(point.roi).toBeCloseTo(-625, 8);
+  });
+});
+
+describe('calculateBreakeven', () => {
+  it('covers entry and exit fees for longs and shorts', () => {
+    expect(calculateBreakeven(linearLong)).toBeCloseTo(8000 * 1.0006 / 0.9994, 8);
+    expect(calculateBreakeven({ ...linearLong, side: 'Short' })).toBeCloseTo(8000 * 0.9994 / 1.0006, 8);
+  });
+
+  it('yields zero net PnL at the breakeven price', () => {
+    [linearLong, inverseLong].forEach(base => {
+      ['Long', 'Short'].forEach(side => {
+        const position = { ...base, side };
+        expect(calculateExit(position, calculateBreakeven(position)).pnl).toBeCloseTo(0, 8);
+      });
+    });
+  });
+});
+
+describe('allocateTargets', () => {
+  it('drops unpriced targets but keeps their numbering', () => {
+    const legs = allocateTargets('Long', [{ price: 9000 }, { price: null }, { price: 10000 }]);
+    expect(legs.map(leg => leg.target)).toEqual([1, 3]);
+  });
+
+  it('splits the unallocated remainder between targets without a percent', () => {
+    const legs = allocateTargets('Long', [{ price: 9000, percent: 40 }, { price: 10000 }, { price: 11000 }]);
+    expect(legs.map(leg => leg.percent)).toEqual([40, 30, 30]);
+    expect(allocateTargets('Long', [{ price: 9000 }])[0].percent).toBe(100);
+  });
+
+  it('orders legs by fill order for each side', () => {
+    const targets = [{ price: 10000 }, { price: 9000 }];
+    expect(allocateTargets('Long', targets).map(leg => leg.price)).toEqual([9000, 10000]);
+    expect(allocateTargets('Short', targets).map(leg => leg.price)).toEqual([10000, 9000]);
+  });
+
+  it('caps the total at 100% in fill order', () => {
+    const legs = allocateTargets('Long', [{ price: 9000, percent: 70 }, { price: 10000, percent: 50 }]);
+    expect(legs.map(leg => leg.percent)).toEqual([70, 30]);
+    expect(legs[1].requestedPercent).toBe(50);
+  });
+});
+
+describe('calculateResults', () => {
+  it('closes the whole position at a single target', () => {
+    const [result] = calculateResults(linearLong, [{ price: 9000 }]);
+    expect(result.percent).toBe(100);
+    expect(result.pnl).toBeCloseTo(989.8, 8);
+    expect(result.remainingPercent).toBe(0);
+    expect(result.riskReward).toBeNull();
+  });
+
+  it('realizes each leg on its share of the position', () => {
+    // Scale out 30/30/40
+    const results = calculateResults(linearLong, [
+      { price: 9000, percent: 30 },
+      { price: 10000, percent: 30 },
+      { price: 11000, percent: 40 }
+    ]);
+    const full = [9000, 10000, 11000].map(price => calculateExit(linearLong, price));
+
+    expect(results[0].pnl).toBeCloseTo(full[0].pnl * 0.3, 8);
+    expect(results[0].fees).toBeCloseTo(full[0].fees * 0.3, 8);
+    expect(results[0].roi).toBeCloseTo(full[0].roi, 8);
+    expect(results[1].remainingPercent).toBe(40);
+    expect(results[2].cumulativePnl).toBeCloseTo(full[0].pnl * 0.3 + full[1].pnl * 0.3 + full[2].pnl * 0.4, 8);
+  });
+
+  it('measures risk/reward for the whole position against the net loss at the stop', () => {
+    const [result] = calculateResults(linearLong, [{ price: 9000, percent: 50 }], { stopPrice: 7500 });
+    const stop = calculateExit(linearLong, 7500);
+    expect(result.riskReward).toBeCloseTo(calculateExit(linearLong, 9000).pnl / Math.abs(stop.pnl), 10);
+  });
+
+  it('flags targets beyond the liquidation price as unreachable', () => {
+    const position = { ...linearLong, leverage: 50, margin: 160 };
+    const [unreachable, reachable] = calculateResults(position, [{ price: 7900 }, { price: 7800 }]);
+    expect(unreachable.targetPrice).toBe(7800);
+    expect(unreachable.unreachable).toBe(true);
+    expect(reachable.unreachable).toBe(false);
+  });
+});
+
+describe('calculateBlendedResult', () => {
+  it('sums the legs and weights the average exit price', () => {
+    const results = calculateResults(linearLong, [{ price: 9000, percent: 25 }, { price: 10000, percent: 25 }]);
+    const blended = calculateBlendedResult(linearLong, results);
+
+    expect(blended.closedPercent).toBe(50);
+    expect(blended.remainingPercent).toBe(50);
+    expect(blended.averageExitPrice).toBeCloseTo(9500, 8);
+    expect(blended.pnl).toBeCloseTo(results[0].pnl + results[1].pnl, 8);
+    expect(blended.roi).toBeCloseTo((blended.pnl / 800) * 100, 8);
+  });
+
+  it('has no average exit without legs', () => {
+    expect(calculateBlendedResult(linearLong, []).averageExitPrice).toBeNull();
+  });
+});
+
+describe('calculateStopLoss', () => {
+  it('reports the net loss after fees', () => {
+    const stop = calculateStopLoss(linearLong, 7600);
+    // −400 gross, fees 4.8 + 4.56
+    expect(stop.pnl).toBeCloseTo(-409.36, 8);
+    expect(stop.wrongSide).toBe(false);
+    expect(stop.beyondLiquidation).toBe(false);
+  });
+
+  it('warns about stops past liquidation or on the profit side', () => {
+    const position = { ...linearLong, leverage: 50, margin: 160 };
+    expect(calculateStopLoss(position, 7800).beyondLiquidation).toBe(true);
+    expect(calculateStopLoss(position, 8100).wrongSide).toBe(true);
+    expect(calculateStopLoss({ ...position, side: 'Short' }, 8200).beyondLiquidation).toBe(true);
+  });
+});
+
+describe('per-leg fee rates', () => {
+  // Limit entry at maker 0.02%, market exit at taker 0.055%
+  const limitEntry = { ...linearLong, entryFeeRate: 0.0002, exitFeeRate: 0.00055 };
+
+  it('charges each leg at its own rate', () => {
+    const exit = calculateExit(limitEntry, 9000);
+    expect(exit.entryFee).toBeCloseTo(1.6, 10);
+    expect(exit.exitFee).toBeCloseTo(4.95, 10);
+    expect(exit.fees).toBeCloseTo(6.55, 10);
+    expect(exit.pnl).toBeCloseTo(993.45, 8);
+  });
+
+  it('keeps the fee to close at liquidation on the taker rate', () => {
+    const position = { ...limitEntry, leverage: 50, margin: 160, takerFeeRate: 0.00055 };
+    // bankruptcy 7,840; fee to close 7,840 × 0.055% = 4.312
+    expect(calculateLiquidation(position).maintenanceMargin).toBeCloseTo(44.312, 8);
+  });
+
+  it('breaks even with mixed rates for both contract types', () => {
+    [limitEntry, { ...inverseLong, entryFeeRate: 0.0002, exitFeeRate: 0.00055 }].forEach(base => {
+      ['Long', 'Short'].forEach(side => {
+        const position = { ...base, side };
+        expect(calculateExit(position, calculateBreakeven(position)).pnl).toBeCloseTo(0, 8);
+      });
+    });
+  });
+});
+
+describe('calculateFunding', () => {
+  // 8,000 USDT position, 0.01% every 8 hours, held 3 days = 9 fundings
+  const funding = { rate: 0.0001, intervalMinutes: 480, holdingHours: 72 };
+
+  it('charges longs and pays shorts on a positive rate', () => {
+    const long = calculateFunding(linearLong, funding);
+    expect(long.intervals).toBe(9);
+    expect(long.perInterval).toBeCloseTo(-0.8, 10);
+    expect(long.total).toBeCloseTo(-7.2, 10);
+    expect(calculateFunding({ ...linearLong, side: 'Short' }, funding).total).toBeCloseTo(7.2, 10);
+  });
+
+  it('pays longs on a negative rate', () => {
+    expect(calculateFunding(linearLong, { ...funding, rate: -0.0001 }).total).toBeCloseTo(7.2, 10);
+  });
+
+  it('counts only completed intervals and settles inverse funding in coin', () => {
+    expect(calculateFunding(linearLong, { ...funding, holdingHours: 7.9 }).intervals).toBe(0);
+    expect(calculateFunding(linearLong, { ...funding, intervalMinutes: 60, holdingHours: 2.5 }).intervals).toBe(2);
+    // 1.25 BTC × 0.01% × 9
+    expect(calculateFunding(inverseLong, funding).total).toBeCloseTo(-0.001125, 12);
+  });
+
+  it('is folded into the net PnL of an exit', () => {
+    const withFunding = calculateExit({ ...linearLong, fundingPnl: -7.2 }, 9000);
+    expect(withFunding.funding).toBe(-7.2);
+    expect(withFunding.pnl).toBeCloseTo(989.8 - 7.2, 8);
+    expect(calculateExit(linearLong, 9000).funding).toBe(0);
+  });
+});
+
+describe('calculatePnlCurve', () => {
+  it('matches calculateExit inside the liquidation price', () => {
+    const [atEntry, atTarget] = calculatePnlCurve(linearLong, [8000, 9000]);
+    expect(atEntry.pnl).toBeCloseTo(calculateExit(linearLong, 8000).pnl, 10);
+    expect(atTarget.pnl).toBeCloseTo(calculateExit(linearLong, 9000).pnl, 10);
+    expect(atTarget.roi).toBeCloseTo(calculateExit(linearLong, 9000).roi, 10);
+    expect(atTarget.liquidated).toBe(false);
+  });
+
+  it('caps the loss at the margin past liquidation', () => {
+    // Liquidation is at 7,880 before fees, see calculateLiquidation
+    const [point] = calculatePnlCurve({ ...linearLong, feeRate: 0 }, [7000]);
+    expect(point).toEqual({ price: 7000, pnl: -800, roi: -100, liquidated: true });
+  });
+});
+
+describe('roundToStep', () => {
+  it('rounds down to the step without float noise', () => {
+    expect(roundToStep(0.35, 0.1)).toBe(0.3);
+    expect(roundToStep(0.3, 0.1)).toBe(0.3);
+    expect(roundToStep(1234.5678, 0.001)).toBe(1234.567);
+    expect(roundToStep(10, 0)).toBe(10);
+  });
+});
+
+describe('calculateRiskBasedSize', () => {
+  // Risk 1% of 10,000 USDT, long from 8,000 with the stop at 7,600
+  const input = {
+    category: 'linear',
+    side: 'Long',
+    entryPrice: 8000,
+    stopPrice: 7600,
+    equity: 10000,
+    riskPercent: 1,
+    leverage: 10,
+    minLeverage: 1,
+    maxLeverage: 100,
+    entryFeeRate: 0,
+    exitFeeRate: 0,
+    takerFeeRate: 0
+  };
+
+  it('sizes so the stop loses the risked share of equity', () => {
+    const sizing = calculateRiskBasedSize(input);
+    // 100 USDT / 400 USDT per BTC
+    expect(sizing.riskAmount).toBe(100);
+    expect(sizing.quantity).toBeCloseTo(0.25, 10);
+    expect(sizing.positionValue).toBeCloseTo(2000, 8);
+    expect(sizing.margin).toBeCloseTo(200, 8);
+    expect(sizing.requiredLeverage).toBe(1);
+  });
+
+  it('includes fees in the loss at the stop', () => {
+    const sizing = calculateRiskBasedSize({ ...input, entryFeeRate: 0.00055, exitFeeRate: 0.00055 });
+    // 400 + 8,000 × 0.055% + 7,600 × 0.055% = 408.58 per BTC
+    expect(sizing.quantity).toBeCloseTo(100 / 408.58, 8);
+    expect(sizing.actualRisk).toBeCloseTo(100, 8);
+  });
+
+  it('rounds to the lot size and flags orders outside the limits', () => {
+    const lotSize = { qtyStep: 0.1, minOrderQty: 0.1, maxOrderQty: 100 };
+    const sizing = calculateRiskBasedSize({ ...input, lotSize });
+    expect(sizing.quantity).toBe(0.2);
+    expect(sizing.actualRisk).toBeCloseTo(80, 8);
+    expect(sizing.belowMinQty).toBe(false);
+
+    expect(calculateRiskBasedSize({ ...input, riskPercent: 0.1, lotSize }).belowMinQty).toBe(true);
+    const capped = calculateRiskBasedSize({ ...input, lotSize: { ...lotSize, maxOrderQty: 0.1 } });
+    expect(capped.cappedAtMaxQty).toBe(true);
+    expect(capped.quantity).toBe(0.1);
+  });
+
+  it('finds the highest leverage that keeps liquidation beyond the stop', () => {
+    const sizing = calculateRiskBasedSize(input);
+    // 5% stop distance: 1/L − 0.5% > 5% → L < 18.18
+    expect(sizing.maxSafeLeverage).toBe(18.1);
+
+    const position = { category: 'linear', side: 'Long', entryPrice: 8000, margin: 2000 / 18.1, leverage: 18.1, feeRate: 0 };
+    expect(calculateLiquidation(position).liquidationPrice).toBeLessThan(7600);
+  });
+
+  it('respects the pair leverage limits', () => {
+    expect(calculateRiskBasedSize({ ...input, maxLeverage: 10 }).maxSafeLeverage).toBe(10);
+    expect(calculateRiskBasedSize({ ...input, minLeverage: 25 }).maxSafeLeverage).toBeNull();
+  });
+
+  it('reports the leverage needed to fit the margin in the equity', () => {
+    const sizing = calculateRiskBasedSize({ ...input, equity: 1000, riskPercent: 10, stopPrice: 7960 });
+    // 100 USDT / 40 per BTC = 2.5 BTC = 20,000 USDT
+    expect(sizing.requiredLeverage).toBeCloseTo(20, 8);
+  });
+
+  it('sizes inverse positions in contracts', () => {
+    const sizing = calculateRiskBasedSize({
+      ...input, category: 'inverse', equity: 1, riskPercent: 1, lotSize: { qtyStep: 1, minOrderQty: 1, maxOrderQty: 1e6 }
+    });
+    // 0.01 BTC / (1/7,600 − 1/8,000) = 1,520 contracts
+    expect(sizing.quantity).toBe(1520);
+    expect(sizing.positionValue).toBeCloseTo(0.19, 10);
+  });
+
+  it('needs a stop on the losing side of entry', () => {
+    expect(calculateRiskBasedSize({ ...input, stopPrice: 8100 })).toBeNull();
+    expect(calculateRiskBasedSize({ ...input, stopPrice: 0 })).toBeNull();
+  });
+});
+
+describe('tick size', () => {
+  it('accepts prices on the tick grid', () => {
+    expect(isOnTick(8000.5, 0.5)).toBe(true);
+    expect(isOnTick(0.3, 0.1)).toBe(true);
+    expect(isOnTick(8000.25, 0.5)).toBe(false);
+    expect(isOnTick(8000.25, 0)).toBe(true);
+  });
+
+  it('rounds to the nearest tick', () => {
+    expect(roundToTick(8000.3, 0.5)).toBe(8000.5);
+    expect(roundToTick(0.12345, 0.0001)).toBe(0.1235);
+  });
+});
+
+describe('applyInstrumentFilters', () => {
+  const filters = { tickSize: 0.1, qtyStep: 0.001, minOrderQty: 0.001, maxOrderQty: 100, minNotionalValue: 5 };
+
+  it('rounds the size down to the qty step and resizes the margin', () => {
+    // 100 USDT × 10 / 8,000 = 0.125 → 0.125 BTC fits, 105 USDT gives 0.13125 → 0.131
+    const { position, quantity } = applyInstrumentFilters({ ...linearLong, margin: 105 }, filters);
+    expect(quantity).toBe(0.131);
+    expect(position.margin).toBeCloseTo(0.131 * 8000 / 10, 10);
+    expect(applyInstrumentFilters({ ...linearLong, margin: 100 }, filters).position.margin).toBe(100);
+  });
+
+  it('flags orders outside the quantity and notional limits', () => {
+    const tiny = applyInstrumentFilters({ ...linearLong, margin: 0.4 }, filters);
+    // 0.4 × 10 / 8,000 = 0.0005 BTC rounds to nothing
+    expect(tiny.belowMinQty).toBe(true);
+    expect(tiny.position.margin).toBe(0.4);
+
+    const small = applyInstrumentFilters({ ...linearLong, margin: 0.4 }, { ...filters, qtyStep: 0.0001, minOrderQty: 0.0001 });
+    // 0.0005 BTC is only 4 USDT
+    expect(small.belowMinQty).toBe(false);
+    expect(small.belowMinNotional).toBe(true);
+
+    expect(applyInstrumentFilters(linearLong, { ...filters, maxOrderQty: 0.5 }).aboveMaxQty).toBe(true);
+  });
+
+  it('counts inverse notional in USD contracts', () => {
+    const check = applyInstrumentFilters(inverseLong, { qtyStep: 1, minOrderQty: 1, maxOrderQty: 1e6, minNotionalValue: 0 });
+    expect(check.quantity).toBe(10000);
+    expect(check.notional).toBe(10000);
+    expect(check.belowMinNotional).toBe(false);
+  });
+
+  it('leaves the position alone without filters', () => {
+    expect(applyInstrumentFilters(linearLong).position).toBe(linearLong);
+  });
+});
+
+describe('calculateAveragedEntry', () => {
+  it('averages linear fills by quantity and recomputes liquidation after each', () => {
+    // 1 BTC at 8,000, then 1 BTC at 7,500
+    const steps = calculateAveragedEntry(linearLong, [{ price: 7500, margin: 750 }]);
+    expect(steps).toHaveLength(2);
+    expect(steps[0].position).toEqual(linearLong);
+    expect(steps[1]).toMatchObject({ fill: 2, price: 7500, totalQuantity: 2, totalMargin: 1550, unreachable: false });
+    expect(steps[1].averageEntryPrice).toBeCloseTo(7750, 8);
+    expect(steps[1].liquidation.liquidationPrice).toBeLessThan(steps[0].liquidation.liquidationPrice);
+  });
+
+  it('prices the averaged position like the separate fills', () => {
+    const [, averaged] = calculateAveragedEntry(linearLong, [{ price: 7500, margin: 750 }]);
+    const separate = calculateExit(linearLong, 9000).pnl + calculateExit({ ...linearLong, entryPrice: 7500, margin: 750 }, 9000).pnl;
+    expect(calculateExit(averaged.position, 9000).pnl).toBeCloseTo(separate, 8);
+  });
+
+  it('uses the harmonic mean for inverse contracts', () => {
+    // 10,000 contracts at 8,000, then 10,000 at 10,000
+    const [, averaged] = calculateAveragedEntry(inverseLong, [{ price: 10000, margin: 0.1 }]);
+    expect(averaged.totalQuantity).toBeCloseTo(20000, 6);
+    expect(averaged.averageEntryPrice).toBeCloseTo(2 / (1 / 8000 + 1 / 10000), 6);
+    expect(getPositionSize(averaged.position).quantity).toBeCloseTo(20000, 6);
+  });
+
+  it('flags levels past the liquidation of the fills before them', () => {
+    // 10x from 8,000 is liquidated before 7,000
+    const [, step] = calculateAveragedEntry(linearLong, [{ price: 7000, margin: 700 }]);
+    expect(step.unreachable).toBe(true);
+  });
+
+  it('rounds each fill to the qty step', () => {
+    const [, step] = calculateAveragedEntry(linearLong, [{ price: 7500, margin: 760 }], { qtyStep: 0.01 });
+    // 760 × 10 / 7,500 = 1.0133 → 1.01 BTC
+    expect(step.quantity).toBeCloseTo(1.01, 10);
+    expect(step.margin).toBeCloseTo(757.5, 8);
+  });
+});
+
+describe('leverage optimizer', () => {
+  const noFees = { ...linearLong, feeRate: 0 };
+  const limits = { stopPrice: 7600, minLeverage: 1, maxLeverage: 100 };
+  const tiers = [
+    { riskLimitValue: 10000, maintenanceMargin: 0.005, mmDeduction: 0, maxLeverage: 12.5 },
+    { riskLimitValue: 100000, maintenanceMargin: 0.01, mmDeduction: 50, maxLeverage: 10 }
+  ];
+
+  it('keeps either the margin or the size when changing leverage', () => {
+    expect(getPositionSize(withLeverage(linearLong, 20)).quantity).toBeCloseTo(2, 10);
+    expect(withLeverage({ ...linearLong, fundingPnl: -4 }, 20).fundingPnl).toBeCloseTo(-8, 10);
+    const sameSize = withLeverage(linearLong, 20, 'size');
+    expect(sameSize.margin).toBeCloseTo(400, 10);
+    expect(getPositionSize(sameSize).quantity).toBeCloseTo(1, 10);
+  });
+
+  it('finds the highest leverage with liquidation a buffer beyond the stop', () => {
+    // 5% stop distance: 1/L − 0.5% > 5% → L < 18.18
+    expect(findMaxLeverage(leverage => withLeverage(noFees, leverage), limits)).toMatchObject({ leverage: 18.1, limitPrice: 7600 });
+
+    // 2% of the stop beyond it: liquidation under 7,448, 6.9% away → L < 13.51
+    const buffered = findMaxLeverage(leverage => withLeverage(noFees, leverage), { ...limits, bufferPercent: 2 });
+    expect(buffered.leverage).toBe(13.5);
+    expect(buffered.limitPrice).toBeCloseTo(7448, 8);
+    expect(buffered.liquidationPrice).toBeLessThan(7448);
+
+    const short = { ...noFees, side: 'Short' };
+    expect(findMaxLeverage(leverage => withLeverage(short, leverage), { ...limits, stopPrice: 8400, bufferPercent: 2 }).limitPrice).toBeCloseTo(8568, 8);
+  });
+
+  it('stays within the risk-limit tier of the resulting position', () => {
+    const tiered = { ...noFees, margin: 100, riskTiers: tiers };
+    expect(exceedsTierLeverage({ ...tiered, leverage: 15 })).toBe(true);
+    expect(findMaxLeverage(leverage => withLeverage(tiered, leverage), limits).leverage).toBe(12.5);
+
+    // 2,000 USDT of margin is past the first tier from 5x, where only 10x is allowed
+    expect(findMaxLeverage(leverage => withLeverage({ ...tiered, margin: 2000 }, leverage), limits).leverage).toBe(10);
+  });
+
+  it('gives up when even the minimum leverage is liquidated first', () => {
+    expect(findMaxLeverage(leverage => withLeverage(noFees, leverage), { ...limits, minLeverage: 25 })).toBeNull();
+  });
+
+  it('tabulates ROI and liquidation distance per leverage and price', () => {
+    const rows = calculateLeverageSensitivity(leverage => withLeverage(noFees, leverage), [5, 20], [8800, 7600]);
+    expect(rows.map(row => row.leverage)).toEqual([5, 20]);
+    expect(rows[0].cells[0].roi).toBeCloseTo(50, 8);
+    expect(rows[0].cells[1].roi).toBeCloseTo(-25, 8);
+    expect(rows[0].distancePercent).toBeCloseTo(19.5, 8);
+    // 20x is liquidated before 7,600
+    expect(rows[1].cells[1].liquidated).toBe(true);
+    expect(rows[1].exceedsTier).toBe(false);
+  });
+
+  it('lists common leverages within the limits plus the current one', () => {
+    expect(getLeverageSteps(1, 25, 7.5)).toEqual([1, 2, 3, 5, 7.5, 10, 15, 20, 25]);
+    expect(getLeverageSteps(2, 12.5, 50)).toEqual([2, 3, 5, 10, 12.5]);
+  });
+});
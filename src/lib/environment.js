@@ -0,0 +1,123 @@
+// Which Bybit hosts the app talks to: mainnet, testnet, or custom REST and WebSocket
+// base URLs (a regional mirror or a local mock server). The default comes from the
+// VITE_BYBIT_* variables at build time; a choice made in the app is kept in localStorage.
+
+import { BYBIT_REST_URL } from './bybitClient.js';
+import { BYBIT_PUBLIC_WS_URL } from './tickerStream.js';
+
+export const ENVIRONMENT_STORAGE_KEY = 'bybit-calculator-environment';
+
+export const ENVIRONMENTS = {
+  mainnet: {
+    label: 'Mainnet',
+    restUrl: BYBIT_REST_URL,
+    wsUrl: BYBIT_PUBLIC_WS_URL
+  },
+  testnet: {
+    label: 'Testnet',
+    restUrl: 'https://api-testnet.bybit.com',
+    wsUrl: 'wss://stream-testnet.bybit.com/v5/public'
+  }
+};
+
+/**
+ * @typedef {object} EnvironmentSettings
+ * @property {'mainnet' | 'testnet' | 'custom'} id
+ * @property {string} restUrl Only used for `custom`.
+ * @property {string} wsUrl Only used for `custom`, the category is appended as a path segment.
+ */
+
+/**
+ * @typedef {object} Environment
+ * @property {'mainnet' | 'testnet' | 'custom'} id
+ * @property {string} label
+ * @property {string} restUrl
+ * @property {string} wsUrl
+ * @property {boolean} isMainnet
+ * @property {string} cacheScope Suffix keeping offline market data apart per environment, empty for mainnet.
+ */
+
+const trimSlash = (url) => url.trim().replace(/\/+$/, '');
+
+const isUrlWithProtocol = (value, protocols) => {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Default settings from the build-time environment variables.
+ *
+ * @param {object} [env] `import.meta.env` or a stand-in.
+ * @returns {EnvironmentSettings}
+ */
+export const getDefaultEnvironmentSettings = (env = import.meta.env) => {
+  const id = ['mainnet', 'testnet', 'custom'].includes(env?.VITE_BYBIT_ENV) ? env.VITE_BYBIT_ENV : 'mainnet';
+  return {
+    id,
+    restUrl: env?.VITE_BYBIT_REST_URL || '',
+    wsUrl: env?.VITE_BYBIT_WS_URL || ''
+  };
+};
+
+/**
+ * @param {EnvironmentSettings} settings
+ * @returns {string} Why the settings cannot be used, empty when they can.
+ */
+export const validateEnvironmentSettings = (settings) => {
+  if (settings.id !== 'custom') return '';
+  if (!isUrlWithProtocol(settings.restUrl, ['http:', 'https:'])) return 'The REST URL must start with http:// or https://.';
+  if (!isUrlWithProtocol(settings.wsUrl, ['ws:', 'wss:'])) return 'The WebSocket URL must start with ws:// or wss://.';
+  return '';
+};
+
+/**
+ * @param {EnvironmentSettings} settings Invalid custom settings fall back to mainnet.
+ * @returns {Environment}
+ */
+export const resolveEnvironment = (settings) => {
+  if (settings.id === 'custom' && !validateEnvironmentSettings(settings)) {
+    const restUrl = trimSlash(settings.restUrl);
+    return {
+      id: 'custom',
+      label: `Custom (${new URL(restUrl).host})`,
+      restUrl,
+      wsUrl: trimSlash(settings.wsUrl),
+      isMainnet: false,
+      cacheScope: `custom:${restUrl}`
+    };
+  }
+
+  const id = settings.id === 'testnet' ? 'testnet' : 'mainnet';
+  return { id, ...ENVIRONMENTS[id], isMainnet: id === 'mainnet', cacheScope: id === 'mainnet' ? '' : id };
+};
+
+/**
+ * @param {Storage} [storage]
+ * @param {object} [env]
+ * @returns {EnvironmentSettings}
+ */
+export const loadEnvironmentSettings = (storage = globalThis.localStorage, env = import.meta.env) => {
+  const defaults = getDefaultEnvironmentSettings(env);
+  try {
+    const stored = JSON.parse(storage?.getItem(ENVIRONMENT_STORAGE_KEY) || 'null');
+    return stored && typeof stored === 'object' ? { ...defaults, ...stored } : defaults;
+  } catch (error) {
+    console.error('Error loading environment settings:', error);
+    return defaults;
+  }
+};
+
+/**
+ * @param {EnvironmentSettings} settings
+ * @param {Storage} [storage]
+ */
+export const saveEnvironmentSettings = (settings, storage = globalThis.localStorage) => {
+  try {
+    storage?.setItem(ENVIRONMENT_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving environment settings:', error);
+  }
+};
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ENVIRONMENTS,
+  getDefaultEnvironmentSettings,
+  loadEnvironmentSettings,
+  resolveEnvironment,
+  saveEnvironmentSettings,
+  validateEnvironmentSettings
+} from './environment.js';
+import { createStorage } from '../test/storage.js';
+
+describe('environment', () => {
+  it('defaults to mainnet unless the build sets another environment', () => {
+    expect(getDefaultEnvironmentSettings({})).toEqual({ id: 'mainnet', restUrl: '', wsUrl: '' });
+    expect(getDefaultEnvironmentSettings({ VITE_BYBIT_ENV: 'testnet' }).id).toBe('testnet');
+    expect(getDefaultEnvironmentSettings({ VITE_BYBIT_ENV: 'staging' }).id).toBe('mainnet');
+  });
+
+  it('resolves presets and custom hosts', () => {
+    expect(resolveEnvironment({ id: 'testnet' })).toMatchObject({
+      ...ENVIRONMENTS.testnet,
+      isMainnet: false,
+      cacheScope: 'testnet'
+    });
+    expect(resolveEnvironment({ id: 'mainnet' }).cacheScope).toBe('');
+
+    const custom = resolveEnvironment({ id: 'custom', restUrl: 'http://localhost:8080/', wsUrl: 'ws://localhost:8081' });
+    expect(custom).toMatchObject({
+      id: 'custom',
+      label: 'Custom (localhost:8080)',
+      restUrl: 'http://localhost:8080',
+      wsUrl: 'ws://localhost:8081',
+      isMainnet: false
+    });
+  });
+
+  it('rejects custom URLs with the wrong protocol and falls back to mainnet', () => {
+    const settings = { id: 'custom', restUrl: 'localhost:8080', wsUrl: 'ws://localhost:8081' };
+    expect(validateEnvironmentSettings(settings)).toContain('REST URL');
+    expect(validateEnvironmentSettings({ ...settings, restUrl: 'http://localhost', wsUrl: 'http://localhost' }))
+      .toContain('WebSocket URL');
+    expect(resolveEnvironment(settings).id).toBe('mainnet');
+  });
+
+  it('prefers the stored choice over the build default', () => {
+    const storage = createStorage();
+    const env = { VITE_BYBIT_ENV: 'testnet' };
+    expect(loadEnvironmentSettings(storage, env).id).toBe('testnet');
+
+    saveEnvironmentSettings({ id: 'mainnet', restUrl: '', wsUrl: '' }, storage);
+    expect(loadEnvironmentSettings(storage, env).id).toBe('mainnet');
+  });
+});
@@ -0,0 +1,77 @@
+// Bybit derivatives trading fee tiers and the per-leg fee settings built on them.
+// Rates are fractions (0.00055 = 0.055%).
+
+/**
+ * @typedef {'maker' | 'taker'} OrderType
+ */
+
+/**
+ * @typedef {object} FeeTier
+ * @property {string} id
+ * @property {string} label
+ * @property {number} taker
+ * @property {number} maker
+ */
+
+/**
+ * @typedef {object} FeeSettings
+ * @property {string} tier Id of a `FEE_TIERS` entry.
+ * @property {OrderType} entryOrderType
+ * @property {OrderType} exitOrderType
+ * @property {string} customTakerRate Percent override for the taker rate, '' to use the tier.
+ * @property {string} customMakerRate Percent override for the maker rate, '' to use the tier.
+ */
+
+// Perpetual & futures rates from Bybit's published VIP fee schedule
+/** @type {FeeTier[]} */
+export const FEE_TIERS = [
+  { id: 'VIP0', label: 'VIP 0', taker: 0.00055, maker: 0.0002 },
+  { id: 'VIP1', label: 'VIP 1', taker: 0.0004, maker: 0.00018 },
+  { id: 'VIP2', label: 'VIP 2', taker: 0.000375, maker: 0.00016 },
+  { id: 'VIP3', label: 'VIP 3', taker: 0.00035, maker: 0.00014 },
+  { id: 'VIP4', label: 'VIP 4', taker: 0.00032, maker: 0.00012 },
+  { id: 'VIP5', label: 'VIP 5', taker: 0.00032, maker: 0.0001 },
+  { id: 'SVIP', label: 'Supreme VIP', taker: 0.0003, maker: 0 }
+];
+
+/** @type {FeeSettings} */
+export const DEFAULT_FEE_SETTINGS = {
+  tier: 'VIP0',
+  entryOrderType: 'taker',
+  exitOrderType: 'taker',
+  customTakerRate: '',
+  customMakerRate: ''
+};
+
+/**
+ * @param {string} tierId
+ * @returns {FeeTier} The matching tier, VIP 0 when unknown.
+ */
+export const getFeeTier = (tierId) => FEE_TIERS.find(tier => tier.id === tierId) || FEE_TIERS[0];
+
+// Custom rates are entered as percentages, maker rates may be negative (rebates)
+const parsePercentRate = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num / 100;
+};
+
+/**
+ * Resolve the settings into the rates the calculator uses.
+ *
+ * @param {FeeSettings} settings
+ * @returns {{ takerFeeRate: number, makerFeeRate: number, entryFeeRate: number, exitFeeRate: number }}
+ */
+export const resolveFeeRates = (settings) => {
+  const tier = getFeeTier(settings.tier);
+  const takerFeeRate = parsePercentRate(settings.customTakerRate) ?? tier.taker;
+  const makerFeeRate = parsePercentRate(settings.customMakerRate) ?? tier.maker;
+  const rateFor = (orderType) => (orderType === 'maker' ? makerFeeRate : takerFeeRate);
+
+  return {
+    takerFeeRate,
+    makerFeeRate,
+    entryFeeRate: rateFor(settings.entryOrderType),
+    exitFeeRate: rateFor(settings.exitOrderType)
+  };
+};
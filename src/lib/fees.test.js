@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FEE_SETTINGS, FEE_TIERS, getFeeTier, resolveFeeRates } from './fees.js';
+
+describe('getFeeTier', () => {
+  it('finds tiers by id and falls back to VIP 0', () => {
+    expect(getFeeTier('VIP3').taker).toBe(0.00035);
+    expect(getFeeTier('nope')).toBe(FEE_TIERS[0]);
+  });
+});
+
+describe('resolveFeeRates', () => {
+  it('uses taker rates for both legs by default', () => {
+    expect(resolveFeeRates(DEFAULT_FEE_SETTINGS)).toEqual({
+      takerFeeRate: 0.00055,
+      makerFeeRate: 0.0002,
+      entryFeeRate: 0.00055,
+      exitFeeRate: 0.00055
+    });
+  });
+
+  it('picks the maker or taker rate per leg', () => {
+    const rates = resolveFeeRates({ ...DEFAULT_FEE_SETTINGS, tier: 'VIP1', entryOrderType: 'maker' });
+    expect(rates.entryFeeRate).toBe(0.00018);
+    expect(rates.exitFeeRate).toBe(0.0004);
+  });
+
+  it('lets custom percentages override the tier, including maker rebates', () => {
+    const rates = resolveFeeRates({
+      ...DEFAULT_FEE_SETTINGS,
+      entryOrderType: 'maker',
+      customMakerRate: '-0.005',
+      customTakerRate: '0.05'
+    });
+    expect(rates.entryFeeRate).toBeCloseTo(-0.00005, 12);
+    expect(rates.exitFeeRate).toBeCloseTo(0.0005, 12);
+    expect(rates.takerFeeRate).toBeCloseTo(0.0005, 12);
+  });
+
+  it('ignores custom rates that are not numbers', () => {
+    expect(resolveFeeRates({ ...DEFAULT_FEE_SETTINGS, customTakerRate: 'abc' }).takerFeeRate).toBe(0.00055);
+  });
+});
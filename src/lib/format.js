@@ -0,0 +1,33 @@
+// Display formatting for money and crypto prices
+
+// Utility function for consistent money formatting
+export const formatCurrency = (amount, options = {}) => {
+  const {
+    decimals = 2,
+    showCents = true,
+    prefix = '$',
+    suffix = ''
+  } = options;
+  
+  if (amount === null || amount === undefined) return 'N/A';
+  
+  const num = parseFloat(amount);
+  if (isNaN(num)) return 'N/A';
+  
+  // For crypto prices, show more decimals if needed
+  const finalDecimals = showCents ? Math.max(decimals, num < 1 ? 4 : 2) : decimals;
+  
+  return `${prefix}${num.toLocaleString('en-US', {
+    minimumFractionDigits: finalDecimals,
+    maximumFractionDigits: finalDecimals
+  })}${suffix}`;
+};
+
+// Format price with proper crypto precision
+export const formatPrice = (price) => {
+  if (!price) return 'N/A';
+  const num = parseFloat(price);
+  if (num >= 1000) return formatCurrency(num, { decimals: 2 });
+  if (num >= 1) return formatCurrency(num, { decimals: 4 });
+  return formatCurrency(num, { decimals: 6 });
+};
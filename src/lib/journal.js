@@ -0,0 +1,283 @@
+// Trade journal: calculator setups logged as planned trades, closed later with the
+// actual fills. The plan is a snapshot of `calculateResults` at logging time, so later
+// changes to fees or the calculator do not rewrite what was expected back then.
+// Statistics and the CSV export only look at closed trades.
+
+import { calculateExit, getPositionSize } from './calculator.js';
+
+export const JOURNAL_STORAGE_KEY = 'bybit-calculator-journal';
+export const JOURNAL_VERSION = 1;
+
+/**
+ * @typedef {object} JournalPlan
+ * @property {Array<{ price: number, percent: number }>} targets In fill order.
+ * @property {number|null} stopPrice
+ * @property {number|null} pnl Net PnL across the targets, in the margin coin. `null` without targets.
+ * @property {number|null} pnlUsd
+ * @property {number|null} roi
+ * @property {number|null} fees
+ * @property {number|null} risk Loss at the stop after fees, in the margin coin. `null` without a
+ *   stop or when the stop is in profit.
+ */
+
+/**
+ * @typedef {object} JournalOutcome
+ * @property {number} entryPrice Actual average entry.
+ * @property {number} exitPrice Actual average exit.
+ * @property {number} fees Fees paid, in the margin coin.
+ * @property {number} pnl Net PnL, in the margin coin.
+ * @property {number} pnlUsd Net PnL valued in USD at the exit price.
+ * @property {number} feesUsd
+ * @property {number} roi Net PnL as a percentage of the margin.
+ * @property {number|null} rMultiple Net PnL in units of the planned risk.
+ * @property {number} closedAt Epoch milliseconds.
+ */
+
+/**
+ * @typedef {object} JournalEntry
+ * @property {string} id
+ * @property {import('./library.js').WatchedPair} pair
+ * @property {string} params URL query string of the setup, to open it in the calculator again.
+ * @property {import('./calculator.js').Position} position Sized position the plan was computed for.
+ * @property {JournalPlan} plan
+ * @property {string} note
+ * @property {number} plannedAt Epoch milliseconds.
+ * @property {JournalOutcome|null} outcome `null` while the trade is open.
+ */
+
+/**
+ * @typedef {object} JournalStats
+ * @property {number} trades Closed trades.
+ * @property {number} open
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number|null} winRate Percentage of closed trades with a positive net PnL.
+ * @property {number|null} averageR Mean R multiple over the trades that had a planned risk.
+ * @property {number|null} expectancy Mean net PnL per closed trade, in USD.
+ * @property {number} feesPaid In USD.
+ * @property {number} totalPnl In USD.
+ * @property {number} plannedPnl Planned PnL of the closed trades, in USD.
+ */
+
+// Same as the library: just enough to select the pair again
+const PAIR_FIELDS = ['symbol', 'baseSymbol', 'category', 'categoryLabel', 'settleCoin', 'baseCoin'];
+const POSITION_FIELDS = ['category', 'side', 'entryPrice', 'margin', 'leverage', 'feeRate', 'entryFeeRate', 'exitFeeRate'];
+
+const pick = (source, fields) => (
+  Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]))
+);
+
+const createId = () => (
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+// Coin-margined amounts are valued at the exit price, like `pnlUsd`
+const toUsd = (position, amount, price) => (position.category === 'inverse' ? amount * price : amount);
+
+/**
+ * Log a calculation as a planned trade.
+ *
+ * @param {object} input
+ * @param {import('./library.js').WatchedPair} input.pair
+ * @param {string} input.params
+ * @param {import('./calculator.js').Position} input.position
+ * @param {import('./calculator.js').TargetResult[]} input.results Output of `calculateResults`.
+ * @param {import('./calculator.js').StopLossResult|null} [input.stopResult]
+ * @param {string} [input.note]
+ * @param {number} [input.plannedAt]
+ * @returns {JournalEntry}
+ */
+export const createJournalEntry = ({ pair, params, position, results, stopResult = null, note = '', plannedAt = Date.now() }) => {
+  const sum = (key) => (results.length > 0 ? results.reduce((total, result) => total + result[key], 0) : null);
+  const pnl = sum('pnl');
+
+  return {
+    id: createId(),
+    pair: pick(pair, PAIR_FIELDS),
+    params,
+    position: pick(position, POSITION_FIELDS),
+    plan: {
+      targets: results.map(result => ({ price: result.targetPrice, percent: result.percent })),
+      stopPrice: stopResult?.stopPrice ?? null,
+      pnl,
+      pnlUsd: sum('pnlUsd'),
+      roi: pnl === null ? null : (pnl / position.margin) * 100,
+      fees: sum('fees'),
+      risk: stopResult && stopResult.pnl < 0 ? -stopResult.pnl : null
+    },
+    note,
+    plannedAt,
+    outcome: null
+  };
+};
+
+/**
+ * Record the actual exit of a trade. The planned quantity is kept: a different entry
+ * fill changes the margin, not the size. Without `fees` they are estimated with the
+ * planned fee rates.
+ *
+ * @param {JournalEntry} entry
+ * @param {{ exitPrice: number, entryPrice?: number|null, fees?: number|null, closedAt?: number }} actual
+ * @returns {JournalEntry}
+ * @throws {Error} When a price is not positive.
+ */
+export const closeJournalEntry = (entry, { exitPrice, entryPrice = null, fees = null, closedAt = Date.now() }) => {
+  if (!(exitPrice > 0)) throw new Error('Exit price must be greater than zero.');
+  if (entryPrice !== null && !(entryPrice > 0)) throw new Error('Entry price must be greater than zero.');
+
+  const planned = entry.position;
+  const actualEntry = entryPrice ?? planned.entryPrice;
+  const { quantity } = getPositionSize(planned);
+  const positionValue = planned.category === 'inverse' ? quantity / actualEntry : quantity * actualEntry;
+  const position = { ...planned, entryPrice: actualEntry, margin: positionValue / planned.leverage };
+
+  const exit = calculateExit(position, exitPrice);
+  const feesPaid = fees ?? exit.fees;
+  const pnl = exit.pnl + exit.fees - feesPaid;
+
+  return {
+    ...entry,
+    outcome: {
+      entryPrice: actualEntry,
+      exitPrice,
+      fees: feesPaid,
+      pnl,
+      pnlUsd: toUsd(planned, pnl, exitPrice),
+      feesUsd: toUsd(planned, feesPaid, exitPrice),
+      roi: (pnl / position.margin) * 100,
+      rMultiple: entry.plan.risk ? pnl / entry.plan.risk : null,
+      closedAt
+    }
+  };
+};
+
+/**
+ * @param {JournalEntry} entry
+ * @returns {JournalEntry} The entry open again, without its outcome.
+ */
+export const reopenJournalEntry = (entry) => ({ ...entry, outcome: null });
+
+/**
+ * @param {JournalEntry[]} entries
+ * @returns {JournalEntry[]} Closed trades, oldest exit first.
+ */
+const closedTrades = (entries) => (
+  entries.filter(entry => entry.outcome).sort((a, b) => a.outcome.closedAt - b.outcome.closedAt)
+);
+
+/**
+ * @param {JournalEntry[]} entries
+ * @returns {JournalStats}
+ */
+export const computeJournalStats = (entries) => {
+  const closed = closedTrades(entries);
+  const wins = closed.filter(entry => entry.outcome.pnl > 0).length;
+  const rMultiples = closed.map(entry => entry.outcome.rMultiple).filter(r => r !== null);
+  const totalPnl = closed.reduce((sum, entry) => sum + entry.outcome.pnlUsd, 0);
+
+  return {
+    trades: closed.length,
+    open: entries.length - closed.length,
+    wins,
+    losses: closed.length - wins,
+    winRate: closed.length > 0 ? (wins / closed.length) * 100 : null,
+    averageR: rMultiples.length > 0 ? rMultiples.reduce((sum, r) => sum + r, 0) / rMultiples.length : null,
+    expectancy: closed.length > 0 ? totalPnl / closed.length : null,
+    feesPaid: closed.reduce((sum, entry) => sum + entry.outcome.feesUsd, 0),
+    totalPnl,
+    plannedPnl: closed.reduce((sum, entry) => sum + (entry.plan.pnlUsd ?? 0), 0)
+  };
+};
+
+/**
+ * Cumulative net PnL in USD after each closed trade, in the order they were closed.
+ *
+ * @param {JournalEntry[]} entries
+ * @returns {Array<{ id: string, time: number, pnl: number, equity: number }>}
+ */
+export const calculateEquityCurve = (entries) => {
+  let equity = 0;
+  return closedTrades(entries).map(entry => {
+    equity += entry.outcome.pnlUsd;
+    return { id: entry.id, time: entry.outcome.closedAt, pnl: entry.outcome.pnlUsd, equity };
+  });
+};
+
+const CSV_COLUMNS = [
+  ['planned_at', entry => new Date(entry.plannedAt).toISOString()],
+  ['closed_at', entry => (entry.outcome ? new Date(entry.outcome.closedAt).toISOString() : '')],
+  ['symbol', entry => entry.pair.symbol ?? entry.pair.baseSymbol],
+  ['category', entry => entry.pair.category],
+  ['side', entry => entry.position.side],
+  ['leverage', entry => entry.position.leverage],
+  ['margin', entry => entry.position.margin],
+  ['planned_entry', entry => entry.position.entryPrice],
+  ['targets', entry => entry.plan.targets.map(target => `${target.price}@${target.percent}%`).join(' ')],
+  ['stop', entry => entry.plan.stopPrice],
+  ['planned_pnl', entry => entry.plan.pnl],
+  ['planned_pnl_usd', entry => entry.plan.pnlUsd],
+  ['planned_fees', entry => entry.plan.fees],
+  ['risk', entry => entry.plan.risk],
+  ['entry', entry => entry.outcome?.entryPrice],
+  ['exit', entry => entry.outcome?.exitPrice],
+  ['fees', entry => entry.outcome?.fees],
+  ['pnl', entry => entry.outcome?.pnl],
+  ['pnl_usd', entry => entry.outcome?.pnlUsd],
+  ['roi', entry => entry.outcome?.roi],
+  ['r_multiple', entry => entry.outcome?.rMultiple],
+  ['note', entry => entry.note]
+];
+
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Every entry as CSV, oldest first. Amounts are in the margin coin unless the column says USD.
+ *
+ * @param {JournalEntry[]} entries
+ * @returns {string}
+ */
+export const journalToCsv = (entries) => [
+  CSV_COLUMNS.map(([name]) => name).join(','),
+  ...[...entries]
+    .sort((a, b) => a.plannedAt - b.plannedAt)
+    .map(entry => CSV_COLUMNS.map(([, read]) => toCsvField(read(entry))).join(','))
+].join('\n');
+
+const isValidEntry = (entry) => (
+  entry
+  && typeof entry.id === 'string'
+  && entry.pair && typeof entry.pair.baseSymbol === 'string'
+  && entry.position && entry.position.entryPrice > 0 && entry.position.margin > 0 && entry.position.leverage > 0
+  && entry.plan && Array.isArray(entry.plan.targets)
+);
+
+/**
+ * @param {Storage} [storage]
+ * @returns {JournalEntry[]} Newest first, empty when nothing usable is stored.
+ */
+export const loadJournal = (storage = globalThis.localStorage) => {
+  try {
+    const data = JSON.parse(storage?.getItem(JOURNAL_STORAGE_KEY) || 'null');
+    if (!data || data.version > JOURNAL_VERSION || !Array.isArray(data.entries)) return [];
+    return data.entries.filter(isValidEntry);
+  } catch (error) {
+    console.error('Error loading trade journal:', error);
+    return [];
+  }
+};
+
+/**
+ * @param {JournalEntry[]} entries
+ * @param {Storage} [storage]
+ */
+export const saveJournal = (entries, storage = globalThis.localStorage) => {
+  try {
+    storage?.setItem(JOURNAL_STORAGE_KEY, JSON.stringify({ version: JOURNAL_VERSION, entries }));
+  } catch (error) {
+    console.error('Error saving trade journal:', error);
+  }
+};
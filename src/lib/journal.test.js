@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { calculateResults, calculateStopLoss } from './calculator.js';
+import {
+  JOURNAL_STORAGE_KEY,
+  calculateEquityCurve,
+  closeJournalEntry,
+  computeJournalStats,
+  createJournalEntry,
+  journalToCsv,
+  loadJournal,
+  reopenJournalEntry,
+  saveJournal
+} from './journal.js';
+import { createStorage } from '../test/storage.js';
+
+const btcLinear = { symbol: 'BTCUSDT', baseSymbol: 'BTCUSDT', category: 'linear', lastPrice: 8000 };
+const btcInverse = { symbol: 'BTCUSD', baseSymbol: 'BTCUSD', category: 'inverse' };
+
+// 800 USDT at 10x from 8,000: 1 BTC, no fees
+const linearLong = { category: 'linear', side: 'Long', entryPrice: 8000, margin: 800, leverage: 10, feeRate: 0 };
+
+const logTrade = (position, { pair = btcLinear, targets = [{ price: 9000 }], stopPrice = 7600, plannedAt = 0 } = {}) => (
+  createJournalEntry({
+    pair,
+    params: `pair=${pair.baseSymbol}`,
+    position,
+    results: calculateResults(position, targets, { stopPrice }),
+    stopResult: stopPrice ? calculateStopLoss(position, stopPrice) : null,
+    plannedAt
+  })
+);
+
+describe('createJournalEntry', () => {
+  it('snapshots the projection from calculateResults', () => {
+    const entry = logTrade(linearLong, { targets: [{ price: 9000, percent: 50 }, { price: 10000 }] });
+
+    expect(entry.pair).toEqual({ symbol: 'BTCUSDT', baseSymbol: 'BTCUSDT', category: 'linear' });
+    expect(entry.plan.targets).toEqual([{ price: 9000, percent: 50 }, { price: 10000, percent: 50 }]);
+    expect(entry.plan.pnl).toBeCloseTo(1500, 8);
+    expect(entry.plan.roi).toBeCloseTo(187.5, 8);
+    expect(entry.plan.risk).toBeCloseTo(400, 8);
+    expect(entry.outcome).toBeNull();
+  });
+
+  it('has no plan PnL without targets and no risk without a stop', () => {
+    const entry = logTrade(linearLong, { targets: [], stopPrice: null });
+    expect(entry.plan).toMatchObject({ pnl: null, roi: null, stopPrice: null, risk: null });
+  });
+});
+
+describe('closeJournalEntry', () => {
+  it('measures the actual exit in R multiples of the planned risk', () => {
+    const { outcome } = closeJournalEntry(logTrade(linearLong), { exitPrice: 8600, closedAt: 10 });
+    expect(outcome.pnl).toBeCloseTo(600, 8);
+    expect(outcome.rMultiple).toBeCloseTo(1.5, 8);
+    expect(outcome.roi).toBeCloseTo(75, 8);
+  });
+
+  it('keeps the planned size when the entry filled elsewhere and uses the fees paid', () => {
+    const { outcome } = closeJournalEntry(logTrade(linearLong), { exitPrice: 8600, entryPrice: 8100, fees: 10 });
+    // 1 BTC from 8,100 to 8,600, less 10 USDT of fees
+    expect(outcome.pnl).toBeCloseTo(490, 8);
+    expect(outcome.roi).toBeCloseTo((490 / 810) * 100, 8);
+  });
+
+  it('estimates fees from the planned rates', () => {
+    const { outcome } = closeJournalEntry(logTrade({ ...linearLong, feeRate: 0.001 }), { exitPrice: 9000 });
+    expect(outcome.fees).toBeCloseTo(8 + 9, 8);
+    expect(outcome.pnl).toBeCloseTo(1000 - 17, 8);
+  });
+
+  it('values coin-margined results in USD at the exit price', () => {
+    // 0.125 BTC at 10x from 8,000: 10,000 contracts
+    const inverseShort = { category: 'inverse', side: 'Short', entryPrice: 8000, margin: 0.125, leverage: 10, feeRate: 0 };
+    const { outcome } = closeJournalEntry(
+      logTrade(inverseShort, { pair: btcInverse, targets: [{ price: 7000 }], stopPrice: 8400 }),
+      { exitPrice: 10000 }
+    );
+    expect(outcome.pnl).toBeCloseTo(-0.25, 8);
+    expect(outcome.pnlUsd).toBeCloseTo(-2500, 8);
+  });
+
+  it('rejects prices that are not positive and can be reopened', () => {
+    const entry = logTrade(linearLong);
+    expect(() => closeJournalEntry(entry, { exitPrice: 0 })).toThrow('Exit price');
+    expect(() => closeJournalEntry(entry, { exitPrice: 8500, entryPrice: -1 })).toThrow('Entry price');
+    expect(reopenJournalEntry(closeJournalEntry(entry, { exitPrice: 8500 })).outcome).toBeNull();
+  });
+});
+
+describe('statistics', () => {
+  const entries = [
+    closeJournalEntry(logTrade(linearLong, { plannedAt: 1 }), { exitPrice: 8800, closedAt: 300 }), // +800, 2R
+    closeJournalEntry(logTrade(linearLong, { plannedAt: 2 }), { exitPrice: 7600, closedAt: 100 }), // −400, −1R
+    closeJournalEntry(logTrade(linearLong, { plannedAt: 3, stopPrice: null }), { exitPrice: 8300, closedAt: 200 }), // +300
+    logTrade(linearLong, { plannedAt: 4 })
+  ];
+
+  it('summarizes closed trades only', () => {
+    const stats = computeJournalStats(entries);
+    expect(stats).toMatchObject({ trades: 3, open: 1, wins: 2, losses: 1 });
+    expect(stats.winRate).toBeCloseTo(200 / 3, 8);
+    expect(stats.averageR).toBeCloseTo(0.5, 8);
+    expect(stats.expectancy).toBeCloseTo(700 / 3, 8);
+    expect(stats.totalPnl).toBeCloseTo(700, 8);
+    expect(stats.plannedPnl).toBeCloseTo(3000, 8);
+  });
+
+  it('is empty without closed trades', () => {
+    expect(computeJournalStats([entries[3]])).toMatchObject({ trades: 0, winRate: null, averageR: null, expectancy: null });
+  });
+
+  it('builds the equity curve in closing order', () => {
+    expect(calculateEquityCurve(entries).map(point => [point.time, Math.round(point.equity)])).toEqual([
+      [100, -400],
+      [200, -100],
+      [300, 700]
+    ]);
+  });
+});
+
+describe('CSV export', () => {
+  it('writes a header and one escaped row per entry, oldest first', () => {
+    const entry = { ...logTrade(linearLong, { plannedAt: Date.UTC(2024, 0, 2) }), note: 'Breakout, "clean"' };
+    const older = logTrade(linearLong, { plannedAt: Date.UTC(2024, 0, 1) });
+    const lines = journalToCsv([closeJournalEntry(entry, { exitPrice: 8600, closedAt: Date.UTC(2024, 0, 3) }), older]).split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^planned_at,closed_at,symbol,/);
+    expect(lines[1]).toMatch(/^2024-01-01T00:00:00.000Z,,BTCUSDT,linear,Long,10,800,8000,9000@100%,7600,/);
+    expect(lines[2]).toMatch(/,8600,0,600,600,75,1\.5,"Breakout, ""clean"""$/);
+  });
+});
+
+describe('storage', () => {
+  it('round-trips entries and ignores unusable ones', () => {
+    const storage = createStorage();
+    const entry = logTrade(linearLong);
+    saveJournal([entry, { id: 'broken' }], storage);
+    expect(loadJournal(storage)).toEqual([entry]);
+  });
+
+  it('starts empty on unreadable or newer data', () => {
+    expect(loadJournal(createStorage({ [JOURNAL_STORAGE_KEY]: '{' }))).toEqual([]);
+    expect(loadJournal(createStorage({ [JOURNAL_STORAGE_KEY]: '{"version":99,"entries":[]}' }))).toEqual([]);
+  });
+});
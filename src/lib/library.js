@@ -0,0 +1,239 @@
+// Saved setups, the watchlist and the portfolio, persisted in localStorage and
+// exportable as JSON. Setups and portfolio entries store the same query string the
+// shareable URL uses, so saving and loading go through the exact encoding the app
+// already restores from links.
+
+export const LIBRARY_STORAGE_KEY = 'bybit-calculator-library';
+export const LIBRARY_VERSION = 1;
+
+/**
+ * @typedef {object} SavedSetup
+ * @property {string} id
+ * @property {string} name
+ * @property {string} pair Symbol as traded on Bybit, e.g. `BTCUSDT`.
+ * @property {string} params URL query string without the leading `?`.
+ * @property {number} savedAt Epoch milliseconds.
+ */
+
+/**
+ * @typedef {object} WatchedPair Pair object as the app selects it, without live ticker fields.
+ * @property {string} symbol
+ * @property {string} baseSymbol
+ * @property {'linear' | 'inverse'} category
+ */
+
+/**
+ * @typedef {object} PortfolioEntry
+ * @property {string} id
+ * @property {WatchedPair} pair
+ * @property {string} params URL query string without the leading `?`.
+ * @property {number} addedAt Epoch milliseconds.
+ */
+
+/**
+ * @typedef {object} Library
+ * @property {number} version
+ * @property {SavedSetup[]} setups Newest first.
+ * @property {WatchedPair[]} watchlist
+ * @property {PortfolioEntry[]} portfolio In the order they were added.
+ */
+
+// Only the fields needed to select the pair again, live prices are not worth keeping
+const WATCHED_PAIR_FIELDS = [
+  'symbol', 'baseSymbol', 'category', 'categoryLabel', 'settleCoin', 'baseCoin',
+  'fundingInterval', 'filters', 'minLeverage', 'maxLeverage'
+];
+
+const pairKey = (pair) => `${pair.category}:${pair.baseSymbol}`;
+
+const toStoredPair = (pair) => (
+  Object.fromEntries(WATCHED_PAIR_FIELDS.filter(field => field in pair).map(field => [field, pair[field]]))
+);
+
+const createId = () => (
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+/** @returns {Library} */
+export const createEmptyLibrary = () => ({ version: LIBRARY_VERSION, setups: [], watchlist: [], portfolio: [] });
+
+const isValidSetup = (setup) => (
+  setup && typeof setup.name === 'string' && typeof setup.pair === 'string' && typeof setup.params === 'string'
+);
+
+const isValidPair = (pair) => (
+  pair && typeof pair.baseSymbol === 'string' && (pair.category === 'linear' || pair.category === 'inverse')
+);
+
+const isValidPortfolioEntry = (entry) => entry && isValidPair(entry.pair) && typeof entry.params === 'string';
+
+/**
+ * Check a parsed library and drop entries that are not usable.
+ *
+ * @param {unknown} data
+ * @returns {Library}
+ * @throws {Error} When `data` is not a library at all or comes from a newer version.
+ */
+export const normalizeLibrary = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.setups) || !Array.isArray(data.watchlist)) {
+    throw new Error('Not a calculator library file.');
+  }
+  if (data.version > LIBRARY_VERSION) {
+    throw new Error(`Library version ${data.version} is newer than this app supports.`);
+  }
+
+  return {
+    version: LIBRARY_VERSION,
+    setups: data.setups.filter(isValidSetup).map(setup => ({
+      id: typeof setup.id === 'string' ? setup.id : createId(),
+      name: setup.name,
+      pair: setup.pair,
+      params: setup.params,
+      savedAt: Number(setup.savedAt) || 0
+    })),
+    watchlist: data.watchlist.filter(isValidPair),
+    // Libraries saved before the portfolio existed have none
+    portfolio: (Array.isArray(data.portfolio) ? data.portfolio : []).filter(isValidPortfolioEntry).map(entry => ({
+      id: typeof entry.id === 'string' ? entry.id : createId(),
+      pair: entry.pair,
+      params: entry.params,
+      addedAt: Number(entry.addedAt) || 0
+    }))
+  };
+};
+
+/**
+ * @param {Storage} [storage]
+ * @returns {Library} An empty library when nothing is stored or the stored value is unreadable.
+ */
+export const loadLibrary = (storage = globalThis.localStorage) => {
+  try {
+    const raw = storage?.getItem(LIBRARY_STORAGE_KEY);
+    return raw ? normalizeLibrary(JSON.parse(raw)) : createEmptyLibrary();
+  } catch (error) {
+    console.error('Error loading saved library:', error);
+    return createEmptyLibrary();
+  }
+};
+
+/**
+ * @param {Library} library
+ * @param {Storage} [storage]
+ */
+export const saveLibrary = (library, storage = globalThis.localStorage) => {
+  try {
+    storage?.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+  } catch (error) {
+    // Private browsing or a full quota, the library still works for this session
+    console.error('Error saving library:', error);
+  }
+};
+
+/**
+ * Save a setup, replacing an existing one with the same name.
+ *
+ * @param {Library} library
+ * @param {{ name: string, pair: string, params: string }} setup
+ * @returns {Library}
+ */
+export const addSetup = (library, { name, pair, params }) => {
+  const existing = library.setups.find(setup => setup.name === name);
+  const saved = { id: existing?.id ?? createId(), name, pair, params, savedAt: Date.now() };
+  return { ...library, setups: [saved, ...library.setups.filter(setup => setup !== existing)] };
+};
+
+/**
+ * @param {Library} library
+ * @param {string} id
+ * @returns {Library}
+ */
+export const removeSetup = (library, id) => ({
+  ...library,
+  setups: library.setups.filter(setup => setup.id !== id)
+});
+
+/**
+ * @param {Library} library
+ * @param {{ baseSymbol: string, category: string }} pair
+ * @returns {boolean}
+ */
+export const isWatched = (library, pair) => library.watchlist.some(watched => pairKey(watched) === pairKey(pair));
+
+/**
+ * Add the pair to the watchlist, or remove it when it is already there.
+ *
+ * @param {Library} library
+ * @param {WatchedPair} pair
+ * @returns {Library}
+ */
+export const toggleWatchlist = (library, pair) => {
+  if (isWatched(library, pair)) {
+    return { ...library, watchlist: library.watchlist.filter(watched => pairKey(watched) !== pairKey(pair)) };
+  }
+  return { ...library, watchlist: [...library.watchlist, toStoredPair(pair)] };
+};
+
+/**
+ * @param {Library} library
+ * @param {{ pair: WatchedPair, params: string }} entry
+ * @returns {Library}
+ */
+export const addPortfolioEntry = (library, { pair, params }) => ({
+  ...library,
+  portfolio: [...library.portfolio, { id: createId(), pair: toStoredPair(pair), params, addedAt: Date.now() }]
+});
+
+/**
+ * @param {Library} library
+ * @param {string} id
+ * @returns {Library}
+ */
+export const removePortfolioEntry = (library, id) => ({
+  ...library,
+  portfolio: library.portfolio.filter(entry => entry.id !== id)
+});
+
+/**
+ * Merge an imported library into the current one. Imported setups and portfolio
+ * entries win on id, watchlist entries are deduplicated per pair.
+ *
+ * @param {Library} current
+ * @param {Library} imported
+ * @returns {Library}
+ */
+export const mergeLibraries = (current, imported) => {
+  const importedIds = new Set([...imported.setups, ...imported.portfolio].map(item => item.id));
+  const watchlist = [...current.watchlist];
+  imported.watchlist.forEach(pair => {
+    if (!watchlist.some(watched => pairKey(watched) === pairKey(pair))) watchlist.push(pair);
+  });
+
+  return {
+    version: LIBRARY_VERSION,
+    setups: [...imported.setups, ...current.setups.filter(setup => !importedIds.has(setup.id))]
+      .sort((a, b) => b.savedAt - a.savedAt),
+    watchlist,
+    portfolio: [...current.portfolio.filter(entry => !importedIds.has(entry.id)), ...imported.portfolio]
+  };
+};
+
+/**
+ * @param {Library} library
+ * @returns {string} Pretty-printed JSON for the export file.
+ */
+export const serializeLibrary = (library) => JSON.stringify(library, null, 2);
+
+/**
+ * @param {string} text Contents of an exported library file.
+ * @returns {Library}
+ * @throws {Error} When the text is not valid JSON or not a library.
+ */
+export const parseLibrary = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  return normalizeLibrary(data);
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LIBRARY_STORAGE_KEY,
+  addPortfolioEntry,
+  addSetup,
+  createEmptyLibrary,
+  isWatched,
+  loadLibrary,
+  mergeLibraries,
+  parseLibrary,
+  removePortfolioEntry,
+  removeSetup,
+  saveLibrary,
+  serializeLibrary,
+  toggleWatchlist
+} from './library.js';
+import { createStorage } from '../test/storage.js';
+
+const btc = {
+  symbol: 'BTCUSDT',
+  baseSymbol: 'BTCUSDT',
+  category: 'linear',
+  minLeverage: 1,
+  maxLeverage: 100,
+  lastPrice: 65000
+};
+
+describe('setups', () => {
+  it('adds newest first and replaces setups with the same name', () => {
+    let library = addSetup(createEmptyLibrary(), { name: 'Breakout', pair: 'BTCUSDT', params: 'pair=BTCUSDT' });
+    library = addSetup(library, { name: 'Range', pair: 'ETHUSDT', params: 'pair=ETHUSDT' });
+    const firstId = library.setups[1].id;
+
+    library = addSetup(library, { name: 'Breakout', pair: 'BTCUSDT', params: 'pair=BTCUSDT&leverage=5' });
+    expect(library.setups.map(setup => setup.name)).toEqual(['Breakout', 'Range']);
+    expect(library.setups[0].id).toBe(firstId);
+    expect(library.setups[0].params).toBe('pair=BTCUSDT&leverage=5');
+
+    expect(removeSetup(library, firstId).setups.map(setup => setup.name)).toEqual(['Range']);
+  });
+});
+
+describe('watchlist', () => {
+  it('toggles pairs and keeps only the fields needed to select them', () => {
+    const library = toggleWatchlist(createEmptyLibrary(), btc);
+    expect(isWatched(library, btc)).toBe(true);
+    expect(library.watchlist[0]).not.toHaveProperty('lastPrice');
+    expect(isWatched(library, { ...btc, category: 'inverse' })).toBe(false);
+
+    expect(toggleWatchlist(library, btc).watchlist).toEqual([]);
+  });
+});
+
+describe('portfolio', () => {
+  it('adds and removes entries in order', () => {
+    let library = addPortfolioEntry(createEmptyLibrary(), { pair: btc, params: 'pair=BTCUSDT&position=Long' });
+    library = addPortfolioEntry(library, { pair: btc, params: 'pair=BTCUSDT&position=Short' });
+    expect(library.portfolio.map(entry => entry.params)).toEqual(['pair=BTCUSDT&position=Long', 'pair=BTCUSDT&position=Short']);
+    expect(library.portfolio[0].pair).not.toHaveProperty('lastPrice');
+
+    expect(removePortfolioEntry(library, library.portfolio[0].id).portfolio).toHaveLength(1);
+  });
+});
+
+describe('persistence', () => {
+  it('round-trips through storage', () => {
+    const storage = createStorage();
+    const library = toggleWatchlist(
+      addSetup(createEmptyLibrary(), { name: 'Breakout', pair: 'BTCUSDT', params: 'pair=BTCUSDT' }),
+      btc
+    );
+    saveLibrary(library, storage);
+    expect(loadLibrary(storage)).toEqual(library);
+  });
+
+  it('falls back to an empty library when storage is empty or corrupt', () => {
+    expect(loadLibrary(createStorage())).toEqual(createEmptyLibrary());
+    expect(loadLibrary(createStorage({ [LIBRARY_STORAGE_KEY]: '{oops' }))).toEqual(createEmptyLibrary());
+  });
+});
+
+describe('import and export', () => {
+  it('parses an exported file and drops unusable entries', () => {
+    const library = addSetup(createEmptyLibrary(), { name: 'Breakout', pair: 'BTCUSDT', params: 'pair=BTCUSDT' });
+    const data = JSON.parse(serializeLibrary(library));
+    data.setups.push({ name: 'Broken' });
+    data.watchlist.push({ baseSymbol: 'ETHUSDT', category: 'spot' });
+
+    expect(parseLibrary(JSON.stringify(data))).toEqual(library);
+  });
+
+  it('reads libraries saved before the portfolio existed', () => {
+    expect(parseLibrary('{"version": 1, "setups": [], "watchlist": []}')).toEqual(createEmptyLibrary());
+  });
+
+  it('rejects files that are not a library', () => {
+    expect(() => parseLibrary('not json')).toThrow('not valid JSON');
+    expect(() => parseLibrary('{"setups": []}')).toThrow('Not a calculator library');
+    expect(() => parseLibrary('{"version": 99, "setups": [], "watchlist": []}')).toThrow('newer');
+  });
+
+  it('merges imports without duplicating pairs', () => {
+    const current = toggleWatchlist(
+      addSetup(createEmptyLibrary(), { name: 'Mine', pair: 'BTCUSDT', params: 'pair=BTCUSDT' }),
+      btc
+    );
+    const imported = {
+      ...toggleWatchlist(createEmptyLibrary(), btc),
+      setups: [{ id: 'other', name: 'Theirs', pair: 'ETHUSDT', params: 'pair=ETHUSDT', savedAt: 1 }]
+    };
+
+    const merged = mergeLibraries(current, imported);
+    expect(merged.setups.map(setup => setup.name)).toEqual(['Mine', 'Theirs']);
+    expect(merged.watchlist).toHaveLength(1);
+  });
+});
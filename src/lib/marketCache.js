@@ -0,0 +1,158 @@
+// Offline fallback for market data: a snapshot of the tradable pairs from
+// instruments-info that expires after a day, and the last ticker seen for each pair.
+// Both live in localStorage so the calculator keeps working without a network,
+// under a per-environment scope so testnet data never stands in for mainnet.
+
+export const INSTRUMENTS_CACHE_KEY = 'bybit-calculator-instruments';
+export const PRICE_CACHE_KEY = 'bybit-calculator-prices';
+export const INSTRUMENTS_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} InstrumentsSnapshot
+ * @property {object[]} pairs Pair objects as the app selects them, without ticker fields.
+ * @property {number} savedAt Epoch milliseconds.
+ * @property {number} expiresAt Epoch milliseconds. Expired snapshots are still used offline.
+ */
+
+/**
+ * @typedef {Partial<import('./scanner.js').TickerStats> & { updatedAt: number }} CachedTicker
+ * @typedef {Object<string, CachedTicker>} PriceCache Keyed by `category:symbol`.
+ */
+
+const scopedKey = (key, scope) => (scope ? `${key}:${scope}` : key);
+
+const readJson = (key, storage) => {
+  try {
+    return JSON.parse(storage?.getItem(key) || 'null');
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return null;
+  }
+};
+
+const writeJson = (key, value, storage) => {
+  try {
+    storage?.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // A full quota only costs the offline fallback
+    console.error(`Error writing ${key}:`, error);
+  }
+};
+
+/**
+ * @param {object[]} pairs
+ * @param {number} [now]
+ * @returns {InstrumentsSnapshot}
+ */
+export const createInstrumentsSnapshot = (pairs, now = Date.now()) => ({
+  pairs,
+  savedAt: now,
+  expiresAt: now + INSTRUMENTS_TTL_MS
+});
+
+/**
+ * @param {InstrumentsSnapshot|null} snapshot
+ * @param {number} [now]
+ * @returns {boolean} `true` for a missing snapshot as well.
+ */
+export const isSnapshotExpired = (snapshot, now = Date.now()) => !snapshot || now >= snapshot.expiresAt;
+
+/**
+ * @param {Storage} [storage]
+ * @param {string} [scope] Environment cache scope, empty for mainnet.
+ * @returns {InstrumentsSnapshot|null}
+ */
+export const loadInstrumentsSnapshot = (storage = globalThis.localStorage, scope = '') => {
+  const snapshot = readJson(scopedKey(INSTRUMENTS_CACHE_KEY, scope), storage);
+  return snapshot && Array.isArray(snapshot.pairs) && Number.isFinite(snapshot.expiresAt) ? snapshot : null;
+};
+
+/**
+ * @param {InstrumentsSnapshot} snapshot
+ * @param {Storage} [storage]
+ * @param {string} [scope]
+ */
+export const saveInstrumentsSnapshot = (snapshot, storage = globalThis.localStorage, scope = '') => {
+  writeJson(scopedKey(INSTRUMENTS_CACHE_KEY, scope), snapshot, storage);
+};
+
+/**
+ * @param {InstrumentsSnapshot|null} snapshot
+ * @param {string} symbol Symbol as traded on Bybit.
+ * @param {'linear' | 'inverse' | null} [category] Any category when not given.
+ * @returns {object|null}
+ */
+export const findCachedPair = (snapshot, symbol, category = null) => (
+  snapshot?.pairs.find(pair => pair.baseSymbol === symbol && (!category || pair.category === category)) ?? null
+);
+
+/**
+ * Offline search over the snapshot, linear pairs first like the live search.
+ *
+ * @param {InstrumentsSnapshot|null} snapshot
+ * @param {string} term
+ * @param {number} [limit]
+ * @returns {object[]}
+ */
+export const searchCachedPairs = (snapshot, term, limit = 12) => {
+  const needle = term.toLowerCase();
+  return (snapshot?.pairs ?? [])
+    .filter(pair => pair.baseSymbol.toLowerCase().includes(needle))
+    .sort((a, b) => (a.category === b.category ? 0 : a.category === 'linear' ? -1 : 1))
+    .slice(0, limit);
+};
+
+/**
+ * @param {PriceCache} cache
+ * @param {Array<[string, Partial<import('./scanner.js').TickerStats>]>} entries `[key, stats]` pairs.
+ * @param {number} [now]
+ * @returns {PriceCache} A new cache with the entries merged in.
+ */
+export const recordPrices = (cache, entries, now = Date.now()) => {
+  const next = { ...cache };
+  entries.forEach(([key, stats]) => {
+    next[key] = { ...next[key], ...stats, updatedAt: now };
+  });
+  return next;
+};
+
+// Stats a pair cached from the selected-pair price only is missing
+const EMPTY_TICKER_STATS = {
+  priceChangePercent: 0,
+  volume24h: 0,
+  turnover24h: 0,
+  fundingRate: 0,
+  openInterestUsd: 0,
+  isHot: false
+};
+
+/**
+ * Scanner rows for offline use: the snapshot pairs that have a cached price.
+ *
+ * @param {InstrumentsSnapshot|null} snapshot
+ * @param {PriceCache} cache
+ * @returns {object[]} Pairs merged with their cached stats, including `updatedAt`.
+ */
+export const getCachedScannerRows = (snapshot, cache) => (snapshot?.pairs ?? []).flatMap(pair => {
+  const cached = cache[`${pair.category}:${pair.baseSymbol}`];
+  return cached?.lastPrice > 0 ? [{ ...pair, ...EMPTY_TICKER_STATS, ...cached }] : [];
+});
+
+/**
+ * @param {Storage} [storage]
+ * @param {string} [scope]
+ * @returns {PriceCache}
+ */
+export const loadPriceCache = (storage = globalThis.localStorage, scope = '') => {
+  const cache = readJson(scopedKey(PRICE_CACHE_KEY, scope), storage);
+  return cache && typeof cache === 'object' ? cache : {};
+};
+
+/**
+ * @param {PriceCache} cache
+ * @param {Storage} [storage]
+ * @param {string} [scope]
+ */
+export const savePriceCache = (cache, storage = globalThis.localStorage, scope = '') => {
+  writeJson(scopedKey(PRICE_CACHE_KEY, scope), cache, storage);
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  INSTRUMENTS_CACHE_KEY,
+  INSTRUMENTS_TTL_MS,
+  createInstrumentsSnapshot,
+  findCachedPair,
+  getCachedScannerRows,
+  isSnapshotExpired,
+  loadInstrumentsSnapshot,
+  loadPriceCache,
+  recordPrices,
+  savePriceCache,
+  saveInstrumentsSnapshot,
+  searchCachedPairs
+} from './marketCache.js';
+import { createStorage } from '../test/storage.js';
+
+const pairs = [
+  { symbol: 'BTCUSD.I', baseSymbol: 'BTCUSD', category: 'inverse' },
+  { symbol: 'BTCUSDT', baseSymbol: 'BTCUSDT', category: 'linear' },
+  { symbol: 'ETHUSDT', baseSymbol: 'ETHUSDT', category: 'linear' }
+];
+
+describe('instruments snapshot', () => {
+  it('expires a day after it was saved', () => {
+    const snapshot = createInstrumentsSnapshot(pairs, 1000);
+    expect(isSnapshotExpired(snapshot, 1000 + INSTRUMENTS_TTL_MS - 1)).toBe(false);
+    expect(isSnapshotExpired(snapshot, 1000 + INSTRUMENTS_TTL_MS)).toBe(true);
+    expect(isSnapshotExpired(null)).toBe(true);
+  });
+
+  it('round-trips through storage and ignores anything else stored there', () => {
+    const storage = createStorage();
+    const snapshot = createInstrumentsSnapshot(pairs, 1000);
+    saveInstrumentsSnapshot(snapshot, storage);
+    expect(loadInstrumentsSnapshot(storage)).toEqual(snapshot);
+
+    storage.setItem(INSTRUMENTS_CACHE_KEY, '{"pairs": "nope"}');
+    expect(loadInstrumentsSnapshot(storage)).toBeNull();
+    expect(loadInstrumentsSnapshot(createStorage())).toBeNull();
+  });
+
+  it('finds and searches pairs offline', () => {
+    const snapshot = createInstrumentsSnapshot(pairs);
+    expect(findCachedPair(snapshot, 'BTCUSD').category).toBe('inverse');
+    expect(findCachedPair(snapshot, 'BTCUSDT', 'inverse')).toBeNull();
+    expect(findCachedPair(null, 'BTCUSDT')).toBeNull();
+    expect(searchCachedPairs(snapshot, 'btc').map(pair => pair.symbol)).toEqual(['BTCUSDT', 'BTCUSD.I']);
+  });
+});
+
+describe('price cache', () => {
+  it('merges the latest stats per pair with their time', () => {
+    let cache = recordPrices({}, [['linear:BTCUSDT', { lastPrice: 65000, fundingRate: 0.0001 }]], 1000);
+    cache = recordPrices(cache, [['linear:BTCUSDT', { lastPrice: 65100 }], ['linear:ETHUSDT', { lastPrice: 3500 }]], 2000);
+
+    expect(cache['linear:BTCUSDT']).toEqual({ lastPrice: 65100, fundingRate: 0.0001, updatedAt: 2000 });
+    expect(cache['linear:ETHUSDT'].updatedAt).toBe(2000);
+
+    const storage = createStorage();
+    savePriceCache(cache, storage);
+    expect(loadPriceCache(storage)).toEqual(cache);
+    expect(loadPriceCache(createStorage())).toEqual({});
+
+    // Other environments keep their own copy
+    expect(loadPriceCache(storage, 'testnet')).toEqual({});
+    savePriceCache({}, storage, 'testnet');
+    expect(loadPriceCache(storage)).toEqual(cache);
+  });
+
+  it('builds offline scanner rows from the snapshot pairs with a cached price', () => {
+    const snapshot = createInstrumentsSnapshot(pairs);
+    const cache = recordPrices({}, [
+      ['linear:BTCUSDT', { lastPrice: 65000, turnover24h: 2e9 }],
+      ['linear:SOLUSDT', { lastPrice: 150 }]
+    ], 3000);
+
+    expect(getCachedScannerRows(snapshot, cache)).toEqual([{
+      ...pairs[1],
+      lastPrice: 65000,
+      priceChangePercent: 0,
+      volume24h: 0,
+      turnover24h: 2e9,
+      fundingRate: 0,
+      openInterestUsd: 0,
+      isHot: false,
+      updatedAt: 3000
+    }]);
+    expect(getCachedScannerRows(null, cache)).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+// Desktop notifications and an alert chime for fired price alerts. The chime is
+// synthesized with Web Audio, so no sound asset ships with the app. Browsers only
+// let audio start after a user gesture, so the context is created on the first
+// interaction with the page (alerts saved before a reload need it too) or while arming.
+
+let audioContext = null;
+
+/**
+ * @returns {'granted' | 'denied' | 'default' | 'unsupported'}
+ */
+export const getNotificationPermission = () => (
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+);
+
+/**
+ * Ask for notification permission if it has not been decided yet.
+ *
+ * @returns {Promise<'granted' | 'denied' | 'default' | 'unsupported'>}
+ */
+export const requestNotificationPermission = async () => {
+  if (getNotificationPermission() !== 'default') return getNotificationPermission();
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return getNotificationPermission();
+  }
+};
+
+/**
+ * Create or resume the audio context. Call from a user gesture such as a click.
+ */
+export const primeAlertSound = () => {
+  const AudioContextImpl = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!AudioContextImpl) return;
+  audioContext ??= new AudioContextImpl();
+  if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+};
+
+// Input events browsers accept as a user gesture for starting audio
+const GESTURE_EVENTS = ['pointerdown', 'touchend', 'keydown'];
+
+/**
+ * Prime the alert sound on the next user gesture anywhere on the page.
+ *
+ * @param {EventTarget} [target]
+ * @returns {() => void} Removes the listeners if no gesture happened yet.
+ */
+export const primeAlertSoundOnGesture = (target = globalThis) => {
+  const handleGesture = () => {
+    stop();
+    primeAlertSound();
+  };
+  const stop = () => GESTURE_EVENTS.forEach(type => target.removeEventListener(type, handleGesture, true));
+  GESTURE_EVENTS.forEach(type => target.addEventListener(type, handleGesture, true));
+  return stop;
+};
+
+/**
+ * Two short rising tones.
+ */
+export const playAlertSound = () => {
+  if (!audioContext) return;
+  const start = audioContext.currentTime;
+  [880, 1320].forEach((frequency, index) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const at = start + index * 0.18;
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(frequency, at);
+    gain.gain.setValueAtTime(0.0001, at);
+    gain.gain.exponentialRampToValueAtTime(0.3, at + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.16);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(at);
+    oscillator.stop(at + 0.17);
+  });
+};
+
+/**
+ * Show a desktop notification when permission was granted.
+ *
+ * @param {string} title
+ * @param {string} body
+ * @param {string} [tag] Notifications with the same tag replace each other.
+ */
+export const showNotification = (title, body, tag) => {
+  if (getNotificationPermission() !== 'granted') return;
+  try {
+    new Notification(title, { body, tag });
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Error showing notification:', error);
+  }
+};
@@ -0,0 +1,239 @@
+// Aggregates several calculator setups into one portfolio view. Every amount is
+// converted to USD so linear (USDT) and inverse (coin-margined) positions add up;
+// USDT is counted at par.
+
+import {
+  applyInstrumentFilters,
+  calculateAveragedEntry,
+  calculateBlendedResult,
+  calculateFunding,
+  calculateLiquidation,
+  calculatePnlCurve,
+  calculateResults,
+  calculateRiskBasedSize,
+  calculateStopLoss,
+  getCollateral,
+  getPositionSize
+} from './calculator.js';
+import { resolveFeeRates } from './fees.js';
+import { toEntryFills } from './setupParams.js';
+
+/**
+ * @typedef {object} PortfolioPair
+ * @property {string} baseSymbol
+ * @property {'linear' | 'inverse'} category
+ * @property {number} minLeverage
+ * @property {number} maxLeverage
+ * @property {string} [settleCoin]
+ * @property {string} [baseCoin]
+ * @property {import('./calculator.js').InstrumentFilters} [filters]
+ */
+
+/**
+ * @typedef {object} PortfolioMarketData What the calculator view loads for a pair besides its price.
+ * @property {import('./calculator.js').RiskTier[]} [riskTiers] Without them liquidation uses the base rate.
+ * @property {number|null} [fundingRate] Current (predicted) funding rate.
+ * @property {number[]} [fundingHistory] Recently settled funding rates.
+ */
+
+/**
+ * @typedef {object} PortfolioEntryResult
+ * @property {import('./calculator.js').Position} position
+ * @property {number} markPrice Live price, or the entry price while none has arrived.
+ * @property {number} marginUsd
+ * @property {number} notionalUsd Position value at the mark price, always positive.
+ * @property {number} exposureUsd `notionalUsd` signed by side, negative for shorts.
+ * @property {number} liquidationPrice
+ * @property {number} unrealizedPnlUsd Net PnL of closing at the mark price, fees included.
+ * @property {number|null} targetPnlUsd Realized PnL across the take-profit legs, `null` without targets.
+ * @property {number} worstCasePnlUsd PnL at the stop, or the whole collateral (margin, or the
+ *   wallet balance for cross) when the stop is missing, on the wrong side or past liquidation.
+ * @property {boolean} protectedByStop
+ * @property {string} marginCoin
+ * @property {number|null} crossWalletUsd Wallet backing a cross position, `null` for isolated ones.
+ */
+
+/**
+ * @typedef {object} PortfolioSummary
+ * @property {number} positions Entries that could be evaluated.
+ * @property {number} marginUsd
+ * @property {number} notionalUsd
+ * @property {number} longUsd
+ * @property {number} shortUsd
+ * @property {number} netExposureUsd Long minus short notional.
+ * @property {number} unrealizedPnlUsd
+ * @property {number} targetPnlUsd
+ * @property {number} worstCasePnlUsd Combined PnL if every stop is hit (or every unprotected position liquidated).
+ *   Cross positions share their margin coin's wallet, so together they lose at most one wallet balance.
+ * @property {number} unprotected Positions without a usable stop.
+ * @property {string[]} sharedWalletCoins Margin coins whose cross positions were capped at the wallet.
+ */
+
+const toUsd = (amount, pair, price) => (pair.category === 'inverse' ? amount * price : amount);
+
+// Bybit settles most perpetuals every 8 hours
+const DEFAULT_FUNDING_INTERVAL_MINUTES = 480;
+
+// Funding over the setup's holding period at its chosen rate, as the calculator projects it
+const projectFunding = (position, pair, setup, market) => {
+  const holdingHours = (parseFloat(setup.holdingPeriod) || 0) * (setup.holdingUnit === 'days' ? 24 : 1);
+  const history = market.fundingHistory ?? [];
+  const rate = setup.fundingRateSource === 'average'
+    ? (history.length > 0 ? history.reduce((sum, item) => sum + item, 0) / history.length : null)
+    : market.fundingRate ?? null;
+  if (!(holdingHours > 0) || rate === null) return position;
+
+  const { total } = calculateFunding(position, {
+    rate,
+    intervalMinutes: pair.fundingInterval || DEFAULT_FUNDING_INTERVAL_MINUTES,
+    holdingHours
+  });
+  return { ...position, fundingPnl: total };
+};
+
+const getMarginCoin = (pair) => (
+  pair.settleCoin || (pair.category === 'inverse' ? pair.baseCoin || pair.baseSymbol.replace(/USD$/, '') : 'USDT')
+);
+
+/**
+ * Run one setup through the calculator at the given live price.
+ *
+ * @param {PortfolioPair} pair
+ * @param {import('./setupParams.js').SetupInputs} setup
+ * @param {number|null} livePrice
+ * @param {PortfolioMarketData} [market]
+ * @returns {PortfolioEntryResult|null} `null` until the setup has an entry price and a size.
+ */
+export const evaluatePortfolioEntry = (pair, setup, livePrice, market = {}) => {
+  const entryPrice = setup.useLivePriceAsEntry ? livePrice : parseFloat(setup.customEntryPrice);
+  if (!(entryPrice > 0)) return null;
+
+  const leverage = setup.leverage ?? pair.minLeverage;
+  const feeRates = resolveFeeRates(setup.feeSettings);
+  const stopPrice = parseFloat(setup.stopLoss) > 0 ? parseFloat(setup.stopLoss) : null;
+  const marginMode = { marginMode: setup.marginMode, walletBalance: parseFloat(setup.walletBalance) || 0 };
+
+  const margin = setup.sizingMode === 'risk'
+    ? calculateRiskBasedSize({
+        category: pair.category,
+        side: setup.positionType,
+        entryPrice,
+        stopPrice,
+        equity: parseFloat(setup.accountEquity) || 0,
+        riskPercent: parseFloat(setup.riskPercent) || 0,
+        leverage,
+        minLeverage: pair.minLeverage,
+        maxLeverage: pair.maxLeverage,
+        lotSize: pair.filters,
+        riskTiers: market.riskTiers,
+        ...feeRates,
+        ...marginMode
+      })?.margin
+    : parseFloat(setup.entryAmount);
+  if (!(margin > 0)) return null;
+
+  const firstEntry = {
+    category: pair.category,
+    side: setup.positionType,
+    entryPrice,
+    margin,
+    leverage,
+    riskTiers: market.riskTiers,
+    ...feeRates,
+    ...marginMode
+  };
+  // Further entry levels only go with fixed margin sizing, the position is their average
+  const fills = setup.sizingMode === 'risk' ? [] : toEntryFills(setup.entryLevels);
+  const { position: basePosition } = fills.length > 0
+    ? calculateAveragedEntry(firstEntry, fills, pair.filters).at(-1)
+    : applyInstrumentFilters(firstEntry, pair.filters);
+  const position = projectFunding(basePosition, pair, setup, market);
+
+  const markPrice = livePrice > 0 ? livePrice : entryPrice;
+  const { quantity } = getPositionSize(position);
+  const notionalUsd = pair.category === 'inverse' ? quantity : quantity * markPrice;
+  const marginUsd = toUsd(position.margin, pair, markPrice);
+
+  const [markPoint] = calculatePnlCurve(position, [markPrice]);
+  const results = calculateResults(position, setup.targets.map(target => ({
+    price: parseFloat(target.price) || null,
+    percent: parseFloat(target.percent) || null
+  })));
+  const stop = stopPrice ? calculateStopLoss(position, stopPrice) : null;
+  const protectedByStop = Boolean(stop && !stop.wrongSide && !stop.beyondLiquidation);
+
+  return {
+    position,
+    markPrice,
+    marginUsd,
+    notionalUsd,
+    exposureUsd: setup.positionType === 'Long' ? notionalUsd : -notionalUsd,
+    liquidationPrice: calculateLiquidation(position).liquidationPrice,
+    unrealizedPnlUsd: toUsd(markPoint.pnl, pair, markPrice),
+    targetPnlUsd: results.length > 0 ? calculateBlendedResult(position, results).pnlUsd : null,
+    worstCasePnlUsd: protectedByStop ? stop.pnlUsd : -toUsd(getCollateral(position), pair, markPrice),
+    protectedByStop,
+    marginCoin: getMarginCoin(pair),
+    crossWalletUsd: position.marginMode === 'cross' ? toUsd(getCollateral(position), pair, markPrice) : null
+  };
+};
+
+/**
+ * Combined worst case, with the cross positions of each margin coin drawing on one wallet:
+ * each reports the whole wallet when unprotected, but the wallet can only be lost once.
+ *
+ * @param {PortfolioEntryResult[]} evaluated
+ * @returns {{ worstCasePnlUsd: number, sharedWalletCoins: string[] }}
+ */
+const combineWorstCase = (evaluated) => {
+  const wallets = new Map();
+  let worstCasePnlUsd = 0;
+  evaluated.forEach(result => {
+    if (result.crossWalletUsd === null) {
+      worstCasePnlUsd += result.worstCasePnlUsd;
+      return;
+    }
+    const wallet = wallets.get(result.marginCoin) ?? { pnlUsd: 0, balanceUsd: 0 };
+    wallet.pnlUsd += result.worstCasePnlUsd;
+    // Entries may be saved with different balances, the largest keeps the estimate conservative
+    wallet.balanceUsd = Math.max(wallet.balanceUsd, result.crossWalletUsd);
+    wallets.set(result.marginCoin, wallet);
+  });
+
+  const sharedWalletCoins = [];
+  wallets.forEach((wallet, coin) => {
+    if (wallet.pnlUsd < -wallet.balanceUsd) {
+      sharedWalletCoins.push(coin);
+      worstCasePnlUsd -= wallet.balanceUsd;
+    } else {
+      worstCasePnlUsd += wallet.pnlUsd;
+    }
+  });
+  return { worstCasePnlUsd, sharedWalletCoins };
+};
+
+/**
+ * @param {Array<PortfolioEntryResult|null>} results
+ * @returns {PortfolioSummary}
+ */
+export const summarizePortfolio = (results) => {
+  const evaluated = results.filter(Boolean);
+  const sum = (pick) => evaluated.reduce((total, result) => total + pick(result), 0);
+  const longUsd = sum(result => Math.max(result.exposureUsd, 0));
+  const shortUsd = sum(result => Math.max(-result.exposureUsd, 0));
+  const { worstCasePnlUsd, sharedWalletCoins } = combineWorstCase(evaluated);
+
+  return {
+    positions: evaluated.length,
+    marginUsd: sum(result => result.marginUsd),
+    notionalUsd: longUsd + shortUsd,
+    longUsd,
+    shortUsd,
+    netExposureUsd: longUsd - shortUsd,
+    unrealizedPnlUsd: sum(result => result.unrealizedPnlUsd),
+    targetPnlUsd: sum(result => result.targetPnlUsd ?? 0),
+    worstCasePnlUsd,
+    unprotected: evaluated.filter(result => !result.protectedByStop).length,
+    sharedWalletCoins
+  };
+};
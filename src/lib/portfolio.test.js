@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FEE_SETTINGS } from './fees.js';
+import { evaluatePortfolioEntry, summarizePortfolio } from './portfolio.js';
+import { DEFAULT_SETUP } from './setupParams.js';
+
+const noFees = { ...DEFAULT_FEE_SETTINGS, customTakerRate: '0', customMakerRate: '0' };
+
+const btcLinear = { baseSymbol: 'BTCUSDT', category: 'linear', minLeverage: 1, maxLeverage: 100 };
+const btcInverse = { baseSymbol: 'BTCUSD', category: 'inverse', minLeverage: 1, maxLeverage: 100 };
+
+// 800 USDT at 10x from 8,000: 1 BTC
+const linearLong = {
+  ...DEFAULT_SETUP,
+  leverage: 10,
+  entryAmount: '800',
+  feeSettings: noFees,
+  targets: [{ price: '9000', percent: '' }],
+  stopLoss: '7600'
+};
+
+// 0.125 BTC at 10x from 8,000: 10,000 contracts
+const inverseShort = {
+  ...DEFAULT_SETUP,
+  positionType: 'Short',
+  leverage: 10,
+  entryAmount: '0.125',
+  feeSettings: noFees
+};
+
+describe('evaluatePortfolioEntry', () => {
+  it('prices live-entry setups at the live price', () => {
+    const result = evaluatePortfolioEntry(btcLinear, linearLong, 8000);
+    expect(result.marginUsd).toBeCloseTo(800, 8);
+    expect(result.notionalUsd).toBeCloseTo(8000, 8);
+    expect(result.exposureUsd).toBeCloseTo(8000, 8);
+    expect(result.unrealizedPnlUsd).toBeCloseTo(0, 8);
+    expect(result.targetPnlUsd).toBeCloseTo(1000, 8);
+    expect(result.worstCasePnlUsd).toBeCloseTo(-400, 8);
+    expect(result.protectedByStop).toBe(true);
+  });
+
+  it('marks custom-entry setups to the live price', () => {
+    const result = evaluatePortfolioEntry(btcLinear, { ...linearLong, customEntryPrice: '8000', useLivePriceAsEntry: false }, 8400);
+    expect(result.position.entryPrice).toBe(8000);
+    expect(result.notionalUsd).toBeCloseTo(8400, 8);
+    expect(result.unrealizedPnlUsd).toBeCloseTo(400, 8);
+  });
+
+  it('converts inverse amounts to USD and loses the margin without a stop', () => {
+    const result = evaluatePortfolioEntry(btcInverse, inverseShort, 8000);
+    expect(result.notionalUsd).toBeCloseTo(10000, 8);
+    expect(result.exposureUsd).toBeCloseTo(-10000, 8);
+    expect(result.marginUsd).toBeCloseTo(1000, 8);
+    expect(result.targetPnlUsd).toBeNull();
+    expect(result.worstCasePnlUsd).toBeCloseTo(-1000, 8);
+    expect(result.protectedByStop).toBe(false);
+  });
+
+  it('loses the whole wallet of an unprotected cross position', () => {
+    const result = evaluatePortfolioEntry(btcLinear, { ...linearLong, stopLoss: '', marginMode: 'cross', walletBalance: '2000' }, 8000);
+    expect(result.liquidationPrice).toBeLessThan(7200);
+    expect(result.worstCasePnlUsd).toBeCloseTo(-2000, 8);
+  });
+
+  it('projects targets from the averaged entry levels', () => {
+    // 1 BTC at 8,000 and 1 BTC at 7,600, stop 7,400 is still inside liquidation
+    const result = evaluatePortfolioEntry(btcLinear, { ...linearLong, stopLoss: '7400', entryLevels: [{ price: '7600', amount: '760' }] }, 8000);
+    expect(result.position.entryPrice).toBeCloseTo(7800, 8);
+    expect(result.marginUsd).toBeCloseTo(1560, 8);
+    expect(result.targetPnlUsd).toBeCloseTo(2400, 8);
+    expect(result.worstCasePnlUsd).toBeCloseTo(-800, 8);
+  });
+
+  it('uses the pair\'s risk-limit tiers for liquidation', () => {
+    const riskTiers = [{ riskLimitValue: 1000000, maintenanceMargin: 0.05, mmDeduction: 0, maxLeverage: 20 }];
+    const base = evaluatePortfolioEntry(btcLinear, { ...linearLong, stopLoss: '' }, 8000);
+    const tiered = evaluatePortfolioEntry(btcLinear, { ...linearLong, stopLoss: '' }, 8000, { riskTiers });
+    // 8,000 × (1 − 10% margin + 5% maintenance) instead of the base 0.5% rate
+    expect(tiered.liquidationPrice).toBeCloseTo(7600, 0);
+    expect(base.liquidationPrice).toBeLessThan(7250);
+  });
+
+  it('projects funding over the holding period at the chosen rate', () => {
+    const holding = { ...linearLong, holdingPeriod: '1', holdingUnit: 'days' };
+    // 3 settlements of 0.01% on 8,000 USDT, paid by the long
+    const current = evaluatePortfolioEntry(btcLinear, holding, 8000, { fundingRate: 0.0001, fundingHistory: [0.0003] });
+    expect(current.position.fundingPnl).toBeCloseTo(-2.4, 8);
+    expect(current.targetPnlUsd).toBeCloseTo(1000 - 2.4, 8);
+
+    const average = evaluatePortfolioEntry(btcLinear, { ...holding, fundingRateSource: 'average' }, 8000, {
+      fundingRate: 0.0001,
+      fundingHistory: [0.0003, 0.0001]
+    });
+    expect(average.position.fundingPnl).toBeCloseTo(-4.8, 8);
+
+    expect(evaluatePortfolioEntry(btcLinear, linearLong, 8000, { fundingRate: 0.0001 }).position.fundingPnl).toBeUndefined();
+  });
+
+  it('needs an entry price and a size', () => {
+    expect(evaluatePortfolioEntry(btcLinear, linearLong, null)).toBeNull();
+    expect(evaluatePortfolioEntry(btcLinear, { ...linearLong, entryAmount: '' }, 8000)).toBeNull();
+  });
+});
+
+describe('summarizePortfolio', () => {
+  it('adds up margin, exposure and the worst case', () => {
+    const summary = summarizePortfolio([
+      evaluatePortfolioEntry(btcLinear, linearLong, 8000),
+      evaluatePortfolioEntry(btcInverse, inverseShort, 8000),
+      null
+    ]);
+
+    expect(summary.positions).toBe(2);
+    expect(summary.marginUsd).toBeCloseTo(1800, 8);
+    expect(summary.longUsd).toBeCloseTo(8000, 8);
+    expect(summary.shortUsd).toBeCloseTo(10000, 8);
+    expect(summary.notionalUsd).toBeCloseTo(18000, 8);
+    expect(summary.netExposureUsd).toBeCloseTo(-2000, 8);
+    expect(summary.targetPnlUsd).toBeCloseTo(1000, 8);
+    expect(summary.worstCasePnlUsd).toBeCloseTo(-1400, 8);
+    expect(summary.unprotected).toBe(1);
+    expect(summary.sharedWalletCoins).toEqual([]);
+  });
+
+  it('loses a shared cross wallet only once', () => {
+    const crossLong = { ...linearLong, stopLoss: '', marginMode: 'cross', walletBalance: '2000' };
+    const summary = summarizePortfolio([
+      evaluatePortfolioEntry(btcLinear, crossLong, 8000),
+      evaluatePortfolioEntry({ ...btcLinear, baseSymbol: 'ETHUSDT' }, crossLong, 8000),
+      evaluatePortfolioEntry(btcLinear, linearLong, 8000)
+    ]);
+
+    // Both cross positions report the whole 2,000 USDT wallet, plus 400 at the isolated stop
+    expect(summary.worstCasePnlUsd).toBeCloseTo(-2400, 8);
+    expect(summary.unprotected).toBe(2);
+    expect(summary.sharedWalletCoins).toEqual(['USDT']);
+  });
+
+  it('keeps cross wallets of different margin coins apart', () => {
+    const crossLong = { ...linearLong, stopLoss: '', marginMode: 'cross', walletBalance: '2000' };
+    const summary = summarizePortfolio([
+      evaluatePortfolioEntry(btcLinear, crossLong, 8000),
+      evaluatePortfolioEntry({ ...btcLinear, baseSymbol: 'BTCPERP', settleCoin: 'USDC' }, crossLong, 8000)
+    ]);
+    expect(summary.worstCasePnlUsd).toBeCloseTo(-4000, 8);
+    expect(summary.sharedWalletCoins).toEqual([]);
+  });
+});
@@ -0,0 +1,199 @@
+// Market scanner over Bybit's perpetual tickers: USDT and USDC perpetuals from the
+// linear category plus coin-margined inverse perpetuals. Amounts are normalized to USD
+// so rows from every market filter and sort on the same scale.
+
+export const SCANNER_STORAGE_KEY = 'bybit-calculator-scanner';
+
+/** @typedef {'USDT' | 'USDC' | 'inverse'} ScannerMarket */
+
+export const SCANNER_MARKETS = [
+  { id: 'USDT', label: 'USDT Perpetual' },
+  { id: 'USDC', label: 'USDC Perpetual' },
+  { id: 'inverse', label: 'Inverse Perpetual' }
+];
+
+// Share of 24h price change above which a pair is flagged as hot
+const HOT_CHANGE = 0.05;
+
+/**
+ * @typedef {object} ScannerSettings Filter inputs are strings as typed, empty when unused.
+ * @property {ScannerMarket[]} markets
+ * @property {string} minVolume 24h volume in base qty (linear) or contracts (inverse).
+ * @property {string} minTurnover 24h turnover in USD.
+ * @property {string} minAbsChange Absolute 24h price change, in percent.
+ * @property {string} minAbsFunding Absolute funding rate, in percent.
+ * @property {'any' | 'positive' | 'negative'} fundingSign
+ * @property {string} minOpenInterest Open interest in USD.
+ * @property {string} minMaxLeverage Only pairs offering at least this leverage.
+ * @property {ScannerSortKey} sortKey
+ * @property {'asc' | 'desc'} sortDirection
+ * @property {number} pageSize
+ * @property {number} refreshMs How often the pair list is refetched.
+ */
+
+/**
+ * @typedef {'symbol' | 'lastPrice' | 'priceChangePercent' | 'volume24h' | 'turnover24h'
+ *   | 'fundingRate' | 'openInterestUsd' | 'maxLeverage'} ScannerSortKey
+ */
+
+/** @type {ScannerSettings} */
+export const DEFAULT_SCANNER_SETTINGS = {
+  markets: ['USDT', 'USDC', 'inverse'],
+  minVolume: '',
+  minTurnover: '1000000',
+  minAbsChange: '',
+  minAbsFunding: '',
+  fundingSign: 'any',
+  minOpenInterest: '',
+  minMaxLeverage: '',
+  sortKey: 'turnover24h',
+  sortDirection: 'desc',
+  pageSize: 8,
+  refreshMs: 10000
+};
+
+/**
+ * @typedef {object} TickerStats
+ * @property {number} lastPrice
+ * @property {number} priceChangePercent
+ * @property {number} volume24h
+ * @property {number} turnover24h In USD.
+ * @property {number} fundingRate Current rate as a fraction, e.g. 0.0001 for 0.01%.
+ * @property {number} openInterestUsd
+ * @property {boolean} isHot
+ */
+
+/**
+ * @param {'linear' | 'inverse'} category
+ * @param {string} [settleCoin]
+ * @returns {ScannerMarket}
+ */
+export const getMarket = (category, settleCoin) => {
+  if (category === 'inverse') return 'inverse';
+  return settleCoin === 'USDC' ? 'USDC' : 'USDT';
+};
+
+/**
+ * @param {'linear' | 'inverse'} category
+ * @param {string} [settleCoin]
+ * @returns {string} e.g. `USDC Perpetual`.
+ */
+export const getMarketLabel = (category, settleCoin) => (
+  SCANNER_MARKETS.find(market => market.id === getMarket(category, settleCoin)).label
+);
+
+/**
+ * Whether an instruments-info entry is one of the listed markets. Dated futures share the
+ * linear and inverse categories, only trading perpetuals that offer leverage are listed.
+ * The scanner, search and restoring a setup all go through this.
+ *
+ * @param {{ status?: string, contractType?: string, leverageFilter?: { maxLeverage?: string } }} instrument
+ * @returns {boolean}
+ */
+export const isListedPerpetual = (instrument) => (
+  instrument.status === 'Trading' &&
+  Boolean(instrument.contractType?.endsWith('Perpetual')) &&
+  parseFloat(instrument.leverageFilter?.maxLeverage) > 1
+);
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * Read the scanner columns from a REST or streamed ticker. Inverse tickers report turnover
+ * and open interest value in the coin, but their volume and open interest are USD contracts.
+ *
+ * @param {object} ticker Bybit v5 ticker.
+ * @param {'linear' | 'inverse'} category
+ * @returns {TickerStats}
+ */
+export const parseTickerStats = (ticker, category) => {
+  const inverse = category === 'inverse';
+  const change = toNumber(ticker.price24hPcnt);
+  return {
+    lastPrice: toNumber(ticker.lastPrice),
+    priceChangePercent: change * 100,
+    volume24h: toNumber(ticker.volume24h),
+    turnover24h: toNumber(inverse ? ticker.volume24h : ticker.turnover24h),
+    fundingRate: toNumber(ticker.fundingRate),
+    openInterestUsd: toNumber(inverse ? ticker.openInterest : ticker.openInterestValue),
+    isHot: Math.abs(change) > HOT_CHANGE
+  };
+};
+
+/**
+ * @param {Array<object>} rows Pairs merged with their `TickerStats`.
+ * @param {ScannerSettings} settings
+ * @returns {Array<object>}
+ */
+export const filterScannerRows = (rows, settings) => {
+  const minVolume = toNumber(settings.minVolume);
+  const minTurnover = toNumber(settings.minTurnover);
+  const minAbsChange = toNumber(settings.minAbsChange);
+  const minAbsFunding = toNumber(settings.minAbsFunding) / 100;
+  const minOpenInterest = toNumber(settings.minOpenInterest);
+  const minMaxLeverage = toNumber(settings.minMaxLeverage);
+
+  return rows.filter(row => (
+    settings.markets.includes(getMarket(row.category, row.settleCoin)) &&
+    row.lastPrice > 0 &&
+    row.volume24h >= minVolume &&
+    row.turnover24h >= minTurnover &&
+    Math.abs(row.priceChangePercent) >= minAbsChange &&
+    Math.abs(row.fundingRate) >= minAbsFunding &&
+    (settings.fundingSign === 'any' || (settings.fundingSign === 'positive' ? row.fundingRate > 0 : row.fundingRate < 0)) &&
+    row.openInterestUsd >= minOpenInterest &&
+    row.maxLeverage >= minMaxLeverage
+  ));
+};
+
+/**
+ * @param {Array<object>} rows
+ * @param {ScannerSortKey} key
+ * @param {'asc' | 'desc'} direction
+ * @returns {Array<object>} A sorted copy, ties broken by symbol.
+ */
+export const sortScannerRows = (rows, key, direction) => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const order = key === 'symbol' ? a.symbol.localeCompare(b.symbol) : a[key] - b[key];
+    return order !== 0 ? sign * order : a.symbol.localeCompare(b.symbol);
+  });
+};
+
+/**
+ * @param {Array<object>} rows
+ * @param {number} page Zero-based, clamped to the available pages.
+ * @param {number} pageSize
+ * @returns {{ rows: Array<object>, page: number, pageCount: number }}
+ */
+export const getScannerPage = (rows, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  return { rows: rows.slice(current * pageSize, (current + 1) * pageSize), page: current, pageCount };
+};
+
+/**
+ * @param {Storage} [storage]
+ * @returns {ScannerSettings} Defaults for anything not stored.
+ */
+export const loadScannerSettings = (storage = globalThis.localStorage) => {
+  try {
+    const stored = JSON.parse(storage?.getItem(SCANNER_STORAGE_KEY) || '{}');
+    return { ...DEFAULT_SCANNER_SETTINGS, ...stored };
+  } catch (error) {
+    console.error('Error loading scanner settings:', error);
+    return DEFAULT_SCANNER_SETTINGS;
+  }
+};
+
+/**
+ * @param {ScannerSettings} settings
+ * @param {Storage} [storage]
+ */
+export const saveScannerSettings = (settings, storage = globalThis.localStorage) => {
+  try {
+    storage?.setItem(SCANNER_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving scanner settings:', error);
+  }
+};
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SCANNER_SETTINGS,
+  SCANNER_STORAGE_KEY,
+  filterScannerRows,
+  getMarketLabel,
+  getScannerPage,
+  isListedPerpetual,
+  loadScannerSettings,
+  parseTickerStats,
+  sortScannerRows
+} from './scanner.js';
+
+const row = (symbol, stats) => ({
+  symbol,
+  baseSymbol: symbol,
+  category: 'linear',
+  settleCoin: 'USDT',
+  maxLeverage: 100,
+  lastPrice: 1,
+  priceChangePercent: 0,
+  volume24h: 0,
+  turnover24h: 5000000,
+  fundingRate: 0.0001,
+  openInterestUsd: 0,
+  ...stats
+});
+
+const noFilters = { ...DEFAULT_SCANNER_SETTINGS, minTurnover: '' };
+
+describe('parseTickerStats', () => {
+  it('reads linear tickers as reported', () => {
+    const stats = parseTickerStats({
+      lastPrice: '65000', price24hPcnt: '0.062', volume24h: '1200', turnover24h: '78000000',
+      fundingRate: '0.0001', openInterestValue: '5000000000'
+    }, 'linear');
+    expect(stats.priceChangePercent).toBeCloseTo(6.2, 8);
+    expect(stats.turnover24h).toBe(78000000);
+    expect(stats.openInterestUsd).toBe(5000000000);
+    expect(stats.isHot).toBe(true);
+  });
+
+  it('takes USD amounts from inverse contract counts', () => {
+    const stats = parseTickerStats({
+      lastPrice: '65000', price24hPcnt: '-0.01', volume24h: '90000000', turnover24h: '1385',
+      openInterest: '400000000', openInterestValue: '6150'
+    }, 'inverse');
+    expect(stats.turnover24h).toBe(90000000);
+    expect(stats.openInterestUsd).toBe(400000000);
+    expect(stats.fundingRate).toBe(0);
+    expect(stats.isHot).toBe(false);
+  });
+});
+
+describe('isListedPerpetual', () => {
+  const instrument = (symbol, fields) => ({
+    symbol,
+    status: 'Trading',
+    contractType: 'LinearPerpetual',
+    leverageFilter: { minLeverage: '1', maxLeverage: '100' },
+    ...fields
+  });
+
+  it('keeps trading perpetuals of every settle coin', () => {
+    expect(isListedPerpetual(instrument('BTCUSDT'))).toBe(true);
+    expect(isListedPerpetual(instrument('BTCPERP'))).toBe(true);
+    expect(isListedPerpetual(instrument('BTCUSD', { contractType: 'InversePerpetual' }))).toBe(true);
+  });
+
+  it('drops dated futures, pairs that are not trading and pairs without leverage', () => {
+    expect(isListedPerpetual(instrument('BTC-27DEC24', { contractType: 'LinearFutures' }))).toBe(false);
+    expect(isListedPerpetual(instrument('OLDUSDT', { status: 'Closed' }))).toBe(false);
+    expect(isListedPerpetual(instrument('BTCUSDT', { contractType: undefined }))).toBe(false);
+    expect(isListedPerpetual(instrument('FLATUSDT', { leverageFilter: { minLeverage: '1', maxLeverage: '1' } }))).toBe(false);
+    expect(isListedPerpetual(instrument('BTCUSDT', { leverageFilter: undefined }))).toBe(false);
+  });
+});
+
+describe('filterScannerRows', () => {
+  const rows = [
+    row('BTCUSDT', { turnover24h: 9e9, priceChangePercent: 1, openInterestUsd: 5e9 }),
+    row('BTCPERP', { settleCoin: 'USDC', turnover24h: 2e8, priceChangePercent: -7, fundingRate: -0.0005 }),
+    row('BTCUSD', { category: 'inverse', settleCoin: 'BTC', turnover24h: 9e7, maxLeverage: 50 }),
+    row('PEPEUSDT', { turnover24h: 500000, priceChangePercent: 20, maxLeverage: 25 })
+  ];
+  const symbols = (settings) => filterScannerRows(rows, settings).map(item => item.symbol);
+
+  it('keeps the selected markets above the default turnover', () => {
+    expect(symbols(DEFAULT_SCANNER_SETTINGS)).toEqual(['BTCUSDT', 'BTCPERP', 'BTCUSD']);
+    expect(symbols({ ...noFilters, markets: ['USDC', 'inverse'] })).toEqual(['BTCPERP', 'BTCUSD']);
+  });
+
+  it('filters on absolute change, funding, open interest and leverage', () => {
+    expect(symbols({ ...noFilters, minAbsChange: '5' })).toEqual(['BTCPERP', 'PEPEUSDT']);
+    expect(symbols({ ...noFilters, minAbsFunding: '0.02' })).toEqual(['BTCPERP']);
+    expect(symbols({ ...noFilters, fundingSign: 'positive' })).toEqual(['BTCUSDT', 'BTCUSD', 'PEPEUSDT']);
+    expect(symbols({ ...noFilters, minOpenInterest: '1000000' })).toEqual(['BTCUSDT']);
+    expect(symbols({ ...noFilters, minMaxLeverage: '50' })).toEqual(['BTCUSDT', 'BTCPERP', 'BTCUSD']);
+  });
+});
+
+describe('sortScannerRows and getScannerPage', () => {
+  const rows = [row('B', { priceChangePercent: 3 }), row('A', { priceChangePercent: -2 }), row('C', { priceChangePercent: 3 })];
+
+  it('sorts by any column in either direction', () => {
+    expect(sortScannerRows(rows, 'priceChangePercent', 'desc').map(item => item.symbol)).toEqual(['B', 'C', 'A']);
+    expect(sortScannerRows(rows, 'priceChangePercent', 'asc').map(item => item.symbol)).toEqual(['A', 'B', 'C']);
+    expect(sortScannerRows(rows, 'symbol', 'desc').map(item => item.symbol)).toEqual(['C', 'B', 'A']);
+  });
+
+  it('pages through the rows and clamps the page', () => {
+    expect(getScannerPage(rows, 1, 2)).toEqual({ rows: [rows[2]], page: 1, pageCount: 2 });
+    expect(getScannerPage(rows, 5, 2).page).toBe(1);
+    expect(getScannerPage([], 0, 8)).toEqual({ rows: [], page: 0, pageCount: 1 });
+  });
+});
+
+describe('settings', () => {
+  it('labels markets and fills stored settings with defaults', () => {
+    expect(getMarketLabel('linear', 'USDC')).toBe('USDC Perpetual');
+    expect(getMarketLabel('inverse', 'BTC')).toBe('Inverse Perpetual');
+
+    const storage = { getItem: (key) => (key === SCANNER_STORAGE_KEY ? '{"pageSize": 20}' : null) };
+    expect(loadScannerSettings(storage)).toEqual({ ...DEFAULT_SCANNER_SETTINGS, pageSize: 20 });
+  });
+});
@@ -0,0 +1,255 @@
+// Encoding of a calculator setup as URL query params. The same string backs the
+// shareable address bar URL, saved setups and portfolio entries.
+//
+// Links are versioned with `v`. Version 2 uses short keys and carries the pair's
+// category so a link can be restored with a single instruments lookup. Links without
+// `v` are version 1 (long keys, no category) and are migrated when read.
+
+import { DEFAULT_FEE_SETTINGS, FEE_TIERS } from './fees.js';
+
+export const SETUP_PARAMS_VERSION = 2;
+
+export const EMPTY_TARGET = { price: '', percent: '' };
+export const EMPTY_ENTRY_LEVEL = { price: '', amount: '' };
+
+/**
+ * @typedef {object} SetupInputs Calculator inputs as the form holds them (strings as typed).
+ * @property {'Long' | 'Short'} positionType
+ * @property {number|null} leverage `null` when the params carry none, callers use the pair minimum.
+ * @property {string} entryAmount Margin in the margin coin.
+ * @property {{ price: string, amount: string }[]} entryLevels Further entries after the first
+ *   (DCA or grid), each with its own margin. Only used with fixed margin sizing.
+ * @property {{ price: string, percent: string }[]} targets
+ * @property {string} stopLoss
+ * @property {string} customEntryPrice
+ * @property {boolean} useLivePriceAsEntry
+ * @property {import('./fees.js').FeeSettings} feeSettings
+ * @property {string} holdingPeriod
+ * @property {'hours' | 'days'} holdingUnit
+ * @property {'current' | 'average'} fundingRateSource
+ * @property {'margin' | 'risk'} sizingMode
+ * @property {string} accountEquity
+ * @property {string} riskPercent
+ * @property {'isolated' | 'cross'} marginMode
+ * @property {string} walletBalance Cross only, in the margin coin.
+ */
+
+/**
+ * @typedef {object} ParsedSetup
+ * @property {string|null} pair Symbol as traded on Bybit, `null` when missing or malformed.
+ * @property {'linear' | 'inverse' | null} category `null` for version 1 links, which do not carry it.
+ * @property {string[]} ignored Keys whose values were invalid and fell back to defaults.
+ */
+
+/** @type {SetupInputs} */
+export const DEFAULT_SETUP = {
+  positionType: 'Long',
+  leverage: null,
+  entryAmount: '',
+  entryLevels: [],
+  targets: [EMPTY_TARGET],
+  stopLoss: '',
+  customEntryPrice: '',
+  useLivePriceAsEntry: true,
+  feeSettings: DEFAULT_FEE_SETTINGS,
+  holdingPeriod: '',
+  holdingUnit: 'days',
+  fundingRateSource: 'current',
+  sizingMode: 'margin',
+  accountEquity: '',
+  riskPercent: '1',
+  marginMode: 'isolated',
+  walletBalance: ''
+};
+
+/**
+ * Entry levels as calculator fills, leaving out incomplete ones.
+ *
+ * @param {SetupInputs['entryLevels']} [levels]
+ * @returns {import('./calculator.js').EntryFill[]}
+ */
+export const toEntryFills = (levels = []) => levels
+  .map(level => ({ price: parseFloat(level.price), margin: parseFloat(level.amount) }))
+  .filter(fill => fill.price > 0 && fill.margin > 0);
+
+/**
+ * @param {{ baseSymbol: string, category: 'linear' | 'inverse' }} pair
+ * @param {SetupInputs} setup
+ * @returns {URLSearchParams}
+ */
+export const buildSetupParams = (pair, setup) => {
+  const params = new URLSearchParams();
+
+  params.set('v', String(SETUP_PARAMS_VERSION));
+  params.set('p', pair.baseSymbol);
+  if (pair.category === 'inverse') params.set('c', 'i');
+  if (setup.positionType === 'Short') params.set('s', 'S');
+  if (setup.leverage) params.set('x', String(setup.leverage));
+
+  if (setup.sizingMode === 'risk') {
+    // Equity and risk share travel together, `equity:percent`
+    params.set('r', `${setup.accountEquity}:${setup.riskPercent}`);
+  } else if (setup.entryAmount) {
+    params.set('m', setup.entryAmount);
+  }
+  // One `d` per further entry: `price:margin`
+  (setup.entryLevels ?? [])
+    .filter(level => level.price && level.amount)
+    .forEach(level => params.append('d', `${level.price}:${level.amount}`));
+  // One `t` per target: `price` or `price:percent`
+  setup.targets
+    .filter(target => target.price)
+    .forEach(target => params.append('t', target.percent ? `${target.price}:${target.percent}` : target.price));
+  if (setup.stopLoss) params.set('sl', setup.stopLoss);
+  if (!setup.useLivePriceAsEntry && setup.customEntryPrice) params.set('ep', setup.customEntryPrice);
+
+  // Fee settings, only when they differ from the defaults
+  const { feeSettings } = setup;
+  if (feeSettings.tier !== DEFAULT_FEE_SETTINGS.tier) params.set('fee', feeSettings.tier);
+  const orderTypes = `${feeSettings.entryOrderType[0]}${feeSettings.exitOrderType[0]}`;
+  if (orderTypes !== 'tt') params.set('fo', orderTypes);
+  if (feeSettings.customTakerRate) params.set('ft', feeSettings.customTakerRate);
+  if (feeSettings.customMakerRate) params.set('fm', feeSettings.customMakerRate);
+
+  if (setup.holdingPeriod) params.set('h', `${setup.holdingPeriod}${setup.holdingUnit === 'days' ? 'd' : 'h'}`);
+  if (setup.fundingRateSource === 'average') params.set('fr', 'a');
+
+  // Cross margin with its wallet balance, possibly empty
+  if (setup.marginMode === 'cross') params.set('cm', setup.walletBalance);
+
+  return params;
+};
+
+/**
+ * Rewrite version 1 params with version 2 keys.
+ *
+ * @param {URLSearchParams} params
+ * @returns {URLSearchParams}
+ */
+const migrateVersion1 = (params) => {
+  const migrated = new URLSearchParams();
+  const copy = (from, to = from) => {
+    if (params.has(from)) migrated.set(to, params.get(from));
+  };
+
+  copy('pair', 'p');
+  if (params.get('position') === 'Short') migrated.set('s', 'S');
+  copy('leverage', 'x');
+  copy('entry', 'm');
+  // The first links carried fixed t1–t3 prices instead of repeated `t` params
+  const targets = params.has('t') ? params.getAll('t') : ['t1', 't2', 't3'].map(key => params.get(key)).filter(Boolean);
+  targets.forEach(target => migrated.append('t', target));
+  ['sl', 'ep', 'fee', 'fo', 'ft', 'fm'].forEach(key => copy(key));
+  copy('hold', 'h');
+  if (params.get('fr') === 'average') migrated.set('fr', 'a');
+  if (params.get('mode') === 'risk') migrated.set('r', `${params.get('eq') || ''}:${params.get('risk') || ''}`);
+  if (params.get('mm') === 'cross') migrated.set('cm', params.get('wb') || '');
+
+  return migrated;
+};
+
+/**
+ * Read a setup back. Missing inputs get their defaults, as do invalid ones, which are
+ * listed in `ignored`. Version 1 params are migrated first.
+ *
+ * @param {URLSearchParams} params
+ * @returns {SetupInputs & ParsedSetup}
+ * @throws {Error} When the params come from a newer version or carry an unknown one.
+ */
+export const parseSetupParams = (params) => {
+  const version = params.has('v') ? Number(params.get('v')) : 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unrecognized link version "${params.get('v')}".`);
+  }
+  if (version > SETUP_PARAMS_VERSION) {
+    throw new Error(`This link was made by a newer version of the calculator (v${version}).`);
+  }
+  const current = version === 1 ? migrateVersion1(params) : params;
+  const ignored = [];
+
+  // Numbers are kept as typed, anything else is dropped and reported
+  const numeric = (key, value, allowZero) => {
+    if (value === null || value === '') return '';
+    const number = Number(value);
+    if (Number.isFinite(number) && (number > 0 || (allowZero && number === 0))) return value;
+    ignored.push(key);
+    return '';
+  };
+  const positive = (key, value = current.get(key)) => numeric(key, value, false);
+  // Fee rate overrides may be zero or negative, a negative rate is a rebate
+  const rate = (key) => {
+    const value = current.get(key);
+    if (value === null || value === '' || Number.isFinite(Number(value))) return value ?? '';
+    ignored.push(key);
+    return '';
+  };
+
+  const symbol = current.get('p');
+  const pair = symbol && /^[A-Z0-9]+$/.test(symbol) ? symbol : null;
+  if (symbol && !pair) ignored.push('p');
+
+  const targets = current.getAll('t')
+    .map(value => {
+      const [price = '', percent = ''] = value.split(':');
+      const target = { price: positive('t', price), percent: positive('t', percent) };
+      if (Number(target.percent) > 100) {
+        ignored.push('t');
+        target.percent = '';
+      }
+      return target;
+    })
+    .filter(target => target.price);
+
+  const entryLevels = current.getAll('d')
+    .map(value => {
+      const [price = '', amount = ''] = value.split(':');
+      return { price: positive('d', price), amount: positive('d', amount) };
+    })
+    .filter(level => {
+      if (level.price && level.amount) return true;
+      ignored.push('d');
+      return false;
+    });
+
+  const tier = current.get('fee');
+  if (tier && !FEE_TIERS.some(item => item.id === tier)) ignored.push('fee');
+  const orderTypes = /^[mt]{2}$/.test(current.get('fo') || '') ? current.get('fo') : 'tt';
+  if (current.has('fo') && orderTypes !== current.get('fo')) ignored.push('fo');
+  const toOrderType = (code) => (code === 'm' ? 'maker' : 'taker');
+
+  const holding = current.get('h')?.match(/^(\d+(?:\.\d+)?)([dh])$/);
+  if (current.get('h') && !holding) ignored.push('h');
+
+  const customEntryPrice = positive('ep');
+  const leverage = positive('x');
+  const risk = current.has('r') ? current.get('r').split(':') : null;
+
+  return {
+    pair,
+    category: version === 1 ? null : current.get('c') === 'i' ? 'inverse' : 'linear',
+    positionType: current.get('s') === 'S' ? 'Short' : 'Long',
+    leverage: leverage ? Number(leverage) : null,
+    entryAmount: positive('m'),
+    entryLevels,
+    targets: targets.length > 0 ? targets : [EMPTY_TARGET],
+    stopLoss: positive('sl'),
+    customEntryPrice,
+    useLivePriceAsEntry: !customEntryPrice,
+    feeSettings: {
+      tier: tier && !ignored.includes('fee') ? tier : DEFAULT_FEE_SETTINGS.tier,
+      entryOrderType: toOrderType(orderTypes[0]),
+      exitOrderType: toOrderType(orderTypes[1]),
+      customTakerRate: rate('ft'),
+      customMakerRate: rate('fm')
+    },
+    holdingPeriod: holding ? holding[1] : '',
+    holdingUnit: holding?.[2] === 'h' ? 'hours' : 'days',
+    fundingRateSource: current.get('fr') === 'a' ? 'average' : 'current',
+    sizingMode: risk ? 'risk' : 'margin',
+    accountEquity: risk ? positive('r', risk[0]) : '',
+    riskPercent: (risk && positive('r', risk[1] ?? '')) || DEFAULT_SETUP.riskPercent,
+    marginMode: current.has('cm') ? 'cross' : 'isolated',
+    walletBalance: positive('cm'),
+    ignored: [...new Set(ignored)]
+  };
+};
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FEE_SETTINGS } from './fees.js';
+import { DEFAULT_SETUP, EMPTY_TARGET, buildSetupParams, parseSetupParams } from './setupParams.js';
+
+const btcInverse = { baseSymbol: 'BTCUSD', category: 'inverse' };
+const ethLinear = { baseSymbol: 'ETHUSDT', category: 'linear' };
+
+const parse = (query) => parseSetupParams(new URLSearchParams(query));
+
+describe('setup params', () => {
+  it('round-trips every input', () => {
+    const setup = {
+      positionType: 'Short',
+      leverage: 12.5,
+      entryAmount: '',
+      entryLevels: [{ price: '65000', amount: '0.01' }, { price: '66000', amount: '0.02' }],
+      targets: [{ price: '60000', percent: '40' }, { price: '58000', percent: '' }],
+      stopLoss: '66000',
+      customEntryPrice: '64000',
+      useLivePriceAsEntry: false,
+      feeSettings: { ...DEFAULT_FEE_SETTINGS, tier: 'VIP2', entryOrderType: 'maker', customTakerRate: '0.05', customMakerRate: '0' },
+      holdingPeriod: '12',
+      holdingUnit: 'hours',
+      fundingRateSource: 'average',
+      sizingMode: 'risk',
+      accountEquity: '5000',
+      riskPercent: '2',
+      marginMode: 'cross',
+      walletBalance: '3000'
+    };
+
+    const params = buildSetupParams(btcInverse, setup);
+    expect(params.toString()).toContain('t=60000%3A40&t=58000');
+    expect(params.getAll('d')).toEqual(['65000:0.01', '66000:0.02']);
+    expect(parse(params.toString())).toEqual({ pair: 'BTCUSD', category: 'inverse', ignored: [], ...setup });
+  });
+
+  it('round-trips negative fee rates as rebates', () => {
+    const feeSettings = { ...DEFAULT_FEE_SETTINGS, entryOrderType: 'maker', customMakerRate: '-0.005', customTakerRate: '-0.01' };
+    const params = buildSetupParams(ethLinear, { ...DEFAULT_SETUP, leverage: 1, feeSettings });
+    expect(params.get('fm')).toBe('-0.005');
+
+    const setup = parse(params.toString());
+    expect(setup.feeSettings).toEqual(feeSettings);
+    expect(setup.ignored).toEqual([]);
+    expect(parse('v=2&p=BTCUSDT&fo=mt&fm=-0.005').feeSettings.customMakerRate).toBe('-0.005');
+    expect(parse('v=2&p=BTCUSDT&fm=rebate').ignored).toEqual(['fm']);
+  });
+
+  it('keeps defaults out of the params', () => {
+    const params = buildSetupParams(ethLinear, { ...DEFAULT_SETUP, leverage: 1 });
+    expect(params.toString()).toBe('v=2&p=ETHUSDT&x=1');
+  });
+
+  it('fills missing inputs with defaults', () => {
+    expect(parse('v=2&p=ETHUSDT')).toEqual({ pair: 'ETHUSDT', category: 'linear', ignored: [], ...DEFAULT_SETUP });
+  });
+
+  it('drops invalid values and reports them', () => {
+    const setup = parse('v=2&p=ETHUSDT&x=-3&m=abc&t=3000:150&t=oops&fee=VIP9&fo=xx&h=2w&sl=3500');
+    expect(setup.leverage).toBeNull();
+    expect(setup.entryAmount).toBe('');
+    expect(setup.targets).toEqual([{ price: '3000', percent: '' }]);
+    expect(setup.feeSettings).toEqual(DEFAULT_FEE_SETTINGS);
+    expect(setup.holdingPeriod).toBe('');
+    expect(setup.stopLoss).toBe('3500');
+    expect(setup.ignored).toEqual(['t', 'fee', 'fo', 'h', 'x', 'm']);
+
+    expect(parse('v=2&p=eth/usdt').pair).toBeNull();
+  });
+
+  it('needs both a price and a margin for each entry level', () => {
+    const setup = parse('v=2&p=ETHUSDT&m=100&d=3000:50&d=2900&d=x:10');
+    expect(setup.entryLevels).toEqual([{ price: '3000', amount: '50' }]);
+    expect(setup.ignored).toEqual(['d']);
+  });
+
+  it('rejects links from newer or unknown versions', () => {
+    expect(() => parse('v=3&p=ETHUSDT')).toThrow('newer version');
+    expect(() => parse('v=beta&p=ETHUSDT')).toThrow('Unrecognized');
+  });
+});
+
+describe('version 1 links', () => {
+  it('migrates the long keys', () => {
+    const setup = parse(
+      'pair=BTCUSDT&position=Short&leverage=5&entry=250&t=60000%3A40&sl=66000&fee=VIP1&hold=3d&fr=average&mm=cross&wb=900'
+    );
+    expect(setup).toMatchObject({
+      pair: 'BTCUSDT',
+      category: null,
+      positionType: 'Short',
+      leverage: 5,
+      entryAmount: '250',
+      targets: [{ price: '60000', percent: '40' }],
+      stopLoss: '66000',
+      holdingPeriod: '3',
+      fundingRateSource: 'average',
+      marginMode: 'cross',
+      walletBalance: '900',
+      ignored: []
+    });
+    expect(setup.feeSettings.tier).toBe('VIP1');
+  });
+
+  it('migrates risk sizing', () => {
+    expect(parse('pair=BTCUSDT&mode=risk&eq=5000')).toMatchObject({
+      sizingMode: 'risk', accountEquity: '5000', riskPercent: '1'
+    });
+  });
+
+  it('reads the legacy t1–t3 targets', () => {
+    const { targets } = parse('pair=ETHUSDT&t1=3000&t3=3500');
+    expect(targets).toEqual([{ price: '3000', percent: '' }, { price: '3500', percent: '' }]);
+    expect(parse('t=').targets).toEqual([EMPTY_TARGET]);
+  });
+});
@@ -0,0 +1,262 @@
+// Streaming client for Bybit's public v5 WebSocket `tickers.{symbol}` topic.
+// One socket is opened per category (linear, inverse) on first subscription and
+// closed again once nothing is subscribed. Dropped sockets reconnect with
+// exponential backoff and resubscribe everything that was active.
+
+export const BYBIT_PUBLIC_WS_URL = 'wss://stream.bybit.com/v5/public';
+
+// Bybit drops idle public connections, it recommends a ping every 20 seconds
+const DEFAULT_PING_INTERVAL = 20000;
+const DEFAULT_RECONNECT_BASE_DELAY = 1000;
+const DEFAULT_RECONNECT_MAX_DELAY = 30000;
+// Public streams accept at most 10 args per subscribe request
+const MAX_ARGS_PER_REQUEST = 10;
+
+const tickerTopic = (symbol) => `tickers.${symbol}`;
+
+/**
+ * Create a ticker stream.
+ *
+ * @param {object} [options]
+ * @param {string} [options.url] Base URL, the category is appended as a path segment.
+ *   Point it at a local mock server (e.g. `ws://localhost:8080`) for tests.
+ * @param {typeof WebSocket} [options.WebSocketImpl] WebSocket constructor to use.
+ * @param {number} [options.pingInterval] Heartbeat interval in ms.
+ * @param {number} [options.reconnectBaseDelay] First reconnect delay in ms, doubled per attempt.
+ * @param {number} [options.reconnectMaxDelay] Upper bound for the reconnect delay in ms.
+ * @returns {{
+ *   subscribe: (category: string, symbol: string, listener: (ticker: object) => void) => () => void,
+ *   onStatusChange: (category: string, listener: (status: string) => void) => () => void,
+ *   getStatus: (category: string) => 'idle' | 'connecting' | 'open' | 'closed',
+ *   close: () => void
+ * }}
+ */
+export const createTickerStream = (options = {}) => {
+  const {
+    url = BYBIT_PUBLIC_WS_URL,
+    WebSocketImpl = globalThis.WebSocket,
+    pingInterval = DEFAULT_PING_INTERVAL,
+    reconnectBaseDelay = DEFAULT_RECONNECT_BASE_DELAY,
+    reconnectMaxDelay = DEFAULT_RECONNECT_MAX_DELAY
+  } = options;
+
+  const connections = new Map();
+  let destroyed = false;
+
+  const getConnection = (category) => {
+    if (!connections.has(category)) {
+      connections.set(category, {
+        category,
+        socket: null,
+        status: 'idle',
+        // symbol -> Set of listeners
+        subscriptions: new Map(),
+        // symbol -> latest merged ticker (snapshot + deltas)
+        tickers: new Map(),
+        statusListeners: new Set(),
+        attempts: 0,
+        reconnectTimer: null,
+        pingTimer: null,
+        awaitingPong: false
+      });
+    }
+    return connections.get(category);
+  };
+
+  const setStatus = (connection, status) => {
+    if (connection.status === status) return;
+    connection.status = status;
+    connection.statusListeners.forEach(listener => listener(status));
+  };
+
+  const send = (connection, message) => {
+    if (connection.socket && connection.socket.readyState === WebSocketImpl.OPEN) {
+      connection.socket.send(JSON.stringify(message));
+    }
+  };
+
+  const sendTopics = (connection, op, symbols) => {
+    for (let i = 0; i < symbols.length; i += MAX_ARGS_PER_REQUEST) {
+      send(connection, { op, args: symbols.slice(i, i + MAX_ARGS_PER_REQUEST).map(tickerTopic) });
+    }
+  };
+
+  const stopHeartbeat = (connection) => {
+    if (connection.pingTimer) {
+      clearInterval(connection.pingTimer);
+      connection.pingTimer = null;
+    }
+    connection.awaitingPong = false;
+  };
+
+  const startHeartbeat = (connection) => {
+    stopHeartbeat(connection);
+    connection.pingTimer = setInterval(() => {
+      // No pong since the previous ping: the socket is dead even if it looks open
+      if (connection.awaitingPong) {
+        connection.socket?.close();
+        return;
+      }
+      connection.awaitingPong = true;
+      send(connection, { op: 'ping' });
+    }, pingInterval);
+  };
+
+  const handleMessage = (connection, event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+
+    if (message.op === 'pong' || message.ret_msg === 'pong') {
+      connection.awaitingPong = false;
+      return;
+    }
+
+    if (typeof message.topic !== 'string' || !message.topic.startsWith('tickers.') || !message.data) {
+      return;
+    }
+
+    const symbol = message.data.symbol || message.topic.slice('tickers.'.length);
+    const listeners = connection.subscriptions.get(symbol);
+    if (!listeners) return;
+
+    // Deltas only carry the fields that changed since the last push
+    const ticker = message.type === 'delta'
+      ? { ...connection.tickers.get(symbol), ...message.data }
+      : { ...message.data };
+    connection.tickers.set(symbol, ticker);
+    listeners.forEach(listener => listener(ticker));
+  };
+
+  const scheduleReconnect = (connection) => {
+    if (connection.reconnectTimer || destroyed || connection.subscriptions.size === 0) return;
+
+    const delay = Math.min(reconnectBaseDelay * 2 ** connection.attempts, reconnectMaxDelay);
+    connection.attempts += 1;
+    connection.reconnectTimer = setTimeout(() => {
+      connection.reconnectTimer = null;
+      connect(connection);
+    }, delay);
+  };
+
+  const connect = (connection) => {
+    if (destroyed || connection.socket || !WebSocketImpl) return;
+
+    setStatus(connection, 'connecting');
+
+    let socket;
+    try {
+      socket = new WebSocketImpl(`${url}/${connection.category}`);
+    } catch (error) {
+      console.error('Error opening ticker stream:', error);
+      setStatus(connection, 'closed');
+      scheduleReconnect(connection);
+      return;
+    }
+    connection.socket = socket;
+
+    socket.onopen = () => {
+      connection.attempts = 0;
+      setStatus(connection, 'open');
+      startHeartbeat(connection);
+      sendTopics(connection, 'subscribe', [...connection.subscriptions.keys()]);
+    };
+
+    socket.onmessage = (event) => handleMessage(connection, event);
+
+    socket.onerror = (error) => {
+      console.error('Ticker stream error:', error);
+      // onclose follows and takes care of reconnecting
+    };
+
+    socket.onclose = () => {
+      if (connection.socket !== socket) return;
+      connection.socket = null;
+      stopHeartbeat(connection);
+      setStatus(connection, 'closed');
+      scheduleReconnect(connection);
+    };
+  };
+
+  const disconnect = (connection) => {
+    if (connection.reconnectTimer) {
+      clearTimeout(connection.reconnectTimer);
+      connection.reconnectTimer = null;
+    }
+    stopHeartbeat(connection);
+
+    const socket = connection.socket;
+    connection.socket = null;
+    connection.attempts = 0;
+    if (socket) {
+      socket.onopen = null;
+      socket.onmessage = null;
+      socket.onerror = null;
+      socket.onclose = null;
+      socket.close();
+    }
+    setStatus(connection, 'idle');
+  };
+
+  const subscribe = (category, symbol, listener) => {
+    const connection = getConnection(category);
+    const isNewSymbol = !connection.subscriptions.has(symbol);
+
+    if (isNewSymbol) {
+      connection.subscriptions.set(symbol, new Set());
+    }
+    connection.subscriptions.get(symbol).add(listener);
+
+    // Late subscribers get the last known ticker right away
+    if (connection.tickers.has(symbol)) {
+      listener(connection.tickers.get(symbol));
+    }
+
+    if (!connection.socket && !connection.reconnectTimer) {
+      connect(connection);
+    } else if (isNewSymbol) {
+      sendTopics(connection, 'subscribe', [symbol]);
+    }
+
+    return () => {
+      const listeners = connection.subscriptions.get(symbol);
+      if (!listeners) return;
+
+      listeners.delete(listener);
+      if (listeners.size > 0) return;
+
+      connection.subscriptions.delete(symbol);
+      connection.tickers.delete(symbol);
+
+      if (connection.subscriptions.size === 0) {
+        disconnect(connection);
+      } else {
+        sendTopics(connection, 'unsubscribe', [symbol]);
+      }
+    };
+  };
+
+  const onStatusChange = (category, listener) => {
+    const connection = getConnection(category);
+    connection.statusListeners.add(listener);
+    return () => connection.statusListeners.delete(listener);
+  };
+
+  const getStatus = (category) => getConnection(category).status;
+
+  const close = () => {
+    destroyed = true;
+    connections.forEach(connection => {
+      connection.subscriptions.clear();
+      connection.tickers.clear();
+      disconnect(connection);
+      connection.statusListeners.clear();
+    });
+    connections.clear();
+  };
+
+  return { subscribe, onStatusChange, getStatus, close };
+};
@@ -0,0 +1,316 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import WebSocket from 'ws';
+import { createStubServer } from '../../scripts/bybit-stub.js';
+import { createTickerStream } from './tickerStream.js';
+
+// Stand-in for the browser WebSocket: records what is sent and lets tests play the server
+class FakeWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+}
+
+const latestSocket = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+
+const createStream = () => createTickerStream({
+  url: 'ws://localhost:8080',
+  WebSocketImpl: FakeWebSocket,
+  pingInterval: 1000,
+  reconnectBaseDelay: 100,
+  reconnectMaxDelay: 1000
+});
+
+beforeEach(() => {
+  FakeWebSocket.instances = [];
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('subscriptions', () => {
+  it('opens one socket per category and subscribes once it is open', () => {
+    const stream = createStream();
+    stream.subscribe('linear', 'BTCUSDT', () => {});
+    stream.subscribe('linear', 'ETHUSDT', () => {});
+
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    const socket = latestSocket();
+    expect(socket.url).toBe('ws://localhost:8080/linear');
+    expect(stream.getStatus('linear')).toBe('connecting');
+
+    socket.open();
+    expect(stream.getStatus('linear')).toBe('open');
+    expect(socket.sent).toEqual([{ op: 'subscribe', args: ['tickers.BTCUSDT', 'tickers.ETHUSDT'] }]);
+
+    stream.subscribe('linear', 'SOLUSDT', () => {});
+    expect(socket.sent.at(-1)).toEqual({ op: 'subscribe', args: ['tickers.SOLUSDT'] });
+    stream.close();
+  });
+
+  it('sends at most 10 topics per subscribe request', () => {
+    const stream = createStream();
+    const symbols = Array.from({ length: 12 }, (_, i) => `COIN${i}USDT`);
+    symbols.forEach(symbol => stream.subscribe('linear', symbol, () => {}));
+    latestSocket().open();
+
+    expect(latestSocket().sent.map(message => message.args.length)).toEqual([10, 2]);
+    stream.close();
+  });
+
+  it('unsubscribes the last listener of a symbol and closes the socket once nothing is left', () => {
+    const stream = createStream();
+    const stopBtc = stream.subscribe('linear', 'BTCUSDT', () => {});
+    const stopBtcAgain = stream.subscribe('linear', 'BTCUSDT', () => {});
+    const stopEth = stream.subscribe('linear', 'ETHUSDT', () => {});
+    const socket = latestSocket();
+    socket.open();
+
+    stopBtc();
+    expect(socket.sent).toHaveLength(1);
+    stopBtcAgain();
+    expect(socket.sent.at(-1)).toEqual({ op: 'unsubscribe', args: ['tickers.BTCUSDT'] });
+
+    stopEth();
+    expect(socket.readyState).toBe(FakeWebSocket.CLOSED);
+    expect(stream.getStatus('linear')).toBe('idle');
+    vi.advanceTimersByTime(5000);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+});
+
+describe('ticker messages', () => {
+  it('merges deltas into the last snapshot', () => {
+    const stream = createStream();
+    const listener = vi.fn();
+    stream.subscribe('linear', 'BTCUSDT', listener);
+    const socket = latestSocket();
+    socket.open();
+
+    socket.receive({ topic: 'tickers.BTCUSDT', type: 'snapshot', data: { symbol: 'BTCUSDT', lastPrice: '65000', markPrice: '64990' } });
+    socket.receive({ topic: 'tickers.BTCUSDT', type: 'delta', data: { symbol: 'BTCUSDT', lastPrice: '65100' } });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith({ symbol: 'BTCUSDT', lastPrice: '65100', markPrice: '64990' });
+
+    // Late subscribers start from the merged ticker
+    const late = vi.fn();
+    stream.subscribe('linear', 'BTCUSDT', late);
+    expect(late).toHaveBeenCalledWith({ symbol: 'BTCUSDT', lastPrice: '65100', markPrice: '64990' });
+    stream.close();
+  });
+
+  it('ignores other topics and unreadable messages', () => {
+    const stream = createStream();
+    const listener = vi.fn();
+    stream.subscribe('linear', 'BTCUSDT', listener);
+    const socket = latestSocket();
+    socket.open();
+
+    socket.onmessage({ data: 'not json' });
+    socket.receive({ success: true, op: 'subscribe' });
+    socket.receive({ topic: 'tickers.ETHUSDT', type: 'snapshot', data: { symbol: 'ETHUSDT', lastPrice: '3400' } });
+    expect(listener).not.toHaveBeenCalled();
+    stream.close();
+  });
+});
+
+describe('heartbeat and reconnects', () => {
+  it('closes the socket when a ping gets no pong', () => {
+    const stream = createStream();
+    stream.subscribe('linear', 'BTCUSDT', () => {});
+    const socket = latestSocket();
+    socket.open();
+
+    vi.advanceTimersByTime(1000);
+    expect(socket.sent.at(-1)).toEqual({ op: 'ping' });
+    socket.receive({ op: 'pong' });
+    vi.advanceTimersByTime(1000);
+    expect(socket.readyState).toBe(FakeWebSocket.OPEN);
+
+    // Second ping left unanswered
+    vi.advanceTimersByTime(1000);
+    expect(socket.readyState).toBe(FakeWebSocket.CLOSED);
+    expect(stream.getStatus('linear')).toBe('closed');
+    stream.close();
+  });
+
+  it('reconnects with backoff and resubscribes every topic', () => {
+    const stream = createStream();
+    stream.subscribe('linear', 'BTCUSDT', () => {});
+    stream.subscribe('linear', 'ETHUSDT', () => {});
+    latestSocket().open();
+
+    // Two failed attempts: 100 ms, then 200 ms
+    latestSocket().close();
+    vi.advanceTimersByTime(99);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    vi.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    latestSocket().close();
+    vi.advanceTimersByTime(199);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    vi.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+
+    const socket = latestSocket();
+    socket.open();
+    expect(stream.getStatus('linear')).toBe('open');
+    expect(socket.sent).toEqual([{ op: 'subscribe', args: ['tickers.BTCUSDT', 'tickers.ETHUSDT'] }]);
+
+    // A successful connection resets the backoff
+    socket.close();
+    vi.advanceTimersByTime(100);
+    expect(FakeWebSocket.instances).toHaveLength(4);
+    stream.close();
+  });
+
+  it('stops timers and reconnects on close', () => {
+    const stream = createStream();
+    const statuses = [];
+    stream.onStatusChange('linear', status => statuses.push(status));
+    stream.subscribe('linear', 'BTCUSDT', () => {});
+    const socket = latestSocket();
+    socket.open();
+    socket.close();
+
+    stream.close();
+    expect(vi.getTimerCount()).toBe(0);
+    vi.advanceTimersByTime(60000);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(statuses).toEqual(['connecting', 'open', 'closed', 'idle']);
+
+    // Nothing opens once the stream is closed
+    stream.subscribe('linear', 'BTCUSDT', () => {});
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+
+  it('clears the heartbeat of an open socket on close', () => {
+    const stream = createStream();
+    stream.subscribe('linear', 'BTCUSDT', () => {});
+    const socket = latestSocket();
+    socket.open();
+    expect(vi.getTimerCount()).toBe(1);
+
+    stream.close();
+    expect(vi.getTimerCount()).toBe(0);
+    expect(socket.readyState).toBe(FakeWebSocket.CLOSED);
+  });
+});
+
+describe('against the local stub', () => {
+  let server;
+  let stream;
+  let requests;
+
+  // Real sockets and timers: poll until the condition holds or give up
+  const waitFor = async (condition, timeout = 2000) => {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for the stub');
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const start = async (options = {}) => {
+    vi.useRealTimers();
+    server = createStubServer({ tickInterval: 0, ...options });
+    requests = [];
+    server.tickerSockets.on('connection', (socket) => {
+      const received = [];
+      requests.push(received);
+      socket.on('message', data => received.push(JSON.parse(data.toString())));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    stream = createTickerStream({
+      url: `ws://127.0.0.1:${server.address().port}/v5/public`,
+      WebSocketImpl: WebSocket,
+      pingInterval: 50,
+      reconnectBaseDelay: 20,
+      reconnectMaxDelay: 100
+    });
+  };
+
+  const dropConnections = () => server.tickerSockets.clients.forEach(socket => socket.terminate());
+
+  afterEach(async () => {
+    stream?.close();
+    dropConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('streams snapshots and deltas from the stub', async () => {
+    await start({ tickInterval: 20 });
+    const prices = [];
+    stream.subscribe('linear', 'BTCUSDT', ticker => prices.push(ticker.lastPrice));
+
+    await waitFor(() => prices.length >= 2);
+    expect(prices[0]).toBe('65000.00');
+    expect(prices[1]).not.toBe('65000.00');
+  });
+
+  it('reconnects after the connection drops and resubscribes every topic', async () => {
+    await start();
+    const btc = [];
+    const eth = [];
+    stream.subscribe('linear', 'BTCUSDT', ticker => btc.push(ticker));
+    stream.subscribe('linear', 'ETHUSDT', ticker => eth.push(ticker));
+    await waitFor(() => btc.length === 1 && eth.length === 1);
+
+    dropConnections();
+    await waitFor(() => stream.getStatus('linear') === 'closed');
+    await waitFor(() => btc.length === 2 && eth.length === 2);
+
+    expect(stream.getStatus('linear')).toBe('open');
+    expect(requests).toHaveLength(2);
+    const topics = requests[1].filter(request => request.op === 'subscribe').flatMap(request => request.args);
+    expect(topics.sort()).toEqual(['tickers.BTCUSDT', 'tickers.ETHUSDT']);
+  });
+
+  it('keeps the connection while pings are answered', async () => {
+    await start();
+    stream.subscribe('linear', 'BTCUSDT', () => {});
+    await waitFor(() => requests[0]?.filter(request => request.op === 'ping').length >= 3);
+    expect(requests).toHaveLength(1);
+    expect(stream.getStatus('linear')).toBe('open');
+  });
+
+  it('drops and reopens the connection when a pong is missed', async () => {
+    await start({ answerPings: false });
+    const prices = [];
+    stream.subscribe('linear', 'BTCUSDT', ticker => prices.push(ticker.lastPrice));
+
+    await waitFor(() => requests.length >= 2 && prices.length >= 2);
+    expect(requests[0].filter(request => request.op === 'ping')).toHaveLength(1);
+    expect(requests[1][0]).toEqual({ op: 'subscribe', args: ['tickers.BTCUSDT'] });
+  });
+});
@@ -0,0 +1,23 @@
+// In-memory stand-in for localStorage, shared by the storage tests. Test-only, nothing
+// under src/test is imported by the app.
+
+/**
+ * @param {Record<string, string>} [initial] Items the storage starts with.
+ * @returns {{
+ *   getItem: (key: string) => string|null,
+ *   setItem: (key: string, value: string) => void,
+ *   removeItem: (key: string) => void
+ * }}
+ */
+export const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+    removeItem: (key) => {
+      delete items[key];
+    }
+  };
+};
@@ -1,7 +1,40 @@
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes the hashed build assets into the service worker's precache list, public/sw.js
+// is copied as is and cannot know them
+const precacheAssets = () => {
+  let outDir
+  let assets = []
+  return {
+    name: 'precache-assets',
+    apply: 'build',
+    configResolved(config) {
+      outDir = config.build.outDir
+    },
+    generateBundle(options, bundle) {
+      assets = Object.keys(bundle).filter(fileName => fileName.startsWith('assets/')).sort().map(fileName => `/${fileName}`)
+    },
+    async closeBundle() {
+      const file = join(outDir, 'sw.js')
+      const source = await readFile(file, 'utf8')
+      const assetsLine = 'const BUILD_ASSETS = [];'
+      const buildIdLine = "const BUILD_ID = 'dev';"
+      if (!source.includes(assetsLine) || !source.includes(buildIdLine)) {
+        throw new Error('sw.js has no BUILD_ASSETS / BUILD_ID to fill in')
+      }
+      const buildId = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 8)
+      await writeFile(file, source
+        .replace(assetsLine, `const BUILD_ASSETS = ${JSON.stringify(assets)};`)
+        .replace(buildIdLine, `const BUILD_ID = '${buildId}';`))
+    }
+  }
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheAssets()],
 })